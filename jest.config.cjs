@@ -5,6 +5,8 @@ module.exports = {
   transform: {
     '^.+\.js$': 'babel-jest',
   },
+  // hyparquet and hyparquet-writer ship ES modules only
+  transformIgnorePatterns: ['/node_modules/(?!hyparquet)'],
   moduleFileExtensions: ['js', 'json', 'node'],
   collectCoverage: true,
   coverageReporters: ['json', 'lcov', 'text', 'clover'],
@@ -0,0 +1,358 @@
+import { comparePeriods, getPeriodIndex, PERIODS_PER_YEAR } from './periods.js';
+
+export const DEFAULT_MOVING_AVERAGE_WINDOWS = [3];
+
+const DAYS_PER_YEAR = 365.25;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Enough digits for any published KOSIS value, without the floating point noise of the arithmetic
+const round = (number) => (Number.isFinite(number) ? Number(number.toPrecision(12)) : null);
+
+const hasValue = (record) => Number.isFinite(record?.value);
+
+/**
+ * Key identifying the series a normalized record belongs to: its table, item,
+ * classification path and frequency. Records of one table published in several
+ * frequencies end up in separate series.
+ */
+export const getSeriesKey = (record) => {
+    // Regions are keyed by the registry, so a region published under a former code continues its series
+    const classificationPath = (record.metadata?.classifications || [])
+        .map(classification => `${classification.objId}=${record.regionInfo?.classificationLevel === classification.level ? record.regionInfo.key : classification.code}`)
+        .join(',');
+    return [record.sourceTableId, record.metadata?.item?.id || '', classificationPath, record.period?.frequency || ''].join('|');
+};
+
+/**
+ * @typedef {Object} Series
+ * @property {string} key - See getSeriesKey.
+ * @property {string} tableId
+ * @property {string|null} itemId
+ * @property {Object[]} classifications - The classification path shared by the records.
+ * @property {string|null} frequency
+ * @property {Object[]} records - The records in chronological order.
+ */
+
+/**
+ * Group normalized records into series and order each series by period.
+ * Records without a parsed period (error records) are left out.
+ * @param {Object[]} records - Output of normalizeStatisticalData.
+ * @returns {Series[]} The series, in the order they first appear.
+ */
+export const groupIntoSeries = (records) => {
+    const seriesByKey = new Map();
+
+    for (const record of records) {
+        if (!record.period) continue;
+        const key = getSeriesKey(record);
+        if (!seriesByKey.has(key)) {
+            seriesByKey.set(key, {
+                key,
+                tableId: record.sourceTableId,
+                itemId: record.metadata?.item?.id || null,
+                classifications: record.metadata?.classifications || [],
+                frequency: record.period.frequency,
+                records: []
+            });
+        }
+        seriesByKey.get(key).records.push(record);
+    }
+
+    const series = [...seriesByKey.values()];
+    for (const { records: seriesRecords } of series) {
+        seriesRecords.sort((a, b) => comparePeriods(a.period, b.period));
+    }
+    return series;
+};
+
+const computeChange = (current, previous) => {
+    if (!hasValue(current) || !hasValue(previous)) return null;
+    const difference = current.value - previous.value;
+    return {
+        previousPeriod: previous.period.code,
+        difference: round(difference),
+        percentChange: previous.value === 0 ? null : round((difference / Math.abs(previous.value)) * 100)
+    };
+};
+
+const computeCagr = (current, first, years) => {
+    if (!hasValue(current) || !hasValue(first) || !(years > 0)) return null;
+    // Growth rates are undefined across zero and sign changes
+    if (first.value <= 0 || current.value <= 0) return null;
+    return {
+        fromPeriod: first.period.code,
+        years: round(years),
+        percent: round((Math.pow(current.value / first.value, 1 / years) - 1) * 100)
+    };
+};
+
+const computeMovingAverage = (records) => {
+    if (records.some(record => !hasValue(record))) return null;
+    return round(records.reduce((sum, record) => sum + record.value, 0) / records.length);
+};
+
+/**
+ * Compute the derived metrics of one series.
+ *
+ * Regular series (yearly to daily) are laid out on the timeline of their frequency:
+ * a change compares with the exact previous period or the same period a year earlier,
+ * and a moving average needs every period of its window. When that period is missing
+ * from the output, or its value is missing or suppressed, the metric is null instead
+ * of silently spanning the gap. Irregular series compare consecutive observations.
+ *
+ * @param {Series} series
+ * @param {Object} [options] - { movingAverageWindows }.
+ * @returns {Object[]} One analysis object per record, in the series order.
+ */
+export const analyzeSeries = (series, options = {}) => {
+    const windows = options.movingAverageWindows || DEFAULT_MOVING_AVERAGE_WINDOWS;
+    const { records, frequency } = series;
+    const indexes = records.map(record => getPeriodIndex(record.period));
+    const regular = indexes.every(index => index !== null);
+
+    const recordsByIndex = new Map();
+    records.forEach((record, position) => {
+        if (regular && !recordsByIndex.has(indexes[position])) recordsByIndex.set(indexes[position], record);
+    });
+
+    const firstPosition = records.findIndex(hasValue);
+    const first = records[firstPosition];
+
+    return records.map((record, position) => {
+        const index = indexes[position];
+        let previous;
+        let yearAgo;
+        let windowRecords;
+        let years;
+
+        if (regular) {
+            previous = recordsByIndex.get(index - 1);
+            yearAgo = recordsByIndex.get(getPeriodIndex(record.period, -1));
+            windowRecords = (size) => Array.from({ length: size }, (_, offset) => recordsByIndex.get(index - offset));
+            years = first ? (index - indexes[firstPosition]) / PERIODS_PER_YEAR[frequency] : null;
+        } else {
+            previous = records[position - 1];
+            yearAgo = null;
+            windowRecords = (size) => (position + 1 >= size ? records.slice(position + 1 - size, position + 1) : [undefined]);
+            years = first?.period.start && record.period.start
+                ? (Date.parse(record.period.start) - Date.parse(first.period.start)) / DAY_MS / DAYS_PER_YEAR
+                : null;
+        }
+
+        const movingAverages = {};
+        for (const size of windows) {
+            movingAverages[`ma${size}`] = computeMovingAverage(windowRecords(size));
+        }
+
+        return {
+            seriesKey: series.key,
+            periodOverPeriod: computeChange(record, previous),
+            yearOverYear: computeChange(record, yearAgo),
+            cagr: computeCagr(record, first, years),
+            movingAverages
+        };
+    });
+};
+
+/**
+ * Add an `analysis` field with period-over-period and year-over-year changes, the
+ * compound annual growth rate since the first value of the series and moving averages
+ * to every normalized record.
+ * @param {Object[]} records - Output of normalizeStatisticalData.
+ * @param {Object} [options] - { movingAverageWindows }.
+ * @returns {Object[]} New records in the input order; records without a period are returned unchanged.
+ */
+export const analyzeTimeSeries = (records, options = {}) => {
+    const analysisByRecord = new Map();
+    for (const series of groupIntoSeries(records)) {
+        analyzeSeries(series, options).forEach((analysis, position) => {
+            analysisByRecord.set(series.records[position], analysis);
+        });
+    }
+
+    return records.map(record => (analysisByRecord.has(record) ? { ...record, analysis: analysisByRecord.get(record) } : record));
+};
+
+export const OUTLIER_METHODS = {
+    zscore: { defaultThreshold: 3 },
+    iqr: { defaultThreshold: 1.5 }
+};
+
+export const DEFAULT_OUTLIER_METHOD = 'iqr';
+
+// Linear interpolation between closest ranks, as in most spreadsheet tools
+const quantile = (sortedValues, fraction) => {
+    const position = (sortedValues.length - 1) * fraction;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+};
+
+const findOutliers = (observations, method, threshold, { mean, standardDeviation, sortedValues }) => {
+    if (method === 'zscore') {
+        if (!standardDeviation) return [];
+        return observations
+            .map(({ record }) => ({ record, score: (record.value - mean) / standardDeviation }))
+            .filter(({ score }) => Math.abs(score) > threshold);
+    }
+
+    // Quartiles of fewer than four values say nothing about outliers
+    if (sortedValues.length < 4) return [];
+    const q1 = quantile(sortedValues, 0.25);
+    const q3 = quantile(sortedValues, 0.75);
+    const iqr = q3 - q1;
+    const lowerFence = q1 - threshold * iqr;
+    const upperFence = q3 + threshold * iqr;
+    return observations
+        .filter(({ record }) => record.value < lowerFence || record.value > upperFence)
+        .map(({ record }) => ({
+            record,
+            score: iqr === 0 ? null : (record.value < lowerFence ? record.value - q1 : record.value - q3) / iqr
+        }));
+};
+
+// The latest value compared with the values before it
+const compareLatest = (latest, history) => {
+    if (!latest) return null;
+    const result = { period: latest.period.code, value: latest.value };
+    if (history.length === 0) {
+        return {
+            ...result,
+            historicalMin: null,
+            historicalMax: null,
+            positionInRange: null,
+            percentile: null,
+            isRecordHigh: false,
+            isRecordLow: false
+        };
+    }
+
+    const historicalMin = Math.min(...history);
+    const historicalMax = Math.max(...history);
+    return {
+        ...result,
+        historicalMin,
+        historicalMax,
+        // 0 at the historical minimum, 1 at the maximum; outside [0, 1] for new records
+        positionInRange: historicalMax === historicalMin ? null : round((latest.value - historicalMin) / (historicalMax - historicalMin)),
+        percentile: round((history.filter(value => value < latest.value).length / history.length) * 100),
+        isRecordHigh: latest.value > historicalMax,
+        isRecordLow: latest.value < historicalMin
+    };
+};
+
+/**
+ * Descriptive statistics of one series: count, min/max with their periods, mean,
+ * median, sample standard deviation, coefficient of variation, the latest value
+ * against the range of the values before it, and outliers by z-score or IQR fences.
+ * Missing and suppressed values are counted separately and left out of the statistics.
+ * @param {Series} series
+ * @param {Object} [options] - { outlierMethod: 'zscore'|'iqr', outlierThreshold }.
+ * @returns {Object} The `series_summary` dataset item.
+ */
+export const summarizeSeries = (series, options = {}) => {
+    const method = OUTLIER_METHODS[options.outlierMethod] ? options.outlierMethod : DEFAULT_OUTLIER_METHOD;
+    const threshold = options.outlierThreshold || OUTLIER_METHODS[method].defaultThreshold;
+    const observations = series.records.filter(hasValue).map(record => ({ record }));
+    const values = observations.map(({ record }) => record.value);
+    const sortedValues = [...values].sort((a, b) => a - b);
+    const firstRecord = series.records[0];
+    const count = values.length;
+
+    let minimum = null;
+    let maximum = null;
+    for (const { record } of observations) {
+        if (!minimum || record.value < minimum.value) minimum = record;
+        if (!maximum || record.value > maximum.value) maximum = record;
+    }
+
+    const mean = count > 0 ? values.reduce((sum, value) => sum + value, 0) / count : null;
+    const standardDeviation = count > 1
+        ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1))
+        : null;
+    const latest = observations[count - 1]?.record;
+
+    return {
+        type: 'series_summary',
+        seriesKey: series.key,
+        tableId: series.tableId,
+        statName: firstRecord?.statName || null,
+        itemId: series.itemId,
+        itemName: firstRecord?.metadata?.item?.name || null,
+        classifications: series.classifications.map(({ objId, code, label }) => ({ objId, code, label })),
+        frequency: series.frequency,
+        unit: firstRecord?.unit || '',
+        firstPeriod: firstRecord?.period.code || null,
+        lastPeriod: series.records[series.records.length - 1]?.period.code || null,
+        count,
+        missingCount: series.records.length - count,
+        min: minimum ? { value: minimum.value, period: minimum.period.code } : null,
+        max: maximum ? { value: maximum.value, period: maximum.period.code } : null,
+        mean: count > 0 ? round(mean) : null,
+        median: count > 0 ? round(quantile(sortedValues, 0.5)) : null,
+        standardDeviation: standardDeviation === null ? null : round(standardDeviation),
+        coefficientOfVariation: standardDeviation === null || mean === 0 ? null : round(standardDeviation / Math.abs(mean)),
+        latest: compareLatest(latest, values.slice(0, -1)),
+        outlierMethod: method,
+        outlierThreshold: threshold,
+        outliers: count > 0
+            ? findOutliers(observations, method, threshold, { mean, standardDeviation, sortedValues })
+                .map(({ record, score }) => ({ period: record.period.code, value: record.value, score: round(score) }))
+            : [],
+        extractedAt: new Date().toISOString()
+    };
+};
+
+/**
+ * Build one `series_summary` item per series of the normalized records.
+ * @param {Object[]} records - Output of normalizeStatisticalData.
+ * @param {Object} [options] - See summarizeSeries.
+ * @returns {Object[]}
+ */
+export const summarizeTimeSeries = (records, options = {}) => groupIntoSeries(records).map(series => summarizeSeries(series, options));
+
+/**
+ * Fill the nulls between known values by linear interpolation. The first and last
+ * values must be known.
+ * @param {Array<number|null>} values
+ * @returns {number[]} A new array.
+ */
+export const interpolateGaps = (values) => {
+    const filled = [...values];
+    let lastKnown = 0;
+    for (let position = 1; position < filled.length; position++) {
+        if (filled[position] === null) continue;
+        for (let gap = lastKnown + 1; gap < position; gap++) {
+            filled[gap] = filled[lastKnown] + (filled[position] - filled[lastKnown]) * (gap - lastKnown) / (position - lastKnown);
+        }
+        lastKnown = position;
+    }
+    return filled;
+};
+
+/**
+ * Lay a regular series out on the timeline of its frequency, from its first to its
+ * last observed value. Missing periods and values inside that range are filled by
+ * linear interpolation, for methods that need an evenly spaced series.
+ * @param {Series} series
+ * @returns {{startIndex: number, indexes: number[], values: number[], observed: Map<number, Object>}|null}
+ *   `observed` maps period indexes to the records with a value; null for irregular series
+ *   and series without values.
+ */
+export const toRegularSeries = (series) => {
+    const observed = new Map();
+    for (const record of series.records) {
+        const index = getPeriodIndex(record.period);
+        if (index === null) return null;
+        if (hasValue(record) && !observed.has(index)) observed.set(index, record);
+    }
+    if (observed.size === 0) return null;
+
+    const observedIndexes = [...observed.keys()].sort((a, b) => a - b);
+    const startIndex = observedIndexes[0];
+    const length = observedIndexes[observedIndexes.length - 1] - startIndex + 1;
+    const indexes = Array.from({ length }, (_, position) => startIndex + position);
+    const values = interpolateGaps(indexes.map(index => (observed.has(index) ? observed.get(index).value : null)));
+
+    return { startIndex, indexes, values, observed };
+};
@@ -0,0 +1,132 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { Actor } from 'apify';
+
+export const CACHE_STORAGES = ['none', 'keyValueStore', 'local'];
+
+// Default time-to-live per endpoint type, in hours
+export const DEFAULT_CACHE_TTL_HOURS = {
+    list: 168,
+    search: 24,
+    meta: 168,
+    data: 24
+};
+
+export const DEFAULT_CACHE_STORE_NAME = 'kosis-cache';
+export const DEFAULT_CACHE_DIRECTORY = 'storage/kosis-cache';
+
+const ENDPOINT_TYPES = {
+    '/statisticsList.do': 'list',
+    '/statisticsSearch.do': 'search',
+    '/statisticsData.do': 'meta',
+    '/Param/statisticsParameterData.do': 'data'
+};
+
+export const getEndpointType = (endpoint) => ENDPOINT_TYPES[endpoint] || 'other';
+
+/**
+ * Build the cache key of a request from its endpoint and normalized parameters.
+ * Parameters are sorted and trimmed, so the same query always maps to the same key.
+ * The key only uses characters allowed in key-value store keys.
+ */
+export const buildCacheKey = (endpoint, params = {}) => {
+    const normalized = Object.keys(params)
+        .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+        .sort()
+        .map(key => `${key}=${String(params[key]).trim()}`)
+        .join('&');
+    const hash = createHash('sha256').update(`${endpoint}?${normalized}`).digest('hex').slice(0, 40);
+    return `${getEndpointType(endpoint)}-${hash}`;
+};
+
+const createKeyValueStoreBackend = (storeName) => {
+    let storePromise = null;
+    const openStore = () => {
+        storePromise = storePromise || Actor.openKeyValueStore(storeName);
+        return storePromise;
+    };
+
+    return {
+        async read(key) {
+            return (await openStore()).getValue(key);
+        },
+        async write(key, entry) {
+            await (await openStore()).setValue(key, entry);
+        }
+    };
+};
+
+const createLocalBackend = (directory) => ({
+    async read(key) {
+        try {
+            return JSON.parse(await readFile(path.join(directory, `${key}.json`), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    },
+    async write(key, entry) {
+        await mkdir(directory, { recursive: true });
+        await writeFile(path.join(directory, `${key}.json`), JSON.stringify(entry));
+    }
+});
+
+/**
+ * Create the response cache used by the KOSIS client.
+ * Entries expire after the TTL of their endpoint type. With forceRefresh entries are
+ * never read, only rewritten; in offline mode expired entries are still served, since
+ * there is no way to refresh them.
+ * @param {Object} options - { storage, storeName, directory, ttlHours, forceRefresh, offline }.
+ * @returns {Object|null} The cache, or null when storage is 'none'.
+ */
+export const createResponseCache = (options = {}) => {
+    const {
+        storage = 'keyValueStore',
+        storeName = DEFAULT_CACHE_STORE_NAME,
+        directory = DEFAULT_CACHE_DIRECTORY,
+        forceRefresh = false,
+        offline = false
+    } = options;
+    if (storage === 'none') return null;
+
+    const ttlHours = { ...DEFAULT_CACHE_TTL_HOURS, ...options.ttlHours };
+    const backend = storage === 'local' ? createLocalBackend(directory) : createKeyValueStoreBackend(storeName);
+    const stats = { hits: 0, misses: 0, writes: 0 };
+
+    return {
+        offline,
+
+        async get(endpoint, params) {
+            if (forceRefresh && !offline) {
+                stats.misses++;
+                return undefined;
+            }
+
+            const entry = await backend.read(buildCacheKey(endpoint, params));
+            const maxAge = (ttlHours[getEndpointType(endpoint)] ?? 0) * 60 * 60 * 1000;
+            const isFresh = entry && Date.now() - new Date(entry.storedAt).getTime() <= maxAge;
+
+            if (entry && (isFresh || offline)) {
+                stats.hits++;
+                return entry.data;
+            }
+            stats.misses++;
+            return undefined;
+        },
+
+        async set(endpoint, params, data) {
+            await backend.write(buildCacheKey(endpoint, params), {
+                endpoint,
+                params,
+                storedAt: new Date().toISOString(),
+                data
+            });
+            stats.writes++;
+        },
+
+        getStats() {
+            return { ...stats };
+        }
+    };
+};
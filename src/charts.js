@@ -0,0 +1,266 @@
+import { groupIntoSeries } from './analysis.js';
+import { comparePeriods } from './periods.js';
+import { getRecordDimensions } from './transformations.js';
+import { FONT_FAMILY, escapeXml, formatNumber } from './svg.js';
+
+export const CHART_FORMATS = ['svg', 'png'];
+export const DEFAULT_MAX_CHART_SERIES = 8;
+
+// Categorical palette, one color per series
+const COLORS = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'];
+
+const WIDTH = 900;
+const HEIGHT = 560;
+// The bottom margin holds the rotated period or category labels and the legend
+const PLOT = { left: 84, right: 28, top: 76, bottom: 170 };
+const MAX_CATEGORIES = 24;
+const MAX_X_LABELS = 16;
+const LEGEND_COLUMNS = 3;
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const labelsOf = (record) => new Map([
+    ['item', record.metadata?.item?.name || record.metadata?.item?.id || record.category1 || null],
+    ...(record.metadata?.classifications || []).map(classification => [`objL${classification.level}`, classification.label || classification.code])
+]);
+
+// Dimensions whose code differs between the records, in the order of the table
+const findVaryingDimensions = (records) => {
+    const codes = new Map();
+    for (const record of records) {
+        for (const [dimension, code] of getRecordDimensions(record)) {
+            if (!codes.has(dimension)) codes.set(dimension, new Set());
+            codes.get(dimension).add(code);
+        }
+    }
+    return [...codes].filter(([, values]) => values.size > 1).map(([dimension]) => dimension);
+};
+
+const describe = (record, dimensions) => {
+    const labels = labelsOf(record);
+    return dimensions.map(dimension => labels.get(dimension)).filter(Boolean).join(' · ');
+};
+
+const periodLabel = (period) => period.label?.ko || period.code;
+
+/**
+ * Round axis ticks covering [min, max], with steps of 1, 2 or 5 times a power of ten.
+ * @returns {number[]}
+ */
+export const getNiceTicks = (min, max, count = 5) => {
+    if (!Number.isFinite(min) || !Number.isFinite(max)) return [];
+    let [low, high] = [min, max];
+    if (low === high) {
+        const padding = Math.abs(low) * 0.1 || 1;
+        [low, high] = [low - padding, high + padding];
+    }
+    const rough = (high - low) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const residual = rough / magnitude;
+    const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+
+    const ticks = [];
+    for (let tick = Math.floor(low / step); tick <= Math.ceil(high / step); tick++) {
+        ticks.push(Number((tick * step).toPrecision(12)));
+    }
+    return ticks;
+};
+
+/**
+ * @typedef {Object} ChartSpec
+ * @property {string} type - 'line' (series over periods) or 'bar' (breakdown of the latest period).
+ * @property {string} tableId
+ * @property {string} title
+ * @property {string} subtitle
+ * @property {string} unit
+ * @property {string[]} categories - Periods of a line chart, category labels of a bar chart.
+ * @property {Array<{label: string, values: Array<number|null>}>} series
+ * @property {number} omittedSeries - Series left out to keep the chart readable.
+ * @property {number} [omittedCategories] - Categories of a bar chart beyond the first MAX_CATEGORIES.
+ */
+
+const buildLineChart = (records, maxSeries) => {
+    const unit = records[0].unit;
+    const allSeries = groupIntoSeries(records.filter(record => record.unit === unit));
+    const shown = allSeries.slice(0, maxSeries);
+    const periods = [...new Map(shown.flatMap(series => series.records).map(record => [record.period.code, record.period])).values()]
+        .sort(comparePeriods);
+    if (periods.length < 2) return null;
+
+    const varying = findVaryingDimensions(shown.map(series => series.records[0]));
+    return {
+        type: 'line',
+        tableId: records[0].sourceTableId,
+        title: records[0].statName,
+        subtitle: [varying.length === 0 ? describe(records[0], ['item']) : null, `${periodLabel(periods[0])} – ${periodLabel(periods.at(-1))}`, unit]
+            .filter(Boolean).join(' · '),
+        unit,
+        categories: periods.map(periodLabel),
+        series: shown.map(series => {
+            const values = new Map(series.records.map(record => [record.period.code, Number.isFinite(record.value) ? record.value : null]));
+            return {
+                label: describe(series.records[0], varying) || describe(series.records[0], ['item']) || series.key,
+                values: periods.map(period => values.get(period.code) ?? null)
+            };
+        }),
+        omittedSeries: groupIntoSeries(records).length - shown.length
+    };
+};
+
+const buildBarChart = (records, maxSeries) => {
+    const latest = records.map(record => record.period).sort(comparePeriods).at(-1);
+    const unit = records.find(record => record.period.code === latest.code).unit;
+    const current = records.filter(record => record.period.code === latest.code && record.unit === unit && Number.isFinite(record.value));
+    const varying = findVaryingDimensions(current);
+    if (varying.length === 0) return null;
+
+    // The dimension with the most values becomes the categories, the others the bars of each group
+    const distinct = (dimension) => new Set(current.map(record => getRecordDimensions(record).get(dimension))).size;
+    const categoryDimension = [...varying].sort((a, b) => distinct(b) - distinct(a))[0];
+    const groupDimensions = varying.filter(dimension => dimension !== categoryDimension);
+
+    const categories = new Map();
+    const omittedCategories = new Set();
+    const groups = new Map();
+    for (const record of current) {
+        const categoryCode = getRecordDimensions(record).get(categoryDimension);
+        if (!categories.has(categoryCode)) {
+            if (categories.size < MAX_CATEGORIES) categories.set(categoryCode, labelsOf(record).get(categoryDimension));
+            else omittedCategories.add(categoryCode);
+        }
+        const groupKey = groupDimensions.map(dimension => getRecordDimensions(record).get(dimension)).join('|');
+        if (!groups.has(groupKey)) groups.set(groupKey, { label: describe(record, groupDimensions), values: new Map() });
+        groups.get(groupKey).values.set(categoryCode, record.value);
+    }
+    const shown = [...groups.values()].slice(0, maxSeries);
+
+    return {
+        type: 'bar',
+        tableId: records[0].sourceTableId,
+        title: records[0].statName,
+        subtitle: [groupDimensions.length === 0 ? describe(current[0], varying.includes('item') ? [] : ['item']) : null, periodLabel(latest), unit]
+            .filter(Boolean).join(' · '),
+        unit,
+        categories: [...categories.values()],
+        series: shown.map(group => ({
+            label: group.label || unit,
+            values: [...categories.keys()].map(code => group.values.get(code) ?? null)
+        })),
+        omittedSeries: groups.size - shown.length,
+        omittedCategories: omittedCategories.size
+    };
+};
+
+/**
+ * The charts of one table: a line chart of its series over the periods (when it has more
+ * than one period) and a grouped bar chart of its breakdown at the latest period (when it
+ * has more than one category). Both use the table's most common frequency and the unit of
+ * its first record; series beyond `maxSeries` and bar categories beyond the first 24 are
+ * left out and counted in the chart.
+ * @param {Object[]} records - Normalized records of one table.
+ * @param {Object} [options] - { maxSeries }.
+ * @returns {ChartSpec[]}
+ */
+export const buildTableCharts = (records, options = {}) => {
+    const maxSeries = Math.max(parseInt(options.maxSeries) || DEFAULT_MAX_CHART_SERIES, 1);
+    const dated = records.filter(record => record.period);
+    if (dated.length === 0) return [];
+
+    const counts = new Map();
+    for (const record of dated) counts.set(record.period.frequency, (counts.get(record.period.frequency) || 0) + 1);
+    const frequency = [...counts].sort((a, b) => b[1] - a[1])[0][0];
+    const sameFrequency = dated.filter(record => record.period.frequency === frequency);
+
+    return [buildLineChart(sameFrequency, maxSeries), buildBarChart(sameFrequency, maxSeries)].filter(Boolean);
+};
+
+const drawLegend = (series, top) => {
+    if (series.length < 2) return '';
+    const columnWidth = (WIDTH - PLOT.left - PLOT.right) / LEGEND_COLUMNS;
+    return series.map(({ label }, i) => {
+        const x = PLOT.left + (i % LEGEND_COLUMNS) * columnWidth;
+        const y = top + Math.floor(i / LEGEND_COLUMNS) * 18;
+        return `<rect x="${x}" y="${y - 10}" width="12" height="12" fill="${COLORS[i % COLORS.length]}"/>`
+            + `<text x="${x + 18}" y="${y}" font-size="12">${escapeXml(truncate(label, 36))}</text>`;
+    }).join('');
+};
+
+const drawXLabel = (text, x, y, rotate) => (rotate
+    ? `<text x="${x.toFixed(1)}" y="${y}" text-anchor="end" font-size="11" transform="rotate(-40 ${x.toFixed(1)} ${y})">${escapeXml(truncate(text, 18))}</text>`
+    : `<text x="${x.toFixed(1)}" y="${y}" text-anchor="middle" font-size="11">${escapeXml(text)}</text>`);
+
+/**
+ * Render a chart as an SVG document, with Hangul-capable fonts.
+ * @param {ChartSpec} chart
+ * @returns {string|null} null when the chart has no values.
+ */
+export const renderChartSvg = (chart) => {
+    const values = chart.series.flatMap(series => series.values).filter(Number.isFinite);
+    if (values.length === 0) return null;
+
+    // Bars start at zero; lines use the range of the values
+    const low = chart.type === 'bar' ? Math.min(0, ...values) : Math.min(...values);
+    const high = chart.type === 'bar' ? Math.max(0, ...values) : Math.max(...values);
+    const ticks = getNiceTicks(low, high);
+    const [min, max] = [ticks[0], ticks.at(-1)];
+
+    const [left, right, top, bottom] = [PLOT.left, WIDTH - PLOT.right, PLOT.top, HEIGHT - PLOT.bottom];
+    const y = (value) => bottom - (value - min) / (max - min) * (bottom - top);
+    const count = chart.categories.length;
+    const rotate = count > 8 || chart.categories.some(label => label.length > 8);
+
+    const grid = ticks.map(tick => `<line x1="${left}" x2="${right}" y1="${y(tick).toFixed(1)}" y2="${y(tick).toFixed(1)}" stroke="${tick === 0 ? '#888' : '#e5e5e5'}"/>`
+        + `<text x="${left - 8}" y="${(y(tick) + 4).toFixed(1)}" text-anchor="end" font-size="11" fill="#555">${formatNumber(tick, 2)}</text>`);
+
+    let marks;
+    let xLabels;
+    if (chart.type === 'line') {
+        const x = (i) => (count === 1 ? (left + right) / 2 : left + i * (right - left) / (count - 1));
+        marks = chart.series.map(({ label, values: seriesValues }, s) => {
+            // Missing periods break the line
+            const path = seriesValues.map((value, i) => {
+                if (!Number.isFinite(value)) return '';
+                const command = i > 0 && Number.isFinite(seriesValues[i - 1]) ? 'L' : 'M';
+                return `${command}${x(i).toFixed(1)},${y(value).toFixed(1)}`;
+            }).join('');
+            const dots = count <= 40 ? seriesValues.map((value, i) => (Number.isFinite(value)
+                ? `<circle cx="${x(i).toFixed(1)}" cy="${y(value).toFixed(1)}" r="2.5" fill="${COLORS[s % COLORS.length]}"><title>${escapeXml(label)} ${escapeXml(chart.categories[i])}: ${formatNumber(value, 2)}</title></circle>`
+                : '')).join('') : '';
+            return `<path d="${path}" fill="none" stroke="${COLORS[s % COLORS.length]}" stroke-width="2"/>${dots}`;
+        });
+        const every = Math.ceil(count / MAX_X_LABELS);
+        xLabels = chart.categories.map((label, i) => (i % every === 0 || i === count - 1 ? drawXLabel(label, x(i), bottom + 18, rotate) : ''));
+    } else {
+        const band = (right - left) / count;
+        const barWidth = band * 0.8 / chart.series.length;
+        const zero = y(Math.min(Math.max(0, min), max));
+        marks = chart.series.map(({ label, values: seriesValues }, s) => seriesValues.map((value, i) => {
+            if (!Number.isFinite(value)) return '';
+            const x = left + i * band + band * 0.1 + s * barWidth;
+            const [from, to] = [Math.min(zero, y(value)), Math.max(zero, y(value))];
+            return `<rect x="${x.toFixed(1)}" y="${from.toFixed(1)}" width="${Math.max(barWidth - 1, 1).toFixed(1)}" height="${Math.max(to - from, 0.5).toFixed(1)}" fill="${COLORS[s % COLORS.length]}">`
+                + `<title>${escapeXml([label, chart.categories[i]].filter(Boolean).join(' '))}: ${formatNumber(value, 2)}</title></rect>`;
+        }).join(''));
+        xLabels = chart.categories.map((label, i) => drawXLabel(label, left + (i + 0.5) * band, bottom + 18, rotate));
+    }
+
+    const note = [
+        chart.omittedSeries > 0 ? `${chart.omittedSeries} more series not shown` : null,
+        chart.omittedCategories > 0 ? `${chart.omittedCategories} more categories not shown` : null,
+        `Source: KOSIS ${chart.tableId}`
+    ].filter(Boolean).join(' · ');
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">`,
+        '<rect width="100%" height="100%" fill="#fff"/>',
+        `<g font-family="${FONT_FAMILY}" fill="#222">`,
+        `<text x="${left}" y="34" font-size="20" font-weight="bold">${escapeXml(truncate(chart.title || chart.tableId, 50))}</text>`,
+        `<text x="${left}" y="58" font-size="13" fill="#555">${escapeXml(chart.subtitle)}</text>`,
+        ...grid,
+        ...marks,
+        ...xLabels,
+        drawLegend(chart.series, bottom + (rotate ? 96 : 44)),
+        `<text x="${right}" y="${HEIGHT - 12}" text-anchor="end" font-size="10" fill="#888">${escapeXml(note)}</text>`,
+        '</g>',
+        '</svg>'
+    ].join('\n');
+};
@@ -0,0 +1,187 @@
+import { REGULAR_FREQUENCIES, PERIODS_PER_YEAR, getPeriodIndex, getPeriodIndexAt, parsePeriod, toFrequencyCode } from './periods.js';
+import { normalizeSeriesSelector } from './derivedIndicators.js';
+import { parseUnit } from './units.js';
+
+export const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'JPY', 'CNY', 'GBP'];
+
+// Won per this many units of the currency, as KOSIS and the Bank of Korea quote the yen
+export const DEFAULT_QUOTE_UNITS = { JPY: 100 };
+
+const round = (number) => (Number.isFinite(number) ? Number(number.toPrecision(12)) : null);
+
+/**
+ * The multiplier of a won unit string, e.g. 1e9 for '십억원'.
+ * @returns {number|null} null for units that are not won amounts.
+ */
+export const getWonMultiplier = (unit) => {
+    const parsed = parseUnit(unit);
+    return parsed?.currency === 'KRW' ? parsed.multiplier : null;
+};
+
+const normalizeReferenceSelector = (definition, label) => {
+    if (!definition?.tableId) return null;
+    return {
+        ...normalizeSeriesSelector(definition, label),
+        frequency: definition.frequency ? toFrequencyCode(definition.frequency) : null
+    };
+};
+
+/**
+ * Normalize the deflation and currency conversion inputs.
+ * A reference series is either fetched from KOSIS (a selector with tableId) or read from
+ * the conversion data file (an entry without tableId).
+ * @param {Object} input - { deflation: { baseYear, cpi }, currencyConversion: { USD: selector, ... }, conversionDataFile }.
+ * @returns {Object|null} null when neither conversion is requested.
+ */
+export const normalizeConversionOptions = (input) => {
+    const deflation = input.deflation?.baseYear
+        ? {
+            baseYear: parseInt(input.deflation.baseYear),
+            cpi: normalizeReferenceSelector(input.deflation.cpi, 'Deflation (cpi)')
+        }
+        : null;
+    if (deflation && !(deflation.baseYear >= 1900 && deflation.baseYear <= 2100)) {
+        throw new Error(`Deflation: invalid base year '${input.deflation.baseYear}'`);
+    }
+
+    const currencies = Object.entries(input.currencyConversion || {}).map(([code, definition]) => {
+        const currency = code.trim().toUpperCase();
+        if (!SUPPORTED_CURRENCIES.includes(currency)) {
+            throw new Error(`Currency conversion: unsupported currency '${code}'. Supported: ${SUPPORTED_CURRENCIES.join(', ')}`);
+        }
+        return {
+            currency,
+            selector: normalizeReferenceSelector(definition, `Currency conversion (${currency})`),
+            quoteUnits: Number(definition?.quoteUnits) || DEFAULT_QUOTE_UNITS[currency] || 1
+        };
+    });
+
+    if (!deflation && currencies.length === 0) return null;
+    return { deflation, currencies, dataFile: input.conversionDataFile?.trim() || null };
+};
+
+/**
+ * Turn reference rows into a reference series.
+ * @param {Object[]} rows - Normalized records, or { period, value } rows from the conversion data file.
+ * @param {Object} source - Where the series came from, reported in the output.
+ * @returns {{source: Object, points: {period: Object, value: number}[]}}
+ */
+export const toReferenceSeries = (rows, source) => ({
+    source,
+    points: rows
+        .map(row => ({
+            period: typeof row.period === 'object' ? row.period : parsePeriod(row.period, row.frequency),
+            value: Number(row.value)
+        }))
+        .filter(point => Number.isFinite(point.value) && getPeriodIndex(point.period) !== null)
+});
+
+/**
+ * Look up the value of a reference series for a period of any frequency: the value of
+ * the same period, else of the coarser period containing it (a yearly CPI for a month),
+ * else the mean of the finer periods it contains when all of them are present
+ * (the average monthly exchange rate of a year).
+ * @returns {function(Object): ({value: number, periods: string[]}|null)}
+ */
+export const createPeriodLookup = ({ points }) => {
+    const byFrequency = new Map();
+    for (const point of points) {
+        if (!byFrequency.has(point.period.frequency)) byFrequency.set(point.period.frequency, new Map());
+        byFrequency.get(point.period.frequency).set(getPeriodIndex(point.period), point);
+    }
+
+    return (period) => {
+        const position = REGULAR_FREQUENCIES.indexOf(period.frequency);
+        if (position === -1) return null;
+
+        for (const frequency of REGULAR_FREQUENCIES.slice(position)) {
+            const point = byFrequency.get(frequency)?.get(getPeriodIndexAt(period, frequency));
+            if (point) return { value: point.value, periods: [point.period.code] };
+        }
+
+        const index = getPeriodIndex(period);
+        for (const frequency of REGULAR_FREQUENCIES.slice(0, position).reverse()) {
+            const contained = [...(byFrequency.get(frequency)?.values() || [])]
+                .filter(point => getPeriodIndexAt(point.period, period.frequency) === index);
+            if (contained.length === PERIODS_PER_YEAR[frequency] / PERIODS_PER_YEAR[period.frequency]) {
+                return {
+                    value: contained.reduce((sum, point) => sum + point.value, 0) / contained.length,
+                    periods: contained.map(point => point.period.code)
+                };
+            }
+        }
+        return null;
+    };
+};
+
+/**
+ * Add real (deflated) and foreign-currency values to the records of won amounts.
+ *
+ * Real values are in prices of the base year: nominal × CPI(base year) / CPI(period),
+ * with the deflator CPI(period) / CPI(base year) × 100. Currency values are in whole
+ * units of the currency: nominal × unit multiplier / (rate / quote units), using the
+ * rate of the period (averaged over it for yearly data and monthly rates).
+ * Records that are not won amounts, or have no value, are returned unchanged.
+ *
+ * @param {Object[]} records - Normalized records.
+ * @param {Object} references - { baseYear, cpi: series|null, rates: { USD: { series, quoteUnits } } }.
+ * @returns {{records: Object[], warnings: string[]}}
+ */
+export const applyConversions = (records, references) => {
+    const warnings = [];
+    let cpiLookup = null;
+    let baseCpi = null;
+    if (references.cpi) {
+        cpiLookup = createPeriodLookup(references.cpi);
+        baseCpi = cpiLookup(parsePeriod(String(references.baseYear), 'Y'));
+        if (!baseCpi) {
+            warnings.push(`The CPI series has no complete data for base year ${references.baseYear}; values are not deflated`);
+            cpiLookup = null;
+        }
+    }
+    const rateLookups = Object.entries(references.rates || {})
+        .map(([currency, { series, quoteUnits }]) => ({ currency, quoteUnits, source: series.source, lookup: createPeriodLookup(series) }));
+
+    const converted = records.map(record => {
+        const multiplier = getWonMultiplier(record.unit);
+        if (multiplier === null || !Number.isFinite(record.value) || !record.period) return record;
+
+        let real = null;
+        const cpi = cpiLookup?.(record.period);
+        if (cpi) {
+            real = {
+                value: round(record.value * baseCpi.value / cpi.value),
+                unit: record.unit,
+                baseYear: references.baseYear,
+                deflator: round(cpi.value / baseCpi.value * 100),
+                cpiPeriods: cpi.periods,
+                source: references.cpi.source
+            };
+        }
+
+        const currencies = {};
+        for (const { currency, quoteUnits, source, lookup } of rateLookups) {
+            const rate = lookup(record.period);
+            if (!rate) continue;
+            currencies[currency] = {
+                value: round(record.value * multiplier / (rate.value / quoteUnits)),
+                unit: currency,
+                rate: round(rate.value),
+                quoteUnits,
+                ratePeriods: rate.periods,
+                source
+            };
+        }
+
+        return {
+            ...record,
+            conversion: {
+                nominal: { value: record.value, unit: record.unit },
+                real,
+                currencies
+            }
+        };
+    });
+
+    return { records: converted, warnings };
+};
@@ -0,0 +1,83 @@
+import { getStatsList, logProgress, logEvent } from './utils.js';
+import { KosisQuotaExceededError } from './errors.js';
+
+export const BREADCRUMB_SEPARATOR = ' > ';
+
+export const DEFAULT_CRAWL_OPTIONS = {
+    maxDepth: 5,
+    maxNodes: 200,
+    maxTables: Infinity
+};
+
+/**
+ * Walk the KOSIS category tree of a service view (vwCd) from parentId down to the
+ * leaf tables. Folder rows (LIST_ID) are expanded depth-first in KOSIS order,
+ * table rows (TBL_ID) are collected with the breadcrumb of folders above them.
+ *
+ * The walk stops at maxDepth folder levels, after maxNodes list requests, or once
+ * maxTables tables were found. Folders already visited are skipped, so a category
+ * linked from several places (or a cyclic listing) is only expanded once.
+ *
+ * @param {Object} apiClient - The KOSIS API client.
+ * @param {Object} params - { vwCd, parentId, maxDepth, maxNodes, maxTables }.
+ * @returns {Promise<Object[]>} Table rows extended with `path`, `breadcrumb` and `depth`.
+ */
+export const crawlStatsTables = async (apiClient, params = {}) => {
+    const { vwCd, parentId = 'A' } = params;
+    const maxDepth = params.maxDepth ?? DEFAULT_CRAWL_OPTIONS.maxDepth;
+    const maxNodes = params.maxNodes ?? DEFAULT_CRAWL_OPTIONS.maxNodes;
+    const maxTables = params.maxTables ?? DEFAULT_CRAWL_OPTIONS.maxTables;
+
+    const tables = [];
+    const seenTables = new Set();
+    const visitedFolders = new Set([parentId]);
+    const stack = [{ listId: parentId, depth: 1, path: [] }];
+    let nodesVisited = 0;
+
+    while (stack.length > 0 && tables.length < maxTables) {
+        if (nodesVisited >= maxNodes) {
+            logProgress('Category crawl stopped: node budget exhausted', { maxNodes, tablesFound: tables.length });
+            break;
+        }
+
+        const { listId, depth, path } = stack.pop();
+        nodesVisited++;
+
+        let rows;
+        try {
+            rows = await getStatsList(apiClient, { vwCd, parentId: listId });
+        } catch (error) {
+            // The root listing has to work; broken sub-folders are skipped
+            if (depth === 1 || error instanceof KosisQuotaExceededError) throw error;
+            logEvent('api.call_failed', { api: 'getStatsList', parentId: listId, error: error.message });
+            continue;
+        }
+
+        const folders = [];
+        for (const row of rows) {
+            if (row.TBL_ID) {
+                const tableKey = `${row.ORG_ID || ''}:${row.TBL_ID}`;
+                if (seenTables.has(tableKey)) continue;
+                seenTables.add(tableKey);
+
+                const tablePath = [...path, row.TBL_NM || row.TBL_ID];
+                tables.push({
+                    ...row,
+                    path: tablePath,
+                    breadcrumb: tablePath.join(BREADCRUMB_SEPARATOR),
+                    depth
+                });
+                if (tables.length >= maxTables) break;
+            } else if (row.LIST_ID && depth < maxDepth && !visitedFolders.has(row.LIST_ID)) {
+                visitedFolders.add(row.LIST_ID);
+                folders.push({ listId: row.LIST_ID, depth: depth + 1, path: [...path, row.LIST_NM || row.LIST_ID] });
+            }
+        }
+
+        // Reverse so that the first folder is expanded next (depth-first, in KOSIS order)
+        stack.push(...folders.reverse());
+    }
+
+    logEvent('crawl.completed', { vwCd, parentId, nodesVisited, tablesFound: tables.length });
+    return tables;
+};
@@ -0,0 +1,276 @@
+import { createHash } from 'node:crypto';
+import { getSeriesKey } from './analysis.js';
+
+export const DATABASE_FORMATS = ['sqlite', 'parquet'];
+
+/**
+ * Schema of the SQLite export. IDs are stable across runs: a series is keyed like the
+ * series of the analysis (table, item, classification path, frequency) and an observation
+ * by its series and period, so loading a later run into the same file updates the rows.
+ */
+export const SQLITE_SCHEMA = `
+CREATE TABLE IF NOT EXISTS kosis_tables (
+    table_id TEXT PRIMARY KEY,
+    org_id TEXT,
+    name TEXT,
+    name_eng TEXT,
+    organization TEXT,
+    survey TEXT,
+    source TEXT,
+    last_changed TEXT,
+    retrieved_at TEXT
+);
+CREATE TABLE IF NOT EXISTS series (
+    series_id TEXT PRIMARY KEY,
+    table_id TEXT NOT NULL REFERENCES kosis_tables (table_id),
+    item_id TEXT,
+    item_name TEXT,
+    item_name_eng TEXT,
+    frequency TEXT,
+    unit TEXT,
+    region_key TEXT,
+    region_name TEXT
+);
+CREATE TABLE IF NOT EXISTS classifications (
+    series_id TEXT NOT NULL REFERENCES series (series_id),
+    level INTEGER NOT NULL,
+    obj_id TEXT,
+    dimension TEXT,
+    code TEXT,
+    label TEXT,
+    label_eng TEXT,
+    PRIMARY KEY (series_id, level)
+);
+CREATE TABLE IF NOT EXISTS footnotes (
+    footnote_id TEXT PRIMARY KEY,
+    table_id TEXT NOT NULL REFERENCES kosis_tables (table_id),
+    text TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS series_footnotes (
+    series_id TEXT NOT NULL REFERENCES series (series_id),
+    footnote_id TEXT NOT NULL REFERENCES footnotes (footnote_id),
+    PRIMARY KEY (series_id, footnote_id)
+);
+CREATE TABLE IF NOT EXISTS observations (
+    observation_id TEXT PRIMARY KEY,
+    series_id TEXT NOT NULL REFERENCES series (series_id),
+    table_id TEXT NOT NULL REFERENCES kosis_tables (table_id),
+    period TEXT NOT NULL,
+    frequency TEXT,
+    period_start TEXT,
+    period_end TEXT,
+    value REAL,
+    value_status TEXT,
+    raw_value TEXT,
+    unit TEXT,
+    last_updated TEXT,
+    extracted_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_series_table ON series (table_id);
+CREATE INDEX IF NOT EXISTS idx_classifications_code ON classifications (level, code);
+CREATE INDEX IF NOT EXISTS idx_observations_series_period ON observations (series_id, period_start);
+CREATE INDEX IF NOT EXISTS idx_observations_table_period ON observations (table_id, period);
+`;
+
+// Columns of each table, and the key an insert of an existing row updates
+export const DATABASE_TABLES = {
+    kosis_tables: {
+        columns: ['table_id', 'org_id', 'name', 'name_eng', 'organization', 'survey', 'source', 'last_changed', 'retrieved_at'],
+        key: ['table_id']
+    },
+    series: {
+        columns: ['series_id', 'table_id', 'item_id', 'item_name', 'item_name_eng', 'frequency', 'unit', 'region_key', 'region_name'],
+        key: ['series_id']
+    },
+    classifications: {
+        columns: ['series_id', 'level', 'obj_id', 'dimension', 'code', 'label', 'label_eng'],
+        key: ['series_id', 'level']
+    },
+    footnotes: { columns: ['footnote_id', 'table_id', 'text'], key: ['footnote_id'] },
+    series_footnotes: { columns: ['series_id', 'footnote_id'], key: ['series_id', 'footnote_id'] },
+    observations: {
+        columns: ['observation_id', 'series_id', 'table_id', 'period', 'frequency', 'period_start', 'period_end', 'value',
+            'value_status', 'raw_value', 'unit', 'last_updated', 'extracted_at'],
+        key: ['observation_id']
+    }
+};
+
+/**
+ * INSERT ... ON CONFLICT DO UPDATE for one table, with positional parameters in column order.
+ * @param {string} table - A DATABASE_TABLES key.
+ * @returns {string}
+ */
+export const buildUpsert = (table) => {
+    const { columns, key } = DATABASE_TABLES[table];
+    const updates = columns.filter(column => !key.includes(column));
+    return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) `
+        + `ON CONFLICT (${key.join(', ')}) DO ${updates.length > 0 ? `UPDATE SET ${updates.map(column => `${column} = excluded.${column}`).join(', ')}` : 'NOTHING'}`;
+};
+
+/**
+ * The rows of the database tables for the records of one KOSIS table.
+ * @param {Object[]} records - Normalized records of one table.
+ * @param {import('./metadata.js').TableMetadata|null} [metadata]
+ * @returns {Object<string, Object[]>|null} Rows per DATABASE_TABLES key, null when no record has a period.
+ */
+export const toDatabaseRows = (records, metadata = null) => {
+    const dated = records.filter(record => record.period);
+    if (dated.length === 0) return null;
+
+    const first = dated[0];
+    const tableId = first.sourceTableId;
+    const rows = {
+        kosis_tables: [{
+            table_id: tableId,
+            org_id: metadata?.orgId || null,
+            name: first.statName || metadata?.tableName || null,
+            name_eng: metadata?.tableNameEng || null,
+            organization: first.metadata?.organization || metadata?.organization?.name || null,
+            survey: first.metadata?.survey || metadata?.source?.survey || null,
+            source: first.source || null,
+            last_changed: metadata?.lastChanged || null,
+            retrieved_at: metadata?.retrievedAt || null
+        }],
+        series: [],
+        classifications: [],
+        footnotes: [],
+        series_footnotes: [],
+        observations: []
+    };
+
+    const seenSeries = new Set();
+    const footnoteIds = new Set();
+    for (const record of dated) {
+        const seriesId = getSeriesKey(record);
+        if (!seenSeries.has(seriesId)) {
+            seenSeries.add(seriesId);
+            rows.series.push({
+                series_id: seriesId,
+                table_id: tableId,
+                item_id: record.metadata?.item?.id || null,
+                item_name: record.metadata?.item?.name || null,
+                item_name_eng: record.metadata?.item?.nameEng || null,
+                frequency: record.period.frequency || null,
+                unit: record.unit || null,
+                region_key: record.regionInfo?.key || null,
+                region_name: record.regionInfo?.name || null
+            });
+            for (const classification of record.metadata?.classifications || []) {
+                rows.classifications.push({
+                    series_id: seriesId,
+                    level: classification.level,
+                    obj_id: classification.objId || null,
+                    dimension: classification.dimension || null,
+                    code: classification.code,
+                    label: classification.label || null,
+                    label_eng: classification.labelEng || null
+                });
+            }
+            for (const text of record.footnotes || []) {
+                // Footnotes are shared by the series they apply to and keyed by their text
+                const footnoteId = `${tableId}#${createHash('sha256').update(text).digest('hex').slice(0, 12)}`;
+                if (!footnoteIds.has(footnoteId)) {
+                    footnoteIds.add(footnoteId);
+                    rows.footnotes.push({ footnote_id: footnoteId, table_id: tableId, text });
+                }
+                rows.series_footnotes.push({ series_id: seriesId, footnote_id: footnoteId });
+            }
+        }
+        rows.observations.push({
+            observation_id: `${seriesId}|${record.period.code}`,
+            series_id: seriesId,
+            table_id: tableId,
+            period: record.period.code,
+            frequency: record.period.frequency || null,
+            period_start: record.period.start || null,
+            period_end: record.period.end || null,
+            value: Number.isFinite(record.value) ? record.value : null,
+            value_status: record.valueStatus || null,
+            raw_value: record.rawValue ?? null,
+            unit: record.unit || null,
+            last_updated: record.lastUpdated || null,
+            extracted_at: record.extractedAt || null
+        });
+    }
+    return rows;
+};
+
+/**
+ * Write table rows into a SQLite database with sql.js, upserting on the stable IDs.
+ * Footnote links of the written series are replaced, so removed footnotes disappear.
+ * @param {Array<Object<string, Object[]>>} tables - toDatabaseRows of each table.
+ * @param {Object} [options] - { existing } database file to update, as bytes.
+ * @returns {Promise<Buffer>} The database file.
+ */
+export const writeSqliteDatabase = async (tables, { existing = null } = {}) => {
+    const { default: initSqlJs } = await import('sql.js');
+    const SQL = await initSqlJs();
+    const db = existing ? new SQL.Database(existing) : new SQL.Database();
+    try {
+        db.exec(SQLITE_SCHEMA);
+        db.exec('BEGIN');
+        const unlink = db.prepare('DELETE FROM series_footnotes WHERE series_id = ?');
+        const statements = Object.fromEntries(Object.keys(DATABASE_TABLES).map(table => [table, db.prepare(buildUpsert(table))]));
+        for (const rows of tables) {
+            for (const series of rows.series) unlink.run([series.series_id]);
+            for (const [table, { columns }] of Object.entries(DATABASE_TABLES)) {
+                for (const row of rows[table]) statements[table].run(columns.map(column => row[column] ?? null));
+            }
+        }
+        db.exec('COMMIT');
+        unlink.free();
+        Object.values(statements).forEach(statement => statement.free());
+        return Buffer.from(db.export());
+    } finally {
+        db.close();
+    }
+};
+
+/**
+ * Flatten the observations of all tables into the columns of a Parquet file: one row per
+ * observation with its table, series and the code and label of each classification level.
+ * @param {Array<Object<string, Object[]>>} tables - toDatabaseRows of each table.
+ * @returns {Array<{name: string, data: Array, type: string}>}
+ */
+export const toParquetColumns = (tables) => {
+    const observations = tables.flatMap(rows => rows.observations);
+    const series = new Map(tables.flatMap(rows => rows.series).map(entry => [entry.series_id, entry]));
+    const names = new Map(tables.flatMap(rows => rows.kosis_tables).map(table => [table.table_id, table.name]));
+    const classifications = new Map();
+    for (const classification of tables.flatMap(rows => rows.classifications)) {
+        if (!classifications.has(classification.series_id)) classifications.set(classification.series_id, new Map());
+        classifications.get(classification.series_id).set(classification.level, classification);
+    }
+    const levels = [...new Set(tables.flatMap(rows => rows.classifications).map(classification => classification.level))].sort((a, b) => a - b);
+
+    const column = (name, type, valueOf) => ({ name, type, data: observations.map(valueOf) });
+    return [
+        column('observation_id', 'STRING', observation => observation.observation_id),
+        column('table_id', 'STRING', observation => observation.table_id),
+        column('table_name', 'STRING', observation => names.get(observation.table_id) ?? null),
+        column('series_id', 'STRING', observation => observation.series_id),
+        column('item_id', 'STRING', observation => series.get(observation.series_id)?.item_id ?? null),
+        column('item_name', 'STRING', observation => series.get(observation.series_id)?.item_name ?? null),
+        ...levels.flatMap(level => [
+            column(`c${level}_code`, 'STRING', observation => classifications.get(observation.series_id)?.get(level)?.code ?? null),
+            column(`c${level}_label`, 'STRING', observation => classifications.get(observation.series_id)?.get(level)?.label ?? null)
+        ]),
+        column('region_name', 'STRING', observation => series.get(observation.series_id)?.region_name ?? null),
+        column('period', 'STRING', observation => observation.period),
+        column('frequency', 'STRING', observation => observation.frequency),
+        column('period_start', 'STRING', observation => observation.period_start),
+        column('value', 'DOUBLE', observation => observation.value),
+        column('value_status', 'STRING', observation => observation.value_status),
+        column('unit', 'STRING', observation => observation.unit)
+    ];
+};
+
+/**
+ * Write the observations of all tables as a Parquet file with hyparquet-writer.
+ * @param {Array<Object<string, Object[]>>} tables - toDatabaseRows of each table.
+ * @returns {Promise<Buffer>}
+ */
+export const writeParquetFile = async (tables) => {
+    const { parquetWriteBuffer } = await import('hyparquet-writer');
+    return Buffer.from(parquetWriteBuffer({ columnData: toParquetColumns(tables) }));
+};
@@ -0,0 +1,275 @@
+import { getPeriodIndex } from './periods.js';
+import { groupIntoSeries, interpolateGaps, toRegularSeries } from './analysis.js';
+
+// Periods per seasonal cycle of the frequencies that can be decomposed
+export const SEASONAL_PERIODS = { M: 12, Q: 4 };
+
+export const DECOMPOSITION_MODELS = ['auto', 'additive', 'multiplicative'];
+
+// Solar dates of 설날 (Lunar New Year) and 추석 (Chuseok). Outside these years no
+// calendar effect is estimated for the holiday.
+const SEOLLAL_DATES = {
+    2000: '02-05', 2001: '01-24', 2002: '02-12', 2003: '02-01', 2004: '01-22', 2005: '02-09',
+    2006: '01-29', 2007: '02-18', 2008: '02-07', 2009: '01-26', 2010: '02-14', 2011: '02-03',
+    2012: '01-23', 2013: '02-10', 2014: '01-31', 2015: '02-19', 2016: '02-08', 2017: '01-28',
+    2018: '02-16', 2019: '02-05', 2020: '01-25', 2021: '02-12', 2022: '02-01', 2023: '01-22',
+    2024: '02-10', 2025: '01-29', 2026: '02-17', 2027: '02-06', 2028: '01-26', 2029: '02-13',
+    2030: '02-03'
+};
+
+const CHUSEOK_DATES = {
+    2000: '09-12', 2001: '10-01', 2002: '09-21', 2003: '09-11', 2004: '09-28', 2005: '09-18',
+    2006: '10-06', 2007: '09-25', 2008: '09-14', 2009: '10-03', 2010: '09-22', 2011: '09-12',
+    2012: '09-30', 2013: '09-19', 2014: '09-08', 2015: '09-27', 2016: '09-15', 2017: '10-04',
+    2018: '09-24', 2019: '09-13', 2020: '10-01', 2021: '09-21', 2022: '09-10', 2023: '09-29',
+    2024: '09-17', 2025: '10-06', 2026: '09-25', 2027: '09-15', 2028: '10-03', 2029: '09-22',
+    2030: '09-12'
+};
+
+export const KOREAN_HOLIDAYS = {
+    seollal: SEOLLAL_DATES,
+    chuseok: CHUSEOK_DATES
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_CYCLES = 2;
+
+const round = (number) => (Number.isFinite(number) ? Number(number.toPrecision(12)) : null);
+
+/**
+ * Number of days of a holiday falling into a month or quarter. Each holiday is
+ * counted as the three days off: the day before, the holiday itself and the day after.
+ * @param {string} holiday - A KOREAN_HOLIDAYS key.
+ * @param {string} frequency - 'M' or 'Q'.
+ * @param {number} year
+ * @param {number} subPeriod - Month (1-12) or quarter (1-4).
+ * @returns {number|null} The number of days, or null when the holiday date of the year is unknown.
+ */
+export const getHolidayDays = (holiday, frequency, year, subPeriod) => {
+    const date = KOREAN_HOLIDAYS[holiday]?.[year];
+    if (!date) return null;
+
+    const [month, day] = date.split('-').map(Number);
+    const firstMonth = frequency === 'Q' ? (subPeriod - 1) * 3 + 1 : subPeriod;
+    const lastMonth = frequency === 'Q' ? firstMonth + 2 : subPeriod;
+
+    let days = 0;
+    for (let offset = -1; offset <= 1; offset++) {
+        const holidayDate = new Date(Date.UTC(year, month - 1, day) + offset * DAY_MS);
+        const holidayMonth = holidayDate.getUTCMonth() + 1;
+        if (holidayDate.getUTCFullYear() === year && holidayMonth >= firstMonth && holidayMonth <= lastMonth) days++;
+    }
+    return days;
+};
+
+// 2×m centered moving average; null where the window does not fit
+const centeredMovingAverage = (values, period) => {
+    const half = period / 2;
+    return values.map((_, position) => {
+        if (position < half || position + half >= values.length) return null;
+        let sum = (values[position - half] + values[position + half]) / 2;
+        for (let offset = -half + 1; offset < half; offset++) sum += values[position + offset];
+        return sum / period;
+    });
+};
+
+// Least-squares line through the given points, evaluated at x
+const linearFit = (xs, ys) => {
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    const covariance = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+    const variance = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+    const slope = variance === 0 ? 0 : covariance / variance;
+    return (x) => meanY + slope * (x - meanX);
+};
+
+// Trend of a seasonally adjusted series: centered moving average, extended to the
+// ends of the series by a line fitted to the last cycle on each side
+const estimateTrend = (adjusted, period) => {
+    const trend = centeredMovingAverage(adjusted, period);
+    const positions = adjusted.map((_, position) => position);
+    const head = linearFit(positions.slice(0, period), adjusted.slice(0, period));
+    const tail = linearFit(positions.slice(-period), adjusted.slice(-period));
+    const half = period / 2;
+    return trend.map((value, position) => {
+        if (value !== null) return value;
+        return position < half ? head(position) : tail(position);
+    });
+};
+
+// Mean deviation from the trend per season, centered so that a full cycle sums to zero
+const estimateSeasonal = (deviations, seasons, period) => {
+    const sums = new Array(period).fill(0);
+    const counts = new Array(period).fill(0);
+    deviations.forEach((deviation, position) => {
+        if (deviation === null) return;
+        sums[seasons[position]] += deviation;
+        counts[seasons[position]]++;
+    });
+    const means = sums.map((sum, season) => (counts[season] ? sum / counts[season] : 0));
+    const average = means.reduce((sum, mean) => sum + mean, 0) / period;
+    return means.map(mean => mean - average);
+};
+
+// Solve the normal equations of a small least-squares problem; null when singular
+const solveLeastSquares = (columns, target) => {
+    const size = columns.length;
+    const matrix = columns.map(a => [
+        ...columns.map(b => a.reduce((sum, value, i) => sum + value * b[i], 0)),
+        a.reduce((sum, value, i) => sum + value * target[i], 0)
+    ]);
+
+    for (let pivot = 0; pivot < size; pivot++) {
+        let best = pivot;
+        for (let row = pivot + 1; row < size; row++) {
+            if (Math.abs(matrix[row][pivot]) > Math.abs(matrix[best][pivot])) best = row;
+        }
+        if (Math.abs(matrix[best][pivot]) < 1e-9) return null;
+        [matrix[pivot], matrix[best]] = [matrix[best], matrix[pivot]];
+        for (let row = 0; row < size; row++) {
+            if (row === pivot) continue;
+            const factor = matrix[row][pivot] / matrix[pivot][pivot];
+            for (let column = pivot; column <= size; column++) matrix[row][column] -= factor * matrix[pivot][column];
+        }
+    }
+    return matrix.map((row, i) => row[size] / row[i]);
+};
+
+/**
+ * Holiday regressors of a series: the days of each holiday per period, minus the
+ * average for the same month or quarter. The average placement of a holiday is part
+ * of the seasonal component; the regressors only capture the year-to-year shifts of
+ * the lunar calendar. Holidays that never shift between periods of the series are left out.
+ */
+const buildHolidayRegressors = (indexes, frequency, period) => {
+    const regressors = {};
+    for (const holiday of Object.keys(KOREAN_HOLIDAYS)) {
+        const days = indexes.map(index => getHolidayDays(holiday, frequency, Math.floor(index / period), (index % period) + 1));
+        const seasonMeans = new Array(period).fill(null).map((_, season) => {
+            const known = days.filter((value, position) => value !== null && indexes[position] % period === season);
+            return known.length ? known.reduce((sum, value) => sum + value, 0) / known.length : 0;
+        });
+        const centered = days.map((value, position) => (value === null ? 0 : value - seasonMeans[indexes[position] % period]));
+        if (centered.some(value => Math.abs(value) > 1e-9)) regressors[holiday] = centered;
+    }
+    return regressors;
+};
+
+const fitCalendarEffects = (residuals, regressors) => {
+    const names = Object.keys(regressors);
+    const usable = residuals.map(value => value !== null);
+    const columns = names.map(name => regressors[name].filter((_, position) => usable[position]));
+    const target = residuals.filter((_, position) => usable[position]);
+    if (names.length === 0 || target.length <= names.length) return {};
+
+    const coefficients = solveLeastSquares(columns, target);
+    if (!coefficients) return {};
+    return Object.fromEntries(names.map((name, i) => [name, coefficients[i]]));
+};
+
+/**
+ * Split a monthly or quarterly series into trend, seasonal, calendar and remainder
+ * components with a classical moving-average decomposition:
+ *
+ * 1. a 2×m centered moving average gives a first trend,
+ * 2. the seasonal component is the mean deviation from it per month or quarter,
+ * 3. the calendar component regresses what is left on the 설날/추석 holiday days
+ *    (steps 2 and 3 are repeated once, so each is estimated net of the other),
+ * 4. the trend is re-estimated from the seasonally adjusted series, with its ends
+ *    extrapolated linearly from the first and last cycle.
+ *
+ * The multiplicative model decomposes the logarithm of the series; its seasonal,
+ * calendar and remainder components are factors around 1. Missing values inside the
+ * series are interpolated for the estimation but get no seasonally adjusted value.
+ *
+ * @param {import('./analysis.js').Series} series
+ * @param {Object} [options] - { model: 'auto'|'additive'|'multiplicative', holidayAdjustment }.
+ * @returns {{status: string, reason?: string, model?: string, holidayEffects?: Object, components?: Map}}
+ *   components maps each record inside the observed range to its components.
+ */
+export const decomposeSeries = (series, options = {}) => {
+    const period = SEASONAL_PERIODS[series.frequency];
+    if (!period) return { status: 'skipped', reason: `Frequency ${series.frequency} has no seasonal cycle; only monthly and quarterly series are decomposed` };
+
+    const regular = toRegularSeries(series);
+    const observed = regular ? [...regular.observed.values()] : [];
+    if (observed.length < MIN_CYCLES * period) {
+        return { status: 'skipped', reason: `At least ${MIN_CYCLES * period} observed periods are needed, the series has ${observed.length}` };
+    }
+
+    const requestedModel = DECOMPOSITION_MODELS.includes(options.model) ? options.model : 'auto';
+    const allPositive = observed.every(record => record.value > 0);
+    if (requestedModel === 'multiplicative' && !allPositive) {
+        return { status: 'skipped', reason: 'The multiplicative model needs positive values' };
+    }
+    const model = requestedModel === 'auto' ? (allPositive ? 'multiplicative' : 'additive') : requestedModel;
+    const transform = model === 'multiplicative' ? Math.log : (value) => value;
+    const inverse = model === 'multiplicative' ? Math.exp : (value) => value;
+
+    // The series on its timeline, from the first to the last observed period. Gaps are
+    // interpolated after the transform, i.e. geometrically for the multiplicative model.
+    const { startIndex, indexes } = regular;
+    const { length } = indexes;
+    const seasons = indexes.map(index => index % period);
+    const values = interpolateGaps(indexes.map(index => (regular.observed.has(index) ? transform(regular.observed.get(index).value) : null)));
+
+    const firstTrend = centeredMovingAverage(values, period);
+    const deviations = values.map((value, position) => (firstTrend[position] === null ? null : value - firstTrend[position]));
+    const regressors = options.holidayAdjustment === false ? {} : buildHolidayRegressors(indexes, series.frequency, period);
+
+    let calendar = new Array(length).fill(0);
+    let seasonalBySeason = new Array(period).fill(0);
+    let coefficients = {};
+    for (let iteration = 0; iteration < 2; iteration++) {
+        seasonalBySeason = estimateSeasonal(deviations.map((value, position) => (value === null ? null : value - calendar[position])), seasons, period);
+        coefficients = fitCalendarEffects(deviations.map((value, position) => (value === null ? null : value - seasonalBySeason[seasons[position]])), regressors);
+        calendar = indexes.map((_, position) => Object.entries(coefficients)
+            .reduce((sum, [holiday, coefficient]) => sum + coefficient * regressors[holiday][position], 0));
+    }
+
+    const seasonal = seasons.map(season => seasonalBySeason[season]);
+    const adjusted = values.map((value, position) => value - seasonal[position] - calendar[position]);
+    const trend = estimateTrend(adjusted, period);
+
+    const components = new Map();
+    for (const record of series.records) {
+        const position = getPeriodIndex(record.period) - startIndex;
+        if (!(position >= 0 && position < length)) continue;
+        const hasValue = regular.observed.get(indexes[position]) === record;
+        components.set(record, {
+            model,
+            trend: round(inverse(trend[position])),
+            seasonal: round(inverse(seasonal[position])),
+            calendar: round(inverse(calendar[position])),
+            remainder: hasValue ? round(inverse(adjusted[position] - trend[position])) : null,
+            seasonallyAdjusted: hasValue ? round(inverse(adjusted[position])) : null
+        });
+    }
+
+    // Effect of one holiday day in the period: a factor for multiplicative, value units for additive
+    const holidayEffects = Object.fromEntries(Object.entries(coefficients).map(([holiday, coefficient]) => [holiday, round(inverse(coefficient))]));
+    return { status: 'ok', model, holidayEffects, components };
+};
+
+/**
+ * Add a `decomposition` field to the records of every monthly and quarterly series.
+ * Records of series that cannot be decomposed get `{status: 'skipped', reason}`.
+ * @param {Object[]} records - Normalized records.
+ * @param {Object} [options] - See decomposeSeries.
+ * @returns {Object[]} New records in the input order.
+ */
+export const decomposeTimeSeries = (records, options = {}) => {
+    const decompositionByRecord = new Map();
+    for (const series of groupIntoSeries(records)) {
+        const result = decomposeSeries(series, options);
+        for (const record of series.records) {
+            if (result.status !== 'ok') {
+                decompositionByRecord.set(record, { status: result.status, reason: result.reason });
+            } else if (result.components.has(record)) {
+                decompositionByRecord.set(record, { status: 'ok', ...result.components.get(record), holidayEffects: result.holidayEffects });
+            }
+        }
+    }
+
+    return records.map(record => (decompositionByRecord.has(record) ? { ...record, decomposition: decompositionByRecord.get(record) } : record));
+};
@@ -0,0 +1,350 @@
+import {
+    FREQUENCIES,
+    REGULAR_FREQUENCIES,
+    getPeriodIndex,
+    getPeriodIndexAt,
+    formatPeriodCode,
+    parsePeriod,
+    toFrequencyCode,
+    PERIODS_PER_YEAR
+} from './periods.js';
+import { OBJ_LEVEL_KEYS } from './selection.js';
+import { parseUnit } from './units.js';
+
+export const DERIVED_OPERATIONS = {
+    divide: (a, b) => (b === 0 ? null : a / b),
+    multiply: (a, b) => a * b,
+    add: (a, b) => a + b,
+    subtract: (a, b) => a - b
+};
+
+// How sub-periods are combined when a series is joined at a coarser frequency
+export const AGGREGATIONS = ['mean', 'sum', 'last'];
+
+export const MAX_CORRELATION_LAG = 24;
+
+// Unit of a derived value when the definition does not name one, from the base units of the inputs
+const DERIVED_UNITS = {
+    divide: (a, b) => `${a}/${b}`,
+    multiply: (a, b) => `${a}×${b}`,
+    add: (a) => a,
+    subtract: (a) => a
+};
+
+const SAME_UNIT_OPERATIONS = ['add', 'subtract'];
+
+const round = (number) => (Number.isFinite(number) ? Number(number.toPrecision(12)) : null);
+
+// The base unit of a unit and the factor to it, e.g. 원 and 1e9 for 십억원
+const toBaseUnit = (unit) => {
+    const parsed = parseUnit(unit);
+    return parsed ? { unit: parsed.base, factor: parsed.multiplier } : { unit, factor: 1 };
+};
+
+/**
+ * Normalize the input definition of one series used by a derived indicator or correlation.
+ * @param {Object} selector - { tableId, orgId, itemId, classifications: { objL1: code, ... }, joinOn, aggregation, scale }.
+ * @param {string} label - Used in error messages.
+ */
+export const normalizeSeriesSelector = (selector, label) => {
+    if (!selector?.tableId) throw new Error(`${label}: tableId is required`);
+
+    const classifications = {};
+    for (const [key, code] of Object.entries(selector.classifications || {})) {
+        if (!OBJ_LEVEL_KEYS.includes(key)) throw new Error(`${label}: unknown classification level '${key}', use ${OBJ_LEVEL_KEYS.join(', ')}`);
+        classifications[key] = String(code).trim();
+    }
+    if (selector.joinOn && !OBJ_LEVEL_KEYS.includes(selector.joinOn)) {
+        throw new Error(`${label}: joinOn must be a classification level (${OBJ_LEVEL_KEYS.join(', ')})`);
+    }
+    if (selector.aggregation && !AGGREGATIONS.includes(selector.aggregation)) {
+        throw new Error(`${label}: aggregation must be one of ${AGGREGATIONS.join(', ')}`);
+    }
+
+    return {
+        tableId: String(selector.tableId).trim(),
+        orgId: selector.orgId ? String(selector.orgId).trim() : '101',
+        itemId: selector.itemId ? String(selector.itemId).trim() : null,
+        classifications,
+        joinOn: selector.joinOn || null,
+        aggregation: selector.aggregation || 'mean',
+        scale: Number(selector.scale) || 1
+    };
+};
+
+const normalizeFrequency = (frequency, label) => {
+    if (!frequency) return null;
+    const code = toFrequencyCode(frequency);
+    if (!REGULAR_FREQUENCIES.includes(code)) throw new Error(`${label}: frequency must be one of ${REGULAR_FREQUENCIES.join(', ')}`);
+    return code;
+};
+
+/**
+ * Normalize a derived indicator definition from the input.
+ * @param {Object} definition - { name, numerator, denominator, operation, scale, unit, frequency }.
+ */
+export const normalizeDerivedIndicator = (definition, index) => {
+    const name = definition?.name?.trim() || `indicator_${index + 1}`;
+    const operation = definition.operation || 'divide';
+    if (!DERIVED_OPERATIONS[operation]) {
+        throw new Error(`Derived indicator ${name}: operation must be one of ${Object.keys(DERIVED_OPERATIONS).join(', ')}`);
+    }
+
+    return {
+        name,
+        numerator: normalizeSeriesSelector(definition.numerator, `Derived indicator ${name} (numerator)`),
+        denominator: normalizeSeriesSelector(definition.denominator, `Derived indicator ${name} (denominator)`),
+        operation,
+        scale: Number(definition.scale) || 1,
+        unit: definition.unit || null,
+        frequency: normalizeFrequency(definition.frequency, `Derived indicator ${name}`)
+    };
+};
+
+/**
+ * Normalize a correlation definition from the input.
+ * @param {Object} definition - { name, x, y, maxLag, frequency }.
+ */
+export const normalizeCorrelation = (definition, index) => {
+    const name = definition?.name?.trim() || `correlation_${index + 1}`;
+    return {
+        name,
+        x: normalizeSeriesSelector(definition.x, `Correlation ${name} (x)`),
+        y: normalizeSeriesSelector(definition.y, `Correlation ${name} (y)`),
+        maxLag: Math.min(Math.max(parseInt(definition.maxLag) || 0, 0), MAX_CORRELATION_LAG),
+        frequency: normalizeFrequency(definition.frequency, `Correlation ${name}`)
+    };
+};
+
+/**
+ * The tables the derived indicators and correlations read from, so that they can be
+ * fetched even when the search did not return them.
+ * @returns {{tableId: string, orgId: string}[]}
+ */
+export const getReferencedTables = ({ derivedIndicators = [], correlations = [] }) => {
+    const selectors = [
+        ...derivedIndicators.flatMap(indicator => [indicator.numerator, indicator.denominator]),
+        ...correlations.flatMap(correlation => [correlation.x, correlation.y])
+    ];
+    const tables = new Map();
+    for (const { tableId, orgId } of selectors) {
+        if (!tables.has(tableId)) tables.set(tableId, { tableId, orgId });
+    }
+    return [...tables.values()];
+};
+
+const classificationAt = (record, levelKey) => (record.metadata?.classifications || [])
+    .find(classification => `objL${classification.level}` === levelKey);
+
+// Regions join on their current name, so 강원도 in one table matches 강원특별자치도 in another
+const getJoinLabel = (record, levelKey) => {
+    if (record.regionInfo && `objL${record.regionInfo.classificationLevel}` === levelKey) return record.regionInfo.name;
+    return (classificationAt(record, levelKey)?.label || '').trim();
+};
+
+const matchesSelector = (record, selector) => record.sourceTableId === selector.tableId
+    && (!selector.itemId || record.metadata?.item?.id === selector.itemId)
+    && Object.entries(selector.classifications).every(([key, code]) => classificationAt(record, key)?.code === code)
+    && Number.isFinite(record.value)
+    && getPeriodIndex(record.period) !== null;
+
+// A join happens at the coarser of the two frequencies
+const coarsestFrequency = (frequencies) => frequencies
+    .reduce((coarsest, frequency) => (REGULAR_FREQUENCIES.indexOf(frequency) > REGULAR_FREQUENCIES.indexOf(coarsest) ? frequency : coarsest));
+
+const describeSelector = (selector, unit) => ({
+    tableId: selector.tableId,
+    itemId: selector.itemId,
+    classifications: selector.classifications,
+    aggregation: selector.aggregation,
+    scale: selector.scale,
+    unit
+});
+
+/**
+ * Collect the records a selector matches, per join label. Fails when they mix
+ * frequencies, are finer than the join frequency or contain several series.
+ * @returns {{series: Map<string, Object[]>, frequency: string, unit: string}|{error: string}}
+ */
+const collectSeries = (records, selector, targetFrequency) => {
+    const matched = records.filter(record => matchesSelector(record, selector));
+    if (matched.length === 0) {
+        return { error: `No values of table ${selector.tableId}${selector.itemId ? ` item ${selector.itemId}` : ''} in the fetched data` };
+    }
+
+    const frequencies = [...new Set(matched.map(record => record.period.frequency))];
+    if (frequencies.length > 1 || !REGULAR_FREQUENCIES.includes(frequencies[0])) {
+        return { error: `Table ${selector.tableId} matches ${frequencies.join(', ')} data; select a single monthly, quarterly, half-yearly or yearly series` };
+    }
+    const [frequency] = frequencies;
+    if (targetFrequency && REGULAR_FREQUENCIES.indexOf(targetFrequency) < REGULAR_FREQUENCIES.indexOf(frequency)) {
+        return { error: `Table ${selector.tableId} is published ${FREQUENCIES[frequency].name} and cannot be split into ${FREQUENCIES[targetFrequency].name} periods` };
+    }
+
+    const series = new Map();
+    const seen = new Set();
+    for (const record of matched) {
+        const joinLabel = selector.joinOn ? getJoinLabel(record, selector.joinOn) : '';
+        const duplicateKey = `${joinLabel}|${record.period.code}`;
+        if (seen.has(duplicateKey)) {
+            return { error: `Table ${selector.tableId} has several values for ${record.period.code}${joinLabel ? ` (${joinLabel})` : ''}; fix the other classifications with 'classifications'` };
+        }
+        seen.add(duplicateKey);
+
+        if (!series.has(joinLabel)) series.set(joinLabel, []);
+        series.get(joinLabel).push(record);
+    }
+
+    return { frequency, unit: matched[0].unit, series };
+};
+
+// Values per period index at the join frequency. Finer periods are aggregated into
+// complete coarser periods only: a year needs all twelve months (or four quarters).
+const aggregateSeries = (recordsOfLabel, selector, frequency, targetFrequency) => {
+    const expected = PERIODS_PER_YEAR[frequency] / PERIODS_PER_YEAR[targetFrequency];
+    const buckets = new Map();
+    for (const record of [...recordsOfLabel].sort((a, b) => getPeriodIndex(a.period) - getPeriodIndex(b.period))) {
+        const index = getPeriodIndexAt(record.period, targetFrequency);
+        if (!buckets.has(index)) buckets.set(index, []);
+        buckets.get(index).push(record);
+    }
+
+    const values = new Map();
+    for (const [index, bucket] of buckets) {
+        if (bucket.length !== expected) continue;
+        const raw = bucket.map(record => record.value);
+        let value;
+        if (selector.aggregation === 'sum') value = raw.reduce((sum, number) => sum + number, 0);
+        else if (selector.aggregation === 'last') value = raw[raw.length - 1];
+        else value = raw.reduce((sum, number) => sum + number, 0) / raw.length;
+        values.set(index, { value: value * selector.scale, periods: bucket.map(record => record.period.code) });
+    }
+    return values;
+};
+
+// Pair up the join labels of two sides; a side without joinOn applies to every label of the other
+const pairLabels = (left, right) => {
+    if (left.series.has('') && left.series.size === 1) return [...right.series.keys()].map(label => [label, '', label]);
+    if (right.series.has('') && right.series.size === 1) return [...left.series.keys()].map(label => [label, label, '']);
+    return [...left.series.keys()].filter(label => right.series.has(label)).map(label => [label, label, label]);
+};
+
+const resolveSides = (records, leftSelector, rightSelector, requestedFrequency) => {
+    const left = collectSeries(records, leftSelector, requestedFrequency);
+    const right = collectSeries(records, rightSelector, requestedFrequency);
+    const error = left.error || right.error;
+    if (error) return { error };
+
+    const frequency = requestedFrequency || coarsestFrequency([left.frequency, right.frequency]);
+    const pairs = pairLabels(left, right).map(([label, leftLabel, rightLabel]) => ({
+        label: label || null,
+        left: aggregateSeries(left.series.get(leftLabel), leftSelector, left.frequency, frequency),
+        right: aggregateSeries(right.series.get(rightLabel), rightSelector, right.frequency, frequency)
+    }));
+    if (pairs.length === 0) return { error: 'The join labels of the two series do not overlap' };
+
+    return { frequency, left, right, pairs };
+};
+
+/**
+ * Compute a derived indicator (e.g. GDP ÷ population) from the normalized records of
+ * two tables. Both inputs are brought to a common frequency (the coarser one unless
+ * set), matched on period and, with `joinOn`, on the label of a classification such as
+ * the region, and combined with the operation. The inputs are converted to their base
+ * units first (십억원 to 원, 천명 to 명), so the result is in base units too, e.g. 원/명.
+ * Every output row names both inputs.
+ * @param {Object[]} records - Normalized records of all processed tables.
+ * @param {Object} indicator - A normalized derived indicator (see normalizeDerivedIndicator).
+ * @returns {{items: Object[], error?: string}} `type: 'derived_indicator'` items.
+ */
+export const computeDerivedIndicator = (records, indicator) => {
+    const resolved = resolveSides(records, indicator.numerator, indicator.denominator, indicator.frequency);
+    if (resolved.error) return { items: [], error: `Derived indicator ${indicator.name}: ${resolved.error}` };
+
+    const { frequency, left, right, pairs } = resolved;
+    const leftBase = toBaseUnit(left.unit);
+    const rightBase = toBaseUnit(right.unit);
+    // Sums and differences of different units (원 + 명) are meaningless unless the definition names the unit
+    if (SAME_UNIT_OPERATIONS.includes(indicator.operation) && !indicator.unit && leftBase.unit !== rightBase.unit) {
+        return { items: [], error: `Derived indicator ${indicator.name}: cannot ${indicator.operation} ${left.unit} and ${right.unit}; set unit to combine them anyway` };
+    }
+    const items = [];
+    for (const { label, left: numerators, right: denominators } of pairs) {
+        for (const [index, numerator] of [...numerators].sort(([a], [b]) => a - b)) {
+            const denominator = denominators.get(index);
+            if (!denominator) continue;
+
+            const result = DERIVED_OPERATIONS[indicator.operation](numerator.value * leftBase.factor, denominator.value * rightBase.factor);
+            items.push({
+                type: 'derived_indicator',
+                name: indicator.name,
+                period: parsePeriod(formatPeriodCode(index, frequency), frequency),
+                joinLabel: label,
+                value: result === null ? null : round(result * indicator.scale),
+                unit: indicator.unit || DERIVED_UNITS[indicator.operation](leftBase.unit, rightBase.unit),
+                operation: indicator.operation,
+                inputs: {
+                    numerator: { ...describeSelector(indicator.numerator, left.unit), value: round(numerator.value), periods: numerator.periods },
+                    denominator: { ...describeSelector(indicator.denominator, right.unit), value: round(denominator.value), periods: denominator.periods }
+                },
+                extractedAt: new Date().toISOString()
+            });
+        }
+    }
+    return { items };
+};
+
+const pearson = (pairs) => {
+    if (pairs.length < 3) return null;
+    const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+    const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (const [x, y] of pairs) {
+        covariance += (x - meanX) * (y - meanY);
+        varianceX += (x - meanX) ** 2;
+        varianceY += (y - meanY) ** 2;
+    }
+    return varianceX === 0 || varianceY === 0 ? null : covariance / Math.sqrt(varianceX * varianceY);
+};
+
+/**
+ * Pearson correlation of two series at lags -maxLag..maxLag. At lag k the value of x
+ * in period t is paired with y in period t + k, so a positive best lag means x leads y.
+ * @param {Object[]} records - Normalized records of all processed tables.
+ * @param {Object} correlation - A normalized correlation (see normalizeCorrelation).
+ * @returns {{items: Object[], error?: string}} `type: 'correlation'` items, one per join label.
+ */
+export const computeCorrelation = (records, correlation) => {
+    const resolved = resolveSides(records, correlation.x, correlation.y, correlation.frequency);
+    if (resolved.error) return { items: [], error: `Correlation ${correlation.name}: ${resolved.error}` };
+
+    const { frequency, left, right, pairs } = resolved;
+    const items = pairs.map(({ label, left: xs, right: ys }) => {
+        const lags = [];
+        for (let lag = -correlation.maxLag; lag <= correlation.maxLag; lag++) {
+            const matched = [...xs].filter(([index]) => ys.has(index + lag)).map(([index, x]) => [x.value, ys.get(index + lag).value]);
+            lags.push({ lag, r: round(pearson(matched)), observations: matched.length });
+        }
+        const bestLag = lags.filter(entry => entry.r !== null)
+            .reduce((best, entry) => (!best || Math.abs(entry.r) > Math.abs(best.r) ? entry : best), null);
+
+        return {
+            type: 'correlation',
+            name: correlation.name,
+            frequency,
+            joinLabel: label,
+            r: lags.find(entry => entry.lag === 0).r,
+            observations: lags.find(entry => entry.lag === 0).observations,
+            bestLag,
+            lags,
+            inputs: {
+                x: describeSelector(correlation.x, left.unit),
+                y: describeSelector(correlation.y, right.unit)
+            },
+            extractedAt: new Date().toISOString()
+        };
+    });
+    return { items };
+};
@@ -0,0 +1,113 @@
+// Error codes KOSIS returns in an HTTP 200 body of the form {err, errMsg}
+export const KOSIS_ERROR_CODES = {
+    '10': 'Missing API key',
+    '11': 'Expired API key',
+    '20': 'Missing required parameter',
+    '21': 'Invalid parameter',
+    '30': 'No data found',
+    '31': 'Result exceeds the cell limit (40,000 cells)',
+    '40': 'Call limit exceeded',
+    '41': 'Row limit exceeded',
+    '42': 'Usage restricted for this user',
+    '50': 'Server error'
+};
+
+export class KosisApiError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {Object} [details] - { code, context, status, retryable }.
+     */
+    constructor(message, { code = null, context = null, status = null, retryable = false } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.context = context;
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+export class KosisAuthError extends KosisApiError {}
+
+export class KosisRequestError extends KosisApiError {}
+
+export class KosisNoDataError extends KosisApiError {}
+
+export class KosisResultLimitError extends KosisApiError {}
+
+export class KosisRateLimitError extends KosisApiError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+    }
+}
+
+export class KosisServerError extends KosisApiError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+    }
+}
+
+export class KosisNetworkError extends KosisApiError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+    }
+}
+
+// Thrown by the request scheduler before a request would exceed the configured daily quota, and for
+// KOSIS error 40 once the key's call limit is used up
+export class KosisQuotaExceededError extends KosisApiError {}
+
+// Thrown in offline mode for requests that have no cached response
+export class KosisOfflineCacheMissError extends KosisApiError {}
+
+const ERROR_CLASSES_BY_CODE = {
+    '10': KosisAuthError,
+    '11': KosisAuthError,
+    '20': KosisRequestError,
+    '21': KosisRequestError,
+    '30': KosisNoDataError,
+    '31': KosisResultLimitError,
+    '40': KosisQuotaExceededError,
+    '41': KosisResultLimitError,
+    '42': KosisAuthError,
+    '50': KosisServerError
+};
+
+/**
+ * Create the typed error for a KOSIS {err, errMsg} response body.
+ * @param {{err: string|number, errMsg?: string}} body - The response body.
+ * @param {string} context - The API call, used in the message.
+ * @returns {KosisApiError}
+ */
+export const createKosisError = (body, context) => {
+    const code = String(body.err).trim();
+    const ErrorClass = ERROR_CLASSES_BY_CODE[code] || KosisApiError;
+    const description = body.errMsg || KOSIS_ERROR_CODES[code] || 'Unknown API error';
+    return new ErrorClass(`KOSIS API Error (${context}): [${code}] ${description}`, { code, context });
+};
+
+/**
+ * Convert an HTTP/network error from axios into a typed KOSIS error.
+ * 429 and 5xx responses as well as requests without a response are retryable.
+ */
+export const fromHttpError = (error, context) => {
+    if (error instanceof KosisApiError) return error;
+
+    if (error.response) {
+        // The request was made and the server responded with a status code
+        // that falls out of the range of 2xx
+        const { status, data } = error.response;
+        const apiErrorMsg = data?.message || data?.error || data?.errMsg || 'Unknown API error';
+        const message = `KOSIS API Error (${context}): Status ${status} - ${apiErrorMsg}`;
+        if (status === 429) return new KosisRateLimitError(message, { context, status });
+        if (status === 401 || status === 403) return new KosisAuthError(message, { context, status });
+        if (status >= 500) return new KosisServerError(message, { context, status });
+        return new KosisApiError(message, { context, status });
+    } else if (error.request) {
+        // The request was made but no response was received
+        return new KosisNetworkError(`KOSIS API Error (${context}): No response received from server.`, { context });
+    } else {
+        // Something happened in setting up the request that triggered an Error
+        return new KosisApiError(`KOSIS API Error (${context}): ${error.message}`, { context });
+    }
+};
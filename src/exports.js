@@ -0,0 +1,226 @@
+import { comparePeriods } from './periods.js';
+import { buildHierarchy } from './transformations.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'jsonstat', 'sdmx-json', 'sdmx-ml', 'sqlite', 'parquet'];
+
+// Excel reads CSV files as the local code page unless they start with a byte order mark
+const UTF8_BOM = '\uFEFF';
+
+// Characters Excel does not allow in sheet names, and its length limit
+const INVALID_SHEET_CHARACTERS = /[\\/?*:[\]]/g;
+const MAX_SHEET_NAME = 31;
+
+const dimensionId = (classification) => classification.objId || `objL${classification.level}`;
+
+/**
+ * @typedef {Object} PivotTable
+ * @property {string} tableId
+ * @property {string} statName
+ * @property {string|null} source
+ * @property {Array<{id: string, label: string}>} dimensions - Row header columns: the item, then the classifications.
+ * @property {Array<{code: string, label: string}>} periods - Value columns, in time order.
+ * @property {Array<{codes: string[], labels: string[], unit: string, values: Array<number|null>, markers: Array<string|null>}>} rows
+ * @property {string[]} footnotes
+ */
+
+/**
+ * Pivot the long-format records of one table into a wide table: one row per item and
+ * classification path, one column per period. Cells without a number keep their KOSIS
+ * marker (x, -, ...) in `markers`.
+ * @param {Object[]} records - Normalized records of one table.
+ * @returns {PivotTable|null} null when no record has a period.
+ */
+export const pivotTable = (records) => {
+    const dated = records.filter(record => record.period);
+    if (dated.length === 0) return null;
+
+    const dimensions = new Map([['item', '항목']]);
+    for (const record of dated) {
+        for (const classification of record.metadata?.classifications || []) {
+            if (!dimensions.has(dimensionId(classification))) {
+                dimensions.set(dimensionId(classification), classification.dimension || `분류${classification.level}`);
+            }
+        }
+    }
+    const dimensionIds = [...dimensions.keys()];
+
+    const periods = [...new Map(dated.map(record => [record.period.code, record.period])).values()].sort(comparePeriods);
+    const periodIndex = new Map(periods.map((period, i) => [period.code, i]));
+
+    const rows = new Map();
+    for (const record of dated) {
+        const byDimension = new Map([
+            ['item', { code: record.metadata?.item?.id ?? '', label: record.metadata?.item?.name || record.category1 || '' }],
+            ...(record.metadata?.classifications || []).map(classification => [dimensionId(classification), classification])
+        ]);
+        const codes = dimensionIds.map(id => byDimension.get(id)?.code ?? '');
+        const key = codes.join('|');
+        if (!rows.has(key)) {
+            rows.set(key, {
+                codes,
+                labels: dimensionIds.map(id => byDimension.get(id)?.label ?? ''),
+                unit: record.unit || '',
+                values: periods.map(() => null),
+                markers: periods.map(() => null)
+            });
+        }
+        const row = rows.get(key);
+        const column = periodIndex.get(record.period.code);
+        if (Number.isFinite(record.value)) row.values[column] = record.value;
+        else row.markers[column] = record.rawValue ?? null;
+    }
+
+    return {
+        tableId: dated[0].sourceTableId,
+        statName: dated[0].statName,
+        source: dated[0].source || null,
+        dimensions: dimensionIds.map(id => ({ id, label: dimensions.get(id) })),
+        periods: periods.map(period => ({ code: period.code, label: period.label?.ko || period.code })),
+        rows: [...rows.values()],
+        footnotes: [...new Set(dated.flatMap(record => record.footnotes || []))]
+    };
+};
+
+const csvField = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * A pivot table as CSV with a UTF-8 byte order mark and CRLF line ends, as Excel expects.
+ * @param {PivotTable} pivot
+ * @returns {string}
+ */
+export const toCsv = (pivot) => {
+    const header = [...pivot.dimensions.map(dimension => dimension.label), '단위', ...pivot.periods.map(period => period.label)];
+    const lines = [header, ...pivot.rows.map(row => [
+        ...row.labels,
+        row.unit,
+        ...row.values.map((value, i) => value ?? row.markers[i] ?? '')
+    ])];
+    return UTF8_BOM + lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * The records of one table as a JSON-stat 2.0 dataset. Dimensions are the item, the
+ * classifications (by KOSIS object id) and the period; the values are row-major in that
+ * order, as an array or, for sparse tables, an object keyed by position. The hierarchy of
+ * the metadata becomes `child`, KOSIS markers of cells without a number `status`.
+ * @param {Object[]} records - Normalized records of one table.
+ * @param {import('./metadata.js').TableMetadata|null} [metadata]
+ * @returns {Object|null} null when no record has a period.
+ */
+export const toJsonStat = (records, metadata = null) => {
+    const pivot = pivotTable(records);
+    if (!pivot) return null;
+
+    const hierarchy = buildHierarchy(metadata);
+    const levels = new Map((metadata?.classifications || []).map(classification => [classification.id, `objL${classification.level}`]));
+    const categories = pivot.dimensions.map((dimension, d) => {
+        const labels = new Map(pivot.rows.map(row => [row.codes[d], row.labels[d]]));
+        return { id: dimension.id, codes: [...labels.keys()], labels };
+    });
+
+    const dimension = {};
+    for (const [d, { id, codes, labels }] of categories.entries()) {
+        const category = {
+            index: Object.fromEntries(codes.map((code, i) => [code, i])),
+            label: Object.fromEntries(labels)
+        };
+        const parents = hierarchy.get(id === 'item' ? 'item' : levels.get(id) || id);
+        const children = {};
+        for (const code of codes) {
+            const parentCode = parents?.get(code)?.parentCode;
+            if (parentCode && labels.has(parentCode)) (children[parentCode] ||= []).push(code);
+        }
+        if (Object.keys(children).length > 0) category.child = children;
+        if (id === 'item') {
+            category.unit = Object.fromEntries(codes.map(code => [code, { label: pivot.rows.find(row => row.codes[d] === code).unit }]));
+        }
+        dimension[id] = { label: pivot.dimensions[d].label, category };
+    }
+    dimension.time = {
+        label: '시점',
+        category: {
+            index: Object.fromEntries(pivot.periods.map((period, i) => [period.code, i])),
+            label: Object.fromEntries(pivot.periods.map(period => [period.code, period.label]))
+        }
+    };
+
+    const ids = [...categories.map(category => category.id), 'time'];
+    const size = [...categories.map(category => category.codes.length), pivot.periods.length];
+    const total = size.reduce((product, length) => product * length, 1);
+    const values = {};
+    const status = {};
+    for (const row of pivot.rows) {
+        const offset = row.codes.reduce((position, code, d) => position * size[d] + dimension[ids[d]].category.index[code], 0) * pivot.periods.length;
+        row.values.forEach((value, t) => {
+            if (value !== null) values[offset + t] = value;
+            else if (row.markers[t] !== null) status[offset + t] = row.markers[t];
+        });
+    }
+    const filled = Object.keys(values).length;
+    const regional = records.find(record => record.regionInfo?.classificationLevel);
+    const geoClassification = regional?.metadata?.classifications?.find(classification => classification.level === regional.regionInfo.classificationLevel);
+
+    return {
+        version: '2.0',
+        class: 'dataset',
+        label: pivot.statName,
+        source: pivot.source || 'KOSIS',
+        updated: records.find(record => record.lastUpdated)?.lastUpdated || undefined,
+        id: ids,
+        size,
+        role: { time: ['time'], metric: ['item'], ...(geoClassification ? { geo: [dimensionId(geoClassification)] } : {}) },
+        dimension,
+        value: filled * 2 >= total ? Array.from({ length: total }, (_, i) => values[i] ?? null) : values,
+        ...(Object.keys(status).length > 0 ? { status } : {}),
+        ...(pivot.footnotes.length > 0 ? { note: pivot.footnotes } : {}),
+        extension: { tableId: pivot.tableId }
+    };
+};
+
+// Sheet names are unique, at most 31 characters and without \ / ? * : [ ]
+const sheetName = (tableId, used) => {
+    const base = String(tableId || 'table').replace(INVALID_SHEET_CHARACTERS, '_').slice(0, MAX_SHEET_NAME);
+    let name = base;
+    for (let i = 2; used.has(name.toLowerCase()); i++) name = `${base.slice(0, MAX_SHEET_NAME - String(i).length - 1)}_${i}`;
+    used.add(name.toLowerCase());
+    return name;
+};
+
+/**
+ * An XLSX workbook with one sheet per pivot table: title and source, the wide table with
+ * numbers as numbers and KOSIS markers as text, then the footnotes.
+ * @param {PivotTable[]} pivots
+ * @returns {Promise<{buffer: Buffer, sheets: Object<string, string>}>} The file and the sheet name per table.
+ */
+export const buildWorkbook = async (pivots) => {
+    const { default: ExcelJS } = await import('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    const used = new Set();
+    const sheets = {};
+    for (const pivot of pivots) {
+        const name = sheetName(pivot.tableId, used);
+        sheets[pivot.tableId] = name;
+        const sheet = workbook.addWorksheet(name);
+
+        sheet.addRow([pivot.statName]).font = { bold: true, size: 13 };
+        sheet.addRow([[pivot.source, `KOSIS ${pivot.tableId}`].filter(Boolean).join(' · ')]);
+        sheet.addRow([]);
+        const header = sheet.addRow([...pivot.dimensions.map(dimension => dimension.label), '단위', ...pivot.periods.map(period => period.label)]);
+        header.font = { bold: true };
+        const headerRow = header.number;
+        for (const row of pivot.rows) {
+            sheet.addRow([...row.labels, row.unit, ...row.values.map((value, i) => value ?? row.markers[i] ?? null)]);
+        }
+        sheet.views = [{ state: 'frozen', xSplit: pivot.dimensions.length + 1, ySplit: headerRow }];
+
+        if (pivot.footnotes.length > 0) {
+            sheet.addRow([]);
+            sheet.addRow(['주석']).font = { bold: true };
+            for (const footnote of pivot.footnotes) sheet.addRow([footnote]);
+        }
+    }
+    return { buffer: Buffer.from(await workbook.xlsx.writeBuffer()), sheets };
+};
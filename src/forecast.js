@@ -0,0 +1,297 @@
+import { formatPeriodCode, parsePeriod } from './periods.js';
+import { groupIntoSeries, toRegularSeries } from './analysis.js';
+import { SEASONAL_PERIODS } from './decomposition.js';
+
+export const FORECAST_MODELS = ['auto', 'ses', 'holt', 'holt-winters', 'arima'];
+
+export const MAX_FORECAST_HORIZON = 60;
+
+// Two-sided standard normal quantiles of the supported prediction interval levels
+export const CONFIDENCE_LEVELS = { 80: 1.2816, 90: 1.6449, 95: 1.96, 99: 2.5758 };
+export const DEFAULT_CONFIDENCE_LEVEL = 95;
+
+const round = (number) => (Number.isFinite(number) ? Number(number.toPrecision(12)) : null);
+
+const range = (from, to, step) => Array.from({ length: Math.round((to - from) / step) + 1 }, (_, i) => round(from + i * step));
+
+// Smoothing parameter grids; trend and seasonal weights are bounded by the level weight as in ETS
+const ALPHAS = range(0.05, 0.95, 0.05);
+const BETAS = [0.01, 0.05, 0.1, 0.2, 0.3];
+const GAMMAS = [0.01, 0.05, 0.1, 0.2, 0.3];
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Pick the parameters with the smallest sum of squared one-step errors
+const fitByGrid = (candidates, run) => {
+    let best = null;
+    for (const parameters of candidates) {
+        const state = run(parameters);
+        const sse = state.errors.reduce((sum, error) => sum + error ** 2, 0);
+        if (!best || sse < best.sse) best = { parameters, state, sse };
+    }
+    best.sigma = Math.sqrt(best.sse / best.state.errors.length);
+    return best;
+};
+
+// h-step forecast variance as a multiple of the one-step error variance
+const cumulativeVariance = (horizon, weight) => {
+    const factors = [];
+    let sum = 1;
+    for (let step = 1; step <= horizon; step++) {
+        if (step > 1) sum += weight(step - 1) ** 2;
+        factors.push(sum);
+    }
+    return factors;
+};
+
+// Simple exponential smoothing, ETS(A,N,N)
+const fitSes = (values) => {
+    const run = ({ alpha }) => {
+        let level = values[0];
+        const errors = [];
+        for (let t = 1; t < values.length; t++) {
+            const error = values[t] - level;
+            errors.push(error);
+            level += alpha * error;
+        }
+        return { level, errors };
+    };
+    const { parameters, state, sigma } = fitByGrid(ALPHAS.map(alpha => ({ alpha })), run);
+    return {
+        parameters,
+        sigma,
+        forecast: (horizon) => ({
+            values: new Array(horizon).fill(state.level),
+            varianceFactors: cumulativeVariance(horizon, () => parameters.alpha)
+        })
+    };
+};
+
+// Holt's linear trend, ETS(A,A,N)
+const fitHolt = (values) => {
+    const run = ({ alpha, beta }) => {
+        let level = values[0];
+        let trend = values[1] - values[0];
+        const errors = [];
+        for (let t = 1; t < values.length; t++) {
+            const error = values[t] - (level + trend);
+            errors.push(error);
+            level += trend + alpha * error;
+            trend += beta * error;
+        }
+        return { level, trend, errors };
+    };
+    const candidates = ALPHAS.flatMap(alpha => BETAS.filter(beta => beta <= alpha).map(beta => ({ alpha, beta })));
+    const { parameters, state, sigma } = fitByGrid(candidates, run);
+    return {
+        parameters,
+        sigma,
+        forecast: (horizon) => ({
+            values: Array.from({ length: horizon }, (_, i) => state.level + (i + 1) * state.trend),
+            varianceFactors: cumulativeVariance(horizon, (step) => parameters.alpha + step * parameters.beta)
+        })
+    };
+};
+
+// Additive Holt-Winters, ETS(A,A,A), initialized from the first two seasonal cycles
+const fitHoltWinters = (values, period) => {
+    const firstCycle = mean(values.slice(0, period));
+    const secondCycle = mean(values.slice(period, 2 * period));
+
+    const run = ({ alpha, beta, gamma }) => {
+        let level = firstCycle;
+        let trend = (secondCycle - firstCycle) / period;
+        const seasonal = values.slice(0, period).map(value => value - firstCycle);
+        const errors = [];
+        for (let t = period; t < values.length; t++) {
+            const season = seasonal[t - period];
+            const error = values[t] - (level + trend + season);
+            errors.push(error);
+            level += trend + alpha * error;
+            trend += beta * error;
+            seasonal.push(season + gamma * error);
+        }
+        return { level, trend, seasonal, errors };
+    };
+    const candidates = ALPHAS.flatMap(alpha => BETAS.filter(beta => beta <= alpha)
+        .flatMap(beta => GAMMAS.filter(gamma => gamma <= 1 - alpha).map(gamma => ({ alpha, beta, gamma }))));
+    const { parameters, state, sigma } = fitByGrid(candidates, run);
+    const { length } = state.seasonal;
+    return {
+        parameters,
+        sigma,
+        forecast: (horizon) => ({
+            values: Array.from({ length: horizon }, (_, i) => state.level + (i + 1) * state.trend
+                + state.seasonal[length - period + (i % period)]),
+            varianceFactors: cumulativeVariance(horizon, (step) => parameters.alpha + step * parameters.beta
+                + (step % period === 0 ? parameters.gamma : 0))
+        })
+    };
+};
+
+// ARIMA(1,1,0) with drift: an AR(1) on the first differences, fitted by least squares
+const fitArima = (values) => {
+    const differences = values.slice(1).map((value, t) => value - values[t]);
+    const previous = differences.slice(0, -1);
+    const current = differences.slice(1);
+    const meanPrevious = mean(previous);
+    const meanCurrent = mean(current);
+    const variance = previous.reduce((sum, value) => sum + (value - meanPrevious) ** 2, 0);
+    const covariance = previous.reduce((sum, value, t) => sum + (value - meanPrevious) * (current[t] - meanCurrent), 0);
+    // Keep the AR part stationary
+    const phi = variance === 0 ? 0 : Math.max(Math.min(covariance / variance, 0.99), -0.99);
+    const constant = meanCurrent - phi * meanPrevious;
+    const errors = current.map((value, t) => value - (constant + phi * previous[t]));
+    const sigma = Math.sqrt(errors.reduce((sum, error) => sum + error ** 2, 0) / errors.length);
+
+    return {
+        parameters: { phi: round(phi), constant: round(constant) },
+        sigma,
+        forecast: (horizon) => {
+            const forecasts = [];
+            let level = values[values.length - 1];
+            let difference = differences[differences.length - 1];
+            for (let step = 0; step < horizon; step++) {
+                difference = constant + phi * difference;
+                level += difference;
+                forecasts.push(level);
+            }
+            // The level responds to a shock with weights 1, 1 + phi, 1 + phi + phi², ...
+            const psi = (step) => (1 - phi ** (step + 1)) / (1 - phi);
+            return { values: forecasts, varianceFactors: cumulativeVariance(horizon, psi) };
+        }
+    };
+};
+
+const MODELS = {
+    ses: { minObservations: () => 3, fit: fitSes },
+    holt: { minObservations: () => 4, fit: fitHolt },
+    'holt-winters': { minObservations: (period) => (period ? 2 * period + 2 : Infinity), fit: fitHoltWinters },
+    arima: { minObservations: () => 6, fit: fitArima }
+};
+
+// Fit on all but the last periods and compare the forecast with what was published
+const backtest = (modelName, values, period, holdout) => {
+    const training = values.slice(0, values.length - holdout);
+    const actual = values.slice(values.length - holdout);
+    const predicted = MODELS[modelName].fit(training, period).forecast(holdout).values;
+    const errors = actual.map((value, i) => value - predicted[i]);
+
+    return {
+        holdoutPeriods: holdout,
+        mae: round(mean(errors.map(Math.abs))),
+        rmse: round(Math.sqrt(mean(errors.map(error => error ** 2)))),
+        mape: actual.some(value => value === 0) ? null : round(mean(errors.map((error, i) => Math.abs(error / actual[i]))) * 100)
+    };
+};
+
+/**
+ * Forecast one series a number of periods ahead.
+ *
+ * The model is fitted on the series as laid out on its timeline (gaps interpolated).
+ * Smoothing parameters are chosen by a grid search on the one-step errors. Before the
+ * final fit the model is backtested: fitted without the last periods (the horizon, at
+ * most a fifth of the series) and scored against them. With model 'auto' every model
+ * that fits the series is backtested and the one with the lowest RMSE is used.
+ * Prediction intervals assume normally distributed one-step errors.
+ *
+ * @param {import('./analysis.js').Series} series
+ * @param {Object} options - { horizon, model, confidenceLevel }.
+ * @returns {{status: string, reason?: string, model?: Object, backtest?: Object|null, points?: Object[]}}
+ */
+export const forecastSeries = (series, options = {}) => {
+    const horizon = Math.min(Math.max(parseInt(options.horizon) || 0, 0), MAX_FORECAST_HORIZON);
+    const confidenceLevel = CONFIDENCE_LEVELS[options.confidenceLevel] ? Number(options.confidenceLevel) : DEFAULT_CONFIDENCE_LEVEL;
+    const period = SEASONAL_PERIODS[series.frequency] || null;
+    if (horizon === 0) return { status: 'skipped', reason: 'No forecast horizon' };
+
+    const regular = toRegularSeries(series);
+    if (!regular) return { status: 'skipped', reason: 'Irregular series and series without values are not forecast' };
+    const { values, indexes } = regular;
+
+    const requested = FORECAST_MODELS.includes(options.model) ? options.model : 'auto';
+    const fits = (name, length) => length >= MODELS[name].minObservations(period);
+    const candidates = requested === 'auto' ? Object.keys(MODELS) : [requested];
+    if (!candidates.some(name => fits(name, values.length))) {
+        return { status: 'skipped', reason: `Not enough observations (${values.length}) for model ${requested}` };
+    }
+
+    const holdout = Math.min(horizon, Math.max(1, Math.floor(values.length / 5)));
+    const backtests = {};
+    for (const name of candidates) {
+        if (fits(name, values.length - holdout)) backtests[name] = backtest(name, values, period, holdout);
+    }
+
+    let modelName;
+    if (requested !== 'auto') {
+        modelName = requested;
+    } else {
+        // Without any backtest fall back to the most complex model the series supports
+        const ranked = Object.keys(backtests).sort((a, b) => backtests[a].rmse - backtests[b].rmse);
+        modelName = ranked[0] || candidates.filter(name => fits(name, values.length)).pop();
+    }
+
+    const model = MODELS[modelName].fit(values, period);
+    const forecast = model.forecast(horizon);
+    const z = CONFIDENCE_LEVELS[confidenceLevel];
+    const lastIndex = indexes[indexes.length - 1];
+
+    return {
+        status: 'ok',
+        model: { name: modelName, parameters: model.parameters, residualStandardError: round(model.sigma) },
+        backtest: backtests[modelName] || null,
+        confidenceLevel,
+        points: forecast.values.map((value, i) => {
+            const margin = z * model.sigma * Math.sqrt(forecast.varianceFactors[i]);
+            return {
+                index: lastIndex + i + 1,
+                horizon: i + 1,
+                value: round(value),
+                lowerBound: round(value - margin),
+                upperBound: round(value + margin)
+            };
+        })
+    };
+};
+
+/**
+ * Forecast every series of the normalized records.
+ * @param {Object[]} records - Normalized records.
+ * @param {Object} options - See forecastSeries.
+ * @returns {Object[]} `type: 'forecast'` items, one per series and forecast period.
+ */
+export const forecastTimeSeries = (records, options = {}) => {
+    const forecasts = [];
+    for (const series of groupIntoSeries(records)) {
+        const result = forecastSeries(series, options);
+        if (result.status !== 'ok') continue;
+
+        const template = series.records[series.records.length - 1];
+        for (const point of result.points) {
+            const code = formatPeriodCode(point.index, series.frequency, template.period.code);
+            forecasts.push({
+                type: 'forecast',
+                seriesKey: series.key,
+                statName: template.statName,
+                period: parsePeriod(code, series.frequency),
+                horizon: point.horizon,
+                category1: template.category1,
+                category2: template.category2,
+                value: point.value,
+                lowerBound: point.lowerBound,
+                upperBound: point.upperBound,
+                confidenceLevel: result.confidenceLevel,
+                unit: template.unit,
+                sourceTableId: series.tableId,
+                model: result.model,
+                backtest: result.backtest,
+                metadata: {
+                    item: template.metadata?.item || null,
+                    classifications: series.classifications
+                },
+                extractedAt: new Date().toISOString()
+            });
+        }
+    }
+    return forecasts;
+};
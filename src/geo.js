@@ -0,0 +1,251 @@
+import { comparePeriods } from './periods.js';
+import { SIDO, findRegionByCode, findSidoByCode, resolveRegion } from './regions.js';
+import { SIDO_BOUNDARIES } from './sidoBoundaries.js';
+import { FONT_FAMILY, escapeXml, formatNumber } from './svg.js';
+
+export const MAP_FORMATS = ['geojson', 'svg', 'png'];
+
+// Sequential palette from light to dark, one color per class
+const PALETTE = ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c'];
+const NO_DATA_COLOR = '#e0e0e0';
+
+const WIDTH = 720;
+const HEIGHT = 820;
+const MARGIN = { top: 90, side: 40, bottom: 120 };
+
+// Property names of common Korean boundary files (SGIS, 행정안전부 and derived GeoJSON)
+const NAME_PROPERTIES = ['name', 'NAME', 'name_kor', 'CTP_KOR_NM', 'SIG_KOR_NM', 'adm_nm', 'sggnm', 'sidonm'];
+const CODE_PROPERTIES = ['code', 'CODE', 'CTPRVN_CD', 'SIG_CD', 'adm_cd', 'sggcd', 'sidocd', 'sido'];
+
+/**
+ * @typedef {Object} MapLayer
+ * @property {string} tableId
+ * @property {string} statName
+ * @property {{id: string|null, name: string|null}} item
+ * @property {string[]} context - Labels of the other classifications of the slice, e.g. ['계'].
+ * @property {string} unit
+ * @property {Object} period - The mapped (latest) period.
+ * @property {string} level - 'sido' or 'sigungu'.
+ * @property {Array<{region: Object, value: number|null, series: Object<string, number>}>} regions
+ */
+
+/**
+ * Pick the values of one table to map: the slice of the first regional record (its item
+ * and other classification values) at the latest period, at the 시도 level when the table
+ * has both levels.
+ * @param {Object[]} records - Normalized records of one table.
+ * @returns {MapLayer|null} null for tables without regional records.
+ */
+export const buildMapLayer = (records) => {
+    const regional = records.filter(record => record.period && ['sido', 'sigungu'].includes(record.regionInfo?.level));
+    if (regional.length === 0) return null;
+    const level = regional.some(record => record.regionInfo.level === 'sido') ? 'sido' : 'sigungu';
+
+    const sliceKey = (record) => [
+        record.metadata?.item?.id,
+        record.period.frequency,
+        ...(record.metadata?.classifications || [])
+            .filter(classification => classification.level !== record.regionInfo.classificationLevel)
+            .map(classification => `${classification.level}=${classification.code}`)
+    ].join('|');
+    const first = regional.find(record => record.regionInfo.level === level);
+    const slice = regional.filter(record => record.regionInfo.level === level && sliceKey(record) === sliceKey(first));
+
+    const period = slice.map(record => record.period).sort(comparePeriods).pop();
+    const byRegion = new Map();
+    for (const record of slice) {
+        const entry = byRegion.get(record.regionInfo.key) || { region: record.regionInfo, value: null, series: {} };
+        if (Number.isFinite(record.value)) entry.series[record.period.code] = record.value;
+        if (record.period.code === period.code) entry.value = Number.isFinite(record.value) ? record.value : null;
+        byRegion.set(record.regionInfo.key, entry);
+    }
+
+    return {
+        tableId: first.sourceTableId,
+        statName: first.statName,
+        item: { id: first.metadata?.item?.id || null, name: first.metadata?.item?.name || null },
+        context: (first.metadata?.classifications || [])
+            .filter(classification => classification.level !== first.regionInfo.classificationLevel)
+            .map(classification => classification.label),
+        unit: first.unit,
+        period,
+        level,
+        regions: [...byRegion.values()]
+    };
+};
+
+const firstProperty = (properties, names) => names.map(name => properties?.[name]).find(value => value !== undefined && value !== null && value !== '');
+
+const polygonsOf = (geometry) => {
+    if (geometry?.type === 'Polygon') return [geometry.coordinates];
+    if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+};
+
+/**
+ * Index the features of a boundary GeoJSON by region key. Features are matched on their
+ * name (and the 시도 of their code, for 시군구 names such as 중구) through the region registry,
+ * or else on their standard code. The 일반구 of a city (수원시 장안구, 41111) are joined
+ * into the city (41110), which is the 시군구 of the registry.
+ * @param {Object} geojson - A FeatureCollection of 시도 or 시군구 polygons.
+ * @returns {Map<string, Object>} Feature per region key.
+ */
+export const indexBoundaries = (geojson) => {
+    const index = new Map();
+    const joined = new Set();
+    for (const feature of geojson?.features || []) {
+        const name = firstProperty(feature.properties, NAME_PROPERTIES);
+        const code = firstProperty(feature.properties, CODE_PROPERTIES);
+        const sidoCode = code ? findSidoByCode(code) : null;
+        const region = resolveRegion(name, { code, parentLabel: sidoCode ? SIDO[sidoCode].name : undefined });
+        if (region) {
+            if (!index.has(region.key)) index.set(region.key, feature);
+            continue;
+        }
+
+        const city = /^\d{5}(0{5})?$/.test(String(code)) ? findRegionByCode(`${String(code).slice(0, 4)}0`) : null;
+        if (city?.level !== 'sigungu' || (index.has(city.key) && !joined.has(city.key))) continue;
+        const polygons = [...polygonsOf(index.get(city.key)?.geometry), ...polygonsOf(feature.geometry)];
+        index.set(city.key, { type: 'Feature', properties: { code: city.code, name: city.name }, geometry: { type: 'MultiPolygon', coordinates: polygons } });
+        joined.add(city.key);
+    }
+    return index;
+};
+
+/**
+ * The bundled boundaries of a map level: the 시도 polygons, or null for 시군구, which are
+ * only drawn from a boundary file.
+ * @param {string} level - 'sido' or 'sigungu'.
+ * @returns {Map<string, Object>|null} See indexBoundaries.
+ */
+export const getBundledBoundaries = (level) => (level === 'sido' ? indexBoundaries(SIDO_BOUNDARIES) : null);
+
+/**
+ * Join a map layer onto geometries as a GeoJSON FeatureCollection. Regions without a
+ * boundary get a null geometry.
+ * @param {MapLayer} layer
+ * @param {Map<string, Object>|null} boundaries - See indexBoundaries.
+ * @returns {Object}
+ */
+export const toGeoJson = (layer, boundaries = null) => ({
+    type: 'FeatureCollection',
+    metadata: {
+        tableId: layer.tableId,
+        statName: layer.statName,
+        item: layer.item,
+        context: layer.context,
+        period: layer.period.code,
+        unit: layer.unit
+    },
+    features: layer.regions.map(({ region, value, series }) => {
+        const boundary = boundaries?.get(region.key);
+        return {
+            type: 'Feature',
+            id: region.key,
+            geometry: boundary?.geometry ?? null,
+            properties: {
+                key: region.key,
+                code: region.code,
+                name: region.name,
+                nameEng: region.nameEng,
+                level: region.level,
+                sidoName: region.sidoName,
+                value,
+                period: layer.period.code,
+                unit: layer.unit,
+                series,
+                geometrySource: boundary ? 'boundaries' : null
+            }
+        };
+    })
+});
+
+/**
+ * Class breaks at the quantiles of the values, at most one class per color.
+ * @returns {number[]} Upper bounds of all classes but the last.
+ */
+export const getClassBreaks = (values, classes = PALETTE.length) => {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    const breaks = [];
+    for (let i = 1; i < classes; i++) {
+        const value = sorted[Math.floor(i * sorted.length / classes)];
+        if (value !== undefined && value > sorted[0] && !breaks.includes(value)) breaks.push(value);
+    }
+    return breaks;
+};
+
+const colorOf = (value, breaks) => {
+    if (!Number.isFinite(value)) return NO_DATA_COLOR;
+    const position = breaks.filter(limit => value >= limit).length;
+    // Spread fewer classes over the whole palette
+    return PALETTE[Math.round(position * (PALETTE.length - 1) / Math.max(breaks.length, 1))];
+};
+
+const ringsOf = (geometry) => polygonsOf(geometry).flat();
+
+// Equirectangular projection of the boundaries into the drawing area, corrected for latitude
+const createProjection = (features) => {
+    const points = features.flatMap(feature => ringsOf(feature.geometry).flat());
+    if (points.length === 0) return null;
+    // Boundary files have too many points to spread into Math.min
+    const [minLon, maxLon, minLat, maxLat] = points.reduce(([west, east, south, north], [lon, lat]) => [
+        Math.min(west, lon), Math.max(east, lon), Math.min(south, lat), Math.max(north, lat)
+    ], [Infinity, -Infinity, Infinity, -Infinity]);
+    const aspect = Math.cos((minLat + maxLat) / 2 * Math.PI / 180);
+    const width = WIDTH - 2 * MARGIN.side;
+    const height = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const scale = Math.min(width / (((maxLon - minLon) * aspect) || 1), height / ((maxLat - minLat) || 1));
+    return ([lon, lat]) => [
+        (MARGIN.side + (lon - minLon) * aspect * scale).toFixed(1),
+        (MARGIN.top + (maxLat - lat) * scale).toFixed(1)
+    ];
+};
+
+const pathOf = (geometry, project) => ringsOf(geometry)
+    .map(ring => `M${ring.map(point => project(point).join(',')).join('L')}Z`)
+    .join('');
+
+const drawLegend = (breaks, values, unit) => {
+    const finite = values.filter(Number.isFinite);
+    if (finite.length === 0) return '';
+    const bounds = [Math.min(...finite), ...breaks, Math.max(...finite)];
+    const top = HEIGHT - MARGIN.bottom + 30;
+    const entries = bounds.slice(0, -1).map((lower, i) => {
+        const y = top + i * 16;
+        return `<rect x="${MARGIN.side}" y="${y}" width="14" height="12" fill="${colorOf(lower, breaks)}" stroke="#999"/>`
+            + `<text x="${MARGIN.side + 20}" y="${y + 10}" font-size="11">${formatNumber(lower)} – ${formatNumber(bounds[i + 1])}</text>`;
+    });
+    return `<g font-family="${FONT_FAMILY}"><text x="${MARGIN.side}" y="${top - 8}" font-size="11" fill="#555">${escapeXml(unit)}</text>${entries.join('')}</g>`;
+};
+
+/**
+ * Render a map layer as a choropleth SVG, drawing the regions that have a boundary.
+ * @param {MapLayer} layer
+ * @param {Map<string, Object>|null} boundaries - See indexBoundaries.
+ * @returns {string|null} The SVG document, or null when no region has a boundary.
+ */
+export const renderChoroplethSvg = (layer, boundaries = null) => {
+    const values = layer.regions.map(entry => entry.value);
+    const breaks = getClassBreaks(values);
+    const matched = layer.regions.filter(entry => boundaries?.has(entry.region.key));
+    if (matched.length === 0) return null;
+
+    const project = createProjection(matched.map(entry => boundaries.get(entry.region.key)));
+    const shapes = matched.map(({ region, value }) => `<path d="${pathOf(boundaries.get(region.key).geometry, project)}" fill="${colorOf(value, breaks)}" stroke="#fff" stroke-width="0.8">`
+        + `<title>${escapeXml(region.name)}: ${formatNumber(value)}</title></path>`);
+    const note = `${matched.length} of ${layer.regions.length} regions matched to boundaries`;
+
+    const subtitle = [layer.item.name, ...layer.context].filter(Boolean).join(' · ');
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">`,
+        '<rect width="100%" height="100%" fill="#fff"/>',
+        `<g font-family="${FONT_FAMILY}">`,
+        `<text x="${MARGIN.side}" y="36" font-size="20" font-weight="bold">${escapeXml(layer.statName)} (${escapeXml(layer.period.label?.ko || layer.period.code)})</text>`,
+        `<text x="${MARGIN.side}" y="60" font-size="13" fill="#555">${escapeXml(subtitle)}</text>`,
+        ...shapes,
+        `<text x="${WIDTH - MARGIN.side}" y="${HEIGHT - 16}" text-anchor="end" font-size="10" fill="#888">${escapeXml(note)} · Source: KOSIS ${escapeXml(layer.tableId)}</text>`,
+        '</g>',
+        drawLegend(breaks, values, layer.unit),
+        '</svg>'
+    ].join('\n');
+};
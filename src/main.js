@@ -1,49 +1,39 @@
 
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
 import { Actor } from 'apify';
 import { 
     createKosisApiClient, 
-    getStatsList, 
     getMetaInfo, 
     getStatsData, 
     normalizeStatisticalData,
     validateInput,
-    sleep,
     logProgress,
     logEvent,
     KOSIS_VIEW_CODES
 } from './utils.js';
-
-// Function to render a chart
-async function renderChart(data) {
-    const { Chart } = await import('chart.js');
-
-    const canvas = await Actor.openCanvas();
-    const ctx = canvas.getContext('2d');
-
-    new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: data.map(item => item.STAT_NAME),
-            datasets: [{
-                label: 'Value',
-                data: data.map(item => item.DT),
-                backgroundColor: 'rgba(75, 192, 192, 0.2)',
-                borderColor: 'rgba(75, 192, 192, 1)',
-                borderWidth: 1
-            }]
-        },
-        options: {
-            scales: {
-                y: {
-                    beginAtZero: true
-                }
-            }
-        }
-    });
-
-    const chartImage = await canvas.toBuffer('image/png');
-    await Actor.setValue('chart.png', chartImage, { contentType: 'image/png' });
-}
+import { findStatsTables } from './search.js';
+import { crawlStatsTables } from './crawler.js';
+import { buildDataQuery, normalizeSelection, resolveTableSelection } from './selection.js';
+import { buildPeriodQuery, parsePeriod } from './periods.js';
+import { KosisResultLimitError, KosisQuotaExceededError, KosisOfflineCacheMissError } from './errors.js';
+import { createRequestScheduler, mapWithConcurrency, getQuotaDate } from './scheduler.js';
+import { createResponseCache } from './cache.js';
+import { analyzeTimeSeries, summarizeTimeSeries } from './analysis.js';
+import { decomposeTimeSeries } from './decomposition.js';
+import { forecastTimeSeries } from './forecast.js';
+import { computeDerivedIndicator, computeCorrelation, getReferencedTables } from './derivedIndicators.js';
+import { applyConversions, toReferenceSeries } from './conversion.js';
+import { normalizeUnits } from './units.js';
+import { applyTransformations } from './transformations.js';
+import { validateHierarchy } from './validation.js';
+import { buildMapLayer, getBundledBoundaries, indexBoundaries, renderChoroplethSvg, toGeoJson } from './geo.js';
+import { buildTableCharts, renderChartSvg } from './charts.js';
+import { buildWorkbook, pivotTable, toCsv, toJsonStat } from './exports.js';
+import { buildSdmx, toSdmxDataXml, toSdmxJson, toSdmxStructureXml } from './sdmx.js';
+import { DATABASE_FORMATS, toDatabaseRows, writeParquetFile, writeSqliteDatabase } from './database.js';
+import { renderSvgToPng } from './svg.js';
 
 export async function mainLogic() {
     logEvent('actor.started');
@@ -51,14 +41,27 @@ export async function mainLogic() {
     const input = await Actor.getInput();
     logProgress('Actor started', { input });
 
-    // Validate input parameters
-    const validatedInput = validateInput(input || {});
+    // Validate input parameters; invalid input ends the run with an error item instead of demo data
+    let validatedInput;
+    try {
+        validatedInput = validateInput(input || {});
+    } catch (error) {
+        logProgress('Invalid input', { error: error.message });
+        await Actor.pushData({
+            type: 'error',
+            error: error.message,
+            input,
+            extractedAt: new Date().toISOString()
+        });
+        logEvent('actor.completed', { status: 'invalid_input' });
+        return;
+    }
     logProgress('Input validated', validatedInput);
 
     // Get KOSIS API credentials
     const kosisApiKey = process.env.KOSIS_API_KEY || await Actor.getValue('KOSIS_API_KEY');
     
-    if (!kosisApiKey) {
+    if (!kosisApiKey && !validatedInput.offline) {
         // Demo mode - provide sample data when no API key is available
         logEvent('actor.demo_mode');
         logProgress('Running in demo mode - no KOSIS API key provided');
@@ -67,23 +70,62 @@ export async function mainLogic() {
         return;
     }
 
+    // Offline runs are served from the cache only and never send the key
+    const apiKey = kosisApiKey || OFFLINE_API_KEY;
+
+    // All requests of the run share one scheduler: rate limits and the daily quota
+    const quota = await loadQuotaUsage(apiKey);
+    const scheduler = createRequestScheduler({
+        requestsPerSecond: validatedInput.requestsPerSecond,
+        requestsPerMinute: validatedInput.requestsPerMinute,
+        dailyQuota: validatedInput.dailyQuota,
+        quotaUsed: quota.used
+    });
+    const cache = createResponseCache({
+        storage: validatedInput.cacheStorage,
+        directory: validatedInput.cacheDirectory,
+        ttlHours: validatedInput.cacheTtlHours,
+        forceRefresh: validatedInput.forceRefresh,
+        offline: validatedInput.offline
+    });
+
     try {
         // Create API client
-        const apiClient = createKosisApiClient(kosisApiKey);
+        const apiClient = createKosisApiClient(apiKey, {
+            retry: { retries: validatedInput.maxRetries },
+            scheduler,
+            cache
+        });
         logProgress('KOSIS API client created');
 
+        // CPI and exchange-rate series for deflation and currency conversion
+        const conversionReferences = await loadConversionReferences(apiClient, validatedInput.conversion);
+
+        const mapBoundaries = validatedInput.regionalMaps ? await loadMapBoundaries(validatedInput.mapBoundaryFile) : null;
+
         // Build search parameters
         const searchParams = buildSearchParams(validatedInput);
         logProgress('Search parameters built', searchParams);
 
         // Get list of statistical tables
-        logEvent('api.call_initiated', { api: 'getStatsList', params: searchParams });
-        logProgress('Fetching statistical tables list...');
-        const statsList = await getStatsList(apiClient, searchParams);
-        logEvent('api.call_successful', { api: 'getStatsList', resultCount: statsList.length });
+        let statsList;
+        if (searchParams.searchKeyword) {
+            logProgress(`Searching statistical tables for "${searchParams.searchKeyword}"...`);
+            statsList = await findStatsTables(apiClient, searchParams);
+        } else {
+            logEvent('api.call_initiated', { api: 'getStatsList', params: searchParams });
+            logProgress('Crawling statistical tables from the category tree...');
+            statsList = await crawlStatsTables(apiClient, { ...searchParams, maxTables: validatedInput.maxItems });
+            logEvent('api.call_successful', { api: 'getStatsList', resultCount: statsList.length });
+        }
         logProgress(`Found ${statsList.length} statistical tables`);
 
-        if (statsList.length === 0) {
+        // Input tables of derived indicators and correlations are fetched even when the search missed them
+        const referencedTables = getReferencedTables(validatedInput)
+            .filter(({ tableId }) => !statsList.slice(0, validatedInput.maxItems).some(table => table.TBL_ID === tableId))
+            .map(({ tableId, orgId }) => ({ TBL_ID: tableId, ORG_ID: orgId }));
+
+        if (statsList.length === 0 && referencedTables.length === 0) {
             logProgress('No statistical tables found for the given criteria');
             await Actor.pushData({
                 message: 'No statistical tables found for the given search criteria',
@@ -95,48 +137,58 @@ export async function mainLogic() {
         }
 
         // Process each statistical table (up to maxItems)
-        const tablesToProcess = statsList.slice(0, validatedInput.maxItems);
+        const tablesToProcess = [...statsList.slice(0, validatedInput.maxItems), ...referencedTables];
         logProgress(`Processing ${tablesToProcess.length} tables`);
 
         let totalDataPoints = 0;
         let processedTables = 0;
         let allNormalizedData = [];
+        const savedMaps = [];
+        const savedCharts = [];
+        const savedExports = [];
+        const workbookTables = [];
+        const databaseTables = [];
+        let quotaExhausted = false;
+
+        await mapWithConcurrency(tablesToProcess, validatedInput.concurrency, async (table, index) => {
+            // Tables still waiting when the quota runs out are not started
+            if (quotaExhausted) return;
 
-        for (const table of tablesToProcess) {
             try {
                 processedTables++;
-                const tableId = table.TBL_ID || table.LIST_ID || `table_${processedTables}`;
+                const tableId = table.TBL_ID || table.LIST_ID || `table_${index + 1}`;
                 const tableTitle = table.TBL_NM || table.LIST_NM || 'Unknown Table';
                 
                 logEvent('table.processing_started', { tableId: tableId, title: tableTitle });
-                logProgress(`Processing table ${processedTables}/${tablesToProcess.length}: ${tableTitle}`, {
+                logProgress(`Processing table ${index + 1}/${tablesToProcess.length}: ${tableTitle}`, {
                     tableId: tableId,
-                    title: tableTitle
+                    title: tableTitle,
+                    path: table.breadcrumb
                 });
 
-                // Get metadata if requested
+                // Get metadata; items, classifications and periods are always needed to build the query
                 let metadata = null;
-                if (validatedInput.includeMetadata) {
-                    try {
-                        logEvent('api.call_initiated', { api: 'getMetaInfo', tableId: tableId });
-                        metadata = await getMetaInfo(apiClient, tableId);
-                        logEvent('api.call_successful', { api: 'getMetaInfo', tableId: tableId });
-                        logProgress('Metadata retrieved');
-                    } catch (metaError) {
-                        logEvent('api.call_failed', { api: 'getMetaInfo', tableId: tableId, error: metaError.message });
-                        logProgress('Warning: Could not retrieve metadata', { error: metaError.message });
-                    }
+                try {
+                    logEvent('api.call_initiated', { api: 'getMetaInfo', tableId: tableId });
+                    metadata = await getMetaInfo(apiClient, tableId, {
+                        orgId: table.ORG_ID,
+                        types: validatedInput.includeMetadata ? undefined : ['items', 'periods']
+                    });
+                    logEvent('api.call_successful', { api: 'getMetaInfo', tableId: tableId });
+                    logProgress('Metadata retrieved');
+                } catch (metaError) {
+                    logEvent('api.call_failed', { api: 'getMetaInfo', tableId: tableId, error: metaError.message });
+                    logProgress('Warning: Could not retrieve metadata', { error: metaError.message });
                 }
 
                 // Get statistical data
-                logEvent('api.call_initiated', { api: 'getStatsData', tableId: tableId });
+                const dataQuery = buildDataQuery(metadata, resolveTableSelection(validatedInput, tableId), tableId);
                 const statsParams = {
                     orgId: table.ORG_ID || '101',
-                    objL1: 'ALL',
-                    itmId: 'T1',
-                    prdSe: 'Y',
-                    newEstPrdCnt: '5'
+                    ...dataQuery,
+                    ...buildPeriodQuery(metadata, validatedInput, tableId)
                 };
+                logEvent('api.call_initiated', { api: 'getStatsData', tableId: tableId, params: statsParams });
                 const statsData = await getStatsData(apiClient, tableId, statsParams);
                 logEvent('api.call_successful', { api: 'getStatsData', tableId: tableId });
                 logProgress('Statistical data retrieved');
@@ -147,31 +199,91 @@ export async function mainLogic() {
                         type: 'raw',
                         tableId: tableId,
                         tableInfo: table,
-                        metadata: metadata,
+                        metadata: validatedInput.includeMetadata ? metadata : null,
                         rawData: statsData,
                         extractedAt: new Date().toISOString()
                     });
                 }
 
                 if (validatedInput.outputFormat === 'structured' || validatedInput.outputFormat === 'both') {
-                    const normalizedData = normalizeStatisticalData(statsData, metadata, tableId);
+                    let normalizedData = normalizeUnits(normalizeStatisticalData(statsData, metadata, tableId), { rescale: validatedInput.rescaleUnits });
+                    if (conversionReferences) {
+                        const { records, warnings } = applyConversions(normalizedData, conversionReferences);
+                        normalizedData = records;
+                        warnings.forEach(warning => logProgress(`Warning: ${warning}`, { tableId }));
+                    }
+                    if (validatedInput.shareOfTotal || validatedInput.contributionToGrowth || validatedInput.rebasePeriod) {
+                        normalizedData = applyTransformations(normalizedData, metadata, validatedInput);
+                    }
+                    if (validatedInput.includeAnalysis) {
+                        normalizedData = analyzeTimeSeries(normalizedData, { movingAverageWindows: validatedInput.movingAverageWindows });
+                    }
+                    if (validatedInput.decomposition) {
+                        normalizedData = decomposeTimeSeries(normalizedData, {
+                            model: validatedInput.decompositionModel,
+                            holidayAdjustment: validatedInput.holidayAdjustment
+                        });
+                    }
                     allNormalizedData.push(...normalizedData);
                     for (const dataPoint of normalizedData) {
                         await Actor.pushData(dataPoint);
                         totalDataPoints++;
                     }
+                    if (validatedInput.exportFormats.length > 0) {
+                        const saved = await saveTableExports(normalizedData, metadata, validatedInput);
+                        if (saved) {
+                            savedExports.push(saved.entry);
+                            if (validatedInput.exportFormats.includes('xlsx')) workbookTables.push(saved.pivot);
+                            if (validatedInput.exportFormats.some(format => DATABASE_FORMATS.includes(format))) {
+                                databaseTables.push(toDatabaseRows(normalizedData, metadata));
+                            }
+                        }
+                    }
+                    if (validatedInput.charts) {
+                        savedCharts.push(...await saveTableCharts(normalizedData, validatedInput));
+                    }
+                    if (validatedInput.regionalMaps) {
+                        const map = await saveRegionalMap(normalizedData, mapBoundaries, validatedInput.mapFormats);
+                        if (map) savedMaps.push(map);
+                    }
+                    if (validatedInput.validateHierarchy) {
+                        const report = validateHierarchy(normalizedData, metadata, { tolerance: validatedInput.validationTolerance });
+                        if (report.mismatchCount > 0) {
+                            logProgress(`Warning: ${report.mismatchCount} totals do not match the sum of their components`, { tableId });
+                        }
+                        await Actor.pushData(report);
+                    }
+                    if (validatedInput.includeSeriesSummary) {
+                        const summaries = summarizeTimeSeries(normalizedData, {
+                            outlierMethod: validatedInput.outlierMethod,
+                            outlierThreshold: validatedInput.outlierThreshold
+                        });
+                        await Actor.pushData(summaries);
+                    }
+                    if (validatedInput.forecastHorizon > 0) {
+                        const forecasts = forecastTimeSeries(normalizedData, {
+                            horizon: validatedInput.forecastHorizon,
+                            model: validatedInput.forecastModel,
+                            confidenceLevel: validatedInput.forecastConfidence
+                        });
+                        await Actor.pushData(forecasts);
+                        logProgress(`Forecast ${forecasts.length} periods from table`);
+                    }
                     logProgress(`Processed ${normalizedData.length} data points from table`);
                 }
 
                 logEvent('table.processing_successful', { tableId: tableId });
-                // Rate limiting - wait between requests
-                await sleep(validatedInput.delayBetweenRequests);
 
             } catch (tableError) {
-                const tableId = table.TBL_ID || table.LIST_ID || `table_${processedTables}`;
+                const tableId = table.TBL_ID || table.LIST_ID || `table_${index + 1}`;
                 const tableTitle = table.TBL_NM || table.LIST_NM || 'Unknown Table';
+
+                if (tableError instanceof KosisQuotaExceededError) {
+                    quotaExhausted = true;
+                    logProgress('Daily request quota reached, stopping before the KOSIS limit', scheduler.getStats());
+                }
                 
-                logEvent('table.processing_failed', { tableId: tableId, error: tableError.message });
+                logEvent('table.processing_failed', { tableId: tableId, error: tableError.message, code: tableError.code });
                 logProgress(`Error processing table ${tableId}`, { 
                     error: tableError.message,
                     tableTitle: tableTitle 
@@ -182,14 +294,22 @@ export async function mainLogic() {
                     tableId: tableId,
                     tableTitle: tableTitle,
                     error: tableError.message,
+                    errorCode: tableError.code || null,
+                    hint: tableError instanceof KosisResultLimitError
+                        ? 'Select fewer items, classification values or periods for this table (itemIds, classificationValues, tableSelections, startPeriod/endPeriod).'
+                        : undefined,
                     extractedAt: new Date().toISOString()
                 });
             }
-        }
+        });
+
+        await pushCrossTableResults(allNormalizedData, validatedInput);
 
-        // Render chart if data is available
-        if (allNormalizedData.length > 0) {
-            await renderChart(allNormalizedData);
+        if (workbookTables.length > 0) {
+            await saveWorkbook(workbookTables, savedExports, validatedInput.exportDirectory);
+        }
+        if (databaseTables.length > 0) {
+            await saveDatabaseExports(databaseTables, savedExports, validatedInput);
         }
 
         // Final summary
@@ -203,12 +323,50 @@ export async function mainLogic() {
             type: 'summary',
             tablesProcessed: processedTables,
             totalDataPoints: totalDataPoints,
+            stoppedEarly: quotaExhausted,
+            requests: scheduler.getStats(),
+            cache: cache ? cache.getStats() : null,
+            exports: savedExports,
+            charts: savedCharts,
+            maps: savedMaps,
             searchCriteria: validatedInput,
             completedAt: new Date().toISOString()
         });
-        logEvent('actor.completed', { mode: 'api', status: 'success', tablesProcessed: processedTables, totalDataPoints });
+        logEvent('actor.completed', {
+            mode: 'api',
+            status: quotaExhausted ? 'quota_exhausted' : 'success',
+            tablesProcessed: processedTables,
+            totalDataPoints
+        });
 
     } catch (error) {
+        if (error instanceof KosisQuotaExceededError) {
+            // Demo data would hide that nothing could be fetched; report the quota instead
+            logProgress('Daily request quota reached before any table was processed', scheduler.getStats());
+            await Actor.pushData({
+                type: 'error',
+                error: error.message,
+                requests: scheduler.getStats(),
+                extractedAt: new Date().toISOString()
+            });
+            logEvent('actor.completed', { mode: 'api', status: 'quota_exhausted' });
+            return;
+        }
+
+        if (error instanceof KosisOfflineCacheMissError) {
+            // Demo data would look like a cache hit; report what is missing from the cache instead
+            logProgress('Offline run could not be served from the cache', { error: error.message });
+            await Actor.pushData({
+                type: 'error',
+                error: error.message,
+                hint: 'Run once with offline disabled (and the same input) to fill the cache.',
+                cache: cache ? cache.getStats() : null,
+                extractedAt: new Date().toISOString()
+            });
+            logEvent('actor.completed', { mode: 'offline', status: 'cache_miss' });
+            return;
+        }
+
         logEvent('api.call_failed', { error: error.message });
         logProgress('API error occurred, falling back to demo mode', { error: error.message });
         
@@ -229,19 +387,301 @@ export async function mainLogic() {
         
         await runDemoMode(validatedInput);
         logEvent('actor.completed', { mode: 'demo', status: 'error_fallback' });
+    } finally {
+        await saveQuotaUsage(quota, scheduler);
+    }
+}
+
+async function fetchReferenceSeries(apiClient, selector) {
+    const metadata = await getMetaInfo(apiClient, selector.tableId, { orgId: selector.orgId, types: ['items', 'periods'] });
+    const selection = normalizeSelection({ itemIds: selector.itemId, classificationValues: selector.classifications });
+    const params = {
+        orgId: selector.orgId,
+        ...buildDataQuery(metadata, selection, selector.tableId),
+        ...buildPeriodQuery(metadata, { frequency: selector.frequency, latestPeriods: REFERENCE_SERIES_PERIODS }, selector.tableId)
+    };
+    const records = normalizeStatisticalData(await getStatsData(apiClient, selector.tableId, params), metadata, selector.tableId);
+    return toReferenceSeries(records, {
+        tableId: selector.tableId,
+        itemId: selector.itemId,
+        classifications: selector.classifications
+    });
+}
+
+// A reference series comes from KOSIS when it has a table, else from the conversion data file
+async function loadReferenceSeries(apiClient, selector, fileRows, label, dataFile) {
+    if (selector && apiClient) {
+        try {
+            const series = await fetchReferenceSeries(apiClient, selector);
+            logProgress(`Loaded ${label} series`, { tableId: selector.tableId, points: series.points.length });
+            return series;
+        } catch (error) {
+            if (error instanceof KosisQuotaExceededError) throw error;
+            logProgress(`Warning: Could not fetch the ${label} series`, { tableId: selector.tableId, error: error.message });
+        }
+    }
+    if (fileRows) return toReferenceSeries(fileRows, { file: dataFile });
+
+    logProgress(`Warning: No ${label} series available, the conversion is skipped`);
+    return null;
+}
+
+/**
+ * Load the CPI and exchange-rate series of the conversion options.
+ * Without an API client (demo mode) only the conversion data file is used.
+ */
+async function loadConversionReferences(apiClient, conversion) {
+    if (!conversion) return null;
+
+    let file = {};
+    if (conversion.dataFile) {
+        try {
+            file = JSON.parse(await readFile(conversion.dataFile, 'utf8'));
+        } catch (error) {
+            logProgress('Warning: Could not read the conversion data file', { file: conversion.dataFile, error: error.message });
+        }
+    }
+
+    const references = { baseYear: conversion.deflation?.baseYear, cpi: null, rates: {} };
+    if (conversion.deflation) {
+        references.cpi = await loadReferenceSeries(apiClient, conversion.deflation.cpi, file.cpi, 'CPI', conversion.dataFile);
+    }
+    for (const { currency, selector, quoteUnits } of conversion.currencies) {
+        const series = await loadReferenceSeries(apiClient, selector, file.exchangeRates?.[currency], `${currency} exchange rate`, conversion.dataFile);
+        if (series) references.rates[currency] = { series, quoteUnits };
+    }
+    return references;
+}
+
+// Store an export file in the key-value store and, when a directory is given, as a local file
+async function storeExport(key, value, contentType, directory) {
+    await Actor.setValue(key, value, { contentType });
+    if (!directory) return;
+    try {
+        await mkdir(directory, { recursive: true });
+        await writeFile(path.join(directory, key), value);
+    } catch (error) {
+        logProgress('Warning: Could not write the export to the export directory', { key, directory, error: error.message });
+    }
+}
+
+// A failed export is logged and pushed as an error item; the run and the other exports go on
+async function pushExportError(error, details) {
+    logProgress('Warning: Could not save the export', { ...details, error: error.message });
+    await Actor.pushData({ type: 'error', ...details, error: error.message, extractedAt: new Date().toISOString() });
+}
+
+// Build and store one export; returns whether it was stored
+async function saveExport(key, build, contentType, directory, details = {}) {
+    try {
+        await storeExport(key, await build(), contentType, directory);
+        return true;
+    } catch (error) {
+        await pushExportError(error, { ...details, export: key });
+        return false;
+    }
+}
+
+// Store the wide CSV, JSON-stat and SDMX exports of one table; the XLSX sheets are written after the last table
+async function saveTableExports(records, metadata, input) {
+    const { exportFormats: formats, exportDirectory: directory } = input;
+    const pivot = pivotTable(records);
+    if (!pivot) return null;
+
+    const keys = {};
+    const details = { tableId: pivot.tableId };
+    const store = async (name, key, build, contentType) => {
+        if (await saveExport(key, build, contentType, directory, details)) keys[name] = key;
+    };
+    if (formats.includes('csv')) {
+        await store('csv', `export-${pivot.tableId}.csv`, () => toCsv(pivot), 'text/csv; charset=utf-8');
+    }
+    if (formats.includes('jsonstat')) {
+        await store('jsonstat', `export-${pivot.tableId}.jsonstat.json`, () => JSON.stringify(toJsonStat(records, metadata)), 'application/json');
+    }
+    let sdmx;
+    const getSdmx = () => (sdmx ??= buildSdmx(records, metadata));
+    if (formats.includes('sdmx-json')) {
+        await store('sdmxJson', `sdmx-${pivot.tableId}.json`, () => JSON.stringify(toSdmxJson(getSdmx())), 'application/vnd.sdmx.data+json; version=1.0');
+    }
+    if (formats.includes('sdmx-ml')) {
+        await store('sdmxStructure', `sdmx-${pivot.tableId}-structure.xml`, () => toSdmxStructureXml(getSdmx()), 'application/vnd.sdmx.structure+xml; version=2.1');
+        await store('sdmxData', `sdmx-${pivot.tableId}-data.xml`, () => toSdmxDataXml(getSdmx()), 'application/vnd.sdmx.genericdata+xml; version=2.1');
+    }
+    logProgress('Saved table exports', { tableId: pivot.tableId, rows: pivot.rows.length, periods: pivot.periods.length, keys });
+    return { pivot, entry: { tableId: pivot.tableId, rows: pivot.rows.length, periods: pivot.periods.length, keys } };
+}
+
+async function saveWorkbook(pivots, savedExports, directory) {
+    let workbook;
+    const build = async () => (workbook = await buildWorkbook(pivots)).buffer;
+    if (!await saveExport(WORKBOOK_KEY, build, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', directory)) return;
+    for (const entry of savedExports) {
+        if (workbook.sheets[entry.tableId]) Object.assign(entry.keys, { xlsx: WORKBOOK_KEY, sheet: workbook.sheets[entry.tableId] });
+    }
+    logProgress('Saved XLSX workbook', { key: WORKBOOK_KEY, sheets: Object.keys(workbook.sheets).length });
+}
+
+// The SQLite database and Parquet file hold all tables of the run; a database already in
+// the export directory is updated in place
+async function saveDatabaseExports(tables, savedExports, input) {
+    const { exportFormats: formats, exportDirectory: directory } = input;
+    const keys = {};
+    if (formats.includes('sqlite')) {
+        const existing = directory ? await readFile(path.join(directory, DATABASE_KEY)).catch(() => null) : null;
+        const build = () => writeSqliteDatabase(tables, { existing });
+        if (await saveExport(DATABASE_KEY, build, 'application/vnd.sqlite3', directory)) keys.sqlite = DATABASE_KEY;
+    }
+    if (formats.includes('parquet')) {
+        const build = () => writeParquetFile(tables);
+        if (await saveExport(PARQUET_KEY, build, 'application/vnd.apache.parquet', directory)) keys.parquet = PARQUET_KEY;
+    }
+    if (Object.keys(keys).length === 0) return;
+    for (const entry of savedExports) Object.assign(entry.keys, keys);
+    logProgress('Saved database exports', { keys, tables: tables.length, observations: tables.reduce((sum, rows) => sum + rows.observations.length, 0) });
+}
+
+// Store an SVG document and its PNG rendering; returns the keys stored per format
+async function saveSvgImage(baseKey, svg, formats, details = {}) {
+    const keys = {};
+    if (!svg) return keys;
+    if (formats.includes('svg')) {
+        keys.svg = `${baseKey}.svg`;
+        await Actor.setValue(keys.svg, svg, { contentType: 'image/svg+xml' });
+    }
+    if (formats.includes('png')) {
+        try {
+            const png = await renderSvgToPng(svg);
+            await Actor.setValue(`${baseKey}.png`, png, { contentType: 'image/png' });
+            keys.png = `${baseKey}.png`;
+        } catch (error) {
+            await pushExportError(error, { ...details, export: `${baseKey}.png` });
+        }
+    }
+    return keys;
+}
+
+// Store the line and bar charts of one table in the key-value store
+async function saveTableCharts(records, input) {
+    const saved = [];
+    for (const chart of buildTableCharts(records, { maxSeries: input.maxChartSeries })) {
+        const keys = await saveSvgImage(`chart-${chart.tableId}-${chart.type}`, renderChartSvg(chart), input.chartFormats, { tableId: chart.tableId });
+        if (Object.keys(keys).length === 0) continue;
+        if (chart.omittedCategories > 0) {
+            logProgress(`Warning: the bar chart shows the first ${chart.categories.length} categories, ${chart.omittedCategories} more are left out`, { tableId: chart.tableId });
+        }
+        saved.push({ tableId: chart.tableId, type: chart.type, title: chart.title, series: chart.series.length, keys });
+    }
+    if (saved.length > 0) logProgress('Saved charts', { tableId: saved[0].tableId, charts: saved.map(chart => chart.keys) });
+    return saved;
+}
+
+async function loadMapBoundaries(file) {
+    if (!file) return null;
+    try {
+        const boundaries = indexBoundaries(JSON.parse(await readFile(file, 'utf8')));
+        logProgress('Loaded map boundaries', { file, regions: boundaries.size });
+        return boundaries;
+    } catch (error) {
+        logProgress('Warning: Could not read the map boundary file, maps use the bundled 시도 boundaries', { file, error: error.message });
+        return null;
+    }
+}
+
+// Store the choropleth of one table in the key-value store, in the requested formats. The boundary
+// file of the input is used where it covers the regions, else the bundled boundaries
+async function saveRegionalMap(records, override, formats) {
+    const layer = buildMapLayer(records);
+    if (!layer) return null;
+
+    const covered = override && layer.regions.some(entry => override.has(entry.region.key));
+    const boundaries = covered ? override : getBundledBoundaries(layer.level);
+    if (!boundaries) {
+        logProgress('Warning: 시군구 maps need a mapBoundaryFile with 시군구 boundaries, no map saved', { tableId: layer.tableId });
+        return null;
+    }
+    const baseKey = `map-${layer.tableId}`;
+    const keys = {};
+    if (formats.includes('geojson')) {
+        keys.geojson = `${baseKey}.geojson`;
+        await Actor.setValue(keys.geojson, JSON.stringify(toGeoJson(layer, boundaries)), { contentType: 'application/geo+json' });
+    }
+    if (formats.some(format => format !== 'geojson')) {
+        Object.assign(keys, await saveSvgImage(baseKey, renderChoroplethSvg(layer, boundaries), formats, { tableId: layer.tableId }));
+    }
+
+    logProgress('Saved regional map', { tableId: layer.tableId, period: layer.period.code, keys });
+    return { tableId: layer.tableId, period: layer.period.code, level: layer.level, regions: layer.regions.length, keys };
+}
+
+// Derived indicators and correlations combine the records of several tables
+async function pushCrossTableResults(records, input) {
+    const results = [
+        ...input.derivedIndicators.map(indicator => computeDerivedIndicator(records, indicator)),
+        ...input.correlations.map(correlation => computeCorrelation(records, correlation))
+    ];
+
+    for (const { items, error } of results) {
+        if (error) {
+            logProgress(`Warning: ${error}`);
+            await Actor.pushData({ type: 'error', error, extractedAt: new Date().toISOString() });
+            continue;
+        }
+        await Actor.pushData(items);
+        logProgress(`Computed ${items.length} cross-table results`, { type: items[0]?.type, name: items[0]?.name });
+    }
+}
+
+// Reference series are requested in full, KOSIS caps the count at what a table has
+const REFERENCE_SERIES_PERIODS = 1000;
+
+// One workbook, database and Parquet file for the run, with all tables
+const WORKBOOK_KEY = 'export.xlsx';
+const DATABASE_KEY = 'kosis.sqlite';
+const PARQUET_KEY = 'kosis-observations.parquet';
+
+// Named store, so that the daily request count survives across runs
+const QUOTA_STORE_NAME = 'kosis-quota';
+
+// Stands in for the API key of offline runs; it is never sent, every request is a cache lookup
+const OFFLINE_API_KEY = 'offline';
+
+function getQuotaKey(apiKey) {
+    const keyHash = createHash('sha256').update(apiKey).digest('hex').slice(0, 12);
+    return `quota-${getQuotaDate()}-${keyHash}`;
+}
+
+async function loadQuotaUsage(apiKey) {
+    try {
+        const store = await Actor.openKeyValueStore(QUOTA_STORE_NAME);
+        const key = getQuotaKey(apiKey);
+        return { store, key, used: (await store.getValue(key)) || 0 };
+    } catch (error) {
+        logProgress('Warning: Could not read the daily request counter', { error: error.message });
+        return { store: null, key: null, used: 0 };
+    }
+}
+
+async function saveQuotaUsage(quota, scheduler) {
+    if (!quota.store) return;
+    try {
+        await quota.store.setValue(quota.key, scheduler.getStats().quotaUsed);
+    } catch (error) {
+        logProgress('Warning: Could not save the daily request counter', { error: error.message });
     }
 }
 
 function buildSearchParams(input) {
     const params = {
         vwCd: input.vwCd || 'MT_ZTITLE',
-        parentId: input.parentId || 'A'
+        parentId: input.parentId || 'A',
+        maxDepth: input.maxDepth,
+        maxNodes: input.maxNodes
     };
     
-    // Add search keyword if provided
+    // Keyword searches go through the integrated search endpoint (see search.js),
+    // statisticsList.do itself ignores unknown parameters
     if (input.searchKeyword) {
-        // KOSIS doesn't have direct keyword search in statisticsList
-        // We'll filter results after retrieval
         params.searchKeyword = input.searchKeyword;
     }
     
@@ -258,6 +698,7 @@ async function runDemoMode(input) {
             category1: '총인구',
             category2: '계',
             value: 51829023,
+            valueStatus: 'observed',
             unit: '명',
             sourceTableId: 'demo_001',
             dataType: 'population',
@@ -276,6 +717,7 @@ async function runDemoMode(input) {
             category1: '취업자',
             category2: '전체',
             value: 28432000,
+            valueStatus: 'observed',
             unit: '명',
             sourceTableId: 'demo_002',
             dataType: 'labor',
@@ -294,6 +736,7 @@ async function runDemoMode(input) {
             category1: '실질GDP',
             category2: '연간',
             value: 2080000,
+            valueStatus: 'observed',
             unit: '십억원',
             sourceTableId: 'demo_003',
             dataType: 'economic',
@@ -312,6 +755,7 @@ async function runDemoMode(input) {
             category1: '총지수',
             category2: '전월대비',
             value: 102.3,
+            valueStatus: 'observed',
             unit: '지수',
             sourceTableId: 'demo_004',
             dataType: 'prices',
@@ -336,6 +780,19 @@ async function runDemoMode(input) {
     }
     filteredData = filteredData.slice(0, input.maxItems);
 
+    filteredData = normalizeUnits(
+        filteredData.map(dataPoint => ({ ...dataPoint, period: parsePeriod(dataPoint.surveyDate) })),
+        { rescale: input.rescaleUnits }
+    );
+
+    // Demo runs have no API access; conversions use the conversion data file only
+    const conversionReferences = await loadConversionReferences(null, input.conversion);
+    if (conversionReferences) {
+        const { records, warnings } = applyConversions(filteredData, conversionReferences);
+        filteredData = records;
+        warnings.forEach(warning => logProgress(`Warning: ${warning}`));
+    }
+
     for (const dataPoint of filteredData) {
         await Actor.pushData(dataPoint);
     }
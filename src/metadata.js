@@ -0,0 +1,186 @@
+// Metadata types served by statisticsData.do?method=getMeta, keyed by our field name
+export const KOSIS_META_TYPES = {
+    table: 'TBL',
+    organization: 'ORG',
+    periods: 'PRD',
+    items: 'ITM',
+    comments: 'CMMT',
+    units: 'UNIT',
+    source: 'SOURCE',
+    lastChanged: 'NCD'
+};
+
+// OBJ_ID of the ITM rows that describe items rather than classification values
+export const ITEM_OBJ_ID = 'ITEM';
+
+export const MAX_CLASSIFICATION_LEVELS = 8;
+
+/**
+ * @typedef {Object} TableMetadata
+ * @property {string} tableId
+ * @property {string} orgId
+ * @property {string|null} tableName
+ * @property {string|null} tableNameEng
+ * @property {{name: string|null, nameEng: string|null}} organization
+ * @property {Array<{frequency: string, start: string|null, end: string|null, count: number}>} periods
+ * @property {Array<{id: string, name: string, nameEng: string|null, parentId: string|null, unit: string|null, unitEng: string|null}>} items
+ * @property {Array<{id: string, name: string, nameEng: string|null, level: number, values: Array<{id: string, name: string, nameEng: string|null, parentId: string|null}>}>} classifications
+ * @property {Array<{id: string|null, name: string, nameEng: string|null}>} units
+ * @property {Array<{title: string|null, text: string, objId: string|null, itemId: string|null}>} comments
+ * @property {{survey: string|null, department: string|null, phone: string|null, statId: string|null}} source
+ * @property {string|null} lastChanged
+ * @property {string} retrievedAt
+ */
+
+const firstRow = (rows) => (Array.isArray(rows) && rows.length > 0 ? rows[0] : {});
+
+const orNull = (value) => (value === undefined || value === '' ? null : value);
+
+const buildPeriods = (rows = []) => {
+    const byFrequency = new Map();
+    for (const row of rows) {
+        const frequency = row.PRD_SE;
+        if (!frequency) continue;
+        const periodCodes = [row.PRD_DE, row.STRT_PRD_DE, row.END_PRD_DE].filter(Boolean).map(String);
+        const entry = byFrequency.get(frequency) || { frequency, start: null, end: null, count: 0 };
+        for (const code of periodCodes) {
+            if (!entry.start || code < entry.start) entry.start = code;
+            if (!entry.end || code > entry.end) entry.end = code;
+        }
+        entry.count += row.PRD_DE ? 1 : 0;
+        byFrequency.set(frequency, entry);
+    }
+    return [...byFrequency.values()];
+};
+
+const buildItemsAndClassifications = (rows = []) => {
+    const items = [];
+    const classificationsById = new Map();
+
+    for (const row of rows) {
+        if (row.OBJ_ID === ITEM_OBJ_ID) {
+            items.push({
+                id: row.ITM_ID,
+                name: row.ITM_NM,
+                nameEng: orNull(row.ITM_NM_ENG),
+                parentId: orNull(row.UP_ITM_ID),
+                unit: orNull(row.UNIT_NM),
+                unitEng: orNull(row.UNIT_ENG_NM || row.UNIT_NM_ENG)
+            });
+            continue;
+        }
+
+        if (!classificationsById.has(row.OBJ_ID)) {
+            classificationsById.set(row.OBJ_ID, {
+                id: row.OBJ_ID,
+                name: row.OBJ_NM,
+                nameEng: orNull(row.OBJ_NM_ENG),
+                order: Number(row.OBJ_ID_SN) || classificationsById.size + 1,
+                values: []
+            });
+        }
+        classificationsById.get(row.OBJ_ID).values.push({
+            id: row.ITM_ID,
+            name: row.ITM_NM,
+            nameEng: orNull(row.ITM_NM_ENG),
+            parentId: orNull(row.UP_ITM_ID)
+        });
+    }
+
+    // objL1..objL8 follow the classification order given by OBJ_ID_SN
+    const classifications = [...classificationsById.values()]
+        .sort((a, b) => a.order - b.order)
+        .slice(0, MAX_CLASSIFICATION_LEVELS)
+        .map(({ order, ...classification }, index) => ({ ...classification, level: index + 1 }));
+
+    return { items, classifications };
+};
+
+const buildLastChanged = (rows = []) => {
+    const dates = rows.map(row => row.SEND_DE || row.LST_CHN_DE).filter(Boolean).map(String).sort();
+    return dates.length > 0 ? dates[dates.length - 1] : null;
+};
+
+/**
+ * Assemble the responses of the individual getMeta types into one metadata object.
+ * @param {string} tableId - The KOSIS table ID (tblId).
+ * @param {string} orgId - The KOSIS organization ID.
+ * @param {Object<string, Object[]>} responses - Rows per key of KOSIS_META_TYPES.
+ * @returns {TableMetadata}
+ */
+export const buildTableMetadata = (tableId, orgId, responses = {}) => {
+    const table = firstRow(responses.table);
+    const organization = firstRow(responses.organization);
+    const source = firstRow(responses.source);
+    const { items, classifications } = buildItemsAndClassifications(responses.items);
+
+    return {
+        tableId,
+        orgId,
+        tableName: orNull(table.TBL_NM),
+        tableNameEng: orNull(table.TBL_NM_ENG),
+        organization: {
+            name: orNull(organization.ORG_NM),
+            nameEng: orNull(organization.ORG_NM_ENG)
+        },
+        periods: buildPeriods(responses.periods),
+        items,
+        classifications,
+        units: (responses.units || []).map(row => ({
+            id: orNull(row.UNIT_ID),
+            name: row.UNIT_NM,
+            nameEng: orNull(row.UNIT_ENG_NM || row.UNIT_NM_ENG)
+        })),
+        comments: (responses.comments || []).filter(row => row.CMMT_DC).map(row => ({
+            title: orNull(row.CMMT_NM),
+            text: row.CMMT_DC,
+            objId: orNull(row.OBJ_ID),
+            itemId: orNull(row.ITM_ID)
+        })),
+        source: {
+            survey: orNull(source.JOSA_NM),
+            department: orNull(source.DEPT_NM),
+            phone: orNull(source.DEPT_PHONE),
+            statId: orNull(source.STAT_ID)
+        },
+        lastChanged: buildLastChanged(responses.lastChanged),
+        retrievedAt: new Date().toISOString()
+    };
+};
+
+export const findItem = (metadata, itemId) => {
+    return metadata?.items?.find(item => item.id === itemId) || null;
+};
+
+export const findClassification = (metadata, level) => {
+    return metadata?.classifications?.find(classification => classification.level === level) || null;
+};
+
+export const findClassificationValue = (metadata, level, valueId) => {
+    return findClassification(metadata, level)?.values.find(value => value.id === valueId) || null;
+};
+
+/**
+ * Collect the footnotes that apply to one data point: table-wide comments plus
+ * the comments attached to its item and to each of its classification values.
+ * @param {TableMetadata} metadata
+ * @param {{itemId?: string, classifications?: Array<{objId: string, code: string}>}} dataPoint
+ * @returns {string[]}
+ */
+export const getFootnotes = (metadata, { itemId, classifications = [] } = {}) => {
+    if (!metadata?.comments) return [];
+
+    return metadata.comments
+        .filter(comment => {
+            if (!comment.objId) return true;
+            if (comment.objId === ITEM_OBJ_ID) return !comment.itemId || comment.itemId === itemId;
+            return classifications.some(({ objId, code }) => objId === comment.objId && (!comment.itemId || comment.itemId === code));
+        })
+        .map(comment => (comment.title ? `${comment.title}: ${comment.text}` : comment.text));
+};
+
+export const formatSourceAttribution = (metadata) => {
+    if (!metadata) return null;
+    const parts = [metadata.organization?.name, metadata.source?.survey, metadata.tableName].filter(Boolean);
+    return parts.length > 0 ? `${parts.join(', ')} (KOSIS)` : null;
+};
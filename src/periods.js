@@ -0,0 +1,316 @@
+// KOSIS period types (prdSe) with the labels the metadata and data rows use for them
+export const FREQUENCIES = {
+    Y: { name: 'yearly', aliases: ['Y', '년', '연'] },
+    H: { name: 'half-yearly', aliases: ['H', '반기'] },
+    Q: { name: 'quarterly', aliases: ['Q', '분기'] },
+    M: { name: 'monthly', aliases: ['M', '월'] },
+    D: { name: 'daily', aliases: ['D', '일'] },
+    IR: { name: 'irregular', aliases: ['IR', '부정기'] }
+};
+
+export const DEFAULT_FREQUENCY = 'Y';
+export const DEFAULT_LATEST_PERIODS = 5;
+
+// Last sub-period code of a year per frequency, used to turn survey years into a period range
+const YEAR_END_SUFFIX = { H: '02', Q: '04', M: '12', D: '1231' };
+const YEAR_START_SUFFIX = { H: '01', Q: '01', M: '01', D: '0101' };
+
+/**
+ * Map a frequency given as KOSIS code, Korean label or English name to its code.
+ * @returns {string|null} One of the FREQUENCIES keys, or null when unknown.
+ */
+export const toFrequencyCode = (value) => {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    for (const [code, { name, aliases }] of Object.entries(FREQUENCIES)) {
+        if (aliases.includes(text.toUpperCase()) || aliases.includes(text) || name === text.toLowerCase()) {
+            return code;
+        }
+    }
+    return null;
+};
+
+const describeFrequency = (code) => `${code} (${FREQUENCIES[code]?.name || 'unknown'})`;
+
+/**
+ * Parse the legacy `surveyYears` input: a single year ("2020"), a range ("2018-2022")
+ * or a list ("2018,2020,2022", requested as the range spanning it).
+ * @returns {{startYear: string, endYear: string}|null}
+ */
+export const parseSurveyYears = (surveyYears) => {
+    const years = String(surveyYears ?? '').match(/\d{4}/g);
+    if (!years) return null;
+    const sorted = [...years].sort();
+    return { startYear: sorted[0], endYear: sorted[sorted.length - 1] };
+};
+
+/**
+ * The frequencies a table is published in, according to its metadata.
+ * @param {import('./metadata.js').TableMetadata|null} metadata
+ * @returns {string[]} Frequency codes; empty when the metadata has no period information.
+ */
+export const getAvailableFrequencies = (metadata) => {
+    const codes = (metadata?.periods || []).map(period => toFrequencyCode(period.frequency)).filter(Boolean);
+    return [...new Set(codes)];
+};
+
+/**
+ * Build the prdSe/startPrdDe/endPrdDe/newEstPrdCnt parameters of statisticsParameterData.do.
+ * An explicit start/end period (or survey years) takes precedence over "latest N periods".
+ * Without a requested frequency the table's yearly series is used, or its first
+ * published frequency when it has no yearly series.
+ * @param {import('./metadata.js').TableMetadata|null} metadata - The table metadata, if available.
+ * @param {Object} input - { frequency, startPeriod, endPeriod, latestPeriods, surveyYears }.
+ * @param {string} tableId - Used in error messages.
+ * @returns {Object} The period query parameters.
+ */
+export const buildPeriodQuery = (metadata, input = {}, tableId = metadata?.tableId) => {
+    const available = getAvailableFrequencies(metadata);
+    let prdSe = input.frequency ? toFrequencyCode(input.frequency) : null;
+
+    if (input.frequency && !prdSe) {
+        throw new Error(`Unknown frequency '${input.frequency}'. Supported frequencies: ${Object.keys(FREQUENCIES).map(describeFrequency).join(', ')}`);
+    }
+    if (prdSe && available.length > 0 && !available.includes(prdSe)) {
+        throw new Error(`Frequency ${describeFrequency(prdSe)} is not available for table ${tableId}. Available frequencies: ${available.map(describeFrequency).join(', ')}`);
+    }
+    if (!prdSe) {
+        prdSe = available.length === 0 || available.includes(DEFAULT_FREQUENCY) ? DEFAULT_FREQUENCY : available[0];
+    }
+
+    let { startPeriod, endPeriod } = input;
+    const years = parseSurveyYears(input.surveyYears);
+    if (years && !startPeriod && !endPeriod) {
+        startPeriod = `${years.startYear}${YEAR_START_SUFFIX[prdSe] || ''}`;
+        endPeriod = `${years.endYear}${YEAR_END_SUFFIX[prdSe] || ''}`;
+    }
+
+    if (startPeriod || endPeriod) {
+        // KOSIS needs both ends of a range; an open end is bounded by the table's coverage
+        const coverage = metadata?.periods?.find(period => toFrequencyCode(period.frequency) === prdSe);
+        const query = { prdSe };
+        if (startPeriod || coverage?.start) query.startPrdDe = startPeriod || coverage.start;
+        if (endPeriod || coverage?.end) query.endPrdDe = endPeriod || coverage.end;
+        if (query.startPrdDe && query.endPrdDe && query.startPrdDe > query.endPrdDe) {
+            throw new Error(`Invalid period range for table ${tableId}: start ${query.startPrdDe} is after end ${query.endPrdDe}`);
+        }
+        return query;
+    }
+
+    return { prdSe, newEstPrdCnt: String(input.latestPeriods || DEFAULT_LATEST_PERIODS) };
+};
+
+const MONTH_NAMES_EN = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Months covered by one sub-period of each frequency
+const MONTHS_PER_SUB_PERIOD = { H: 6, Q: 3, M: 1 };
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+const isoDate = (year, month, day) => `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const buildLabel = (frequency, year, subPeriod, day) => {
+    switch (frequency) {
+        case 'H':
+            return { ko: `${year}년 ${subPeriod === 1 ? '상반기' : '하반기'}`, en: `${year} H${subPeriod}` };
+        case 'Q':
+            return { ko: `${year}년 ${subPeriod}분기`, en: `${year} Q${subPeriod}` };
+        case 'M':
+            return { ko: `${year}년 ${subPeriod}월`, en: `${MONTH_NAMES_EN[subPeriod - 1]} ${year}` };
+        case 'D':
+            return { ko: `${year}년 ${subPeriod}월 ${day}일`, en: isoDate(year, subPeriod, day) };
+        default:
+            return { ko: `${year}년`, en: String(year) };
+    }
+};
+
+// Split a period code into year/sub-period/day and the frequency the code's shape implies
+const matchPeriodCode = (code, frequency) => {
+    let match;
+
+    // Korean free text, e.g. "2023년", "2023년 12월", "2023년 4분기", "2023년 하반기"
+    if ((match = code.match(/^(\d{4})\s*년(?:\s*(\d{1,2})\s*월(?:\s*(\d{1,2})\s*일)?|\s*([1-4])\s*분기|\s*(상|하)반기)?$/))) {
+        const [, year, month, day, quarter, half] = match;
+        if (day) return { frequency: 'D', year, subPeriod: month, day };
+        if (month) return { frequency: 'M', year, subPeriod: month };
+        if (quarter) return { frequency: 'Q', year, subPeriod: quarter };
+        if (half) return { frequency: 'H', year, subPeriod: half === '상' ? 1 : 2 };
+        return { frequency: 'Y', year };
+    }
+
+    // "2023.1/2" (half-year) and "2023.3/4" (quarter)
+    if ((match = code.match(/^(\d{4})\s*\.\s*([1-4])\s*\/\s*([24])$/))) {
+        return { frequency: match[3] === '2' ? 'H' : 'Q', year: match[1], subPeriod: match[2] };
+    }
+
+    // "2023.12" or "2023-12"
+    if ((match = code.match(/^(\d{4})[.-]\s*(\d{1,2})$/))) {
+        return { frequency: frequency === 'Q' || frequency === 'H' ? frequency : 'M', year: match[1], subPeriod: match[2] };
+    }
+
+    const digits = code.replace(/\D/g, '');
+    if (digits.length !== code.length) return null;
+
+    switch (digits.length) {
+        case 4:
+            return { frequency: 'Y', year: digits };
+        case 5:
+            // "20234": one-digit quarter or half-year
+            return { frequency: frequency === 'H' ? 'H' : 'Q', year: digits.slice(0, 4), subPeriod: digits.slice(4) };
+        case 6:
+            // "202312" for months, "202304"/"202302" for quarters and half-years
+            return { frequency: frequency === 'Q' || frequency === 'H' ? frequency : 'M', year: digits.slice(0, 4), subPeriod: digits.slice(4) };
+        case 8:
+            return { frequency: 'D', year: digits.slice(0, 4), subPeriod: digits.slice(4, 6), day: digits.slice(6) };
+        default:
+            return null;
+    }
+};
+
+/**
+ * @typedef {Object} ParsedPeriod
+ * @property {string} code - The period code as published (PRD_DE).
+ * @property {string|null} frequency - Frequency code (Y, H, Q, M, D, IR).
+ * @property {number|null} year
+ * @property {number|null} subPeriod - Half (1-2), quarter (1-4) or month (1-12); null for years.
+ * @property {string|null} start - ISO date of the first day of the period.
+ * @property {string|null} end - ISO date of the last day of the period.
+ * @property {{ko: string, en: string}} label
+ */
+
+/**
+ * Parse a KOSIS period code (PRD_DE) into a structured, sortable period.
+ * Understands yearly ("2023"), half-yearly ("20231", "202302", "2023.1/2"), quarterly
+ * ("20234", "202304"), monthly ("202312"), daily ("20231231") codes and Korean labels
+ * such as "2023년 12월". Codes that cannot be read keep their text as label and have no dates.
+ * @param {string} code - The period code.
+ * @param {string} [prdSe] - The period type of the row, used where the code is ambiguous.
+ * @returns {ParsedPeriod}
+ */
+export const parsePeriod = (code, prdSe) => {
+    const text = String(code ?? '').trim();
+    const declaredFrequency = toFrequencyCode(prdSe);
+    const unparsed = { code: text, frequency: declaredFrequency, year: null, subPeriod: null, start: null, end: null, label: { ko: text, en: text } };
+
+    const match = text ? matchPeriodCode(text, declaredFrequency) : null;
+    if (!match) return unparsed;
+
+    const year = Number(match.year);
+    const subPeriod = match.subPeriod === undefined ? null : Number(match.subPeriod);
+    const day = match.day === undefined ? null : Number(match.day);
+    const { frequency } = match;
+
+    let start;
+    let end;
+    if (frequency === 'Y') {
+        start = isoDate(year, 1, 1);
+        end = isoDate(year, 12, 31);
+    } else if (frequency === 'D') {
+        if (subPeriod < 1 || subPeriod > 12 || day < 1 || day > lastDayOfMonth(year, subPeriod)) return unparsed;
+        start = end = isoDate(year, subPeriod, day);
+    } else {
+        const months = MONTHS_PER_SUB_PERIOD[frequency];
+        if (subPeriod < 1 || subPeriod > 12 / months) return unparsed;
+        const firstMonth = (subPeriod - 1) * months + 1;
+        const lastMonth = firstMonth + months - 1;
+        start = isoDate(year, firstMonth, 1);
+        end = isoDate(year, lastMonth, lastDayOfMonth(year, lastMonth));
+    }
+
+    return {
+        code: text,
+        // Irregular tables keep their declared type, the dates still come from the code
+        frequency: declaredFrequency === 'IR' ? 'IR' : frequency,
+        year,
+        subPeriod: frequency === 'Y' ? null : subPeriod,
+        start,
+        end,
+        label: buildLabel(frequency, year, subPeriod, day)
+    };
+};
+
+/**
+ * Compare two parsed periods chronologically (by start, then end date).
+ * Unparsed periods sort last, by their code.
+ */
+export const comparePeriods = (a, b) => {
+    if (!a.start || !b.start) {
+        if (a.start) return -1;
+        if (b.start) return 1;
+        return a.code.localeCompare(b.code);
+    }
+    return a.start.localeCompare(b.start) || a.end.localeCompare(b.end);
+};
+
+// Sub-periods per year of the regular frequencies; daily periods are counted in days
+export const PERIODS_PER_YEAR = { Y: 1, H: 2, Q: 4, M: 12, D: 365.25 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Position of a period on the continuous timeline of its frequency, e.g. months since
+ * year 0 for monthly periods or days since the epoch for daily ones. Consecutive periods
+ * differ by one, so gaps in a series show as jumps in the index.
+ * @param {ParsedPeriod} period
+ * @param {number} [yearOffset] - Shift the period by whole years first (-1 for the same period a year earlier).
+ * @returns {number|null} The index, or null for irregular and unparsed periods.
+ */
+export const getPeriodIndex = (period, yearOffset = 0) => {
+    if (!period?.start || !(period.frequency in PERIODS_PER_YEAR)) return null;
+    const year = period.year + yearOffset;
+
+    switch (period.frequency) {
+        case 'Y':
+            return year;
+        case 'D': {
+            const [, month, day] = period.start.split('-').map(Number);
+            return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+        }
+        default:
+            return year * PERIODS_PER_YEAR[period.frequency] + period.subPeriod - 1;
+    }
+};
+
+/**
+ * The period code at a getPeriodIndex position, in the shape KOSIS uses for the
+ * frequency: "2024", "202403" (months, and quarters/half-years given as two digits),
+ * "20241" (quarters/half-years given as one digit) or "20240331".
+ * @param {number} index - The period index.
+ * @param {string} frequency - Y, H, Q, M or D.
+ * @param {string} [template] - A code of the same series, to match its quarter/half-year format.
+ * @returns {string}
+ */
+export const formatPeriodCode = (index, frequency, template = '') => {
+    if (frequency === 'Y') return String(index);
+    if (frequency === 'D') return new Date(index * DAY_MS).toISOString().slice(0, 10).replace(/-/g, '');
+
+    const periodsPerYear = PERIODS_PER_YEAR[frequency];
+    const year = Math.floor(index / periodsPerYear);
+    const subPeriod = (index % periodsPerYear) + 1;
+    return frequency !== 'M' && template.length === 5 ? `${year}${subPeriod}` : `${year}${pad(subPeriod)}`;
+};
+
+// Frequencies with a fixed number of periods per year, from fine to coarse
+export const REGULAR_FREQUENCIES = ['M', 'Q', 'H', 'Y'];
+
+/**
+ * Index (see getPeriodIndex) of the period at a coarser or equal frequency that contains
+ * the given period, e.g. the quarter of a month or the year of a quarter.
+ * @param {ParsedPeriod} period
+ * @param {string} frequency - Y, H, Q or M.
+ * @returns {number|null}
+ */
+export const getPeriodIndexAt = (period, frequency) => {
+    if (period?.frequency === frequency) return getPeriodIndex(period);
+    if (!period?.start) return null;
+    const [year, month] = period.start.split('-').map(Number);
+    switch (frequency) {
+        case 'Y': return year;
+        case 'H': return year * 2 + (month > 6 ? 1 : 0);
+        case 'Q': return year * 4 + Math.floor((month - 1) / 3);
+        case 'M': return year * 12 + month - 1;
+        default: return null;
+    }
+};
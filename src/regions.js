@@ -0,0 +1,349 @@
+// Korean administrative regions: 시도 with their standard (행정표준) codes and the 시군구
+// under each, as of 2024, with the renames and boundary changes needed to line up
+// regional series over time.
+
+export const NATIONAL_REGION = { level: 'national', key: '00', code: '00', name: '전국', nameEng: 'Whole country' };
+
+/**
+ * 시도 keyed by current code. `aliases` are the short and former names, `previousCodes`
+ * the codes used before a change of status, `boundaryChanges` the changes of territory
+ * and `since` the date a 시도 was established.
+ */
+export const SIDO = {
+    '11': { name: '서울특별시', nameEng: 'Seoul', aliases: ['서울', '서울시'] },
+    '26': { name: '부산광역시', nameEng: 'Busan', aliases: ['부산', '부산시', '부산직할시'] },
+    '27': {
+        name: '대구광역시',
+        nameEng: 'Daegu',
+        aliases: ['대구', '대구시', '대구직할시'],
+        boundaryChanges: [
+            { date: '1995-03-01', note: '달성군 joined 대구광역시 from 경상북도' },
+            { date: '2023-07-01', note: '군위군 joined 대구광역시 from 경상북도' }
+        ]
+    },
+    '28': {
+        name: '인천광역시',
+        nameEng: 'Incheon',
+        aliases: ['인천', '인천시', '인천직할시'],
+        boundaryChanges: [{ date: '1995-03-01', note: '강화군 and 옹진군 joined 인천광역시 from 경기도' }]
+    },
+    '29': { name: '광주광역시', nameEng: 'Gwangju', aliases: ['광주', '광주직할시'] },
+    '30': { name: '대전광역시', nameEng: 'Daejeon', aliases: ['대전', '대전시', '대전직할시'] },
+    '31': { name: '울산광역시', nameEng: 'Ulsan', aliases: ['울산', '울산시'], since: '1997-07-15' },
+    '36': { name: '세종특별자치시', nameEng: 'Sejong', aliases: ['세종', '세종시'], since: '2012-07-01' },
+    '41': {
+        name: '경기도',
+        nameEng: 'Gyeonggi-do',
+        aliases: ['경기'],
+        boundaryChanges: [{ date: '1995-03-01', note: '강화군 and 옹진군 moved to 인천광역시' }]
+    },
+    '51': {
+        name: '강원특별자치도',
+        nameEng: 'Gangwon State',
+        aliases: ['강원', '강원도'],
+        previousCodes: ['42'],
+        renamed: { date: '2023-06-11', from: '강원도' }
+    },
+    '43': {
+        name: '충청북도',
+        nameEng: 'Chungcheongbuk-do',
+        aliases: ['충북'],
+        boundaryChanges: [{ date: '2012-07-01', note: 'Part of 청원군 moved to 세종특별자치시' }]
+    },
+    '44': {
+        name: '충청남도',
+        nameEng: 'Chungcheongnam-do',
+        aliases: ['충남'],
+        boundaryChanges: [{ date: '2012-07-01', note: '연기군 and part of 공주시 became 세종특별자치시' }]
+    },
+    '52': {
+        name: '전북특별자치도',
+        nameEng: 'Jeonbuk State',
+        aliases: ['전북', '전라북도'],
+        previousCodes: ['45'],
+        renamed: { date: '2024-01-18', from: '전라북도' }
+    },
+    '46': { name: '전라남도', nameEng: 'Jeollanam-do', aliases: ['전남'] },
+    '47': {
+        name: '경상북도',
+        nameEng: 'Gyeongsangbuk-do',
+        aliases: ['경북'],
+        boundaryChanges: [
+            { date: '1995-03-01', note: '달성군 moved to 대구광역시' },
+            { date: '2023-07-01', note: '군위군 moved to 대구광역시' }
+        ]
+    },
+    '48': {
+        name: '경상남도',
+        nameEng: 'Gyeongsangnam-do',
+        aliases: ['경남'],
+        boundaryChanges: [{ date: '1997-07-15', note: '울산시 and 울주군 became 울산광역시' }]
+    },
+    '50': {
+        name: '제주특별자치도',
+        nameEng: 'Jeju',
+        aliases: ['제주', '제주도'],
+        renamed: { date: '2006-07-01', from: '제주도' }
+    }
+};
+
+// 시군구 per 시도 code, as [standard (행정표준) code, name, English name]
+const SIGUNGU = {
+    '11': [
+        ['11110', '종로구', 'Jongno-gu'], ['11140', '중구', 'Jung-gu'], ['11170', '용산구', 'Yongsan-gu'], ['11200', '성동구', 'Seongdong-gu'], ['11215', '광진구', 'Gwangjin-gu'],
+        ['11230', '동대문구', 'Dongdaemun-gu'], ['11260', '중랑구', 'Jungnang-gu'], ['11290', '성북구', 'Seongbuk-gu'], ['11305', '강북구', 'Gangbuk-gu'], ['11320', '도봉구', 'Dobong-gu'],
+        ['11350', '노원구', 'Nowon-gu'], ['11380', '은평구', 'Eunpyeong-gu'], ['11410', '서대문구', 'Seodaemun-gu'], ['11440', '마포구', 'Mapo-gu'], ['11470', '양천구', 'Yangcheon-gu'],
+        ['11500', '강서구', 'Gangseo-gu'], ['11530', '구로구', 'Guro-gu'], ['11545', '금천구', 'Geumcheon-gu'], ['11560', '영등포구', 'Yeongdeungpo-gu'], ['11590', '동작구', 'Dongjak-gu'],
+        ['11620', '관악구', 'Gwanak-gu'], ['11650', '서초구', 'Seocho-gu'], ['11680', '강남구', 'Gangnam-gu'], ['11710', '송파구', 'Songpa-gu'], ['11740', '강동구', 'Gangdong-gu']
+    ],
+    '26': [
+        ['26110', '중구', 'Jung-gu'], ['26140', '서구', 'Seo-gu'], ['26170', '동구', 'Dong-gu'], ['26200', '영도구', 'Yeongdo-gu'], ['26230', '부산진구', 'Busanjin-gu'],
+        ['26260', '동래구', 'Dongnae-gu'], ['26290', '남구', 'Nam-gu'], ['26320', '북구', 'Buk-gu'], ['26350', '해운대구', 'Haeundae-gu'], ['26380', '사하구', 'Saha-gu'],
+        ['26410', '금정구', 'Geumjeong-gu'], ['26440', '강서구', 'Gangseo-gu'], ['26470', '연제구', 'Yeonje-gu'], ['26500', '수영구', 'Suyeong-gu'], ['26530', '사상구', 'Sasang-gu'],
+        ['26710', '기장군', 'Gijang-gun']
+    ],
+    '27': [
+        ['27110', '중구', 'Jung-gu'], ['27140', '동구', 'Dong-gu'], ['27170', '서구', 'Seo-gu'], ['27200', '남구', 'Nam-gu'], ['27230', '북구', 'Buk-gu'],
+        ['27260', '수성구', 'Suseong-gu'], ['27290', '달서구', 'Dalseo-gu'], ['27710', '달성군', 'Dalseong-gun'], ['27720', '군위군', 'Gunwi-gun']
+    ],
+    '28': [
+        ['28110', '중구', 'Jung-gu'], ['28140', '동구', 'Dong-gu'], ['28177', '미추홀구', 'Michuhol-gu'], ['28185', '연수구', 'Yeonsu-gu'], ['28200', '남동구', 'Namdong-gu'],
+        ['28237', '부평구', 'Bupyeong-gu'], ['28245', '계양구', 'Gyeyang-gu'], ['28260', '서구', 'Seo-gu'], ['28710', '강화군', 'Ganghwa-gun'], ['28720', '옹진군', 'Ongjin-gun']
+    ],
+    '29': [['29110', '동구', 'Dong-gu'], ['29140', '서구', 'Seo-gu'], ['29155', '남구', 'Nam-gu'], ['29170', '북구', 'Buk-gu'], ['29200', '광산구', 'Gwangsan-gu']],
+    '30': [['30110', '동구', 'Dong-gu'], ['30140', '중구', 'Jung-gu'], ['30170', '서구', 'Seo-gu'], ['30200', '유성구', 'Yuseong-gu'], ['30230', '대덕구', 'Daedeok-gu']],
+    '31': [['31110', '중구', 'Jung-gu'], ['31140', '남구', 'Nam-gu'], ['31170', '동구', 'Dong-gu'], ['31200', '북구', 'Buk-gu'], ['31710', '울주군', 'Ulju-gun']],
+    '36': [],
+    '41': [
+        ['41110', '수원시', 'Suwon-si'], ['41130', '성남시', 'Seongnam-si'], ['41150', '의정부시', 'Uijeongbu-si'], ['41170', '안양시', 'Anyang-si'], ['41190', '부천시', 'Bucheon-si'],
+        ['41210', '광명시', 'Gwangmyeong-si'], ['41220', '평택시', 'Pyeongtaek-si'], ['41250', '동두천시', 'Dongducheon-si'], ['41270', '안산시', 'Ansan-si'], ['41280', '고양시', 'Goyang-si'],
+        ['41290', '과천시', 'Gwacheon-si'], ['41310', '구리시', 'Guri-si'], ['41360', '남양주시', 'Namyangju-si'], ['41370', '오산시', 'Osan-si'], ['41390', '시흥시', 'Siheung-si'],
+        ['41410', '군포시', 'Gunpo-si'], ['41430', '의왕시', 'Uiwang-si'], ['41450', '하남시', 'Hanam-si'], ['41460', '용인시', 'Yongin-si'], ['41480', '파주시', 'Paju-si'],
+        ['41500', '이천시', 'Icheon-si'], ['41550', '안성시', 'Anseong-si'], ['41570', '김포시', 'Gimpo-si'], ['41590', '화성시', 'Hwaseong-si'], ['41610', '광주시', 'Gwangju-si'],
+        ['41630', '양주시', 'Yangju-si'], ['41650', '포천시', 'Pocheon-si'], ['41670', '여주시', 'Yeoju-si'], ['41800', '연천군', 'Yeoncheon-gun'], ['41820', '가평군', 'Gapyeong-gun'],
+        ['41830', '양평군', 'Yangpyeong-gun']
+    ],
+    '51': [
+        ['51110', '춘천시', 'Chuncheon-si'], ['51130', '원주시', 'Wonju-si'], ['51150', '강릉시', 'Gangneung-si'], ['51170', '동해시', 'Donghae-si'], ['51190', '태백시', 'Taebaek-si'],
+        ['51210', '속초시', 'Sokcho-si'], ['51230', '삼척시', 'Samcheok-si'], ['51720', '홍천군', 'Hongcheon-gun'], ['51730', '횡성군', 'Hoengseong-gun'], ['51750', '영월군', 'Yeongwol-gun'],
+        ['51760', '평창군', 'Pyeongchang-gun'], ['51770', '정선군', 'Jeongseon-gun'], ['51780', '철원군', 'Cheorwon-gun'], ['51790', '화천군', 'Hwacheon-gun'], ['51800', '양구군', 'Yanggu-gun'],
+        ['51810', '인제군', 'Inje-gun'], ['51820', '고성군', 'Goseong-gun'], ['51830', '양양군', 'Yangyang-gun']
+    ],
+    '43': [
+        ['43110', '청주시', 'Cheongju-si'], ['43130', '충주시', 'Chungju-si'], ['43150', '제천시', 'Jecheon-si'], ['43720', '보은군', 'Boeun-gun'], ['43730', '옥천군', 'Okcheon-gun'],
+        ['43740', '영동군', 'Yeongdong-gun'], ['43745', '증평군', 'Jeungpyeong-gun'], ['43750', '진천군', 'Jincheon-gun'], ['43760', '괴산군', 'Goesan-gun'], ['43770', '음성군', 'Eumseong-gun'],
+        ['43800', '단양군', 'Danyang-gun']
+    ],
+    '44': [
+        ['44130', '천안시', 'Cheonan-si'], ['44150', '공주시', 'Gongju-si'], ['44180', '보령시', 'Boryeong-si'], ['44200', '아산시', 'Asan-si'], ['44210', '서산시', 'Seosan-si'],
+        ['44230', '논산시', 'Nonsan-si'], ['44250', '계룡시', 'Gyeryong-si'], ['44270', '당진시', 'Dangjin-si'], ['44710', '금산군', 'Geumsan-gun'], ['44760', '부여군', 'Buyeo-gun'],
+        ['44770', '서천군', 'Seocheon-gun'], ['44790', '청양군', 'Cheongyang-gun'], ['44800', '홍성군', 'Hongseong-gun'], ['44810', '예산군', 'Yesan-gun'], ['44825', '태안군', 'Taean-gun']
+    ],
+    '52': [
+        ['52110', '전주시', 'Jeonju-si'], ['52130', '군산시', 'Gunsan-si'], ['52140', '익산시', 'Iksan-si'], ['52180', '정읍시', 'Jeongeup-si'], ['52190', '남원시', 'Namwon-si'],
+        ['52210', '김제시', 'Gimje-si'], ['52710', '완주군', 'Wanju-gun'], ['52720', '진안군', 'Jinan-gun'], ['52730', '무주군', 'Muju-gun'], ['52740', '장수군', 'Jangsu-gun'],
+        ['52750', '임실군', 'Imsil-gun'], ['52770', '순창군', 'Sunchang-gun'], ['52790', '고창군', 'Gochang-gun'], ['52800', '부안군', 'Buan-gun']
+    ],
+    '46': [
+        ['46110', '목포시', 'Mokpo-si'], ['46130', '여수시', 'Yeosu-si'], ['46150', '순천시', 'Suncheon-si'], ['46170', '나주시', 'Naju-si'], ['46230', '광양시', 'Gwangyang-si'],
+        ['46710', '담양군', 'Damyang-gun'], ['46720', '곡성군', 'Gokseong-gun'], ['46730', '구례군', 'Gurye-gun'], ['46770', '고흥군', 'Goheung-gun'], ['46780', '보성군', 'Boseong-gun'],
+        ['46790', '화순군', 'Hwasun-gun'], ['46800', '장흥군', 'Jangheung-gun'], ['46810', '강진군', 'Gangjin-gun'], ['46820', '해남군', 'Haenam-gun'], ['46830', '영암군', 'Yeongam-gun'],
+        ['46840', '무안군', 'Muan-gun'], ['46860', '함평군', 'Hampyeong-gun'], ['46870', '영광군', 'Yeonggwang-gun'], ['46880', '장성군', 'Jangseong-gun'], ['46890', '완도군', 'Wando-gun'],
+        ['46900', '진도군', 'Jindo-gun'], ['46910', '신안군', 'Sinan-gun']
+    ],
+    '47': [
+        ['47110', '포항시', 'Pohang-si'], ['47130', '경주시', 'Gyeongju-si'], ['47150', '김천시', 'Gimcheon-si'], ['47170', '안동시', 'Andong-si'], ['47190', '구미시', 'Gumi-si'],
+        ['47210', '영주시', 'Yeongju-si'], ['47230', '영천시', 'Yeongcheon-si'], ['47250', '상주시', 'Sangju-si'], ['47280', '문경시', 'Mungyeong-si'], ['47290', '경산시', 'Gyeongsan-si'],
+        ['47730', '의성군', 'Uiseong-gun'], ['47750', '청송군', 'Cheongsong-gun'], ['47760', '영양군', 'Yeongyang-gun'], ['47770', '영덕군', 'Yeongdeok-gun'], ['47820', '청도군', 'Cheongdo-gun'],
+        ['47830', '고령군', 'Goryeong-gun'], ['47840', '성주군', 'Seongju-gun'], ['47850', '칠곡군', 'Chilgok-gun'], ['47900', '예천군', 'Yecheon-gun'], ['47920', '봉화군', 'Bonghwa-gun'],
+        ['47930', '울진군', 'Uljin-gun'], ['47940', '울릉군', 'Ulleung-gun']
+    ],
+    '48': [
+        ['48120', '창원시', 'Changwon-si'], ['48170', '진주시', 'Jinju-si'], ['48220', '통영시', 'Tongyeong-si'], ['48240', '사천시', 'Sacheon-si'], ['48250', '김해시', 'Gimhae-si'],
+        ['48270', '밀양시', 'Miryang-si'], ['48310', '거제시', 'Geoje-si'], ['48330', '양산시', 'Yangsan-si'], ['48720', '의령군', 'Uiryeong-gun'], ['48730', '함안군', 'Haman-gun'],
+        ['48740', '창녕군', 'Changnyeong-gun'], ['48820', '고성군', 'Goseong-gun'], ['48840', '남해군', 'Namhae-gun'], ['48850', '하동군', 'Hadong-gun'], ['48860', '산청군', 'Sancheong-gun'],
+        ['48870', '함양군', 'Hamyang-gun'], ['48880', '거창군', 'Geochang-gun'], ['48890', '합천군', 'Hapcheon-gun']
+    ],
+    '50': [['50110', '제주시', 'Jeju-si'], ['50130', '서귀포시', 'Seogwipo-si']]
+};
+
+// Former 시군구: renamed or moved ones continue as the current region, merged ones keep their own series
+const FORMER_SIGUNGU = [
+    { sido: '28', code: '28170', name: '남구', renamedTo: '미추홀구', date: '2018-07-01' },
+    { sido: '47', code: '47720', name: '군위군', movedTo: { sido: '27', name: '군위군' }, date: '2023-07-01' },
+    { sido: '41', code: '41730', name: '여주군', renamedTo: '여주시', date: '2013-09-23' },
+    { sido: '44', code: '44830', name: '당진군', renamedTo: '당진시', date: '2012-01-01' },
+    { sido: '43', code: '43710', name: '청원군', mergedInto: '청주시', date: '2014-07-01' },
+    { sido: '48', code: '48160', name: '마산시', mergedInto: '창원시', date: '2010-07-01' },
+    { sido: '48', code: '48190', name: '진해시', mergedInto: '창원시', date: '2010-07-01' },
+    { sido: '44', code: '44730', name: '연기군', mergedInto: '세종특별자치시', date: '2012-07-01' },
+    { sido: '50', code: '50710', name: '북제주군', mergedInto: '제주시', date: '2006-07-01' },
+    { sido: '50', code: '50730', name: '남제주군', mergedInto: '서귀포시', date: '2006-07-01' }
+];
+
+const NATIONAL_LABELS = ['전국', '계', '합계', '총계', '전체', '국내', 'wholecountry', 'total', 'korea'];
+
+// Classification names of geographic dimensions. A bare 지역 (지역특성, 지역규모) is left to the
+// value check of findGeographicLevel
+const GEOGRAPHIC_DIMENSION = /^(?:행정구역|시·?도|시·?군·?구|지역별)|\b(?:region|province)/i;
+
+const cleanLabel = (label) => String(label ?? '').replace(/\(.*?\)|\[.*?\]/g, '').replace(/[\s·]/g, '').trim();
+
+const sidoByName = new Map(Object.entries(SIDO).flatMap(([code, sido]) => [sido.name, ...sido.aliases].map(name => [name, code])));
+
+const buildSido = (code) => ({
+    level: 'sido',
+    key: code,
+    code,
+    name: SIDO[code].name,
+    nameEng: SIDO[code].nameEng,
+    sidoCode: code,
+    sidoName: SIDO[code].name
+});
+
+const buildSigungu = (sidoCode, [code, name, nameEng]) => ({
+    level: 'sigungu',
+    key: `${sidoCode}/${name}`,
+    code,
+    name,
+    nameEng,
+    sidoCode,
+    sidoName: SIDO[sidoCode].name
+});
+
+/**
+ * Find the 시도 of a name, current or former ('강원도', '전북', '서울특별시').
+ * @returns {string|null} The current 시도 code.
+ */
+export const findSidoCode = (name) => sidoByName.get(cleanLabel(name)) || null;
+
+/**
+ * Find the 시도 of a standard code, current or former ('42' → '51').
+ * @returns {string|null} The current 시도 code.
+ */
+export const findSidoByCode = (code) => {
+    const prefix = String(code ?? '').slice(0, 2);
+    if (SIDO[prefix]) return prefix;
+    return Object.keys(SIDO).find(sidoCode => SIDO[sidoCode].previousCodes?.includes(prefix)) || null;
+};
+
+const findSigungu = (name, sidoCode) => {
+    const candidates = sidoCode ? [sidoCode] : Object.keys(SIGUNGU);
+    const matches = [];
+    for (const code of candidates) {
+        const former = FORMER_SIGUNGU.find(entry => entry.sido === code && entry.name === name);
+        if (former?.renamedTo) {
+            const current = SIGUNGU[code].find(([, sigungu]) => sigungu === former.renamedTo);
+            matches.push({ ...buildSigungu(code, current), formerName: name, changedOn: former.date });
+            continue;
+        }
+        if (former?.movedTo) {
+            const current = SIGUNGU[former.movedTo.sido].find(([, sigungu]) => sigungu === former.movedTo.name);
+            matches.push({ ...buildSigungu(former.movedTo.sido, current), formerSidoName: SIDO[code].name, changedOn: former.date });
+            continue;
+        }
+        if (former?.mergedInto) {
+            matches.push({
+                level: 'sigungu',
+                key: `${code}/${name}`,
+                code: former.code,
+                name,
+                nameEng: null,
+                sidoCode: code,
+                sidoName: SIDO[code].name,
+                abolished: { date: former.date, mergedInto: former.mergedInto }
+            });
+            continue;
+        }
+        const current = SIGUNGU[code].find(([, sigungu]) => sigungu === name);
+        if (current) matches.push(buildSigungu(code, current));
+    }
+    // Names such as 중구 exist in several cities and need their 시도
+    return matches.length === 1 ? matches[0] : null;
+};
+
+/**
+ * Find the region of a standard code, current or former: '11' or '1100000000' for a 시도,
+ * '11110' or '1111000000' for a 시군구 ('42110' → 춘천시, '28170' → 미추홀구).
+ * @returns {Object|null} The region, as resolveRegion returns it, or null when unknown.
+ */
+export const findRegionByCode = (code) => {
+    let digits = String(code ?? '').trim();
+    if (/^\d{5}0{5}$/.test(digits)) digits = digits.slice(0, 5);
+    if (/^\d{2}0{3}$/.test(digits)) digits = digits.slice(0, 2);
+    if (digits === NATIONAL_REGION.code) return { ...NATIONAL_REGION };
+    if (!/^\d{2}(\d{3})?$/.test(digits)) return null;
+
+    const sidoCode = findSidoByCode(digits);
+    if (!sidoCode) return null;
+    if (digits.length === 2) return buildSido(sidoCode);
+    const former = FORMER_SIGUNGU.find(entry => entry.code === digits);
+    if (former) return findSigungu(former.name, former.sido);
+    const current = SIGUNGU[sidoCode].find(([sigunguCode]) => sigunguCode === `${sidoCode}${digits.slice(2)}`);
+    return current ? buildSigungu(sidoCode, current) : null;
+};
+
+// Territorial changes after the start of the period, which break the comparison with later periods
+const getBoundaryNotes = (sidoCode, date) => (SIDO[sidoCode]?.boundaryChanges || [])
+    .filter(change => date && date < change.date)
+    .map(change => `${change.date}: ${change.note}`);
+
+/**
+ * Resolve a classification label to a region of the registry.
+ * Former names resolve to the current region (강원도 → 강원특별자치도, 인천 남구 → 미추홀구),
+ * so that series published under both line up on `key`. The classification code is the
+ * fallback for labels that are unknown or ambiguous (중구): tables also use statistical
+ * codes that differ from the standard ones, so the label wins when both resolve.
+ * @param {string} label - The classification label, e.g. '서울특별시', '강원도' or '서울특별시 종로구'.
+ * @param {Object} [context] - { code, parentLabel, date } with the classification code, the label of the
+ *   parent value and the period start.
+ * @returns {Object|null} { level, key, code, name, nameEng, sidoCode, sidoName, ... } or null when unknown.
+ */
+export const resolveRegion = (label, { code, parentLabel, date } = {}) => {
+    const text = String(label ?? '').replace(/\(.*?\)|\[.*?\]/g, '').trim();
+    if (NATIONAL_LABELS.includes(cleanLabel(text).toLowerCase())) return { ...NATIONAL_REGION };
+
+    let region = null;
+    const tokens = text.split(/\s+/).filter(Boolean);
+    const sidoCode = findSidoCode(text);
+    if (sidoCode) {
+        region = buildSido(sidoCode);
+        const sido = SIDO[sidoCode];
+        if (sido.renamed && cleanLabel(text) === sido.renamed.from) {
+            region.formerName = sido.renamed.from;
+            region.changedOn = sido.renamed.date;
+        }
+    } else if (tokens.length >= 2 && findSidoCode(tokens[0])) {
+        region = findSigungu(tokens.slice(1).join(''), findSidoCode(tokens[0]));
+    } else {
+        region = findSigungu(cleanLabel(text), parentLabel ? findSidoCode(parentLabel) : null);
+    }
+    if (!region && code) region = findRegionByCode(code);
+    if (!region || region.level !== 'sido') return region;
+
+    // 울산광역시 and 세종특별자치시 have no figures of their own before they were established
+    const since = SIDO[region.sidoCode].since;
+    if (since && date && date < since) region = { ...region, establishedOn: since, beforeEstablished: true };
+    const boundaryNotes = getBoundaryNotes(region.sidoCode, date);
+    return boundaryNotes.length > 0 ? { ...region, boundaryNotes } : region;
+};
+
+/**
+ * Find the classification level that holds regions: by the dimension name (행정구역별,
+ * 시도별, ...) or, failing that, when most of its values are regions of the registry.
+ * @param {Array<{level: number, name: string, values?: Array<{name: string}>}>} classifications -
+ *   The classifications of the table metadata, or of a data row ({ level, dimension, label }).
+ * @returns {number|null}
+ */
+export const findGeographicLevel = (classifications = []) => {
+    const byName = classifications.find(classification => GEOGRAPHIC_DIMENSION.test(classification.name || classification.dimension || ''));
+    if (byName) return byName.level;
+
+    const byValues = classifications.find(classification => {
+        const labels = (classification.values || []).map(value => value.name);
+        if (labels.length === 0 && classification.label) labels.push(classification.label);
+        const regional = labels.filter(label => resolveRegion(label)?.level === 'sido' || resolveRegion(label)?.level === 'sigungu');
+        return labels.length > 0 && regional.length / labels.length >= 0.5;
+    });
+    return byValues?.level ?? null;
+};
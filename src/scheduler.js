@@ -0,0 +1,112 @@
+import { KosisQuotaExceededError } from './errors.js';
+
+export const DEFAULT_SCHEDULER_OPTIONS = {
+    requestsPerSecond: 5,
+    requestsPerMinute: 200,
+    dailyQuota: 10000,
+    quotaUsed: 0
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A bucket holding up to `capacity` tokens, refilled evenly over `intervalMs`
+const createTokenBucket = (capacity, intervalMs) => {
+    let tokens = capacity;
+    let updatedAt = Date.now();
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + ((now - updatedAt) * capacity) / intervalMs);
+        updatedAt = now;
+    };
+
+    return {
+        // Milliseconds until the next token is available
+        waitTime() {
+            refill();
+            return tokens >= 1 ? 0 : Math.ceil(((1 - tokens) * intervalMs) / capacity);
+        },
+        take() {
+            tokens -= 1;
+        }
+    };
+};
+
+/**
+ * Create the request scheduler shared by all KOSIS calls of a run.
+ * Requests are released in FIFO order through token buckets for the per-second and
+ * per-minute rates, and are counted against the daily quota. Once the quota is
+ * used up, every further request fails with KosisQuotaExceededError without being sent.
+ * @param {Object} options - { requestsPerSecond, requestsPerMinute, dailyQuota, quotaUsed }.
+ *   A rate or quota of 0 disables that limit; quotaUsed is the count already spent today.
+ */
+export const createRequestScheduler = (options = {}) => {
+    const { requestsPerSecond, requestsPerMinute, dailyQuota, quotaUsed } = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+    const buckets = [];
+    if (requestsPerSecond > 0) buckets.push(createTokenBucket(requestsPerSecond, 1000));
+    if (requestsPerMinute > 0) buckets.push(createTokenBucket(requestsPerMinute, 60000));
+
+    let used = quotaUsed;
+    let sent = 0;
+    let queue = Promise.resolve();
+
+    const acquire = async () => {
+        if (dailyQuota > 0 && used >= dailyQuota) {
+            throw new KosisQuotaExceededError(`KOSIS API Error: daily quota of ${dailyQuota} requests reached`, { code: 'QUOTA' });
+        }
+
+        let delay;
+        while ((delay = Math.max(0, ...buckets.map(bucket => bucket.waitTime()))) > 0) {
+            await wait(delay);
+        }
+        buckets.forEach(bucket => bucket.take());
+        used++;
+        sent++;
+    };
+
+    return {
+        /**
+         * Run a request as soon as the rate limits allow it.
+         * @param {Function} task - Sends the request and returns its promise.
+         */
+        schedule(task) {
+            const turn = queue.then(acquire);
+            queue = turn.catch(() => {});
+            return turn.then(() => task());
+        },
+
+        getStats() {
+            return {
+                requestsSent: sent,
+                quotaUsed: used,
+                dailyQuota: dailyQuota > 0 ? dailyQuota : null,
+                quotaRemaining: dailyQuota > 0 ? Math.max(0, dailyQuota - used) : null
+            };
+        }
+    };
+};
+
+/**
+ * Map over items with at most `concurrency` calls of fn running at once.
+ * Results keep the order of the items.
+ */
+export const mapWithConcurrency = async (items, concurrency, fn) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+};
+
+// KOSIS counts its daily limits per calendar day in Korea (KST, UTC+9)
+export const getQuotaDate = (date = new Date()) => {
+    return new Date(date.getTime() + 9 * 60 * 60 * 1000).toISOString().slice(0, 10);
+};
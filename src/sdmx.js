@@ -0,0 +1,353 @@
+import { comparePeriods } from './periods.js';
+import { VALUE_STATUS } from './values.js';
+import { buildHierarchy } from './transformations.js';
+import { escapeXml } from './svg.js';
+
+export const SDMX_AGENCY = 'KOSIS';
+const VERSION = '1.0';
+
+// KOSIS period types as SDMX frequencies; irregular periods keep their KOSIS code as time period
+const SDMX_FREQUENCIES = {
+    Y: { id: 'A', name: '연', nameEng: 'Annual' },
+    H: { id: 'S', name: '반기', nameEng: 'Half-yearly' },
+    Q: { id: 'Q', name: '분기', nameEng: 'Quarterly' },
+    M: { id: 'M', name: '월', nameEng: 'Monthly' },
+    D: { id: 'D', name: '일', nameEng: 'Daily' },
+    IR: { id: 'I', name: '부정기', nameEng: 'Irregular' }
+};
+
+// Value statuses as codes of the SDMX cross-domain code list CL_OBS_STATUS
+const OBS_STATUS = {
+    [VALUE_STATUS.OBSERVED]: { id: 'A', name: '정상', nameEng: 'Normal value' },
+    [VALUE_STATUS.PRELIMINARY]: { id: 'P', name: '잠정', nameEng: 'Provisional value' },
+    [VALUE_STATUS.ESTIMATED]: { id: 'E', name: '추정', nameEng: 'Estimated value' },
+    [VALUE_STATUS.MISSING]: { id: 'O', name: '자료 없음', nameEng: 'Missing value' },
+    [VALUE_STATUS.CONFIDENTIAL]: { id: 'Q', name: '비밀보호', nameEng: 'Missing value; suppressed' },
+    [VALUE_STATUS.NOT_APPLICABLE]: { id: 'M', name: '해당 없음', nameEng: 'Missing value; data cannot exist' }
+};
+
+// SDMX code for a dimension that does not apply to a series
+const NOT_APPLICABLE_CODE = { id: '_Z', name: '해당 없음', nameEng: 'Not applicable' };
+
+const NAMESPACES = {
+    mes: 'http://www.sdmx.org/resources/sdmxml/schemas/v2_1/message',
+    str: 'http://www.sdmx.org/resources/sdmxml/schemas/v2_1/structure',
+    com: 'http://www.sdmx.org/resources/sdmxml/schemas/v2_1/common',
+    gen: 'http://www.sdmx.org/resources/sdmxml/schemas/v2_1/data/generic'
+};
+
+// SDMX identifiers allow letters, digits, _, @, $ and -; KOSIS codes may contain dots
+const toSdmxId = (code) => String(code ?? '').replace(/[^A-Za-z0-9_@$-]/g, '_') || '_';
+
+/**
+ * The SDMX time period of a KOSIS period: 2024, 2024-S1, 2024-Q1, 2024-01 or 2024-01-31.
+ */
+export const toSdmxTimePeriod = (period) => {
+    if (!period?.year || period.frequency === 'IR') return period?.code ?? null;
+    switch (period.frequency) {
+        case 'H': return `${period.year}-S${period.subPeriod}`;
+        case 'Q': return `${period.year}-Q${period.subPeriod}`;
+        case 'M': return `${period.year}-${String(period.subPeriod).padStart(2, '0')}`;
+        case 'D': return period.start;
+        default: return String(period.year);
+    }
+};
+
+/**
+ * @typedef {Object} SdmxCode
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} [nameEng]
+ * @property {string|null} [parentId]
+ */
+
+/**
+ * Map the records of one KOSIS table onto an SDMX data structure and its series.
+ *
+ * The data structure definition (DSD) has the dimensions FREQ, ITEM (the KOSIS items,
+ * the single measure OBS_VALUE being the value of an item) and one per classification
+ * (C1..C8), then TIME_PERIOD from PRD_DE. Attributes are UNIT_MEASURE and COMMENT
+ * (footnotes) per series and OBS_STATUS per observation. The code lists hold the codes
+ * that were fetched, with the parents of the metadata hierarchy.
+ *
+ * @param {Object[]} records - Normalized records of one table.
+ * @param {import('./metadata.js').TableMetadata|null} [metadata]
+ * @returns {{structure: Object, series: Object[]}|null} null when no record has a period.
+ */
+export const buildSdmx = (records, metadata = null) => {
+    const dated = records.filter(record => record.period);
+    if (dated.length === 0) return null;
+
+    const tableId = dated[0].sourceTableId;
+    const hierarchy = buildHierarchy(metadata);
+    const dimensionDefinitions = new Map([
+        ['FREQ', { name: '주기', nameEng: 'Frequency', codes: new Map() }],
+        ['ITEM', { name: '항목', nameEng: 'Item', hierarchy: hierarchy.get('item'), codes: new Map() }]
+    ]);
+    const levels = [...new Set(dated.flatMap(record => (record.metadata?.classifications || []).map(classification => classification.level)))]
+        .sort((a, b) => a - b);
+    for (const level of levels) {
+        const classification = dated.flatMap(record => record.metadata?.classifications || []).find(entry => entry.level === level);
+        dimensionDefinitions.set(`C${level}`, {
+            name: classification.dimension || `분류${level}`,
+            nameEng: metadata?.classifications?.find(entry => entry.level === level)?.nameEng || null,
+            hierarchy: hierarchy.get(`objL${level}`),
+            codes: new Map()
+        });
+    }
+    const addCode = (dimension, code) => {
+        const { codes } = dimensionDefinitions.get(dimension);
+        if (!codes.has(code.id)) codes.set(code.id, code);
+        return code.id;
+    };
+    const statuses = new Map();
+
+    const series = new Map();
+    for (const record of dated.sort((a, b) => comparePeriods(a.period, b.period))) {
+        const frequency = SDMX_FREQUENCIES[record.period.frequency] || SDMX_FREQUENCIES.IR;
+        const item = record.metadata?.item || {};
+        const key = [
+            addCode('FREQ', frequency),
+            addCode('ITEM', { id: toSdmxId(item.id), name: item.name || item.id || '', nameEng: item.nameEng || null, kosisCode: item.id ?? null }),
+            ...levels.map(level => {
+                const classification = record.metadata?.classifications?.find(entry => entry.level === level);
+                return addCode(`C${level}`, classification
+                    ? { id: toSdmxId(classification.code), name: classification.label, nameEng: classification.labelEng || null, kosisCode: classification.code }
+                    : NOT_APPLICABLE_CODE);
+            })
+        ];
+        const seriesKey = key.join(':');
+        if (!series.has(seriesKey)) {
+            series.set(seriesKey, {
+                key,
+                attributes: {
+                    UNIT_MEASURE: record.unit || null,
+                    COMMENT: record.footnotes?.length > 0 ? record.footnotes.join('\n') : null
+                },
+                observations: []
+            });
+        }
+        const status = OBS_STATUS[record.valueStatus] || OBS_STATUS[VALUE_STATUS.OBSERVED];
+        statuses.set(status.id, status);
+        series.get(seriesKey).observations.push({
+            time: toSdmxTimePeriod(record.period),
+            value: Number.isFinite(record.value) ? record.value : null,
+            status: status.id
+        });
+    }
+
+    const dsdId = `DSD_${toSdmxId(tableId)}`;
+    const dimensions = [...dimensionDefinitions].map(([id, definition]) => ({
+        id,
+        name: definition.name,
+        nameEng: definition.nameEng,
+        codelist: {
+            id: id === 'FREQ' ? 'CL_FREQ' : `CL_${toSdmxId(tableId)}_${id}`,
+            name: definition.name,
+            codes: [...definition.codes.values()].map(code => {
+                const parent = definition.hierarchy?.get(code.kosisCode)?.parentCode;
+                const parentId = parent !== undefined && definition.codes.has(toSdmxId(parent)) ? toSdmxId(parent) : null;
+                return { id: code.id, name: code.name, nameEng: code.nameEng || null, parentId };
+            })
+        }
+    }));
+
+    return {
+        structure: {
+            agencyId: SDMX_AGENCY,
+            id: dsdId,
+            version: VERSION,
+            name: dated[0].statName,
+            nameEng: metadata?.tableNameEng || null,
+            tableId,
+            conceptSchemeId: `CS_${toSdmxId(tableId)}`,
+            dimensions,
+            timeDimension: { id: 'TIME_PERIOD', name: '시점', nameEng: 'Time period' },
+            primaryMeasure: { id: 'OBS_VALUE', name: '값', nameEng: 'Observation value' },
+            attributes: [
+                { id: 'UNIT_MEASURE', name: '단위', nameEng: 'Unit of measure', attachment: 'series', codelist: null },
+                { id: 'COMMENT', name: '주석', nameEng: 'Comment', attachment: 'series', codelist: null },
+                {
+                    id: 'OBS_STATUS',
+                    name: '자료 상태',
+                    nameEng: 'Observation status',
+                    attachment: 'observation',
+                    codelist: { id: 'CL_OBS_STATUS', name: '자료 상태', codes: [...statuses.values()].map(status => ({ ...status, parentId: null })) }
+                }
+            ]
+        },
+        series: [...series.values()]
+    };
+};
+
+const codeName = (code) => code.name || code.id;
+
+/**
+ * An SDMX-JSON 1.0 data message, with the structure of the dimensions and attributes.
+ * @param {{structure: Object, series: Object[]}} sdmx - See buildSdmx.
+ * @param {Object} [options] - { prepared } timestamp, defaults to now.
+ * @returns {Object}
+ */
+export const toSdmxJson = ({ structure, series }, { prepared = new Date().toISOString() } = {}) => {
+    const times = [...new Set(series.flatMap(entry => entry.observations.map(observation => observation.time)))].sort();
+    const timeIndex = new Map(times.map((time, i) => [time, i]));
+    const codeIndex = structure.dimensions.map(dimension => new Map(dimension.codelist.codes.map((code, i) => [code.id, i])));
+    const seriesAttributes = structure.attributes.filter(attribute => attribute.attachment === 'series');
+    const attributeValues = seriesAttributes.map(attribute => [...new Set(series.map(entry => entry.attributes[attribute.id]).filter(Boolean))]);
+    const statusCodes = structure.attributes.find(attribute => attribute.id === 'OBS_STATUS').codelist.codes;
+    const statusIndex = new Map(statusCodes.map((code, i) => [code.id, i]));
+
+    return {
+        header: {
+            id: `${structure.id}_DATA`,
+            test: false,
+            prepared,
+            sender: { id: structure.agencyId },
+            structure: { agencyID: structure.agencyId, id: structure.id, version: structure.version }
+        },
+        dataSets: [{
+            action: 'Information',
+            series: Object.fromEntries(series.map(entry => [
+                entry.key.map((id, d) => codeIndex[d].get(id)).join(':'),
+                {
+                    attributes: seriesAttributes.map((attribute, a) => {
+                        const position = attributeValues[a].indexOf(entry.attributes[attribute.id]);
+                        return position === -1 ? null : position;
+                    }),
+                    observations: Object.fromEntries(entry.observations.map(observation => [
+                        timeIndex.get(observation.time),
+                        [observation.value, statusIndex.get(observation.status)]
+                    ]))
+                }
+            ]))
+        }],
+        structure: {
+            name: structure.name,
+            dimensions: {
+                series: structure.dimensions.map((dimension, d) => ({
+                    id: dimension.id,
+                    name: dimension.name,
+                    keyPosition: d,
+                    values: dimension.codelist.codes.map(code => ({
+                        id: code.id,
+                        name: codeName(code),
+                        ...(code.parentId ? { parent: code.parentId } : {})
+                    }))
+                })),
+                observation: [{
+                    id: structure.timeDimension.id,
+                    name: structure.timeDimension.name,
+                    role: 'time',
+                    values: times.map(time => ({ id: time, name: time }))
+                }]
+            },
+            attributes: {
+                dataSet: [],
+                series: seriesAttributes.map((attribute, a) => ({
+                    id: attribute.id,
+                    name: attribute.name,
+                    values: attributeValues[a].map(value => ({ name: value }))
+                })),
+                observation: [{
+                    id: 'OBS_STATUS',
+                    name: '자료 상태',
+                    values: statusCodes.map(code => ({ id: code.id, name: codeName(code) }))
+                }]
+            }
+        }
+    };
+};
+
+const names = (item, element = 'com:Name') => [
+    `<${element} xml:lang="ko">${escapeXml(item.name)}</${element}>`,
+    item.nameEng ? `<${element} xml:lang="en">${escapeXml(item.nameEng)}</${element}>` : ''
+].join('');
+
+const messageHeader = (id, structure, prepared, extra = '') => `<mes:Header><mes:ID>${escapeXml(id)}</mes:ID><mes:Test>false</mes:Test>`
+    + `<mes:Prepared>${prepared}</mes:Prepared><mes:Sender id="${structure.agencyId}"/>${extra}</mes:Header>`;
+
+const concepts = (structure) => [...structure.dimensions, structure.timeDimension, structure.primaryMeasure, ...structure.attributes];
+
+/**
+ * An SDMX-ML 2.1 structure message: the code lists, the concept scheme and the DSD.
+ * @param {{structure: Object}} sdmx - See buildSdmx.
+ * @param {Object} [options] - { prepared } timestamp, defaults to now.
+ * @returns {string}
+ */
+export const toSdmxStructureXml = ({ structure }, { prepared = new Date().toISOString() } = {}) => {
+    const maintainable = `agencyID="${structure.agencyId}" version="${structure.version}"`;
+    const conceptRef = (id) => `<str:ConceptIdentity><Ref id="${id}" maintainableParentID="${structure.conceptSchemeId}" maintainableParentVersion="${structure.version}" agencyID="${structure.agencyId}"/></str:ConceptIdentity>`;
+    const enumeration = (codelist) => `<str:LocalRepresentation><str:Enumeration><Ref id="${codelist.id}" ${maintainable} package="codesystem" class="Codelist"/></str:Enumeration></str:LocalRepresentation>`;
+    const codelists = [...structure.dimensions.map(dimension => dimension.codelist), ...structure.attributes.map(attribute => attribute.codelist).filter(Boolean)];
+    const seriesDimensions = structure.dimensions.map(dimension => `<str:Dimension><Ref id="${dimension.id}"/></str:Dimension>`).join('');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<mes:Structure xmlns:mes="${NAMESPACES.mes}" xmlns:str="${NAMESPACES.str}" xmlns:com="${NAMESPACES.com}">`,
+        messageHeader(`${structure.id}_STRUCTURE`, structure, prepared),
+        '<mes:Structures>',
+        '<str:Codelists>',
+        ...codelists.map(codelist => `<str:Codelist id="${codelist.id}" ${maintainable}>${names(codelist)}`
+            + codelist.codes.map(code => `<str:Code id="${escapeXml(code.id)}">${names({ ...code, name: codeName(code) })}`
+                + `${code.parentId ? `<str:Parent><Ref id="${escapeXml(code.parentId)}"/></str:Parent>` : ''}</str:Code>`).join('')
+            + '</str:Codelist>'),
+        '</str:Codelists>',
+        '<str:Concepts>',
+        `<str:ConceptScheme id="${structure.conceptSchemeId}" ${maintainable}>${names({ name: structure.name, nameEng: structure.nameEng })}`
+            + concepts(structure).map(concept => `<str:Concept id="${concept.id}">${names(concept)}</str:Concept>`).join('')
+            + '</str:ConceptScheme>',
+        '</str:Concepts>',
+        '<str:DataStructures>',
+        `<str:DataStructure id="${structure.id}" ${maintainable}>${names({ name: structure.name, nameEng: structure.nameEng })}`,
+        '<str:DataStructureComponents>',
+        '<str:DimensionList id="DimensionDescriptor">',
+        ...structure.dimensions.map((dimension, d) => `<str:Dimension id="${dimension.id}" position="${d + 1}">${conceptRef(dimension.id)}${enumeration(dimension.codelist)}</str:Dimension>`),
+        `<str:TimeDimension id="${structure.timeDimension.id}" position="${structure.dimensions.length + 1}">${conceptRef(structure.timeDimension.id)}`
+            + '<str:LocalRepresentation><str:TextFormat textType="ObservationalTimePeriod"/></str:LocalRepresentation></str:TimeDimension>',
+        '</str:DimensionList>',
+        '<str:AttributeList id="AttributeDescriptor">',
+        ...structure.attributes.map(attribute => `<str:Attribute id="${attribute.id}" assignmentStatus="Conditional">${conceptRef(attribute.id)}`
+            + (attribute.codelist ? enumeration(attribute.codelist) : '<str:LocalRepresentation><str:TextFormat textType="String"/></str:LocalRepresentation>')
+            + '<str:AttributeRelationship>'
+            + (attribute.attachment === 'series' ? seriesDimensions : `<str:PrimaryMeasure><Ref id="${structure.primaryMeasure.id}"/></str:PrimaryMeasure>`)
+            + '</str:AttributeRelationship></str:Attribute>'),
+        '</str:AttributeList>',
+        `<str:MeasureList id="MeasureDescriptor"><str:PrimaryMeasure id="${structure.primaryMeasure.id}">${conceptRef(structure.primaryMeasure.id)}</str:PrimaryMeasure></str:MeasureList>`,
+        '</str:DataStructureComponents>',
+        '</str:DataStructure>',
+        '</str:DataStructures>',
+        '</mes:Structures>',
+        '</mes:Structure>'
+    ].join('\n');
+};
+
+/**
+ * An SDMX-ML 2.1 generic data message, one series per key with time as observation dimension.
+ * @param {{structure: Object, series: Object[]}} sdmx - See buildSdmx.
+ * @param {Object} [options] - { prepared } timestamp, defaults to now.
+ * @returns {string}
+ */
+export const toSdmxDataXml = ({ structure, series }, { prepared = new Date().toISOString() } = {}) => {
+    const value = (id, text) => `<gen:Value id="${id}" value="${escapeXml(text)}"/>`;
+    const structureRef = `<mes:Structure structureID="${structure.id}" dimensionAtObservation="${structure.timeDimension.id}">`
+        + `<com:Structure><Ref agencyID="${structure.agencyId}" id="${structure.id}" version="${structure.version}"/></com:Structure></mes:Structure>`;
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<mes:GenericData xmlns:mes="${NAMESPACES.mes}" xmlns:gen="${NAMESPACES.gen}" xmlns:com="${NAMESPACES.com}">`,
+        messageHeader(`${structure.id}_DATA`, structure, prepared, structureRef),
+        `<mes:DataSet structureRef="${structure.id}">`,
+        ...series.map(entry => {
+            const attributes = Object.entries(entry.attributes).filter(([, text]) => text);
+            return '<gen:Series>'
+                + `<gen:SeriesKey>${entry.key.map((id, d) => value(structure.dimensions[d].id, id)).join('')}</gen:SeriesKey>`
+                + (attributes.length > 0 ? `<gen:Attributes>${attributes.map(([id, text]) => value(id, text)).join('')}</gen:Attributes>` : '')
+                + entry.observations.map(observation => `<gen:Obs><gen:ObsDimension value="${escapeXml(observation.time)}"/>`
+                    + `<gen:ObsValue value="${observation.value ?? 'NaN'}"/>`
+                    + `<gen:Attributes>${value('OBS_STATUS', observation.status)}</gen:Attributes></gen:Obs>`).join('')
+                + '</gen:Series>';
+        }),
+        '</mes:DataSet>',
+        '</mes:GenericData>'
+    ].join('\n');
+};
@@ -0,0 +1,100 @@
+import { searchStatistics, logProgress, logEvent } from './utils.js';
+import { crawlStatsTables } from './crawler.js';
+
+// Fields of a KOSIS list/search row that are matched against the keyword, with their weight
+const SEARCH_FIELD_WEIGHTS = {
+    TBL_NM: 10,
+    LIST_NM: 8,
+    STAT_NM: 5,
+    MT_ATITLE: 3,
+    breadcrumb: 2,
+    CONTENTS: 1
+};
+
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const tokenize = (keyword) => normalizeText(keyword).split(' ').filter(Boolean);
+
+/**
+ * Score how well a KOSIS list or search row matches a keyword.
+ * Exact and prefix matches on the table name rank highest; partial token matches
+ * on secondary fields (survey name, category path, contents) add smaller amounts.
+ * @param {Object} table - A row returned by statisticsList.do or statisticsSearch.do.
+ * @param {string} keyword - The user's search keyword(s).
+ * @returns {number} The relevance score, 0 when nothing matches.
+ */
+export const scoreRelevance = (table, keyword) => {
+    const phrase = normalizeText(keyword);
+    const tokens = tokenize(keyword);
+    if (!phrase) return 0;
+
+    let score = 0;
+    for (const [field, weight] of Object.entries(SEARCH_FIELD_WEIGHTS)) {
+        const value = normalizeText(table[field]);
+        if (!value) continue;
+
+        if (value === phrase) {
+            score += weight * 10;
+        } else if (value.startsWith(phrase)) {
+            score += weight * 6;
+        } else if (value.includes(phrase)) {
+            score += weight * 4;
+        }
+
+        const matchedTokens = tokens.filter(token => value.includes(token)).length;
+        score += weight * matchedTokens;
+    }
+
+    return score;
+};
+
+export const filterByKeyword = (tables, keyword) => {
+    const tokens = tokenize(keyword);
+    if (tokens.length === 0) return tables;
+
+    return tables.filter(table => {
+        const name = normalizeText(`${table.TBL_NM || ''} ${table.LIST_NM || ''} ${table.breadcrumb || ''}`);
+        return tokens.every(token => name.includes(token));
+    });
+};
+
+/**
+ * Sort tables by relevance to the keyword. Ties keep their original order,
+ * so KOSIS's own ranking is preserved between equally scored rows.
+ */
+export const rankByRelevance = (tables, keyword) => {
+    return tables
+        .map((table, index) => ({ table, index, score: scoreRelevance(table, keyword) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ table, score }) => ({ ...table, relevanceScore: score }));
+};
+
+/**
+ * Find statistical tables matching a keyword.
+ * Uses the KOSIS integrated search first and falls back to crawling the category
+ * tree and filtering it client-side when the search endpoint fails or finds nothing.
+ */
+export const findStatsTables = async (apiClient, searchParams) => {
+    const keyword = searchParams.searchKeyword;
+
+    try {
+        logEvent('api.call_initiated', { api: 'searchStatistics', keyword });
+        const results = await searchStatistics(apiClient, keyword);
+        logEvent('api.call_successful', { api: 'searchStatistics', resultCount: results.length });
+
+        // Search rows without a table ID are statistical surveys, not queryable tables
+        const tables = results.filter(row => row.TBL_ID);
+        if (tables.length > 0) {
+            return rankByRelevance(tables, keyword);
+        }
+        logProgress('Integrated search returned no tables, filtering the category tree instead', { keyword });
+    } catch (error) {
+        logEvent('api.call_failed', { api: 'searchStatistics', error: error.message });
+        logProgress('Integrated search failed, filtering the category tree instead', { error: error.message });
+    }
+
+    // Crawl without a table limit, maxItems applies to the filtered result
+    const { searchKeyword, maxTables, ...crawlParams } = searchParams;
+    const statsList = await crawlStatsTables(apiClient, crawlParams);
+    return rankByRelevance(filterByKeyword(statsList, searchKeyword), searchKeyword);
+};
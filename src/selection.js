@@ -0,0 +1,111 @@
+import { MAX_CLASSIFICATION_LEVELS } from './metadata.js';
+
+export const SELECT_ALL = 'ALL';
+
+export const OBJ_LEVEL_KEYS = Array.from({ length: MAX_CLASSIFICATION_LEVELS }, (_, index) => `objL${index + 1}`);
+
+// How many valid IDs are listed in a selection error before it is truncated
+const MAX_LISTED_IDS = 20;
+
+/**
+ * Normalize a selection value from the input into either 'ALL' or a list of IDs.
+ * Accepts arrays, comma/space separated strings and the 'ALL' keyword.
+ * @returns {string|string[]|undefined} undefined when nothing was selected.
+ */
+export const normalizeSelectionValue = (value) => {
+    if (value === undefined || value === null) return undefined;
+
+    const ids = (Array.isArray(value) ? value : String(value).split(/[,\s]+/))
+        .map(id => String(id).trim())
+        .filter(Boolean);
+
+    if (ids.length === 0) return undefined;
+    if (ids.some(id => id.toUpperCase() === SELECT_ALL)) return SELECT_ALL;
+    return [...new Set(ids)];
+};
+
+/**
+ * Normalize the item/classification selection part of the actor input.
+ * @param {Object} input - An object with `itemIds` and `objL1`..`objL8` (or a `classificationValues` map).
+ * @returns {Object} { itemIds, objL1, ... } with only the selected keys present.
+ */
+export const normalizeSelection = (input = {}) => {
+    const selection = {};
+    const itemIds = normalizeSelectionValue(input.itemIds);
+    if (itemIds) selection.itemIds = itemIds;
+
+    const classificationValues = { ...(input.classificationValues || {}), ...input };
+    for (const key of OBJ_LEVEL_KEYS) {
+        const values = normalizeSelectionValue(classificationValues[key]);
+        if (values) selection[key] = values;
+    }
+    return selection;
+};
+
+/**
+ * Merge the global selection with the per-table override for one table.
+ * Per-table entries replace the global value of the same key.
+ */
+export const resolveTableSelection = (input, tableId) => {
+    return {
+        ...(input.selection || {}),
+        ...(input.tableSelections?.[tableId] || {})
+    };
+};
+
+const describeIds = (ids) => {
+    const listed = ids.slice(0, MAX_LISTED_IDS).join(', ');
+    return ids.length > MAX_LISTED_IDS ? `${listed}, ... (${ids.length} in total)` : listed;
+};
+
+const checkSelectedIds = (selected, validIds, label, tableId) => {
+    if (selected === SELECT_ALL || validIds.length === 0) return;
+
+    const unknown = selected.filter(id => !validIds.includes(id));
+    if (unknown.length > 0) {
+        throw new Error(`Invalid ${label} for table ${tableId}: ${unknown.join(', ')}. Valid values: ${describeIds(validIds)}`);
+    }
+};
+
+// KOSIS takes multiple IDs separated by spaces (sent as '+' in the query string)
+const toQueryValue = (selected) => (selected === SELECT_ALL ? SELECT_ALL : selected.join(' '));
+
+/**
+ * Build the itmId/objL1..objL8 parameters of statisticsParameterData.do for one table.
+ * Selected IDs are checked against the table metadata. Levels the caller did not select
+ * are discovered from the metadata and requested in full, levels the table does not have
+ * are left out.
+ * @param {import('./metadata.js').TableMetadata|null} metadata - The table metadata, if available.
+ * @param {Object} selection - A normalized selection (see normalizeSelection).
+ * @param {string} tableId - Used in error messages.
+ * @returns {Object} { itmId, objL1, ... }
+ */
+export const buildDataQuery = (metadata, selection = {}, tableId = metadata?.tableId) => {
+    const query = {};
+
+    const itemIds = selection.itemIds || SELECT_ALL;
+    checkSelectedIds(itemIds, (metadata?.items || []).map(item => item.id), 'item IDs', tableId);
+    query.itmId = toQueryValue(itemIds);
+
+    // Without metadata the table layout is unknown; fall back to the selected levels (or objL1)
+    const levelCount = metadata?.classifications?.length
+        ? metadata.classifications.length
+        : Math.max(1, ...OBJ_LEVEL_KEYS.map((key, index) => (selection[key] ? index + 1 : 0)));
+
+    OBJ_LEVEL_KEYS.forEach((key, index) => {
+        const level = index + 1;
+        if (level > levelCount) {
+            if (selection[key]) {
+                throw new Error(`Invalid classification level for table ${tableId}: ${key} was selected but the table only has ${levelCount} classification level(s)`);
+            }
+            return;
+        }
+
+        const classification = metadata?.classifications?.find(entry => entry.level === level);
+        const values = selection[key] || SELECT_ALL;
+        checkSelectedIds(values, (classification?.values || []).map(value => value.id), `${key} values (${classification?.name || key})`, tableId);
+        query[key] = toQueryValue(values);
+    });
+
+    return query;
+};
@@ -0,0 +1,26 @@
+// Simplified 시도 boundaries (WGS84, coordinates rounded to 0.001°), keyed by the standard
+// codes of the region registry. From Natural Earth admin-1 (public domain), as distributed
+// in the datamaps package; 군위군 is still drawn within 경상북도, as before 2023-07-01.
+
+export const SIDO_BOUNDARIES = {
+    type: 'FeatureCollection',
+    features: [
+        { type: 'Feature', properties: { code: '11' }, geometry: { type: 'Polygon', coordinates: [[[127.116,37.551],[127.143,37.551],[127.167,37.558],[127.187,37.558],[127.195,37.543],[127.192,37.528],[127.178,37.523],[127.163,37.515],[127.163,37.497],[127.171,37.489],[127.154,37.471],[127.145,37.458],[127.119,37.446],[127.09,37.44],[127.061,37.429],[127.049,37.449],[127.024,37.445],[127,37.439],[126.982,37.431],[126.964,37.428],[126.921,37.429],[126.891,37.46],[126.862,37.467],[126.843,37.478],[126.837,37.506],[126.817,37.529],[126.794,37.552],[126.809,37.577],[126.837,37.576],[126.869,37.56],[126.893,37.567],[126.914,37.577],[126.915,37.594],[126.921,37.61],[126.966,37.613],[126.989,37.637],[127.003,37.66],[127.023,37.677],[127.054,37.683],[127.09,37.681],[127.107,37.657],[127.114,37.626],[127.124,37.603],[127.125,37.579],[127.116,37.551]]] } },
+        { type: 'Feature', properties: { code: '26' }, geometry: { type: 'MultiPolygon', coordinates: [[[[129.097,35.059],[129.089,35.05],[129.082,35.054],[129.076,35.062],[129.056,35.07],[129.047,35.079],[129.047,35.092],[129.055,35.098],[129.065,35.097],[129.07,35.093],[129.075,35.087],[129.084,35.079],[129.09,35.076],[129.084,35.072],[129.083,35.064],[129.097,35.059]]],[[[129.199,35.164],[129.194,35.156],[129.179,35.156],[129.167,35.156],[129.153,35.154],[129.143,35.155],[129.132,35.151],[129.12,35.15],[129.119,35.136],[129.127,35.126],[129.129,35.114],[129.123,35.101],[129.101,35.092],[129.083,35.105],[129.072,35.113],[129.064,35.121],[129.038,35.098],[129.026,35.08],[129.022,35.06],[129.014,35.055],[129.009,35.065],[128.997,35.076],[128.998,35.066],[129,35.046],[128.993,35.046],[128.989,35.053],[128.985,35.054],[128.975,35.049],[128.965,35.044],[128.958,35.05],[128.95,35.073],[128.954,35.093],[128.961,35.119],[128.963,35.133],[128.971,35.146],[128.986,35.161],[129.001,35.179],[129.011,35.238],[129.025,35.253],[129.044,35.264],[129.068,35.272],[129.093,35.271],[129.113,35.261],[129.118,35.239],[129.136,35.218],[129.159,35.203],[129.177,35.184],[129.197,35.167],[129.199,35.164]]]] } },
+        { type: 'Feature', properties: { code: '27' }, geometry: { type: 'Polygon', coordinates: [[[128.741,35.849],[128.734,35.851],[128.724,35.85],[128.725,35.843],[128.724,35.835],[128.714,35.815],[128.714,35.808],[128.711,35.799],[128.689,35.788],[128.631,35.8],[128.599,35.803],[128.584,35.794],[128.57,35.774],[128.562,35.768],[128.553,35.774],[128.541,35.781],[128.523,35.793],[128.511,35.811],[128.497,35.823],[128.481,35.828],[128.475,35.846],[128.489,35.862],[128.504,35.862],[128.52,35.864],[128.524,35.874],[128.526,35.884],[128.518,35.886],[128.508,35.887],[128.519,35.907],[128.536,35.922],[128.53,35.968],[128.577,36],[128.64,36.007],[128.693,36.009],[128.733,35.986],[128.746,35.968],[128.745,35.96],[128.741,35.953],[128.741,35.928],[128.749,35.918],[128.76,35.91],[128.762,35.895],[128.762,35.878],[128.757,35.862],[128.741,35.849]]] } },
+        { type: 'Feature', properties: { code: '28' }, geometry: { type: 'MultiPolygon', coordinates: [[[[126.576,37.502],[126.581,37.496],[126.583,37.49],[126.578,37.489],[126.569,37.484],[126.566,37.48],[126.548,37.477],[126.541,37.478],[126.53,37.474],[126.507,37.466],[126.494,37.457],[126.487,37.447],[126.443,37.421],[126.434,37.422],[126.424,37.422],[126.42,37.422],[126.416,37.435],[126.408,37.439],[126.405,37.435],[126.401,37.434],[126.4,37.437],[126.402,37.44],[126.399,37.445],[126.393,37.446],[126.389,37.441],[126.383,37.437],[126.376,37.44],[126.365,37.442],[126.371,37.447],[126.369,37.453],[126.358,37.461],[126.356,37.466],[126.359,37.474],[126.365,37.475],[126.374,37.472],[126.419,37.497],[126.451,37.5],[126.473,37.499],[126.494,37.508],[126.501,37.53],[126.515,37.534],[126.526,37.525],[126.532,37.523],[126.538,37.521],[126.543,37.519],[126.549,37.519],[126.555,37.518],[126.563,37.514],[126.567,37.511],[126.571,37.506],[126.576,37.502]]],[[[126.701,37.552],[126.76,37.507],[126.759,37.483],[126.77,37.464],[126.786,37.455],[126.796,37.443],[126.786,37.418],[126.772,37.396],[126.759,37.389],[126.752,37.384],[126.72,37.377],[126.717,37.384],[126.665,37.389],[126.64,37.364],[126.615,37.38],[126.625,37.398],[126.639,37.414],[126.63,37.425],[126.612,37.433],[126.596,37.44],[126.598,37.458],[126.595,37.472],[126.605,37.486],[126.633,37.493],[126.642,37.496],[126.644,37.504],[126.631,37.507],[126.627,37.499],[126.606,37.497],[126.601,37.507],[126.599,37.525],[126.604,37.549],[126.649,37.551],[126.701,37.552]]]] } },
+        { type: 'Feature', properties: { code: '29' }, geometry: { type: 'Polygon', coordinates: [[[126.986,35.239],[127.006,35.193],[126.966,35.15],[126.905,35.158],[126.85,35.185],[126.823,35.234],[126.844,35.251],[126.88,35.243],[126.907,35.248],[126.934,35.255],[126.986,35.239]]] } },
+        { type: 'Feature', properties: { code: '30' }, geometry: { type: 'Polygon', coordinates: [[[127.353,36.479],[127.35,36.471],[127.354,36.464],[127.361,36.458],[127.37,36.454],[127.375,36.443],[127.372,36.426],[127.402,36.419],[127.434,36.425],[127.446,36.438],[127.46,36.435],[127.458,36.424],[127.47,36.419],[127.472,36.401],[127.482,36.374],[127.477,36.351],[127.464,36.334],[127.45,36.291],[127.424,36.274],[127.409,36.27],[127.366,36.244],[127.317,36.233],[127.296,36.288],[127.291,36.36],[127.273,36.389],[127.219,36.456],[127.265,36.466],[127.33,36.481],[127.353,36.479]]] } },
+        { type: 'Feature', properties: { code: '31' }, geometry: { type: 'Polygon', coordinates: [[[129.286,35.613],[129.379,35.626],[129.458,35.611],[129.459,35.611],[129.461,35.609],[129.467,35.6],[129.463,35.578],[129.461,35.552],[129.455,35.513],[129.444,35.497],[129.428,35.479],[129.413,35.472],[129.406,35.49],[129.4,35.513],[129.387,35.53],[129.374,35.533],[129.365,35.513],[129.379,35.511],[129.387,35.502],[129.391,35.49],[129.392,35.476],[129.387,35.462],[129.377,35.459],[129.366,35.458],[129.358,35.452],[129.359,35.445],[129.361,35.426],[129.365,35.407],[129.355,35.395],[129.347,35.382],[129.355,35.373],[129.362,35.367],[129.36,35.354],[129.34,35.348],[129.321,35.339],[129.293,35.316],[129.269,35.317],[129.269,35.316],[129.265,35.319],[129.236,35.327],[129.215,35.344],[129.208,35.372],[129.185,35.387],[129.133,35.41],[129.09,35.45],[129.064,35.466],[129.003,35.474],[128.988,35.499],[129.013,35.54],[129.008,35.58],[129.033,35.595],[129.058,35.608],[129.074,35.608],[129.08,35.618],[129.07,35.631],[129.065,35.645],[129.099,35.666],[129.141,35.678],[129.176,35.682],[129.209,35.676],[129.245,35.664],[129.254,35.652],[129.254,35.637],[129.257,35.623],[129.269,35.616],[129.286,35.613]]] } },
+        { type: 'Feature', properties: { code: '36' }, geometry: { type: 'Polygon', coordinates: [[[127.247,36.646],[127.227,36.612],[127.229,36.595],[127.216,36.566],[127.212,36.536],[127.285,36.548],[127.361,36.544],[127.361,36.533],[127.356,36.523],[127.354,36.516],[127.357,36.509],[127.358,36.504],[127.359,36.499],[127.357,36.489],[127.353,36.479],[127.33,36.481],[127.265,36.466],[127.219,36.456],[127.151,36.441],[127.06,36.456],[127.069,36.477],[127.084,36.488],[127.081,36.64],[127.104,36.692],[127.247,36.646]]] } },
+        { type: 'Feature', properties: { code: '41' }, geometry: { type: 'MultiPolygon', coordinates: [[[[126.159,37.232],[126.155,37.226],[126.142,37.215],[126.133,37.212],[126.122,37.211],[126.112,37.215],[126.105,37.224],[126.103,37.229],[126.1,37.228],[126.093,37.225],[126.089,37.226],[126.089,37.23],[126.092,37.246],[126.097,37.259],[126.105,37.268],[126.113,37.263],[126.12,37.254],[126.127,37.249],[126.152,37.239],[126.159,37.232]]],[[[126.478,37.242],[126.469,37.233],[126.458,37.231],[126.45,37.236],[126.442,37.235],[126.436,37.238],[126.433,37.251],[126.435,37.264],[126.444,37.273],[126.461,37.281],[126.484,37.279],[126.494,37.274],[126.498,37.261],[126.494,37.257],[126.483,37.254],[126.479,37.248],[126.478,37.242]]],[[[126.574,37.279],[126.578,37.271],[126.59,37.266],[126.609,37.259],[126.614,37.255],[126.616,37.251],[126.619,37.242],[126.614,37.233],[126.563,37.2],[126.539,37.198],[126.54,37.203],[126.55,37.215],[126.552,37.222],[126.547,37.227],[126.56,37.239],[126.561,37.251],[126.555,37.266],[126.548,37.276],[126.541,37.283],[126.543,37.285],[126.559,37.279],[126.573,37.288],[126.577,37.288],[126.574,37.279]]],[[[125.694,37.654],[125.688,37.652],[125.685,37.657],[125.679,37.67],[125.68,37.678],[125.688,37.679],[125.699,37.678],[125.706,37.672],[125.703,37.661],[125.694,37.654]]],[[[126.37,37.658],[126.35,37.657],[126.282,37.699],[126.291,37.706],[126.295,37.714],[126.301,37.732],[126.304,37.737],[126.309,37.742],[126.314,37.746],[126.32,37.747],[126.324,37.746],[126.326,37.742],[126.328,37.738],[126.331,37.72],[126.332,37.716],[126.337,37.71],[126.343,37.704],[126.357,37.695],[126.369,37.687],[126.379,37.679],[126.381,37.669],[126.37,37.658]]],[[[124.765,37.779],[124.771,37.775],[124.768,37.77],[124.761,37.768],[124.752,37.77],[124.745,37.768],[124.739,37.762],[124.73,37.759],[124.734,37.769],[124.741,37.773],[124.741,37.775],[124.743,37.778],[124.756,37.778],[124.765,37.779]]],[[[126.277,37.812],[126.295,37.802],[126.315,37.803],[126.333,37.8],[126.343,37.792],[126.336,37.774],[126.318,37.762],[126.296,37.761],[126.255,37.768],[126.245,37.765],[126.234,37.761],[126.224,37.76],[126.22,37.771],[126.223,37.775],[126.234,37.802],[126.246,37.812],[126.261,37.815],[126.277,37.812]]],[[[126.529,37.625],[126.518,37.604],[126.508,37.597],[126.5,37.596],[126.494,37.598],[126.484,37.607],[126.476,37.611],[126.471,37.61],[126.467,37.606],[126.463,37.604],[126.41,37.602],[126.391,37.609],[126.37,37.631],[126.401,37.637],[126.408,37.641],[126.417,37.652],[126.416,37.657],[126.41,37.66],[126.405,37.665],[126.369,37.719],[126.367,37.727],[126.371,37.738],[126.37,37.785],[126.374,37.796],[126.383,37.799],[126.407,37.821],[126.425,37.824],[126.441,37.815],[126.456,37.801],[126.471,37.79],[126.504,37.777],[126.516,37.767],[126.521,37.751],[126.52,37.743],[126.515,37.73],[126.514,37.724],[126.516,37.717],[126.526,37.703],[126.528,37.696],[126.531,37.66],[126.528,37.652],[126.533,37.646],[126.539,37.635],[126.542,37.631],[126.529,37.625]]],[[[124.714,37.81],[124.707,37.806],[124.699,37.807],[124.692,37.805],[124.687,37.801],[124.685,37.8],[124.685,37.803],[124.685,37.804],[124.681,37.809],[124.674,37.817],[124.677,37.825],[124.693,37.836],[124.704,37.844],[124.709,37.848],[124.716,37.847],[124.724,37.844],[124.726,37.837],[124.721,37.828],[124.718,37.818],[124.714,37.81]]],[[[124.733,37.98],[124.744,37.97],[124.742,37.955],[124.728,37.947],[124.709,37.956],[124.683,37.955],[124.678,37.953],[124.678,37.942],[124.688,37.938],[124.7,37.937],[124.705,37.933],[124.685,37.92],[124.644,37.925],[124.614,37.945],[124.624,37.98],[124.649,37.973],[124.705,37.989],[124.733,37.98]]],[[[127.071,38.133],[127.082,38.12],[127.095,38.121],[127.106,38.111],[127.14,38.087],[127.177,38.074],[127.19,38.09],[127.19,38.123],[127.193,38.133],[127.2,38.139],[127.207,38.136],[127.209,38.126],[127.213,38.116],[127.233,38.105],[127.256,38.109],[127.27,38.12],[127.284,38.134],[127.291,38.138],[127.299,38.139],[127.307,38.138],[127.314,38.134],[127.31,38.127],[127.304,38.12],[127.296,38.102],[127.297,38.084],[127.313,38.072],[127.328,38.065],[127.366,38.058],[127.408,38.069],[127.425,38.06],[127.432,38.06],[127.437,38.064],[127.445,38.066],[127.452,38.061],[127.461,38.037],[127.466,37.99],[127.479,37.964],[127.504,37.949],[127.528,37.95],[127.55,37.949],[127.564,37.92],[127.583,37.913],[127.602,37.91],[127.626,37.881],[127.621,37.841],[127.609,37.827],[127.589,37.821],[127.538,37.792],[127.54,37.776],[127.54,37.76],[127.534,37.746],[127.542,37.728],[127.547,37.71],[127.518,37.683],[127.53,37.671],[127.556,37.678],[127.556,37.657],[127.552,37.638],[127.541,37.621],[127.54,37.605],[127.562,37.59],[127.589,37.596],[127.616,37.593],[127.641,37.58],[127.667,37.572],[127.723,37.547],[127.757,37.543],[127.781,37.536],[127.805,37.534],[127.82,37.524],[127.831,37.508],[127.821,37.491],[127.801,37.484],[127.782,37.466],[127.769,37.448],[127.775,37.426],[127.767,37.403],[127.706,37.298],[127.661,37.211],[127.607,37.131],[127.6,37.121],[127.592,37.111],[127.584,37.107],[127.576,37.102],[127.57,37.094],[127.565,37.085],[127.518,37.014],[127.493,37],[127.487,37.006],[127.467,37.01],[127.452,36.996],[127.444,36.98],[127.432,36.967],[127.406,36.958],[127.39,36.944],[127.381,36.915],[127.347,36.906],[127.305,36.889],[127.26,36.879],[127.213,36.884],[127.174,36.91],[127.131,36.926],[127.048,36.897],[127.009,36.897],[126.962,36.905],[126.974,36.913],[126.99,36.919],[127,36.928],[127.007,36.953],[127.005,36.957],[126.996,36.965],[126.994,36.967],[127,36.971],[127.005,36.971],[127.01,36.971],[127.024,36.977],[127.033,36.979],[127.039,36.982],[127.042,36.994],[126.982,36.98],[126.973,36.97],[126.976,36.939],[126.969,36.932],[126.946,36.926],[126.913,36.93],[126.873,36.948],[126.838,36.976],[126.824,37.003],[126.884,37.008],[126.884,37.014],[126.88,37.016],[126.871,37.021],[126.882,37.023],[126.893,37.022],[126.902,37.019],[126.911,37.014],[126.907,37.033],[126.893,37.05],[126.883,37.07],[126.89,37.096],[126.879,37.1],[126.87,37.091],[126.865,37.075],[126.863,37.059],[126.859,37.041],[126.849,37.037],[126.84,37.045],[126.821,37.042],[126.801,37.038],[126.755,37.049],[126.756,37.06],[126.751,37.07],[126.755,37.084],[126.753,37.101],[126.764,37.118],[126.778,37.133],[126.794,37.139],[126.811,37.144],[126.837,37.144],[126.864,37.15],[126.869,37.157],[126.871,37.175],[126.865,37.179],[126.851,37.173],[126.83,37.159],[126.817,37.161],[126.807,37.165],[126.802,37.173],[126.802,37.185],[126.779,37.176],[126.759,37.165],[126.724,37.134],[126.714,37.128],[126.703,37.125],[126.692,37.125],[126.686,37.13],[126.686,37.139],[126.692,37.148],[126.707,37.165],[126.678,37.159],[126.668,37.162],[126.665,37.175],[126.671,37.186],[126.683,37.191],[126.697,37.195],[126.707,37.2],[126.719,37.213],[126.716,37.216],[126.689,37.213],[126.68,37.218],[126.673,37.228],[126.667,37.242],[126.658,37.254],[126.663,37.255],[126.666,37.257],[126.672,37.262],[126.679,37.257],[126.691,37.258],[126.71,37.262],[126.726,37.258],[126.739,37.252],[126.752,37.248],[126.768,37.254],[126.766,37.243],[126.768,37.232],[126.772,37.224],[126.782,37.22],[126.792,37.223],[126.797,37.233],[126.802,37.254],[126.819,37.274],[126.833,37.273],[126.849,37.265],[126.871,37.268],[126.866,37.276],[126.86,37.282],[126.852,37.286],[126.843,37.288],[126.829,37.288],[126.823,37.296],[126.808,37.298],[126.796,37.295],[126.784,37.295],[126.765,37.298],[126.733,37.306],[126.69,37.332],[126.687,37.344],[126.707,37.366],[126.72,37.377],[126.752,37.384],[126.759,37.389],[126.772,37.396],[126.786,37.418],[126.796,37.443],[126.786,37.455],[126.77,37.464],[126.759,37.483],[126.76,37.507],[126.701,37.552],[126.649,37.551],[126.604,37.549],[126.599,37.558],[126.591,37.573],[126.582,37.584],[126.572,37.598],[126.561,37.607],[126.56,37.621],[126.556,37.641],[126.545,37.673],[126.531,37.755],[126.535,37.768],[126.548,37.77],[126.603,37.755],[126.621,37.758],[126.636,37.763],[126.649,37.765],[126.662,37.758],[126.667,37.746],[126.669,37.728],[126.667,37.709],[126.662,37.696],[126.661,37.672],[126.692,37.652],[126.731,37.639],[126.755,37.638],[126.736,37.653],[126.679,37.686],[126.696,37.722],[126.701,37.743],[126.696,37.758],[126.687,37.774],[126.686,37.782],[126.685,37.794],[126.689,37.814],[126.7,37.83],[126.692,37.837],[126.683,37.836],[126.667,37.828],[126.661,37.914],[126.666,37.938],[126.678,37.945],[126.696,37.946],[126.722,37.954],[126.762,37.979],[126.847,38.082],[126.865,38.096],[126.903,38.12],[126.92,38.135],[126.94,38.174],[126.954,38.201],[126.966,38.213],[126.986,38.205],[127.021,38.188],[127.036,38.18],[127.044,38.165],[127.055,38.158],[127.064,38.149],[127.071,38.133]],[[127.003,37.66],[126.989,37.637],[126.966,37.613],[126.921,37.61],[126.915,37.594],[126.914,37.577],[126.893,37.567],[126.869,37.56],[126.837,37.576],[126.809,37.577],[126.794,37.552],[126.817,37.529],[126.837,37.506],[126.843,37.478],[126.862,37.467],[126.891,37.46],[126.921,37.429],[126.964,37.428],[126.982,37.431],[127,37.439],[127.024,37.445],[127.049,37.449],[127.061,37.429],[127.09,37.44],[127.119,37.446],[127.145,37.458],[127.154,37.471],[127.171,37.489],[127.163,37.497],[127.163,37.515],[127.178,37.523],[127.192,37.528],[127.195,37.543],[127.187,37.558],[127.167,37.558],[127.143,37.551],[127.116,37.551],[127.125,37.579],[127.124,37.603],[127.114,37.626],[127.107,37.657],[127.09,37.681],[127.054,37.683],[127.023,37.677],[127.003,37.66]]]] } },
+        { type: 'Feature', properties: { code: '51' }, geometry: { type: 'Polygon', coordinates: [[[128.474,38.426],[128.563,38.289],[128.632,38.145],[128.643,38.129],[128.679,38.094],[128.692,38.065],[128.859,37.877],[128.924,37.802],[129.001,37.734],[129.012,37.727],[129.064,37.679],[129.067,37.658],[129.067,37.634],[129.073,37.613],[129.109,37.597],[129.119,37.581],[129.148,37.505],[129.161,37.488],[129.177,37.48],[129.19,37.469],[129.235,37.398],[129.263,37.371],[129.272,37.356],[129.276,37.34],[129.283,37.324],[129.331,37.282],[129.346,37.248],[129.36,37.172],[129.379,37.13],[129.43,37.073],[129.434,37.061],[129.428,37.05],[129.419,37.039],[129.413,37.028],[129.413,37.018],[129.42,36.987],[129.429,36.897],[129.438,36.856],[129.471,36.772],[129.474,36.731],[129.463,36.692],[129.441,36.658],[129.423,36.617],[129.413,36.617],[129.379,36.623],[129.347,36.612],[129.278,36.632],[129.289,36.656],[129.286,36.678],[129.277,36.703],[129.274,36.731],[129.288,36.758],[129.298,36.783],[129.291,36.79],[129.282,36.797],[129.286,36.82],[129.213,36.824],[129.191,36.834],[129.168,36.842],[129.159,36.86],[129.152,36.881],[129.119,36.894],[129.098,36.919],[129.094,36.951],[129.101,36.976],[129.118,36.986],[129.137,36.992],[129.166,36.983],[129.189,36.997],[129.18,37.02],[129.149,37.035],[129.114,37.041],[129.087,37.03],[129.061,37.025],[129.024,37.038],[128.985,37.043],[128.972,37.039],[128.961,37.04],[128.952,37.049],[128.94,37.053],[128.912,37.036],[128.882,37.026],[128.879,37.044],[128.882,37.061],[128.865,37.068],[128.845,37.071],[128.831,37.091],[128.804,37.093],[128.777,37.083],[128.758,37.065],[128.765,37.04],[128.762,37.017],[128.756,36.996],[128.73,36.998],[128.701,37.003],[128.676,37.011],[128.65,37.022],[128.63,37.033],[128.61,37.04],[128.585,37.042],[128.558,37.046],[128.532,37.06],[128.508,37.074],[128.484,37.074],[128.46,37.068],[128.439,37.065],[128.421,37.064],[128.413,37.077],[128.394,37.093],[128.395,37.108],[128.385,37.116],[128.338,37.112],[128.307,37.104],[128.298,37.1],[128.289,37.101],[128.275,37.107],[128.264,37.117],[128.282,37.138],[128.31,37.154],[128.322,37.175],[128.304,37.18],[128.247,37.187],[128.191,37.203],[128.168,37.189],[128.148,37.18],[128.124,37.184],[128.104,37.172],[128.071,37.157],[128.038,37.151],[128.026,37.165],[128.026,37.186],[127.988,37.218],[127.937,37.205],[127.918,37.186],[127.923,37.137],[127.903,37.126],[127.896,37.12],[127.888,37.114],[127.88,37.118],[127.871,37.122],[127.841,37.124],[127.81,37.118],[127.819,37.166],[127.713,37.154],[127.607,37.131],[127.661,37.211],[127.706,37.298],[127.767,37.403],[127.775,37.426],[127.769,37.448],[127.782,37.466],[127.801,37.484],[127.821,37.491],[127.831,37.508],[127.82,37.524],[127.805,37.534],[127.781,37.536],[127.757,37.543],[127.723,37.547],[127.667,37.572],[127.641,37.58],[127.616,37.593],[127.589,37.596],[127.562,37.59],[127.54,37.605],[127.541,37.621],[127.552,37.638],[127.556,37.657],[127.556,37.678],[127.53,37.671],[127.518,37.683],[127.547,37.71],[127.542,37.728],[127.534,37.746],[127.54,37.76],[127.54,37.776],[127.538,37.792],[127.589,37.821],[127.609,37.827],[127.621,37.841],[127.626,37.881],[127.602,37.91],[127.583,37.913],[127.564,37.92],[127.55,37.949],[127.528,37.95],[127.504,37.949],[127.479,37.964],[127.466,37.99],[127.461,38.037],[127.452,38.061],[127.445,38.066],[127.437,38.064],[127.432,38.06],[127.425,38.06],[127.408,38.069],[127.366,38.058],[127.328,38.065],[127.313,38.072],[127.297,38.084],[127.296,38.102],[127.304,38.12],[127.31,38.127],[127.314,38.134],[127.307,38.138],[127.299,38.139],[127.291,38.138],[127.284,38.134],[127.27,38.12],[127.256,38.109],[127.233,38.105],[127.213,38.116],[127.209,38.126],[127.207,38.136],[127.2,38.139],[127.193,38.133],[127.19,38.123],[127.19,38.09],[127.177,38.074],[127.14,38.087],[127.106,38.111],[127.095,38.121],[127.082,38.12],[127.071,38.133],[127.064,38.149],[127.055,38.158],[127.044,38.165],[127.036,38.18],[127.021,38.188],[126.986,38.205],[126.966,38.213],[126.972,38.219],[127.027,38.254],[127.09,38.286],[127.157,38.307],[127.222,38.313],[127.254,38.31],[127.377,38.319],[127.472,38.296],[127.502,38.298],[127.561,38.312],[127.754,38.325],[127.762,38.321],[127.775,38.306],[127.787,38.297],[127.801,38.294],[127.867,38.305],[127.972,38.3],[128.04,38.304],[128.108,38.324],[128.172,38.356],[128.226,38.4],[128.249,38.426],[128.268,38.454],[128.281,38.484],[128.285,38.52],[128.277,38.554],[128.275,38.571],[128.281,38.584],[128.308,38.601],[128.365,38.624],[128.395,38.578],[128.441,38.506],[128.451,38.474],[128.474,38.426]]] } },
+        { type: 'Feature', properties: { code: '43' }, geometry: { type: 'Polygon', coordinates: [[[128.038,37.151],[128.071,37.157],[128.104,37.172],[128.124,37.184],[128.148,37.18],[128.168,37.189],[128.191,37.203],[128.247,37.187],[128.304,37.18],[128.322,37.175],[128.31,37.154],[128.282,37.138],[128.264,37.117],[128.275,37.107],[128.289,37.101],[128.298,37.1],[128.307,37.104],[128.338,37.112],[128.385,37.116],[128.395,37.108],[128.394,37.093],[128.413,37.077],[128.421,37.064],[128.439,37.065],[128.46,37.068],[128.484,37.074],[128.508,37.074],[128.532,37.06],[128.558,37.046],[128.585,37.042],[128.61,37.04],[128.63,37.033],[128.65,37.022],[128.638,37.011],[128.625,37.005],[128.613,37.009],[128.603,37.004],[128.58,36.984],[128.554,36.967],[128.538,36.954],[128.517,36.949],[128.505,36.941],[128.496,36.928],[128.465,36.91],[128.443,36.885],[128.433,36.866],[128.42,36.848],[128.427,36.838],[128.44,36.828],[128.425,36.789],[128.342,36.761],[128.306,36.77],[128.291,36.794],[128.268,36.811],[128.251,36.82],[128.238,36.832],[128.225,36.822],[128.214,36.808],[128.209,36.793],[128.202,36.776],[128.174,36.778],[128.143,36.787],[128.127,36.795],[128.11,36.786],[128.093,36.769],[128.073,36.767],[128.057,36.776],[128.045,36.759],[128.033,36.737],[128.026,36.717],[128.045,36.697],[128.06,36.675],[127.989,36.684],[127.95,36.697],[127.929,36.671],[127.894,36.658],[127.863,36.641],[127.86,36.629],[127.861,36.619],[127.855,36.609],[127.833,36.585],[127.818,36.573],[127.803,36.57],[127.789,36.565],[127.8,36.542],[127.839,36.537],[127.888,36.479],[127.87,36.465],[127.86,36.442],[127.856,36.388],[127.85,36.364],[127.856,36.346],[127.867,36.331],[127.853,36.308],[127.831,36.292],[127.837,36.245],[127.877,36.252],[127.901,36.246],[127.93,36.227],[127.949,36.219],[128,36.229],[128.023,36.216],[128.034,36.164],[128.013,36.165],[127.989,36.168],[127.965,36.152],[127.97,36.125],[127.97,36.111],[127.968,36.095],[127.959,36.085],[127.951,36.074],[127.943,36.048],[127.927,36.024],[127.902,36.017],[127.878,36.007],[127.865,35.996],[127.852,35.987],[127.837,35.993],[127.823,36.005],[127.786,35.991],[127.754,35.975],[127.738,35.979],[127.728,35.988],[127.684,36],[127.669,36.015],[127.652,36.023],[127.645,36.016],[127.637,36.014],[127.628,36.021],[127.619,36.03],[127.596,36.058],[127.576,36.087],[127.567,36.122],[127.569,36.156],[127.558,36.186],[127.528,36.201],[127.498,36.209],[127.466,36.204],[127.463,36.232],[127.465,36.26],[127.477,36.298],[127.499,36.331],[127.509,36.348],[127.519,36.363],[127.535,36.373],[127.539,36.39],[127.526,36.394],[127.512,36.399],[127.495,36.389],[127.482,36.374],[127.472,36.401],[127.47,36.419],[127.458,36.424],[127.46,36.435],[127.446,36.438],[127.434,36.425],[127.402,36.419],[127.372,36.426],[127.375,36.443],[127.37,36.454],[127.361,36.458],[127.354,36.464],[127.35,36.471],[127.353,36.479],[127.357,36.489],[127.359,36.499],[127.358,36.504],[127.357,36.509],[127.354,36.516],[127.356,36.523],[127.361,36.533],[127.361,36.544],[127.285,36.548],[127.212,36.536],[127.216,36.566],[127.229,36.595],[127.227,36.612],[127.247,36.646],[127.274,36.678],[127.295,36.708],[127.304,36.715],[127.313,36.714],[127.322,36.716],[127.328,36.723],[127.329,36.732],[127.332,36.743],[127.337,36.754],[127.339,36.765],[127.337,36.776],[127.331,36.786],[127.322,36.792],[127.323,36.813],[127.31,36.82],[127.293,36.848],[127.28,36.854],[127.268,36.864],[127.26,36.879],[127.305,36.889],[127.347,36.906],[127.381,36.915],[127.39,36.944],[127.406,36.958],[127.432,36.967],[127.444,36.98],[127.452,36.996],[127.467,37.01],[127.487,37.006],[127.493,37],[127.518,37.014],[127.565,37.085],[127.57,37.094],[127.576,37.102],[127.584,37.107],[127.592,37.111],[127.6,37.121],[127.607,37.131],[127.713,37.154],[127.819,37.166],[127.81,37.118],[127.841,37.124],[127.871,37.122],[127.88,37.118],[127.888,37.114],[127.896,37.12],[127.903,37.126],[127.923,37.137],[127.918,37.186],[127.937,37.205],[127.988,37.218],[128.026,37.186],[128.026,37.165],[128.038,37.151]]] } },
+        { type: 'Feature', properties: { code: '44' }, geometry: { type: 'MultiPolygon', coordinates: [[[[126.405,36.48],[126.404,36.473],[126.403,36.468],[126.405,36.459],[126.413,36.44],[126.426,36.424],[126.432,36.408],[126.423,36.412],[126.378,36.409],[126.364,36.411],[126.361,36.426],[126.366,36.432],[126.374,36.437],[126.378,36.446],[126.354,36.434],[126.343,36.438],[126.346,36.453],[126.364,36.473],[126.357,36.48],[126.343,36.467],[126.339,36.476],[126.328,36.471],[126.334,36.495],[126.33,36.532],[126.325,36.554],[126.315,36.582],[126.323,36.591],[126.341,36.604],[126.36,36.609],[126.374,36.592],[126.375,36.586],[126.371,36.579],[126.363,36.574],[126.364,36.567],[126.381,36.536],[126.384,36.527],[126.379,36.518],[126.385,36.511],[126.396,36.506],[126.405,36.493],[126.384,36.493],[126.384,36.487],[126.391,36.486],[126.405,36.48]]],[[[126.636,36.982],[126.631,36.969],[126.622,36.96],[126.624,36.953],[126.634,36.937],[126.635,36.928],[126.631,36.912],[126.642,36.918],[126.646,36.925],[126.649,36.933],[126.645,36.958],[126.649,36.966],[126.656,36.975],[126.665,36.989],[126.682,36.995],[126.697,36.995],[126.714,36.993],[126.734,36.987],[126.758,36.982],[126.775,36.973],[126.796,36.956],[126.798,36.934],[126.782,36.891],[126.794,36.898],[126.813,36.917],[126.823,36.918],[126.83,36.91],[126.834,36.895],[126.837,36.867],[126.835,36.861],[126.831,36.847],[126.83,36.839],[126.832,36.831],[126.841,36.819],[126.849,36.788],[126.846,36.779],[126.83,36.775],[126.833,36.767],[126.837,36.761],[126.843,36.757],[126.851,36.754],[126.857,36.776],[126.867,36.79],[126.872,36.804],[126.863,36.829],[126.884,36.824],[126.905,36.822],[126.87,36.853],[126.86,36.87],[126.881,36.877],[126.899,36.879],[126.942,36.893],[126.962,36.905],[127.009,36.897],[127.048,36.897],[127.131,36.926],[127.174,36.91],[127.213,36.884],[127.26,36.879],[127.268,36.864],[127.28,36.854],[127.293,36.848],[127.31,36.82],[127.323,36.813],[127.322,36.792],[127.331,36.786],[127.337,36.776],[127.339,36.765],[127.337,36.754],[127.332,36.743],[127.329,36.732],[127.328,36.723],[127.322,36.716],[127.313,36.714],[127.304,36.715],[127.295,36.708],[127.274,36.678],[127.247,36.646],[127.104,36.692],[127.081,36.64],[127.084,36.488],[127.069,36.477],[127.06,36.456],[127.151,36.441],[127.219,36.456],[127.273,36.389],[127.291,36.36],[127.296,36.288],[127.317,36.233],[127.366,36.244],[127.409,36.27],[127.424,36.274],[127.45,36.291],[127.464,36.334],[127.477,36.351],[127.482,36.374],[127.495,36.389],[127.512,36.399],[127.526,36.394],[127.539,36.39],[127.535,36.373],[127.519,36.363],[127.509,36.348],[127.499,36.331],[127.477,36.298],[127.465,36.26],[127.463,36.232],[127.466,36.204],[127.498,36.209],[127.528,36.201],[127.558,36.186],[127.569,36.156],[127.567,36.122],[127.576,36.087],[127.596,36.058],[127.619,36.03],[127.595,36.01],[127.571,35.993],[127.541,35.986],[127.512,35.985],[127.49,35.981],[127.432,35.987],[127.428,35.995],[127.435,36.007],[127.429,36.017],[127.417,36.019],[127.383,36.033],[127.338,36.098],[127.306,36.121],[127.29,36.107],[127.276,36.09],[127.255,36.087],[127.241,36.082],[127.227,36.078],[127.172,36.069],[127.144,36.06],[127.114,36.056],[127.093,36.083],[127.102,36.127],[127.065,36.133],[126.961,36.106],[126.905,36.096],[126.857,36.092],[126.812,36.047],[126.792,36.042],[126.771,36.031],[126.754,36.018],[126.736,36.01],[126.713,36.007],[126.692,36],[126.677,36.006],[126.672,36.013],[126.671,36.022],[126.665,36.035],[126.657,36.045],[126.64,36.063],[126.631,36.076],[126.645,36.085],[126.639,36.091],[126.625,36.096],[126.612,36.099],[126.589,36.131],[126.572,36.137],[126.559,36.131],[126.552,36.131],[126.552,36.142],[126.529,36.154],[126.51,36.151],[126.504,36.132],[126.5,36.126],[126.493,36.131],[126.497,36.16],[126.531,36.174],[126.561,36.182],[126.603,36.172],[126.588,36.192],[126.58,36.199],[126.569,36.206],[126.562,36.207],[126.554,36.203],[126.549,36.206],[126.541,36.213],[126.535,36.22],[126.556,36.266],[126.568,36.287],[126.583,36.295],[126.572,36.306],[126.529,36.316],[126.514,36.323],[126.529,36.334],[126.573,36.343],[126.583,36.353],[126.576,36.366],[126.56,36.37],[126.527,36.37],[126.521,36.374],[126.509,36.385],[126.501,36.391],[126.501,36.398],[126.514,36.398],[126.499,36.42],[126.517,36.428],[126.538,36.433],[126.557,36.456],[126.598,36.465],[126.617,36.473],[126.559,36.473],[126.545,36.467],[126.523,36.441],[126.508,36.439],[126.498,36.448],[126.489,36.467],[126.483,36.486],[126.483,36.497],[126.504,36.517],[126.514,36.529],[126.511,36.534],[126.492,36.529],[126.483,36.535],[126.475,36.539],[126.47,36.54],[126.466,36.549],[126.47,36.558],[126.469,36.567],[126.464,36.584],[126.458,36.591],[126.458,36.596],[126.471,36.596],[126.491,36.604],[126.512,36.603],[126.514,36.615],[126.52,36.626],[126.512,36.635],[126.5,36.637],[126.484,36.65],[126.494,36.661],[126.508,36.67],[126.499,36.684],[126.475,36.688],[126.47,36.705],[126.477,36.717],[126.501,36.72],[126.487,36.732],[126.483,36.738],[126.48,36.747],[126.471,36.741],[126.457,36.729],[126.441,36.724],[126.438,36.716],[126.439,36.709],[126.446,36.701],[126.447,36.684],[126.44,36.664],[126.444,36.638],[126.433,36.616],[126.424,36.607],[126.406,36.618],[126.386,36.619],[126.367,36.629],[126.372,36.683],[126.378,36.703],[126.366,36.707],[126.37,36.732],[126.359,36.743],[126.343,36.74],[126.334,36.727],[126.332,36.711],[126.324,36.7],[126.302,36.699],[126.311,36.684],[126.329,36.661],[126.336,36.644],[126.325,36.637],[126.326,36.628],[126.343,36.61],[126.328,36.608],[126.315,36.602],[126.304,36.593],[126.295,36.583],[126.295,36.59],[126.294,36.597],[126.292,36.604],[126.289,36.61],[126.302,36.634],[126.273,36.673],[126.282,36.693],[126.274,36.72],[126.256,36.712],[126.229,36.685],[126.21,36.679],[126.198,36.677],[126.188,36.674],[126.178,36.673],[126.166,36.679],[126.163,36.684],[126.159,36.693],[126.157,36.702],[126.162,36.706],[126.203,36.706],[126.214,36.712],[126.213,36.727],[126.203,36.742],[126.187,36.748],[126.171,36.752],[126.158,36.761],[126.153,36.749],[126.15,36.724],[126.145,36.712],[126.133,36.704],[126.129,36.712],[126.13,36.737],[126.128,36.761],[126.131,36.768],[126.157,36.794],[126.162,36.803],[126.166,36.816],[126.169,36.806],[126.173,36.798],[126.178,36.789],[126.185,36.781],[126.191,36.785],[126.197,36.785],[126.205,36.783],[126.213,36.781],[126.203,36.793],[126.192,36.809],[126.221,36.802],[126.232,36.804],[126.24,36.816],[126.214,36.818],[126.199,36.823],[126.197,36.836],[126.213,36.857],[126.191,36.872],[126.192,36.886],[126.209,36.897],[126.234,36.904],[126.228,36.88],[126.23,36.873],[126.244,36.871],[126.269,36.871],[126.275,36.875],[126.282,36.884],[126.284,36.906],[126.281,36.936],[126.286,36.961],[126.309,36.967],[126.306,36.953],[126.307,36.931],[126.311,36.91],[126.323,36.883],[126.317,36.874],[126.308,36.866],[126.302,36.857],[126.302,36.848],[126.308,36.833],[126.309,36.829],[126.303,36.824],[126.285,36.815],[126.282,36.812],[126.283,36.804],[126.286,36.795],[126.291,36.789],[126.298,36.792],[126.315,36.804],[126.328,36.805],[126.357,36.789],[126.336,36.825],[126.329,36.847],[126.339,36.857],[126.355,36.84],[126.365,36.835],[126.37,36.846],[126.374,36.85],[126.385,36.853],[126.405,36.857],[126.405,36.863],[126.397,36.864],[126.377,36.871],[126.377,36.877],[126.401,36.881],[126.416,36.9],[126.419,36.922],[126.411,36.939],[126.403,36.941],[126.376,36.942],[126.364,36.946],[126.354,36.955],[126.351,36.965],[126.355,36.968],[126.37,36.959],[126.376,36.975],[126.369,36.984],[126.354,36.988],[126.336,36.987],[126.343,36.994],[126.353,37],[126.364,37.001],[126.374,36.997],[126.383,36.991],[126.391,36.99],[126.395,36.993],[126.391,37],[126.391,37.008],[126.428,37.008],[126.445,37.003],[126.453,36.99],[126.448,36.982],[126.438,36.973],[126.432,36.962],[126.439,36.946],[126.448,36.953],[126.459,36.958],[126.469,36.958],[126.473,36.949],[126.474,36.942],[126.479,36.936],[126.48,36.929],[126.478,36.926],[126.469,36.918],[126.466,36.912],[126.466,36.867],[126.469,36.854],[126.477,36.845],[126.484,36.841],[126.487,36.846],[126.491,36.871],[126.51,36.919],[126.514,36.942],[126.519,36.948],[126.531,36.941],[126.549,36.926],[126.556,36.915],[126.561,36.905],[126.568,36.899],[126.583,36.898],[126.583,36.904],[126.575,36.912],[126.567,36.932],[126.559,36.942],[126.498,36.994],[126.493,36.997],[126.497,37.008],[126.505,37.007],[126.516,36.999],[126.532,36.983],[126.54,36.977],[126.55,36.973],[126.563,36.973],[126.572,36.977],[126.573,36.984],[126.566,36.991],[126.552,36.994],[126.533,37.001],[126.512,37.016],[126.503,37.04],[126.501,37.055],[126.519,37.055],[126.535,37.049],[126.549,37.039],[126.569,37.028],[126.588,37.017],[126.596,37.011],[126.611,37.003],[126.626,36.996],[126.636,36.982]]]] } },
+        { type: 'Feature', properties: { code: '52' }, geometry: { type: 'MultiPolygon', coordinates: [[[[126.307,35.617],[126.309,35.611],[126.306,35.603],[126.287,35.59],[126.275,35.579],[126.267,35.574],[126.264,35.572],[126.258,35.571],[126.254,35.574],[126.25,35.581],[126.252,35.587],[126.263,35.592],[126.261,35.593],[126.257,35.596],[126.259,35.598],[126.264,35.601],[126.268,35.605],[126.274,35.606],[126.278,35.607],[126.276,35.613],[126.28,35.613],[126.292,35.611],[126.299,35.616],[126.303,35.619],[126.307,35.617]]],[[[127.093,36.083],[127.114,36.056],[127.144,36.06],[127.172,36.069],[127.227,36.078],[127.241,36.082],[127.255,36.087],[127.276,36.09],[127.29,36.107],[127.306,36.121],[127.338,36.098],[127.383,36.033],[127.417,36.019],[127.429,36.017],[127.435,36.007],[127.428,35.995],[127.432,35.987],[127.49,35.981],[127.512,35.985],[127.541,35.986],[127.571,35.993],[127.595,36.01],[127.619,36.03],[127.628,36.021],[127.637,36.014],[127.645,36.016],[127.652,36.023],[127.669,36.015],[127.684,36],[127.728,35.988],[127.738,35.979],[127.754,35.975],[127.786,35.991],[127.823,36.005],[127.837,35.993],[127.852,35.987],[127.865,35.996],[127.878,36.007],[127.919,35.951],[127.914,35.887],[127.877,35.855],[127.868,35.834],[127.818,35.813],[127.793,35.807],[127.78,35.808],[127.77,35.803],[127.751,35.77],[127.729,35.751],[127.707,35.735],[127.695,35.709],[127.692,35.678],[127.68,35.655],[127.664,35.632],[127.653,35.602],[127.644,35.571],[127.63,35.547],[127.629,35.522],[127.655,35.513],[127.658,35.502],[127.66,35.49],[127.671,35.466],[127.67,35.441],[127.68,35.422],[127.694,35.414],[127.688,35.386],[127.647,35.346],[127.64,35.319],[127.638,35.294],[127.617,35.277],[127.56,35.314],[127.496,35.333],[127.46,35.317],[127.431,35.291],[127.4,35.287],[127.367,35.287],[127.33,35.283],[127.293,35.284],[127.276,35.292],[127.261,35.301],[127.244,35.298],[127.223,35.298],[127.193,35.294],[127.164,35.28],[127.127,35.284],[127.103,35.305],[127.104,35.338],[127.084,35.357],[127.078,35.376],[127.086,35.405],[127.066,35.43],[127.037,35.428],[127.03,35.418],[127.02,35.41],[127.013,35.397],[127.011,35.383],[126.98,35.383],[126.933,35.434],[126.903,35.455],[126.885,35.461],[126.867,35.462],[126.85,35.446],[126.816,35.449],[126.791,35.43],[126.791,35.417],[126.792,35.403],[126.783,35.392],[126.77,35.384],[126.771,35.374],[126.773,35.363],[126.765,35.349],[126.751,35.34],[126.735,35.333],[126.718,35.329],[126.703,35.322],[126.69,35.314],[126.656,35.31],[126.625,35.3],[126.595,35.294],[126.57,35.301],[126.572,35.328],[126.578,35.355],[126.584,35.392],[126.555,35.398],[126.458,35.376],[126.437,35.371],[126.423,35.383],[126.418,35.394],[126.426,35.418],[126.443,35.447],[126.47,35.499],[126.493,35.525],[126.525,35.535],[126.562,35.541],[126.594,35.542],[126.609,35.552],[126.623,35.569],[126.643,35.573],[126.661,35.556],[126.679,35.538],[126.692,35.534],[126.679,35.572],[126.67,35.589],[126.655,35.596],[126.513,35.577],[126.464,35.602],[126.467,35.629],[126.468,35.64],[126.491,35.649],[126.511,35.666],[126.53,35.683],[126.56,35.697],[126.597,35.714],[126.625,35.746],[126.629,35.775],[126.645,35.783],[126.656,35.789],[126.662,35.793],[126.698,35.796],[126.733,35.792],[126.755,35.778],[126.771,35.775],[126.782,35.76],[126.786,35.768],[126.79,35.78],[126.791,35.791],[126.778,35.8],[126.768,35.806],[126.749,35.813],[126.728,35.825],[126.71,35.836],[126.701,35.84],[126.703,35.848],[126.712,35.858],[126.72,35.863],[126.729,35.865],[126.785,35.862],[126.797,35.863],[126.806,35.867],[126.812,35.876],[126.815,35.883],[126.819,35.888],[126.833,35.89],[126.837,35.893],[126.832,35.901],[126.822,35.908],[126.81,35.912],[126.807,35.91],[126.733,35.886],[126.709,35.885],[126.66,35.887],[126.612,35.89],[126.612,35.907],[126.609,35.931],[126.6,35.938],[126.57,35.946],[126.526,35.94],[126.521,35.971],[126.612,35.978],[126.661,35.983],[126.711,35.986],[126.727,35.994],[126.744,35.99],[126.765,35.998],[126.802,36.021],[126.849,36.036],[126.869,36.048],[126.871,36.062],[126.812,36.047],[126.857,36.092],[126.905,36.096],[126.961,36.106],[127.065,36.133],[127.102,36.127],[127.093,36.083]]]] } },
+        { type: 'Feature', properties: { code: '46' }, geometry: { type: 'MultiPolygon', coordinates: [[[[126.964,33.496],[126.956,33.491],[126.945,33.494],[126.941,33.498],[126.941,33.506],[126.948,33.523],[126.951,33.525],[126.955,33.523],[126.959,33.519],[126.959,33.517],[126.963,33.509],[126.964,33.496]]],[[[128.575,34.634],[128.567,34.631],[128.562,34.632],[128.563,34.637],[128.569,34.64],[128.579,34.649],[128.58,34.645],[128.584,34.643],[128.584,34.639],[128.575,34.634]]],[[[128.375,34.642],[128.38,34.639],[128.376,34.634],[128.364,34.639],[128.359,34.639],[128.349,34.638],[128.342,34.646],[128.345,34.649],[128.349,34.65],[128.348,34.653],[128.342,34.655],[128.337,34.661],[128.341,34.664],[128.352,34.655],[128.367,34.644],[128.375,34.642]]],[[[128.222,34.68],[128.229,34.674],[128.234,34.678],[128.24,34.676],[128.243,34.679],[128.248,34.678],[128.253,34.678],[128.257,34.676],[128.253,34.67],[128.244,34.668],[128.239,34.669],[128.23,34.671],[128.224,34.672],[128.222,34.68]]],[[[128.197,34.686],[128.195,34.686],[128.194,34.689],[128.184,34.691],[128.174,34.694],[128.168,34.702],[128.175,34.711],[128.183,34.71],[128.195,34.707],[128.202,34.695],[128.203,34.691],[128.197,34.686]]],[[[128.512,34.735],[128.51,34.732],[128.492,34.732],[128.486,34.733],[128.47,34.74],[128.473,34.744],[128.489,34.748],[128.497,34.745],[128.512,34.735]]],[[[128.303,34.747],[128.304,34.743],[128.297,34.746],[128.292,34.746],[128.288,34.755],[128.289,34.76],[128.293,34.762],[128.304,34.757],[128.308,34.752],[128.303,34.751],[128.303,34.747]]],[[[128.516,34.765],[128.536,34.758],[128.548,34.759],[128.558,34.755],[128.558,34.749],[128.552,34.747],[128.543,34.749],[128.534,34.753],[128.513,34.756],[128.509,34.761],[128.516,34.765]]],[[[128.486,34.809],[128.492,34.788],[128.497,34.783],[128.505,34.781],[128.508,34.771],[128.503,34.762],[128.491,34.757],[128.475,34.759],[128.471,34.761],[128.469,34.765],[128.469,34.767],[128.471,34.769],[128.47,34.774],[128.463,34.786],[128.462,34.801],[128.463,34.803],[128.466,34.797],[128.47,34.793],[128.472,34.796],[128.473,34.801],[128.47,34.804],[128.471,34.81],[128.477,34.817],[128.481,34.816],[128.481,34.811],[128.482,34.809],[128.486,34.809]]],[[[128.136,34.824],[128.134,34.824],[128.126,34.837],[128.14,34.835],[128.143,34.831],[128.142,34.825],[128.136,34.824]]],[[[128.197,34.833],[128.186,34.826],[128.169,34.847],[128.174,34.854],[128.184,34.857],[128.227,34.849],[128.226,34.844],[128.213,34.842],[128.197,34.833]]],[[[128.522,34.924],[128.519,34.922],[128.516,34.935],[128.514,34.944],[128.517,34.954],[128.513,34.963],[128.533,34.972],[128.534,34.961],[128.525,34.949],[128.53,34.945],[128.53,34.938],[128.526,34.936],[128.53,34.933],[128.529,34.928],[128.522,34.924]]],[[[128.646,34.98],[128.632,34.971],[128.63,34.976],[128.625,34.98],[128.62,34.979],[128.615,34.974],[128.611,34.977],[128.612,34.984],[128.621,34.987],[128.622,34.992],[128.619,34.994],[128.618,34.997],[128.626,35],[128.632,35.004],[128.632,35.011],[128.637,35.013],[128.642,35.014],[128.646,35.019],[128.651,35.02],[128.652,35.009],[128.649,35],[128.649,34.991],[128.646,34.98]]],[[[128.561,35.062],[128.562,35.052],[128.549,35.062],[128.542,35.068],[128.555,35.07],[128.561,35.062]]],[[[126.638,35.787],[126.626,35.779],[126.622,35.783],[126.624,35.793],[126.635,35.801],[126.642,35.792],[126.638,35.787]]],[[[126.471,35.824],[126.478,35.819],[126.486,35.816],[126.479,35.812],[126.478,35.81],[126.475,35.812],[126.464,35.811],[126.461,35.813],[126.462,35.819],[126.459,35.822],[126.459,35.816],[126.455,35.81],[126.452,35.807],[126.448,35.812],[126.447,35.819],[126.445,35.822],[126.443,35.826],[126.442,35.832],[126.455,35.83],[126.461,35.825],[126.471,35.824]]],[[[126.381,35.848],[126.37,35.845],[126.363,35.845],[126.36,35.848],[126.364,35.848],[126.365,35.85],[126.365,35.853],[126.372,35.853],[126.379,35.854],[126.381,35.848]]],[[[125.991,36.122],[125.995,36.111],[125.989,36.118],[125.984,36.117],[125.986,36.111],[125.98,36.107],[125.973,36.112],[125.97,36.119],[125.979,36.126],[125.991,36.122]]],[[[126.095,36.225],[126.077,36.219],[126.065,36.221],[126.07,36.228],[126.073,36.229],[126.074,36.234],[126.078,36.234],[126.091,36.233],[126.095,36.225]]],[[[126.364,36.332],[126.359,36.326],[126.358,36.326],[126.348,36.331],[126.339,36.328],[126.338,36.33],[126.343,36.341],[126.35,36.347],[126.353,36.356],[126.358,36.354],[126.361,36.343],[126.368,36.337],[126.364,36.332]]],[[[126.432,36.381],[126.437,36.37],[126.441,36.365],[126.458,36.362],[126.458,36.358],[126.45,36.355],[126.387,36.369],[126.383,36.375],[126.386,36.38],[126.393,36.381],[126.399,36.379],[126.406,36.376],[126.411,36.377],[126.412,36.383],[126.423,36.386],[126.428,36.385],[126.432,36.381]]],[[[126.083,36.677],[126.079,36.672],[126.074,36.67],[126.07,36.673],[126.055,36.667],[126.048,36.672],[126.053,36.675],[126.066,36.679],[126.075,36.682],[126.08,36.691],[126.084,36.691],[126.085,36.686],[126.083,36.677]]],[[[125.999,37.027],[126.005,37.025],[126.011,37.029],[126.014,37.028],[126.008,37.021],[125.992,37.019],[125.988,37.025],[125.984,37.027],[125.979,37.04],[125.987,37.04],[125.992,37.033],[125.991,37.029],[125.999,37.027]]],[[[126.446,37.045],[126.43,37.041],[126.425,37.044],[126.421,37.051],[126.418,37.057],[126.421,37.062],[126.445,37.057],[126.448,37.049],[126.446,37.045]]],[[[125.965,37.089],[125.965,37.082],[125.958,37.082],[125.952,37.083],[125.953,37.076],[125.952,37.07],[125.949,37.067],[125.945,37.069],[125.945,37.073],[125.94,37.076],[125.941,37.083],[125.945,37.085],[125.946,37.092],[125.948,37.095],[125.951,37.093],[125.965,37.089]]],[[[126.085,37.107],[126.075,37.083],[126.073,37.083],[126.067,37.083],[126.063,37.087],[126.073,37.094],[126.065,37.097],[126.06,37.096],[126.066,37.104],[126.085,37.107]]],[[[126.389,37.115],[126.393,37.098],[126.386,37.103],[126.381,37.104],[126.381,37.115],[126.389,37.115]]],[[[126.258,37.183],[126.268,37.177],[126.271,37.168],[126.276,37.164],[126.281,37.157],[126.271,37.16],[126.266,37.167],[126.259,37.167],[126.25,37.169],[126.245,37.178],[126.253,37.178],[126.258,37.183]]],[[[126.101,37.186],[126.107,37.18],[126.109,37.181],[126.113,37.18],[126.11,37.175],[126.11,37.172],[126.111,37.168],[126.109,37.165],[126.095,37.165],[126.09,37.171],[126.088,37.181],[126.09,37.186],[126.101,37.186]]],[[[126.643,37.23],[126.647,37.212],[126.631,37.217],[126.626,37.226],[126.634,37.233],[126.643,37.23]]],[[[126.288,37.269],[126.325,37.259],[126.332,37.259],[126.337,37.261],[126.34,37.255],[126.333,37.247],[126.322,37.245],[126.312,37.247],[126.303,37.252],[126.296,37.252],[126.282,37.26],[126.281,37.263],[126.283,37.267],[126.288,37.269]]],[[[126.436,37.372],[126.425,37.367],[126.412,37.367],[126.404,37.388],[126.399,37.392],[126.399,37.399],[126.403,37.407],[126.409,37.408],[126.417,37.403],[126.429,37.39],[126.435,37.387],[126.438,37.383],[126.438,37.378],[126.436,37.372]]],[[[126.469,37.514],[126.465,37.511],[126.436,37.518],[126.432,37.522],[126.441,37.53],[126.449,37.533],[126.452,37.537],[126.459,37.54],[126.468,37.539],[126.473,37.533],[126.471,37.518],[126.469,37.514]]],[[[126.338,37.527],[126.332,37.526],[126.328,37.529],[126.321,37.543],[126.312,37.553],[126.313,37.556],[126.318,37.556],[126.334,37.549],[126.348,37.537],[126.378,37.536],[126.382,37.532],[126.37,37.528],[126.338,37.527]]],[[[125.713,37.603],[125.706,37.602],[125.709,37.611],[125.719,37.614],[125.72,37.609],[125.713,37.603]]],[[[126.26,37.628],[126.256,37.627],[126.239,37.636],[126.227,37.648],[126.227,37.651],[126.253,37.653],[126.255,37.649],[126.254,37.634],[126.257,37.632],[126.26,37.628]]],[[[126.201,37.675],[126.206,37.661],[126.204,37.655],[126.195,37.656],[126.18,37.667],[126.172,37.667],[126.165,37.669],[126.158,37.674],[126.195,37.684],[126.201,37.675]]],[[[126.142,37.687],[126.139,37.68],[126.135,37.681],[126.125,37.683],[126.123,37.689],[126.13,37.691],[126.142,37.687]]],[[[126.234,37.717],[126.232,37.714],[126.218,37.721],[126.225,37.723],[126.237,37.722],[126.243,37.717],[126.234,37.717]]],[[[126.342,33.957],[126.339,33.953],[126.341,33.947],[126.337,33.947],[126.336,33.945],[126.327,33.945],[126.325,33.939],[126.325,33.932],[126.322,33.93],[126.318,33.933],[126.309,33.946],[126.303,33.954],[126.315,33.956],[126.324,33.953],[126.342,33.957]]],[[[126.935,33.974],[126.912,33.971],[126.912,33.976],[126.91,33.986],[126.919,33.991],[126.926,33.99],[126.935,33.974]]],[[[127.313,34.059],[127.319,34.056],[127.323,34.059],[127.325,34.056],[127.328,34.049],[127.328,34.044],[127.332,34.042],[127.334,34.039],[127.335,34.037],[127.335,34.035],[127.333,34.033],[127.33,34.033],[127.319,34.037],[127.313,34.045],[127.307,34.054],[127.308,34.06],[127.313,34.059]]],[[[127.296,34.061],[127.298,34.057],[127.295,34.048],[127.296,34.038],[127.309,34.02],[127.315,34.016],[127.322,34.014],[127.325,34.011],[127.323,34.006],[127.309,34.011],[127.296,34.014],[127.293,34.017],[127.29,34.024],[127.288,34.032],[127.284,34.035],[127.281,34.038],[127.278,34.045],[127.28,34.049],[127.279,34.053],[127.28,34.057],[127.283,34.058],[127.287,34.057],[127.292,34.058],[127.294,34.061],[127.296,34.061]]],[[[125.137,34.051],[125.134,34.047],[125.13,34.048],[125.128,34.049],[125.123,34.051],[125.103,34.066],[125.092,34.072],[125.09,34.08],[125.095,34.09],[125.102,34.096],[125.113,34.093],[125.122,34.084],[125.136,34.059],[125.137,34.051]]],[[[126.604,34.099],[126.603,34.097],[126.596,34.1],[126.585,34.101],[126.582,34.102],[126.585,34.105],[126.588,34.108],[126.585,34.114],[126.588,34.116],[126.595,34.115],[126.601,34.107],[126.604,34.099]]],[[[126.568,34.169],[126.574,34.168],[126.582,34.17],[126.593,34.17],[126.599,34.169],[126.608,34.166],[126.616,34.157],[126.614,34.153],[126.609,34.156],[126.606,34.156],[126.604,34.152],[126.6,34.153],[126.591,34.158],[126.582,34.157],[126.576,34.153],[126.573,34.148],[126.562,34.141],[126.552,34.134],[126.537,34.126],[126.518,34.127],[126.507,34.139],[126.506,34.154],[126.515,34.169],[126.533,34.179],[126.548,34.179],[126.568,34.169]]],[[[126.665,34.119],[126.656,34.117],[126.65,34.119],[126.649,34.124],[126.644,34.127],[126.639,34.128],[126.636,34.142],[126.643,34.165],[126.645,34.177],[126.638,34.183],[126.636,34.187],[126.645,34.194],[126.645,34.197],[126.654,34.197],[126.671,34.19],[126.673,34.18],[126.664,34.173],[126.662,34.166],[126.672,34.153],[126.676,34.151],[126.679,34.147],[126.676,34.144],[126.672,34.143],[126.67,34.137],[126.67,34.127],[126.665,34.119]]],[[[126.762,34.183],[126.759,34.177],[126.753,34.185],[126.747,34.189],[126.75,34.197],[126.749,34.203],[126.764,34.212],[126.768,34.202],[126.77,34.199],[126.77,34.196],[126.768,34.191],[126.762,34.183]]],[[[126.92,34.167],[126.914,34.158],[126.902,34.152],[126.887,34.151],[126.876,34.156],[126.867,34.163],[126.86,34.162],[126.857,34.157],[126.853,34.159],[126.849,34.174],[126.855,34.185],[126.857,34.194],[126.861,34.202],[126.868,34.207],[126.882,34.213],[126.899,34.21],[126.909,34.198],[126.919,34.19],[126.925,34.185],[126.922,34.172],[126.92,34.167]]],[[[126.589,34.179],[126.584,34.176],[126.569,34.179],[126.561,34.185],[126.559,34.189],[126.555,34.19],[126.55,34.191],[126.549,34.195],[126.554,34.207],[126.557,34.211],[126.557,34.214],[126.555,34.216],[126.556,34.219],[126.56,34.22],[126.562,34.222],[126.562,34.225],[126.556,34.232],[126.56,34.235],[126.568,34.232],[126.575,34.229],[126.596,34.226],[126.607,34.221],[126.612,34.218],[126.616,34.213],[126.617,34.205],[126.61,34.2],[126.607,34.188],[126.592,34.188],[126.584,34.186],[126.589,34.179]]],[[[125.955,34.241],[125.944,34.232],[125.937,34.23],[125.935,34.231],[125.931,34.231],[125.928,34.23],[125.928,34.235],[125.926,34.24],[125.93,34.239],[125.932,34.244],[125.937,34.247],[125.942,34.245],[125.945,34.245],[125.955,34.241]]],[[[127.261,34.217],[127.263,34.213],[127.258,34.212],[127.24,34.215],[127.222,34.211],[127.231,34.233],[127.241,34.24],[127.244,34.246],[127.249,34.249],[127.254,34.251],[127.258,34.25],[127.261,34.246],[127.263,34.241],[127.261,34.23],[127.262,34.228],[127.258,34.225],[127.256,34.222],[127.261,34.217]]],[[[126.612,34.251],[126.621,34.248],[126.626,34.239],[126.621,34.24],[126.614,34.235],[126.609,34.236],[126.598,34.233],[126.593,34.242],[126.6,34.248],[126.602,34.251],[126.604,34.249],[126.607,34.25],[126.612,34.251]]],[[[126.054,34.254],[126.06,34.251],[126.063,34.252],[126.064,34.245],[126.068,34.241],[126.065,34.242],[126.062,34.236],[126.056,34.227],[126.049,34.229],[126.043,34.234],[126.038,34.224],[126.034,34.232],[126.03,34.233],[126.023,34.236],[126.03,34.241],[126.034,34.241],[126.039,34.241],[126.043,34.237],[126.045,34.242],[126.052,34.246],[126.051,34.251],[126.054,34.254]]],[[[125.925,34.259],[125.927,34.246],[125.924,34.244],[125.921,34.248],[125.922,34.254],[125.92,34.251],[125.915,34.251],[125.912,34.25],[125.912,34.247],[125.915,34.243],[125.914,34.24],[125.909,34.243],[125.902,34.247],[125.899,34.246],[125.898,34.249],[125.906,34.258],[125.916,34.261],[125.925,34.259]]],[[[127.538,34.263],[127.534,34.261],[127.526,34.268],[127.534,34.271],[127.538,34.27],[127.538,34.263]]],[[[126.565,34.285],[126.571,34.281],[126.561,34.277],[126.557,34.275],[126.548,34.277],[126.539,34.276],[126.539,34.285],[126.549,34.282],[126.565,34.285]]],[[[127.4,34.283],[127.397,34.28],[127.395,34.281],[127.392,34.28],[127.39,34.278],[127.388,34.285],[127.387,34.294],[127.401,34.295],[127.4,34.283]]],[[[127.352,34.296],[127.355,34.289],[127.361,34.292],[127.367,34.293],[127.371,34.289],[127.366,34.287],[127.364,34.281],[127.349,34.268],[127.352,34.296]]],[[[126.033,34.315],[126.068,34.309],[126.082,34.311],[126.089,34.308],[126.088,34.297],[126.089,34.29],[126.085,34.284],[126.075,34.283],[126.069,34.279],[126.065,34.281],[126.061,34.286],[126.057,34.286],[126.056,34.281],[126.049,34.28],[126.029,34.287],[126.022,34.296],[126.021,34.301],[126.025,34.306],[126.026,34.311],[126.033,34.315]]],[[[126.984,34.307],[126.976,34.305],[126.969,34.305],[126.966,34.309],[126.96,34.312],[126.956,34.317],[126.956,34.325],[126.959,34.332],[126.973,34.338],[126.997,34.339],[127.003,34.337],[127.013,34.332],[127.014,34.325],[127.009,34.32],[126.989,34.308],[126.984,34.307]]],[[[125.996,34.341],[126.01,34.337],[126.014,34.34],[126.018,34.341],[126.037,34.339],[126.057,34.33],[126.059,34.324],[126.058,34.32],[126.054,34.322],[126.031,34.327],[126.01,34.325],[125.997,34.327],[125.994,34.332],[125.994,34.336],[125.991,34.338],[125.992,34.339],[125.996,34.341]]],[[[126.475,34.337],[126.474,34.333],[126.471,34.334],[126.465,34.341],[126.466,34.346],[126.472,34.345],[126.476,34.343],[126.475,34.337]]],[[[126.844,34.35],[126.851,34.348],[126.855,34.349],[126.859,34.349],[126.87,34.348],[126.885,34.346],[126.893,34.341],[126.891,34.334],[126.886,34.328],[126.884,34.325],[126.883,34.318],[126.877,34.312],[126.868,34.314],[126.859,34.312],[126.854,34.309],[126.85,34.305],[126.841,34.303],[126.836,34.309],[126.834,34.317],[126.828,34.323],[126.821,34.326],[126.81,34.324],[126.798,34.321],[126.789,34.321],[126.785,34.323],[126.781,34.325],[126.759,34.333],[126.758,34.336],[126.768,34.337],[126.778,34.34],[126.782,34.342],[126.786,34.343],[126.794,34.342],[126.803,34.339],[126.814,34.343],[126.827,34.352],[126.838,34.354],[126.844,34.35]]],[[[127.046,34.358],[127.054,34.355],[127.067,34.358],[127.077,34.359],[127.082,34.356],[127.085,34.351],[127.092,34.345],[127.095,34.342],[127.097,34.338],[127.091,34.337],[127.082,34.34],[127.072,34.342],[127.065,34.34],[127.068,34.337],[127.074,34.334],[127.067,34.328],[127.049,34.317],[127.039,34.313],[127.038,34.322],[127.043,34.328],[127.049,34.331],[127.046,34.335],[127.024,34.339],[127.027,34.343],[127.024,34.348],[127.018,34.352],[127.001,34.353],[126.994,34.355],[126.991,34.356],[126.994,34.358],[127.001,34.359],[127.007,34.363],[127.016,34.372],[127.026,34.379],[127.025,34.381],[127.029,34.38],[127.036,34.375],[127.042,34.367],[127.046,34.358]]],[[[125.317,34.386],[125.313,34.384],[125.307,34.383],[125.303,34.385],[125.297,34.38],[125.287,34.394],[125.284,34.398],[125.29,34.399],[125.299,34.397],[125.304,34.394],[125.313,34.389],[125.317,34.386]]],[[[126.746,34.324],[126.764,34.309],[126.766,34.303],[126.771,34.292],[126.768,34.289],[126.763,34.29],[126.758,34.291],[126.749,34.294],[126.742,34.298],[126.737,34.298],[126.737,34.292],[126.732,34.289],[126.723,34.293],[126.708,34.296],[126.689,34.301],[126.689,34.308],[126.698,34.313],[126.696,34.321],[126.687,34.323],[126.677,34.32],[126.664,34.323],[126.652,34.33],[126.645,34.337],[126.642,34.348],[126.641,34.36],[126.642,34.373],[126.646,34.386],[126.654,34.395],[126.664,34.399],[126.67,34.401],[126.688,34.402],[126.699,34.399],[126.71,34.393],[126.722,34.381],[126.731,34.362],[126.734,34.346],[126.737,34.339],[126.743,34.333],[126.746,34.324]]],[[[126.946,34.404],[126.941,34.388],[126.937,34.385],[126.941,34.374],[126.934,34.368],[126.925,34.368],[126.921,34.362],[126.914,34.358],[126.909,34.357],[126.907,34.355],[126.903,34.356],[126.894,34.358],[126.887,34.363],[126.884,34.367],[126.883,34.371],[126.885,34.381],[126.883,34.385],[126.877,34.382],[126.871,34.376],[126.868,34.371],[126.866,34.375],[126.866,34.391],[126.867,34.402],[126.863,34.406],[126.863,34.41],[126.87,34.407],[126.877,34.403],[126.899,34.402],[126.902,34.403],[126.908,34.401],[126.914,34.396],[126.923,34.394],[126.931,34.394],[126.938,34.401],[126.942,34.411],[126.946,34.412],[126.946,34.404]]],[[[127.271,34.381],[127.267,34.38],[127.252,34.384],[127.248,34.389],[127.248,34.394],[127.25,34.398],[127.25,34.402],[127.245,34.404],[127.241,34.405],[127.24,34.408],[127.24,34.414],[127.242,34.416],[127.248,34.415],[127.252,34.408],[127.254,34.407],[127.258,34.405],[127.261,34.399],[127.266,34.392],[127.27,34.388],[127.272,34.385],[127.271,34.383],[127.271,34.381]]],[[[126.86,34.399],[126.861,34.393],[126.854,34.392],[126.833,34.397],[126.825,34.395],[126.82,34.389],[126.793,34.379],[126.784,34.369],[126.781,34.358],[126.776,34.355],[126.769,34.361],[126.769,34.371],[126.767,34.38],[126.762,34.383],[126.758,34.383],[126.753,34.387],[126.757,34.393],[126.761,34.399],[126.768,34.411],[126.782,34.427],[126.802,34.436],[126.823,34.44],[126.835,34.438],[126.84,34.432],[126.841,34.425],[126.836,34.421],[126.837,34.419],[126.846,34.414],[126.854,34.407],[126.86,34.399]]],[[[125.297,34.442],[125.283,34.434],[125.281,34.439],[125.284,34.444],[125.29,34.451],[125.296,34.45],[125.295,34.447],[125.297,34.442]]],[[[126.415,34.458],[126.417,34.45],[126.414,34.453],[126.414,34.456],[126.415,34.458]]],[[[127.042,34.459],[127.052,34.454],[127.056,34.456],[127.063,34.45],[127.074,34.425],[127.07,34.42],[127.07,34.413],[127.068,34.411],[127.066,34.41],[127.064,34.405],[127.06,34.409],[127.056,34.425],[127.052,34.427],[127.051,34.425],[127.052,34.42],[127.051,34.416],[127.047,34.417],[127.042,34.42],[127.025,34.452],[127.03,34.457],[127.042,34.459]]],[[[127.804,34.41],[127.803,34.409],[127.79,34.416],[127.787,34.422],[127.792,34.427],[127.791,34.429],[127.787,34.432],[127.793,34.44],[127.795,34.445],[127.795,34.452],[127.796,34.458],[127.802,34.46],[127.805,34.455],[127.813,34.45],[127.806,34.426],[127.807,34.421],[127.806,34.417],[127.805,34.414],[127.804,34.41]]],[[[126.412,34.468],[126.415,34.458],[126.413,34.459],[126.408,34.461],[126.412,34.468]]],[[[127.487,34.464],[127.487,34.461],[127.492,34.462],[127.501,34.47],[127.51,34.47],[127.532,34.451],[127.536,34.441],[127.536,34.435],[127.529,34.428],[127.511,34.418],[127.495,34.414],[127.489,34.417],[127.489,34.425],[127.482,34.431],[127.472,34.434],[127.467,34.439],[127.47,34.443],[127.459,34.449],[127.452,34.453],[127.456,34.461],[127.455,34.466],[127.453,34.471],[127.458,34.473],[127.465,34.47],[127.473,34.467],[127.487,34.464]]],[[[127.21,34.424],[127.169,34.418],[127.153,34.42],[127.141,34.424],[127.117,34.438],[127.117,34.445],[127.123,34.451],[127.124,34.455],[127.12,34.46],[127.111,34.465],[127.124,34.473],[127.14,34.479],[127.173,34.484],[127.204,34.487],[127.221,34.486],[127.234,34.48],[127.245,34.464],[127.242,34.445],[127.229,34.43],[127.21,34.424]]],[[[126.057,34.485],[126.059,34.483],[126.065,34.483],[126.068,34.482],[126.065,34.478],[126.054,34.471],[126.045,34.463],[126.039,34.461],[126.037,34.472],[126.033,34.48],[126.033,34.482],[126.039,34.485],[126.046,34.491],[126.048,34.497],[126.057,34.496],[126.063,34.491],[126.057,34.485]]],[[[127.823,34.48],[127.817,34.476],[127.81,34.476],[127.808,34.479],[127.804,34.478],[127.8,34.474],[127.797,34.475],[127.797,34.485],[127.804,34.494],[127.814,34.497],[127.822,34.499],[127.824,34.497],[127.819,34.491],[127.822,34.486],[127.823,34.48]]],[[[127.134,34.513],[127.126,34.506],[127.113,34.502],[127.109,34.507],[127.103,34.509],[127.102,34.517],[127.109,34.516],[127.112,34.521],[127.118,34.519],[127.12,34.513],[127.124,34.516],[127.127,34.524],[127.134,34.522],[127.134,34.513]]],[[[127.474,34.516],[127.472,34.514],[127.466,34.515],[127.462,34.513],[127.468,34.511],[127.5,34.502],[127.503,34.499],[127.505,34.493],[127.503,34.49],[127.495,34.485],[127.485,34.486],[127.464,34.481],[127.456,34.479],[127.451,34.483],[127.444,34.489],[127.444,34.495],[127.452,34.499],[127.459,34.499],[127.458,34.501],[127.453,34.507],[127.452,34.51],[127.451,34.514],[127.436,34.517],[127.436,34.52],[127.44,34.52],[127.44,34.521],[127.439,34.525],[127.442,34.533],[127.451,34.54],[127.466,34.541],[127.476,34.534],[127.47,34.529],[127.463,34.529],[127.464,34.526],[127.471,34.522],[127.474,34.516]]],[[[127.779,34.488],[127.771,34.488],[127.769,34.49],[127.766,34.494],[127.757,34.498],[127.742,34.502],[127.732,34.508],[127.728,34.517],[127.723,34.523],[127.715,34.527],[127.708,34.534],[127.713,34.542],[127.73,34.549],[127.748,34.551],[127.761,34.543],[127.776,34.519],[127.774,34.512],[127.775,34.508],[127.783,34.507],[127.79,34.504],[127.794,34.498],[127.792,34.492],[127.779,34.488]]],[[[126.316,34.538],[126.322,34.534],[126.327,34.535],[126.349,34.547],[126.35,34.538],[126.38,34.498],[126.382,34.485],[126.379,34.469],[126.374,34.454],[126.354,34.42],[126.346,34.409],[126.336,34.403],[126.334,34.407],[126.317,34.42],[126.309,34.424],[126.309,34.418],[126.305,34.402],[126.21,34.359],[126.198,34.356],[126.156,34.353],[126.145,34.355],[126.143,34.364],[126.148,34.371],[126.156,34.377],[126.158,34.382],[126.153,34.388],[126.124,34.403],[126.124,34.382],[126.103,34.403],[126.116,34.436],[126.144,34.463],[126.172,34.465],[126.181,34.487],[126.187,34.494],[126.196,34.503],[126.207,34.508],[126.217,34.509],[126.224,34.513],[126.227,34.528],[126.238,34.516],[126.254,34.514],[126.268,34.522],[126.274,34.537],[126.267,34.55],[126.241,34.566],[126.248,34.575],[126.264,34.576],[126.28,34.568],[126.295,34.559],[126.305,34.554],[126.308,34.551],[126.311,34.545],[126.316,34.538]]],[[[127.404,34.57],[127.396,34.563],[127.405,34.575],[127.409,34.58],[127.407,34.576],[127.404,34.57]]],[[[127.668,34.575],[127.671,34.574],[127.683,34.574],[127.686,34.576],[127.693,34.575],[127.698,34.568],[127.694,34.563],[127.688,34.561],[127.686,34.565],[127.683,34.569],[127.677,34.559],[127.671,34.556],[127.666,34.556],[127.654,34.554],[127.643,34.566],[127.638,34.564],[127.637,34.568],[127.642,34.577],[127.647,34.581],[127.658,34.586],[127.662,34.584],[127.667,34.581],[127.668,34.575]]],[[[127.104,34.598],[127.099,34.596],[127.092,34.608],[127.094,34.61],[127.099,34.611],[127.101,34.61],[127.108,34.605],[127.104,34.598]]],[[[127.559,34.616],[127.565,34.611],[127.566,34.606],[127.562,34.604],[127.554,34.604],[127.553,34.599],[127.55,34.594],[127.543,34.596],[127.539,34.602],[127.538,34.609],[127.533,34.604],[127.524,34.605],[127.522,34.61],[127.527,34.617],[127.532,34.614],[127.538,34.613],[127.542,34.616],[127.55,34.619],[127.559,34.616]]],[[[126.058,34.533],[126.047,34.531],[126.035,34.534],[126.032,34.539],[126.037,34.541],[126.043,34.541],[126.049,34.545],[126.054,34.549],[126.053,34.552],[126.031,34.556],[126.037,34.562],[126.05,34.563],[126.065,34.564],[126.076,34.571],[126.081,34.581],[126.076,34.591],[126.066,34.604],[126.06,34.621],[126.068,34.625],[126.08,34.617],[126.087,34.611],[126.099,34.605],[126.1,34.597],[126.102,34.595],[126.104,34.59],[126.103,34.579],[126.1,34.568],[126.099,34.559],[126.094,34.554],[126.086,34.549],[126.077,34.542],[126.058,34.533]]],[[[125.858,34.621],[125.86,34.611],[125.858,34.607],[125.852,34.603],[125.837,34.599],[125.829,34.599],[125.821,34.596],[125.814,34.599],[125.814,34.605],[125.821,34.606],[125.821,34.608],[125.802,34.621],[125.803,34.623],[125.808,34.623],[125.816,34.619],[125.826,34.618],[125.848,34.628],[125.855,34.628],[125.858,34.621]]],[[[126.038,34.569],[126.029,34.566],[126.021,34.571],[126.017,34.606],[126.02,34.625],[126.029,34.634],[126.041,34.611],[126.052,34.598],[126.06,34.584],[126.058,34.573],[126.049,34.57],[126.038,34.569]]],[[[125.977,34.629],[125.977,34.619],[125.968,34.622],[125.964,34.627],[125.96,34.626],[125.951,34.628],[125.946,34.636],[125.95,34.639],[125.958,34.644],[125.963,34.644],[125.968,34.642],[125.971,34.635],[125.974,34.634],[125.977,34.629]]],[[[125.472,34.643],[125.465,34.637],[125.46,34.64],[125.456,34.644],[125.459,34.649],[125.464,34.651],[125.466,34.655],[125.469,34.655],[125.47,34.655],[125.474,34.656],[125.476,34.656],[125.482,34.656],[125.479,34.651],[125.472,34.643]]],[[[126.157,34.657],[126.158,34.654],[126.174,34.664],[126.185,34.654],[126.187,34.641],[126.199,34.641],[126.2,34.637],[126.182,34.63],[126.176,34.624],[126.17,34.624],[126.162,34.626],[126.156,34.624],[126.153,34.62],[126.15,34.619],[126.144,34.619],[126.138,34.618],[126.132,34.614],[126.128,34.613],[126.125,34.616],[126.129,34.642],[126.122,34.645],[126.116,34.649],[126.12,34.653],[126.126,34.656],[126.13,34.66],[126.149,34.672],[126.154,34.672],[126.16,34.67],[126.162,34.664],[126.157,34.657]]],[[[125.376,34.673],[125.371,34.667],[125.362,34.676],[125.374,34.681],[125.381,34.677],[125.376,34.673]]],[[[125.434,34.696],[125.437,34.688],[125.446,34.688],[125.457,34.691],[125.459,34.687],[125.45,34.68],[125.446,34.675],[125.443,34.669],[125.427,34.654],[125.424,34.647],[125.418,34.638],[125.413,34.632],[125.409,34.629],[125.399,34.632],[125.392,34.646],[125.393,34.66],[125.399,34.672],[125.406,34.683],[125.413,34.692],[125.421,34.697],[125.429,34.698],[125.434,34.696]]],[[[126.108,34.701],[126.103,34.697],[126.095,34.702],[126.098,34.708],[126.108,34.713],[126.108,34.701]]],[[[125.204,34.716],[125.206,34.713],[125.214,34.715],[125.214,34.704],[125.214,34.699],[125.208,34.688],[125.198,34.682],[125.194,34.68],[125.197,34.672],[125.192,34.671],[125.188,34.668],[125.186,34.662],[125.179,34.67],[125.181,34.674],[125.178,34.681],[125.181,34.684],[125.186,34.686],[125.189,34.685],[125.2,34.703],[125.201,34.713],[125.204,34.716]]],[[[127.798,34.58],[127.787,34.579],[127.775,34.584],[127.74,34.614],[127.736,34.625],[127.742,34.644],[127.746,34.648],[127.765,34.66],[127.768,34.666],[127.776,34.691],[127.761,34.705],[127.763,34.713],[127.773,34.717],[127.786,34.718],[127.797,34.714],[127.799,34.705],[127.794,34.694],[127.782,34.685],[127.792,34.682],[127.802,34.67],[127.809,34.656],[127.817,34.631],[127.818,34.616],[127.815,34.602],[127.808,34.588],[127.798,34.58]]],[[[127.743,34.707],[127.733,34.7],[127.724,34.703],[127.718,34.711],[127.716,34.713],[127.72,34.716],[127.723,34.719],[127.726,34.72],[127.731,34.718],[127.731,34.716],[127.727,34.715],[127.73,34.712],[127.734,34.71],[127.743,34.707]]],[[[125.999,34.677],[125.984,34.661],[125.977,34.656],[125.97,34.656],[125.96,34.657],[125.96,34.66],[125.945,34.667],[125.929,34.672],[125.925,34.671],[125.916,34.688],[125.923,34.695],[125.952,34.705],[125.971,34.726],[125.977,34.728],[125.98,34.726],[125.989,34.713],[126.001,34.704],[126.004,34.7],[126.005,34.693],[126.003,34.685],[125.999,34.677]]],[[[126.118,34.77],[126.127,34.767],[126.133,34.761],[126.142,34.758],[126.154,34.757],[126.164,34.755],[126.17,34.75],[126.174,34.744],[126.173,34.739],[126.174,34.733],[126.178,34.724],[126.178,34.713],[126.172,34.704],[126.159,34.703],[126.148,34.712],[126.138,34.723],[126.128,34.724],[126.122,34.72],[126.119,34.718],[126.111,34.718],[126.104,34.722],[126.103,34.731],[126.093,34.744],[126.074,34.761],[126.07,34.77],[126.079,34.768],[126.087,34.768],[126.095,34.771],[126.105,34.772],[126.118,34.77]]],[[[126.319,34.761],[126.315,34.76],[126.306,34.78],[126.314,34.783],[126.317,34.788],[126.322,34.786],[126.325,34.784],[126.329,34.781],[126.323,34.775],[126.317,34.772],[126.317,34.768],[126.32,34.765],[126.319,34.761]]],[[[126.007,34.781],[126.008,34.76],[126.003,34.761],[125.992,34.764],[125.987,34.767],[125.978,34.757],[125.964,34.757],[125.952,34.759],[125.946,34.757],[125.944,34.743],[125.939,34.731],[125.93,34.723],[125.918,34.718],[125.906,34.719],[125.898,34.726],[125.893,34.737],[125.891,34.75],[125.894,34.762],[125.902,34.771],[125.913,34.777],[125.925,34.781],[125.939,34.777],[125.957,34.78],[125.989,34.79],[125.996,34.791],[126.001,34.79],[126.004,34.787],[126.007,34.781]]],[[[127.467,34.801],[127.466,34.793],[127.466,34.79],[127.461,34.788],[127.455,34.784],[127.453,34.779],[127.451,34.778],[127.445,34.779],[127.441,34.782],[127.445,34.786],[127.445,34.792],[127.447,34.795],[127.45,34.796],[127.459,34.795],[127.467,34.801]]],[[[126.158,34.764],[126.146,34.762],[126.135,34.767],[126.122,34.777],[126.105,34.782],[126.093,34.788],[126.102,34.794],[126.127,34.798],[126.142,34.803],[126.149,34.808],[126.159,34.805],[126.166,34.796],[126.169,34.792],[126.166,34.79],[126.162,34.783],[126.164,34.77],[126.158,34.764]]],[[[126.142,34.879],[126.147,34.877],[126.152,34.871],[126.153,34.865],[126.14,34.858],[126.145,34.842],[126.142,34.833],[126.135,34.829],[126.125,34.83],[126.119,34.824],[126.119,34.813],[126.116,34.803],[126.105,34.798],[126.096,34.799],[126.094,34.805],[126.094,34.809],[126.079,34.823],[126.071,34.832],[126.064,34.843],[126.067,34.851],[126.082,34.857],[126.094,34.858],[126.103,34.853],[126.113,34.853],[126.115,34.859],[126.113,34.871],[126.123,34.879],[126.136,34.879],[126.142,34.879]]],[[[127.722,34.897],[127.73,34.894],[127.734,34.895],[127.739,34.895],[127.745,34.892],[127.723,34.871],[127.712,34.869],[127.704,34.871],[127.695,34.879],[127.694,34.883],[127.699,34.89],[127.71,34.896],[127.722,34.897]]],[[[126.36,34.859],[126.362,34.837],[126.342,34.822],[126.331,34.826],[126.338,34.832],[126.341,34.837],[126.338,34.841],[126.31,34.854],[126.306,34.856],[126.277,34.852],[126.264,34.847],[126.249,34.845],[126.237,34.848],[126.231,34.855],[126.236,34.86],[126.252,34.861],[126.272,34.867],[126.276,34.871],[126.279,34.873],[126.28,34.878],[126.293,34.881],[126.297,34.887],[126.298,34.894],[126.29,34.903],[126.286,34.913],[126.297,34.918],[126.315,34.914],[126.333,34.907],[126.345,34.896],[126.344,34.89],[126.335,34.889],[126.32,34.881],[126.318,34.876],[126.319,34.871],[126.32,34.866],[126.327,34.864],[126.341,34.864],[126.36,34.859]]],[[[126.089,34.911],[126.091,34.897],[126.088,34.883],[126.081,34.871],[126.069,34.863],[126.055,34.859],[126.046,34.862],[126.04,34.866],[126.031,34.869],[125.999,34.863],[125.987,34.863],[125.987,34.869],[125.996,34.876],[126.014,34.9],[126.028,34.91],[126.034,34.91],[126.044,34.907],[126.052,34.908],[126.056,34.914],[126.06,34.927],[126.07,34.929],[126.081,34.923],[126.089,34.911]]],[[[126.246,34.916],[126.238,34.913],[126.225,34.913],[126.22,34.922],[126.222,34.932],[126.23,34.935],[126.247,34.935],[126.253,34.933],[126.253,34.929],[126.25,34.919],[126.246,34.916]]],[[[126.276,34.969],[126.28,34.965],[126.289,34.961],[126.295,34.948],[126.3,34.938],[126.296,34.933],[126.28,34.937],[126.277,34.948],[126.274,34.952],[126.268,34.961],[126.262,34.968],[126.267,34.968],[126.272,34.966],[126.272,34.969],[126.276,34.969]]],[[[126.214,34.966],[126.212,34.953],[126.207,34.956],[126.202,34.964],[126.199,34.97],[126.203,34.978],[126.211,34.983],[126.217,34.985],[126.218,34.981],[126.216,34.977],[126.217,34.974],[126.214,34.966]]],[[[126.26,34.976],[126.255,34.972],[126.251,34.976],[126.245,34.976],[126.248,34.98],[126.25,34.986],[126.249,34.998],[126.243,35.004],[126.247,35.007],[126.254,35.005],[126.262,35],[126.264,34.997],[126.27,34.991],[126.271,34.982],[126.27,34.977],[126.26,34.976]]],[[[126.171,35],[126.178,34.997],[126.18,34.992],[126.178,34.978],[126.165,34.97],[126.146,34.966],[126.144,34.96],[126.146,34.954],[126.145,34.951],[126.132,34.949],[126.129,34.947],[126.127,34.947],[126.128,34.954],[126.136,34.967],[126.138,34.988],[126.148,34.992],[126.152,34.997],[126.148,34.998],[126.142,34.996],[126.115,34.995],[126.112,34.997],[126.105,34.995],[126.098,34.998],[126.097,35.003],[126.1,35.005],[126.108,35.007],[126.112,35.01],[126.113,35.014],[126.118,35.017],[126.123,35.019],[126.127,35.022],[126.134,35.025],[126.142,35.023],[126.147,35.022],[126.152,35.021],[126.154,35.02],[126.155,35.017],[126.159,35.016],[126.161,35.014],[126.161,35.01],[126.164,35.003],[126.171,35]]],[[[126.144,35.058],[126.153,35.054],[126.165,35.055],[126.174,35.053],[126.178,35.048],[126.181,35.044],[126.182,35.039],[126.182,35.029],[126.177,35.026],[126.172,35.024],[126.167,35.025],[126.158,35.033],[126.154,35.036],[126.149,35.034],[126.144,35.034],[126.142,35.038],[126.139,35.04],[126.134,35.04],[126.132,35.042],[126.139,35.046],[126.137,35.048],[126.132,35.047],[126.128,35.048],[126.13,35.053],[126.137,35.057],[126.144,35.058]]],[[[126.026,35.093],[126.026,35.076],[126.022,35.079],[126.015,35.082],[126.009,35.089],[126.01,35.097],[126.015,35.099],[126.021,35.1],[126.026,35.093]]],[[[126.189,35.102],[126.199,35.097],[126.207,35.1],[126.217,35.104],[126.223,35.101],[126.225,35.097],[126.23,35.097],[126.236,35.098],[126.239,35.092],[126.232,35.086],[126.222,35.086],[126.219,35.082],[126.219,35.077],[126.23,35.067],[126.239,35.064],[126.249,35.063],[126.255,35.056],[126.258,35.048],[126.263,35.042],[126.265,35.034],[126.261,35.025],[126.257,35.022],[126.255,35.025],[126.243,35.027],[126.238,35.032],[126.234,35.038],[126.234,35.047],[126.236,35.052],[126.229,35.054],[126.204,35.057],[126.198,35.061],[126.189,35.062],[126.185,35.063],[126.181,35.066],[126.175,35.068],[126.169,35.074],[126.159,35.094],[126.165,35.102],[126.178,35.106],[126.189,35.102]]],[[[126.114,35.059],[126.111,35.051],[126.105,35.05],[126.079,35.056],[126.069,35.055],[126.065,35.057],[126.063,35.059],[126.06,35.061],[126.056,35.061],[126.064,35.093],[126.069,35.102],[126.076,35.106],[126.088,35.109],[126.099,35.113],[126.104,35.12],[126.111,35.133],[126.129,35.143],[126.15,35.147],[126.165,35.144],[126.135,35.129],[126.128,35.121],[126.127,35.111],[126.131,35.1],[126.145,35.082],[126.134,35.079],[126.123,35.07],[126.114,35.059]]],[[[126.149,35.275],[126.141,35.269],[126.138,35.273],[126.134,35.28],[126.131,35.284],[126.13,35.288],[126.134,35.292],[126.136,35.294],[126.138,35.297],[126.144,35.295],[126.149,35.29],[126.151,35.281],[126.154,35.276],[126.149,35.275]]],[[[126.037,35.349],[126.039,35.343],[126.032,35.339],[126.03,35.336],[126.025,35.335],[126.014,35.332],[126.016,35.337],[126.01,35.341],[126.006,35.344],[126.01,35.346],[126.013,35.347],[126.017,35.345],[126.019,35.345],[126.017,35.35],[126.013,35.352],[126.009,35.355],[126.014,35.357],[126.022,35.363],[126.028,35.358],[126.03,35.355],[126.035,35.353],[126.037,35.349]]],[[[126.903,35.455],[126.933,35.434],[126.98,35.383],[127.011,35.383],[127.013,35.397],[127.02,35.41],[127.03,35.418],[127.037,35.428],[127.066,35.43],[127.086,35.405],[127.078,35.376],[127.084,35.357],[127.104,35.338],[127.103,35.305],[127.127,35.284],[127.164,35.28],[127.193,35.294],[127.223,35.298],[127.244,35.298],[127.261,35.301],[127.276,35.292],[127.293,35.284],[127.33,35.283],[127.367,35.287],[127.4,35.287],[127.431,35.291],[127.46,35.317],[127.496,35.333],[127.56,35.314],[127.617,35.277],[127.612,35.255],[127.633,35.235],[127.643,35.209],[127.647,35.156],[127.66,35.136],[127.685,35.122],[127.707,35.103],[127.716,35.081],[127.727,35.063],[127.789,35.007],[127.803,34.98],[127.802,34.962],[127.805,34.957],[127.798,34.959],[127.758,34.958],[127.744,34.96],[127.739,34.965],[127.737,34.973],[127.731,34.983],[127.719,34.99],[127.717,34.982],[127.718,34.97],[127.72,34.965],[127.713,34.947],[127.709,34.94],[127.7,34.932],[127.662,34.907],[127.641,34.899],[127.626,34.91],[127.607,34.941],[127.592,34.946],[127.581,34.934],[127.575,34.914],[127.576,34.897],[127.586,34.879],[127.601,34.856],[127.619,34.836],[127.635,34.828],[127.646,34.816],[127.657,34.812],[127.669,34.818],[127.7,34.842],[127.721,34.845],[127.74,34.842],[127.757,34.841],[127.776,34.849],[127.775,34.829],[127.771,34.815],[127.761,34.787],[127.75,34.737],[127.742,34.726],[127.706,34.716],[127.679,34.727],[127.656,34.731],[127.638,34.698],[127.632,34.701],[127.631,34.701],[127.629,34.699],[127.624,34.698],[127.632,34.685],[127.638,34.671],[127.645,34.626],[127.641,34.618],[127.63,34.623],[127.614,34.637],[127.59,34.639],[127.572,34.647],[127.561,34.662],[127.556,34.685],[127.562,34.706],[127.575,34.727],[127.584,34.746],[127.58,34.763],[127.572,34.773],[127.556,34.801],[127.552,34.803],[127.546,34.803],[127.54,34.804],[127.535,34.808],[127.535,34.813],[127.537,34.819],[127.54,34.823],[127.524,34.849],[127.522,34.859],[127.523,34.865],[127.527,34.875],[127.528,34.88],[127.526,34.885],[127.521,34.89],[127.517,34.891],[127.514,34.887],[127.511,34.885],[127.494,34.849],[127.487,34.841],[127.484,34.84],[127.479,34.839],[127.445,34.829],[127.425,34.827],[127.382,34.828],[127.365,34.824],[127.379,34.815],[127.404,34.806],[127.426,34.801],[127.426,34.794],[127.383,34.783],[127.362,34.773],[127.358,34.76],[127.366,34.754],[127.385,34.76],[127.395,34.757],[127.402,34.747],[127.4,34.744],[127.395,34.742],[127.392,34.74],[127.406,34.7],[127.435,34.679],[127.466,34.662],[127.488,34.637],[127.477,34.638],[127.46,34.638],[127.452,34.637],[127.495,34.623],[127.501,34.612],[127.504,34.591],[127.494,34.584],[127.484,34.577],[127.465,34.577],[127.452,34.575],[127.407,34.598],[127.392,34.602],[127.379,34.6],[127.363,34.594],[127.349,34.586],[127.344,34.578],[127.346,34.575],[127.358,34.554],[127.372,34.552],[127.38,34.547],[127.418,34.555],[127.439,34.541],[127.392,34.505],[127.375,34.485],[127.357,34.492],[127.328,34.474],[127.331,34.456],[127.344,34.445],[127.316,34.445],[127.275,34.489],[127.261,34.513],[127.223,34.547],[127.212,34.545],[127.172,34.528],[127.176,34.517],[127.179,34.513],[127.163,34.518],[127.147,34.52],[127.134,34.526],[127.125,34.541],[127.123,34.555],[127.13,34.564],[127.152,34.575],[127.159,34.58],[127.179,34.602],[127.192,34.624],[127.199,34.631],[127.213,34.637],[127.212,34.62],[127.208,34.604],[127.193,34.575],[127.222,34.576],[127.247,34.584],[127.261,34.6],[127.261,34.63],[127.255,34.642],[127.247,34.648],[127.241,34.656],[127.241,34.671],[127.246,34.679],[127.275,34.705],[127.285,34.701],[127.292,34.695],[127.294,34.687],[127.288,34.677],[127.294,34.664],[127.303,34.655],[127.314,34.652],[127.33,34.657],[127.336,34.664],[127.35,34.688],[127.358,34.698],[127.344,34.715],[127.339,34.733],[127.332,34.741],[127.313,34.729],[127.291,34.721],[127.273,34.734],[127.248,34.767],[127.234,34.748],[127.214,34.706],[127.2,34.691],[127.185,34.687],[127.173,34.687],[127.148,34.691],[127.136,34.688],[127.125,34.68],[127.107,34.66],[127.099,34.654],[127.063,34.637],[127.043,34.624],[127.03,34.618],[127.018,34.616],[127.01,34.612],[127.009,34.604],[127.009,34.593],[127.007,34.582],[127.001,34.573],[126.991,34.564],[126.987,34.554],[126.994,34.541],[126.939,34.496],[126.941,34.455],[126.931,34.448],[126.905,34.459],[126.896,34.45],[126.892,34.44],[126.892,34.429],[126.898,34.418],[126.885,34.421],[126.857,34.438],[126.819,34.447],[126.81,34.451],[126.802,34.47],[126.806,34.521],[126.802,34.541],[126.808,34.553],[126.807,34.569],[126.8,34.582],[126.789,34.589],[126.778,34.586],[126.767,34.578],[126.759,34.567],[126.755,34.558],[126.759,34.544],[126.766,34.532],[126.766,34.523],[126.735,34.515],[126.739,34.503],[126.761,34.479],[126.723,34.461],[126.709,34.45],[126.724,34.445],[126.727,34.443],[126.728,34.438],[126.727,34.433],[126.724,34.431],[126.718,34.432],[126.708,34.436],[126.703,34.438],[126.69,34.436],[126.688,34.431],[126.687,34.424],[126.682,34.414],[126.674,34.41],[126.645,34.403],[126.634,34.396],[126.63,34.389],[126.605,34.322],[126.603,34.312],[126.603,34.3],[126.579,34.305],[126.533,34.292],[126.521,34.294],[126.52,34.306],[126.529,34.33],[126.527,34.341],[126.518,34.348],[126.506,34.35],[126.48,34.349],[126.48,34.355],[126.485,34.361],[126.487,34.365],[126.489,34.381],[126.492,34.381],[126.496,34.38],[126.501,34.382],[126.515,34.404],[126.518,34.414],[126.514,34.424],[126.509,34.427],[126.501,34.429],[126.487,34.431],[126.476,34.433],[126.474,34.439],[126.477,34.444],[126.48,34.445],[126.48,34.458],[126.484,34.47],[126.482,34.477],[126.466,34.472],[126.47,34.496],[126.49,34.509],[126.517,34.513],[126.542,34.513],[126.537,34.521],[126.531,34.527],[126.523,34.531],[126.514,34.534],[126.53,34.543],[126.539,34.554],[126.54,34.563],[126.527,34.569],[126.523,34.567],[126.514,34.558],[126.508,34.554],[126.499,34.554],[126.486,34.561],[126.48,34.561],[126.473,34.557],[126.469,34.55],[126.466,34.541],[126.457,34.539],[126.448,34.539],[126.439,34.541],[126.417,34.54],[126.406,34.539],[126.391,34.534],[126.389,34.55],[126.38,34.559],[126.357,34.569],[126.357,34.572],[126.352,34.58],[126.346,34.585],[126.343,34.578],[126.34,34.574],[126.333,34.571],[126.325,34.57],[126.319,34.572],[126.298,34.588],[126.295,34.589],[126.292,34.599],[126.294,34.602],[126.298,34.603],[126.302,34.609],[126.306,34.604],[126.316,34.604],[126.323,34.609],[126.319,34.619],[126.292,34.63],[126.271,34.642],[126.269,34.671],[126.278,34.703],[126.289,34.726],[126.29,34.733],[126.289,34.742],[126.29,34.75],[126.298,34.753],[126.306,34.753],[126.314,34.751],[126.32,34.748],[126.326,34.736],[126.357,34.698],[126.347,34.688],[126.344,34.678],[126.346,34.668],[126.349,34.657],[126.37,34.609],[126.382,34.603],[126.432,34.596],[126.453,34.584],[126.465,34.585],[126.473,34.602],[126.462,34.601],[126.456,34.603],[126.435,34.607],[126.425,34.619],[126.413,34.63],[126.416,34.653],[126.403,34.651],[126.397,34.637],[126.386,34.636],[126.38,34.655],[126.377,34.679],[126.384,34.694],[126.379,34.711],[126.406,34.713],[126.448,34.706],[126.453,34.698],[126.451,34.685],[126.451,34.681],[126.451,34.677],[126.453,34.671],[126.463,34.665],[126.469,34.659],[126.482,34.652],[126.5,34.646],[126.511,34.637],[126.525,34.629],[126.536,34.623],[126.54,34.628],[126.519,34.65],[126.532,34.653],[126.55,34.644],[126.574,34.633],[126.603,34.626],[126.624,34.63],[126.603,34.633],[126.585,34.642],[126.555,34.664],[126.563,34.671],[126.541,34.684],[126.508,34.718],[126.49,34.726],[126.465,34.73],[126.436,34.728],[126.415,34.739],[126.39,34.733],[126.367,34.74],[126.364,34.749],[126.378,34.764],[126.392,34.769],[126.422,34.765],[126.46,34.779],[126.506,34.751],[126.521,34.753],[126.525,34.751],[126.528,34.749],[126.53,34.748],[126.535,34.746],[126.531,34.765],[126.532,34.783],[126.544,34.796],[126.569,34.801],[126.615,34.789],[126.638,34.788],[126.631,34.801],[126.647,34.807],[126.655,34.809],[126.665,34.808],[126.65,34.822],[126.628,34.826],[126.576,34.822],[126.58,34.831],[126.578,34.838],[126.576,34.845],[126.576,34.855],[126.579,34.862],[126.585,34.867],[126.589,34.873],[126.589,34.883],[126.581,34.898],[126.568,34.901],[126.553,34.896],[126.542,34.883],[126.541,34.875],[126.547,34.858],[126.549,34.849],[126.547,34.848],[126.535,34.828],[126.524,34.794],[126.513,34.782],[126.493,34.781],[126.493,34.783],[126.487,34.787],[126.491,34.792],[126.497,34.803],[126.501,34.808],[126.487,34.814],[126.478,34.81],[126.469,34.804],[126.456,34.801],[126.429,34.806],[126.421,34.802],[126.419,34.792],[126.406,34.792],[126.384,34.786],[126.374,34.791],[126.37,34.801],[126.377,34.811],[126.398,34.828],[126.405,34.837],[126.409,34.844],[126.411,34.851],[126.411,34.859],[126.409,34.874],[126.412,34.881],[126.425,34.891],[126.413,34.899],[126.402,34.915],[126.396,34.935],[126.398,34.951],[126.412,34.962],[126.431,34.973],[126.436,34.981],[126.411,34.986],[126.4,34.985],[126.393,34.98],[126.388,34.975],[126.38,34.973],[126.371,34.968],[126.372,34.959],[126.377,34.947],[126.377,34.938],[126.363,34.927],[126.345,34.926],[126.328,34.931],[126.315,34.938],[126.325,34.943],[126.329,34.945],[126.32,34.95],[126.313,34.956],[126.306,34.964],[126.302,34.973],[126.313,34.977],[126.324,34.977],[126.349,34.973],[126.346,34.994],[126.374,35.017],[126.367,35.038],[126.338,35.07],[126.321,35.083],[126.302,35.089],[126.309,35.066],[126.303,35.053],[126.288,35.053],[126.274,35.068],[126.284,35.079],[126.258,35.107],[126.254,35.123],[126.269,35.137],[126.289,35.139],[126.307,35.132],[126.315,35.116],[126.328,35.123],[126.335,35.134],[126.343,35.157],[126.35,35.146],[126.351,35.136],[126.349,35.117],[126.344,35.108],[126.343,35.102],[126.345,35.096],[126.349,35.096],[126.354,35.098],[126.357,35.096],[126.361,35.083],[126.362,35.077],[126.365,35.074],[126.377,35.068],[126.387,35.065],[126.404,35.065],[126.411,35.061],[126.406,35.05],[126.407,35.039],[126.414,35.029],[126.425,35.02],[126.45,35.067],[126.453,35.082],[126.452,35.1],[126.448,35.107],[126.429,35.111],[126.421,35.114],[126.414,35.12],[126.404,35.142],[126.371,35.174],[126.364,35.188],[126.366,35.193],[126.37,35.197],[126.375,35.202],[126.377,35.212],[126.367,35.218],[126.362,35.226],[126.364,35.239],[126.351,35.235],[126.337,35.234],[126.309,35.233],[126.32,35.245],[126.338,35.248],[126.359,35.249],[126.377,35.253],[126.371,35.254],[126.368,35.257],[126.365,35.259],[126.357,35.26],[126.362,35.269],[126.367,35.274],[126.374,35.278],[126.38,35.284],[126.384,35.292],[126.382,35.298],[126.379,35.305],[126.377,35.312],[126.381,35.327],[126.389,35.342],[126.411,35.37],[126.417,35.365],[126.432,35.349],[126.45,35.345],[126.459,35.345],[126.456,35.353],[126.437,35.371],[126.458,35.376],[126.555,35.398],[126.584,35.392],[126.578,35.355],[126.572,35.328],[126.57,35.301],[126.595,35.294],[126.625,35.3],[126.656,35.31],[126.69,35.314],[126.703,35.322],[126.718,35.329],[126.735,35.333],[126.751,35.34],[126.765,35.349],[126.773,35.363],[126.771,35.374],[126.77,35.384],[126.783,35.392],[126.792,35.403],[126.791,35.417],[126.791,35.43],[126.816,35.449],[126.85,35.446],[126.867,35.462],[126.885,35.461],[126.903,35.455]],[[126.934,35.255],[126.907,35.248],[126.88,35.243],[126.844,35.251],[126.823,35.234],[126.85,35.185],[126.905,35.158],[126.966,35.15],[127.006,35.193],[126.986,35.239],[126.934,35.255]]]] } },
+        { type: 'Feature', properties: { code: '47' }, geometry: { type: 'MultiPolygon', coordinates: [[[[128.879,37.044],[128.882,37.026],[128.912,37.036],[128.94,37.053],[128.952,37.049],[128.961,37.04],[128.972,37.039],[128.985,37.043],[129.024,37.038],[129.061,37.025],[129.087,37.03],[129.114,37.041],[129.149,37.035],[129.18,37.02],[129.189,36.997],[129.166,36.983],[129.137,36.992],[129.118,36.986],[129.101,36.976],[129.094,36.951],[129.098,36.919],[129.119,36.894],[129.152,36.881],[129.159,36.86],[129.168,36.842],[129.191,36.834],[129.213,36.824],[129.286,36.82],[129.282,36.797],[129.291,36.79],[129.298,36.783],[129.288,36.758],[129.274,36.731],[129.277,36.703],[129.286,36.678],[129.289,36.656],[129.278,36.632],[129.347,36.612],[129.379,36.623],[129.413,36.617],[129.423,36.617],[129.423,36.615],[129.428,36.576],[129.442,36.535],[129.447,36.493],[129.441,36.408],[129.435,36.39],[129.404,36.359],[129.392,36.342],[129.387,36.323],[129.382,36.202],[129.386,36.185],[129.392,36.176],[129.399,36.173],[129.404,36.168],[129.41,36.134],[129.417,36.108],[129.425,36.103],[129.431,36.097],[129.427,36.082],[129.419,36.073],[129.408,36.069],[129.398,36.066],[129.382,36.055],[129.381,36.041],[129.402,36.026],[129.417,36.012],[129.433,35.996],[129.453,35.993],[129.479,36.01],[129.543,36.066],[129.555,36.082],[129.571,36.072],[129.575,36.055],[129.582,36.037],[129.587,36.017],[129.572,35.997],[129.536,35.939],[129.533,35.913],[129.522,35.845],[129.496,35.785],[129.498,35.748],[129.471,35.683],[129.452,35.652],[129.443,35.636],[129.451,35.618],[129.459,35.611],[129.458,35.611],[129.379,35.626],[129.286,35.613],[129.269,35.616],[129.257,35.623],[129.254,35.637],[129.254,35.652],[129.245,35.664],[129.209,35.676],[129.176,35.682],[129.141,35.678],[129.099,35.666],[129.065,35.645],[129.07,35.631],[129.08,35.618],[129.074,35.608],[129.058,35.608],[129.033,35.595],[129.008,35.58],[128.98,35.572],[128.951,35.583],[128.913,35.591],[128.876,35.579],[128.865,35.567],[128.851,35.557],[128.837,35.556],[128.822,35.551],[128.79,35.53],[128.752,35.531],[128.721,35.544],[128.689,35.553],[128.651,35.547],[128.615,35.544],[128.584,35.56],[128.558,35.585],[128.55,35.64],[128.527,35.626],[128.502,35.597],[128.475,35.602],[128.421,35.579],[128.393,35.584],[128.367,35.6],[128.34,35.61],[128.311,35.614],[128.281,35.611],[128.22,35.613],[128.204,35.659],[128.216,35.682],[128.216,35.705],[128.203,35.718],[128.188,35.726],[128.184,35.734],[128.179,35.744],[128.157,35.756],[128.143,35.777],[128.124,35.794],[128.098,35.801],[128.07,35.801],[128.041,35.802],[128.025,35.811],[128.012,35.82],[127.982,35.822],[127.974,35.824],[127.966,35.827],[127.962,35.835],[127.961,35.843],[127.951,35.85],[127.942,35.855],[127.922,35.865],[127.914,35.887],[127.919,35.951],[127.878,36.007],[127.902,36.017],[127.927,36.024],[127.943,36.048],[127.951,36.074],[127.959,36.085],[127.968,36.095],[127.97,36.111],[127.97,36.125],[127.965,36.152],[127.989,36.168],[128.013,36.165],[128.034,36.164],[128.023,36.216],[128,36.229],[127.949,36.219],[127.93,36.227],[127.901,36.246],[127.877,36.252],[127.837,36.245],[127.831,36.292],[127.853,36.308],[127.867,36.331],[127.856,36.346],[127.85,36.364],[127.856,36.388],[127.86,36.442],[127.87,36.465],[127.888,36.479],[127.839,36.537],[127.8,36.542],[127.789,36.565],[127.803,36.57],[127.818,36.573],[127.833,36.585],[127.855,36.609],[127.861,36.619],[127.86,36.629],[127.863,36.641],[127.894,36.658],[127.929,36.671],[127.95,36.697],[127.989,36.684],[128.06,36.675],[128.045,36.697],[128.026,36.717],[128.033,36.737],[128.045,36.759],[128.057,36.776],[128.073,36.767],[128.093,36.769],[128.11,36.786],[128.127,36.795],[128.143,36.787],[128.174,36.778],[128.202,36.776],[128.209,36.793],[128.214,36.808],[128.225,36.822],[128.238,36.832],[128.251,36.82],[128.268,36.811],[128.291,36.794],[128.306,36.77],[128.342,36.761],[128.425,36.789],[128.44,36.828],[128.427,36.838],[128.42,36.848],[128.433,36.866],[128.443,36.885],[128.465,36.91],[128.496,36.928],[128.505,36.941],[128.517,36.949],[128.538,36.954],[128.554,36.967],[128.58,36.984],[128.603,37.004],[128.613,37.009],[128.625,37.005],[128.638,37.011],[128.65,37.022],[128.676,37.011],[128.701,37.003],[128.73,36.998],[128.756,36.996],[128.762,37.017],[128.765,37.04],[128.758,37.065],[128.777,37.083],[128.804,37.093],[128.831,37.091],[128.845,37.071],[128.865,37.068],[128.882,37.061],[128.879,37.044]],[[128.511,35.811],[128.523,35.793],[128.541,35.781],[128.553,35.774],[128.562,35.768],[128.57,35.774],[128.584,35.794],[128.599,35.803],[128.631,35.8],[128.689,35.788],[128.711,35.799],[128.714,35.808],[128.714,35.815],[128.724,35.835],[128.725,35.843],[128.724,35.85],[128.734,35.851],[128.741,35.849],[128.757,35.862],[128.762,35.878],[128.762,35.895],[128.76,35.91],[128.749,35.918],[128.741,35.928],[128.741,35.953],[128.745,35.96],[128.746,35.968],[128.733,35.986],[128.693,36.009],[128.64,36.007],[128.577,36],[128.53,35.968],[128.536,35.922],[128.519,35.907],[128.508,35.887],[128.518,35.886],[128.526,35.884],[128.524,35.874],[128.52,35.864],[128.504,35.862],[128.489,35.862],[128.475,35.846],[128.481,35.828],[128.497,35.823],[128.511,35.811]]],[[[131.863,37.243],[131.862,37.242],[131.86,37.242],[131.861,37.244],[131.863,37.243]]],[[[130.897,37.463],[130.878,37.456],[130.852,37.459],[130.827,37.471],[130.811,37.487],[130.806,37.507],[130.814,37.523],[130.832,37.532],[130.868,37.537],[130.892,37.544],[130.904,37.546],[130.921,37.536],[130.919,37.51],[130.908,37.482],[130.897,37.463]]]] } },
+        { type: 'Feature', properties: { code: '48' }, geometry: { type: 'MultiPolygon', coordinates: [[[[128.271,34.632],[128.276,34.632],[128.295,34.64],[128.297,34.637],[128.296,34.632],[128.286,34.622],[128.282,34.62],[128.275,34.619],[128.266,34.621],[128.258,34.62],[128.247,34.616],[128.242,34.612],[128.236,34.61],[128.235,34.614],[128.239,34.621],[128.238,34.626],[128.233,34.629],[128.23,34.63],[128.225,34.633],[128.226,34.638],[128.228,34.642],[128.229,34.648],[128.233,34.651],[128.24,34.652],[128.271,34.638],[128.271,34.632]]],[[[128.379,34.823],[128.386,34.82],[128.395,34.823],[128.411,34.827],[128.428,34.827],[128.438,34.82],[128.441,34.807],[128.435,34.799],[128.439,34.794],[128.435,34.788],[128.425,34.791],[128.421,34.789],[128.421,34.787],[128.429,34.785],[128.437,34.78],[128.433,34.774],[128.423,34.763],[128.407,34.763],[128.399,34.771],[128.395,34.779],[128.387,34.779],[128.389,34.785],[128.386,34.792],[128.373,34.793],[128.369,34.797],[128.378,34.803],[128.38,34.81],[128.37,34.817],[128.352,34.822],[128.341,34.819],[128.334,34.819],[128.332,34.826],[128.34,34.833],[128.352,34.835],[128.367,34.83],[128.379,34.823]]],[[[128.241,34.8],[128.238,34.797],[128.229,34.799],[128.223,34.801],[128.212,34.808],[128.206,34.816],[128.207,34.821],[128.214,34.83],[128.227,34.839],[128.24,34.836],[128.255,34.822],[128.261,34.815],[128.257,34.809],[128.246,34.809],[128.241,34.807],[128.241,34.8]]],[[[128.013,34.869],[128.019,34.866],[128.025,34.877],[128.036,34.892],[128.046,34.894],[128.049,34.887],[128.054,34.883],[128.059,34.88],[128.061,34.868],[128.067,34.852],[128.073,34.845],[128.077,34.842],[128.082,34.836],[128.072,34.833],[128.027,34.843],[128.002,34.837],[127.987,34.838],[127.972,34.846],[127.964,34.86],[127.97,34.875],[127.984,34.89],[127.993,34.903],[128.002,34.913],[128.018,34.917],[128.023,34.906],[128.016,34.889],[128.012,34.878],[128.013,34.869]]],[[[127.95,34.825],[127.962,34.807],[127.981,34.81],[128.006,34.818],[128.029,34.822],[128.063,34.817],[128.07,34.815],[128.075,34.804],[128.072,34.794],[128.066,34.783],[128.063,34.77],[128.066,34.749],[128.065,34.738],[128.06,34.732],[128.052,34.729],[128.06,34.708],[128.056,34.698],[128.041,34.696],[128.026,34.703],[128.01,34.709],[127.992,34.702],[127.975,34.7],[127.965,34.719],[127.954,34.76],[127.938,34.767],[127.925,34.76],[127.916,34.743],[127.912,34.722],[127.906,34.713],[127.892,34.713],[127.877,34.717],[127.868,34.722],[127.862,34.731],[127.86,34.738],[127.86,34.747],[127.858,34.76],[127.83,34.834],[127.827,34.851],[127.829,34.869],[127.841,34.887],[127.848,34.892],[127.856,34.893],[127.862,34.896],[127.867,34.918],[127.873,34.924],[127.889,34.935],[127.902,34.94],[127.917,34.936],[127.931,34.926],[127.938,34.914],[127.937,34.901],[127.928,34.888],[127.906,34.869],[127.91,34.862],[127.914,34.845],[127.92,34.835],[127.928,34.831],[127.95,34.825]]],[[[128.724,34.955],[128.73,34.945],[128.734,34.935],[128.734,34.922],[128.73,34.91],[128.714,34.876],[128.735,34.882],[128.744,34.888],[128.748,34.886],[128.749,34.869],[128.747,34.857],[128.743,34.845],[128.734,34.838],[128.721,34.842],[128.726,34.829],[128.739,34.806],[128.742,34.791],[128.734,34.788],[128.717,34.793],[128.698,34.801],[128.686,34.808],[128.683,34.794],[128.68,34.787],[128.663,34.77],[128.657,34.757],[128.669,34.749],[128.686,34.744],[128.694,34.736],[128.678,34.725],[128.606,34.706],[128.584,34.705],[128.618,34.726],[128.604,34.731],[128.599,34.74],[128.599,34.752],[128.605,34.767],[128.573,34.753],[128.564,34.759],[128.56,34.77],[128.56,34.782],[128.567,34.787],[128.592,34.791],[128.599,34.802],[128.599,34.818],[128.605,34.835],[128.591,34.842],[128.581,34.832],[128.545,34.819],[128.529,34.808],[128.517,34.823],[128.503,34.836],[128.492,34.85],[128.488,34.869],[128.495,34.88],[128.508,34.891],[128.523,34.899],[128.536,34.904],[128.574,34.91],[128.584,34.91],[128.6,34.904],[128.614,34.897],[128.627,34.892],[128.646,34.891],[128.646,34.897],[128.627,34.907],[128.616,34.922],[128.612,34.939],[128.611,34.955],[128.624,34.954],[128.694,34.986],[128.682,35.005],[128.688,35.023],[128.703,35.033],[128.721,35.027],[128.725,35.019],[128.725,35.009],[128.719,34.972],[128.719,34.966],[128.724,34.955]]],[[[128.832,34.994],[128.827,34.992],[128.824,34.997],[128.819,35.014],[128.812,35.021],[128.809,35.026],[128.81,35.033],[128.807,35.041],[128.802,35.049],[128.804,35.056],[128.815,35.061],[128.826,35.062],[128.836,35.06],[128.843,35.047],[128.843,35.022],[128.838,35.001],[128.832,34.994]]],[[[128.025,35.811],[128.041,35.802],[128.07,35.801],[128.098,35.801],[128.124,35.794],[128.143,35.777],[128.157,35.756],[128.179,35.744],[128.184,35.734],[128.188,35.726],[128.203,35.718],[128.216,35.705],[128.216,35.682],[128.204,35.659],[128.22,35.613],[128.281,35.611],[128.311,35.614],[128.34,35.61],[128.367,35.6],[128.393,35.584],[128.421,35.579],[128.475,35.602],[128.502,35.597],[128.527,35.626],[128.55,35.64],[128.558,35.585],[128.584,35.56],[128.615,35.544],[128.651,35.547],[128.689,35.553],[128.721,35.544],[128.752,35.531],[128.79,35.53],[128.822,35.551],[128.837,35.556],[128.851,35.557],[128.865,35.567],[128.876,35.579],[128.913,35.591],[128.951,35.583],[128.98,35.572],[129.008,35.58],[129.013,35.54],[128.988,35.499],[129.003,35.474],[129.064,35.466],[129.09,35.45],[129.133,35.41],[129.185,35.387],[129.208,35.372],[129.215,35.344],[129.236,35.327],[129.265,35.319],[129.269,35.316],[129.264,35.302],[129.262,35.284],[129.256,35.274],[129.25,35.266],[129.255,35.253],[129.256,35.247],[129.244,35.228],[129.228,35.201],[129.211,35.183],[129.201,35.167],[129.199,35.164],[129.197,35.167],[129.177,35.184],[129.159,35.203],[129.136,35.218],[129.118,35.239],[129.113,35.261],[129.093,35.271],[129.068,35.272],[129.044,35.264],[129.025,35.253],[129.011,35.238],[129.001,35.179],[128.986,35.161],[128.971,35.146],[128.963,35.133],[128.958,35.137],[128.949,35.126],[128.918,35.082],[128.905,35.081],[128.904,35.101],[128.905,35.121],[128.898,35.121],[128.889,35.105],[128.882,35.081],[128.857,35.084],[128.792,35.083],[128.788,35.101],[128.781,35.111],[128.772,35.083],[128.762,35.079],[128.739,35.088],[128.728,35.105],[128.716,35.106],[128.7,35.096],[128.7,35.14],[128.696,35.144],[128.688,35.141],[128.681,35.131],[128.68,35.116],[128.664,35.126],[128.652,35.141],[128.638,35.15],[128.618,35.143],[128.622,35.157],[128.614,35.177],[128.618,35.185],[128.608,35.211],[128.602,35.214],[128.591,35.205],[128.578,35.189],[128.578,35.179],[128.591,35.157],[128.598,35.131],[128.602,35.121],[128.61,35.109],[128.627,35.091],[128.629,35.081],[128.625,35.068],[128.633,35.067],[128.645,35.063],[128.652,35.061],[128.643,35.057],[128.635,35.055],[128.614,35.055],[128.604,35.057],[128.601,35.062],[128.6,35.069],[128.597,35.075],[128.587,35.083],[128.58,35.088],[128.526,35.103],[128.511,35.104],[128.478,35.099],[128.469,35.095],[128.47,35.088],[128.481,35.075],[128.463,35.072],[128.428,35.058],[128.389,35.049],[128.384,35.036],[128.382,35.023],[128.371,35.014],[128.371,35.007],[128.471,35.05],[128.488,35.051],[128.492,35.034],[128.498,35.021],[128.5,35.009],[128.492,34.996],[128.479,34.99],[128.459,34.987],[128.44,34.988],[128.427,34.992],[128.42,34.983],[128.425,34.978],[128.434,34.974],[128.44,34.965],[128.441,34.96],[128.442,34.952],[128.44,34.932],[128.433,34.891],[128.442,34.883],[128.451,34.886],[128.458,34.894],[128.461,34.904],[128.474,34.891],[128.461,34.87],[128.435,34.843],[128.413,34.838],[128.383,34.839],[128.383,34.855],[128.403,34.855],[128.411,34.856],[128.416,34.863],[128.354,34.868],[128.341,34.873],[128.327,34.889],[128.324,34.897],[128.335,34.903],[128.358,34.91],[128.335,34.947],[128.319,34.934],[128.302,34.908],[128.279,34.907],[128.258,34.93],[128.247,34.936],[128.224,34.938],[128.214,34.933],[128.209,34.921],[128.207,34.906],[128.207,34.891],[128.186,34.894],[128.139,34.892],[128.121,34.9],[128.119,34.906],[128.119,34.92],[128.118,34.924],[128.113,34.925],[128.102,34.924],[128.087,34.926],[128.064,34.928],[128.056,34.932],[128.051,34.94],[128.052,34.947],[128.054,34.955],[128.056,34.962],[128.054,35.036],[128.056,35.048],[128.059,35.053],[128.064,35.061],[128.068,35.07],[128.069,35.082],[128.054,35.067],[128.041,35.049],[128.025,35.036],[128.001,35.034],[128.019,34.999],[128.007,34.992],[127.98,34.992],[127.954,34.979],[127.943,35.003],[127.937,35.013],[127.926,35.02],[127.923,34.988],[127.912,34.962],[127.891,34.947],[127.865,34.945],[127.854,34.948],[127.844,34.95],[127.836,34.949],[127.83,34.945],[127.815,34.955],[127.805,34.957],[127.802,34.962],[127.803,34.98],[127.789,35.007],[127.727,35.063],[127.716,35.081],[127.707,35.103],[127.685,35.122],[127.66,35.136],[127.647,35.156],[127.643,35.209],[127.633,35.235],[127.612,35.255],[127.617,35.277],[127.638,35.294],[127.64,35.319],[127.647,35.346],[127.688,35.386],[127.694,35.414],[127.68,35.422],[127.67,35.441],[127.671,35.466],[127.66,35.49],[127.658,35.502],[127.655,35.513],[127.629,35.522],[127.63,35.547],[127.644,35.571],[127.653,35.602],[127.664,35.632],[127.68,35.655],[127.692,35.678],[127.695,35.709],[127.707,35.735],[127.729,35.751],[127.751,35.77],[127.77,35.803],[127.78,35.808],[127.793,35.807],[127.818,35.813],[127.868,35.834],[127.877,35.855],[127.914,35.887],[127.922,35.865],[127.942,35.855],[127.951,35.85],[127.961,35.843],[127.962,35.835],[127.966,35.827],[127.974,35.824],[127.982,35.822],[128.012,35.82],[128.025,35.811]]]] } },
+        { type: 'Feature', properties: { code: '50' }, geometry: { type: 'Polygon', coordinates: [[[126.946,33.478],[126.954,33.465],[126.949,33.461],[126.939,33.458],[126.932,33.451],[126.933,33.446],[126.939,33.436],[126.939,33.431],[126.936,33.425],[126.927,33.416],[126.926,33.413],[126.908,33.396],[126.874,33.373],[126.863,33.354],[126.848,33.332],[126.847,33.323],[126.841,33.31],[126.816,33.308],[126.806,33.304],[126.78,33.306],[126.742,33.28],[126.641,33.265],[126.607,33.241],[126.566,33.233],[126.521,33.237],[126.471,33.229],[126.428,33.239],[126.333,33.238],[126.304,33.227],[126.286,33.2],[126.27,33.198],[126.254,33.204],[126.231,33.235],[126.201,33.244],[126.171,33.269],[126.161,33.301],[126.179,33.341],[126.196,33.367],[126.206,33.376],[126.241,33.393],[126.271,33.436],[126.298,33.442],[126.311,33.464],[126.357,33.478],[126.459,33.502],[126.485,33.521],[126.582,33.529],[126.649,33.553],[126.665,33.55],[126.746,33.561],[126.792,33.564],[126.823,33.559],[126.835,33.545],[126.85,33.535],[126.898,33.519],[126.913,33.507],[126.923,33.477],[126.932,33.465],[126.937,33.469],[126.943,33.474],[126.946,33.478]]] } }
+    ]
+};
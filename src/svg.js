@@ -0,0 +1,28 @@
+// Fonts with Hangul, in order of preference; the PNG renderer falls back to the system fonts
+export const FONT_FAMILY = "'Noto Sans KR', 'Noto Sans CJK KR', 'Malgun Gothic', 'Apple SD Gothic Neo', sans-serif";
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export const escapeXml = (text) => String(text ?? '').replace(/[&<>"']/g, character => XML_ESCAPES[character]);
+
+/**
+ * Format a number for labels: grouped digits, at most `digits` decimals.
+ */
+export const formatNumber = (value, digits = 1) => (Number.isFinite(value)
+    ? value.toLocaleString('en-US', { maximumFractionDigits: Math.abs(value) >= 100 ? 0 : digits })
+    : '-');
+
+/**
+ * Rasterize an SVG document to PNG with resvg, using the installed fonts.
+ * @param {string} svg
+ * @param {Object} [options] - { width } in pixels; defaults to the SVG width.
+ * @returns {Promise<Buffer>}
+ */
+export const renderSvgToPng = async (svg, { width } = {}) => {
+    const { Resvg } = await import('@resvg/resvg-js');
+    const renderer = new Resvg(svg, {
+        fitTo: width ? { mode: 'width', value: width } : { mode: 'original' },
+        font: { loadSystemFonts: true, defaultFontFamily: 'Noto Sans CJK KR' }
+    });
+    return renderer.render().asPng();
+};
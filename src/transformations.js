@@ -0,0 +1,153 @@
+import { REGULAR_FREQUENCIES, getPeriodIndex, parsePeriod } from './periods.js';
+import { groupIntoSeries } from './analysis.js';
+import { createPeriodLookup, toReferenceSeries } from './conversion.js';
+import { parseUnit } from './units.js';
+
+const round = (number) => (Number.isFinite(number) ? Number(number.toPrecision(12)) : null);
+
+/**
+ * Parent codes per dimension from the table metadata: `item` for the items and
+ * objL1..objL8 for the classification levels, as published in UP_ITM_ID.
+ * @param {import('./metadata.js').TableMetadata} metadata
+ * @returns {Map<string, Map<string, {parentCode: string, parentLabel: string|null}>>}
+ */
+export const buildHierarchy = (metadata) => {
+    const hierarchy = new Map();
+    const addDimension = (dimension, values = []) => {
+        const labels = new Map(values.map(value => [value.id, value.name]));
+        const parents = new Map(values
+            .filter(value => value.parentId && value.parentId !== value.id && labels.has(value.parentId))
+            .map(value => [value.id, { parentCode: value.parentId, parentLabel: labels.get(value.parentId) || null }]));
+        if (parents.size > 0) hierarchy.set(dimension, parents);
+    };
+
+    addDimension('item', metadata?.items);
+    for (const classification of metadata?.classifications || []) {
+        addDimension(`objL${classification.level}`, classification.values);
+    }
+    return hierarchy;
+};
+
+/**
+ * The code of a record per dimension: `item` and objL1..objL8.
+ * @returns {Map<string, string>}
+ */
+export const getRecordDimensions = (record) => new Map([
+    ['item', record.metadata?.item?.id],
+    ...(record.metadata?.classifications || []).map(classification => [`objL${classification.level}`, classification.code])
+]);
+
+// Identifies a cell of the table: period on the timeline and a code per dimension
+const cellKey = (tableId, frequency, periodIndex, dimensions) => [
+    tableId,
+    frequency,
+    periodIndex,
+    ...[...dimensions].sort(([a], [b]) => a.localeCompare(b)).map(([dimension, code]) => `${dimension}=${code}`)
+].join('|');
+
+const percentagePoints = (current, previous, parentPrevious) => {
+    if (!current || !previous || !parentPrevious || parentPrevious.value === 0) return null;
+    return round((current.value - previous.value) / parentPrevious.value * 100);
+};
+
+/**
+ * Share of the parent total and contribution to growth of every record whose item or
+ * classification value has a parent in the metadata hierarchy (e.g. 서울특별시 under 전국).
+ * Contributions are in percentage points of the parent's growth:
+ * (child − child of the earlier period) ÷ parent of the earlier period × 100.
+ * @returns {Object[]} Per record, the list of parent relations found.
+ */
+const computeParentRelations = (records, hierarchy, { share, contribution }) => {
+    const cells = new Map();
+    const keyOf = (record, periodIndex, dimensions) => cellKey(record.sourceTableId, record.period?.frequency, periodIndex, dimensions);
+    for (const record of records) {
+        const periodIndex = getPeriodIndex(record.period);
+        if (periodIndex !== null && Number.isFinite(record.value)) cells.set(keyOf(record, periodIndex, getRecordDimensions(record)), record);
+    }
+
+    return records.map(record => {
+        const periodIndex = getPeriodIndex(record.period);
+        if (periodIndex === null || !Number.isFinite(record.value)) return [];
+
+        const dimensions = getRecordDimensions(record);
+        const lookup = (index, dimension, code) => {
+            if (index === null) return null;
+            const target = code === undefined ? dimensions : new Map(dimensions).set(dimension, code);
+            return cells.get(keyOf(record, index, target)) || null;
+        };
+        const previousIndex = periodIndex - 1;
+        const yearAgoIndex = getPeriodIndex(record.period, -1);
+
+        const relations = [];
+        for (const [dimension, code] of dimensions) {
+            const relation = hierarchy.get(dimension)?.get(code);
+            const parent = relation && lookup(periodIndex, dimension, relation.parentCode);
+            if (!parent) continue;
+
+            const entry = { dimension, parentCode: relation.parentCode, parentLabel: relation.parentLabel };
+            if (share) entry.sharePercent = parent.value === 0 ? null : round(record.value / parent.value * 100);
+            if (contribution) {
+                entry.contribution = {
+                    periodOverPeriod: percentagePoints(record, lookup(previousIndex), lookup(previousIndex, dimension, relation.parentCode)),
+                    yearOverYear: percentagePoints(record, lookup(yearAgoIndex), lookup(yearAgoIndex, dimension, relation.parentCode))
+                };
+            }
+            relations.push(entry);
+        }
+        return relations;
+    });
+};
+
+/**
+ * Rebase index series to a base period = 100. A base period coarser than the series
+ * uses the mean of the series over it (base year 2015 of a monthly index); series with
+ * a coarser frequency than the base period, or without a value for it, are not rebased.
+ * @returns {Map<Object, Object>} Rebased value per record.
+ */
+const rebaseIndexSeries = (records, basePeriod) => {
+    const rebased = new Map();
+    for (const series of groupIntoSeries(records)) {
+        if (parseUnit(series.records[0]?.unit)?.kind !== 'index') continue;
+        if (REGULAR_FREQUENCIES.indexOf(basePeriod.frequency) < REGULAR_FREQUENCIES.indexOf(series.frequency)) continue;
+
+        const base = createPeriodLookup(toReferenceSeries(series.records, {}))(basePeriod);
+        if (!base || base.value === 0) continue;
+        for (const record of series.records) {
+            if (!Number.isFinite(record.value)) continue;
+            rebased.set(record, { basePeriod: basePeriod.code, basePeriods: base.periods, value: round(record.value / base.value * 100) });
+        }
+    }
+    return rebased;
+};
+
+/**
+ * Add shares of parent totals, contributions to growth and rebased index values to the
+ * records of one table as a `transformations` field. Parent/child relations come from
+ * the classification and item hierarchy of the table metadata.
+ * @param {Object[]} records - Normalized records of one table.
+ * @param {import('./metadata.js').TableMetadata|null} metadata - The table metadata.
+ * @param {Object} options - { shareOfTotal, contributionToGrowth, rebasePeriod }.
+ * @returns {Object[]} The records; those without any transformation are unchanged.
+ */
+export const applyTransformations = (records, metadata, options = {}) => {
+    const share = Boolean(options.shareOfTotal);
+    const contribution = Boolean(options.contributionToGrowth);
+    const basePeriod = options.rebasePeriod ? parsePeriod(options.rebasePeriod) : null;
+
+    const hierarchy = share || contribution ? buildHierarchy(metadata) : new Map();
+    const relations = hierarchy.size > 0 ? computeParentRelations(records, hierarchy, { share, contribution }) : [];
+    const rebased = basePeriod?.start ? rebaseIndexSeries(records, basePeriod) : new Map();
+
+    return records.map((record, i) => {
+        const parents = relations[i] || [];
+        const rebase = rebased.get(record);
+        if (parents.length === 0 && !rebase) return record;
+        return {
+            ...record,
+            transformations: {
+                ...(parents.length > 0 ? { parents } : {}),
+                ...(rebase ? { rebased: rebase } : {})
+            }
+        };
+    });
+};
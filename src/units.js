@@ -0,0 +1,134 @@
+export const UNIT_KINDS = ['count', 'currency', 'percent', 'index', 'ratio', 'measure', 'unknown'];
+
+// Korean magnitude prefixes, longest first so that 십억 wins over 억
+const PREFIXES = [
+    ['천억', 1e11, 'hundred billion'],
+    ['백억', 1e10, 'ten billion'],
+    ['십억', 1e9, 'billion'],
+    ['천만', 1e7, 'ten million'],
+    ['백만', 1e6, 'million'],
+    ['십만', 1e5, 'hundred thousand'],
+    ['조', 1e12, 'trillion'],
+    ['억', 1e8, 'hundred million'],
+    ['만', 1e4, 'ten thousand'],
+    ['천', 1e3, 'thousand'],
+    ['백', 1e2, 'hundred']
+];
+
+// Base units KOSIS tables use, with their English label and kind
+const BASE_UNITS = {
+    '명': { label: 'persons', kind: 'count' },
+    '인': { label: 'persons', kind: 'count' },
+    '가구': { label: 'households', kind: 'count' },
+    '세대': { label: 'households', kind: 'count' },
+    '호': { label: 'dwellings', kind: 'count' },
+    '개': { label: 'units', kind: 'count' },
+    '개소': { label: 'establishments', kind: 'count' },
+    '사업체': { label: 'businesses', kind: 'count' },
+    '건': { label: 'cases', kind: 'count' },
+    '대': { label: 'vehicles', kind: 'count' },
+    '척': { label: 'vessels', kind: 'count' },
+    '마리': { label: 'head', kind: 'count' },
+    '원': { label: 'KRW', kind: 'currency', currency: 'KRW' },
+    '달러': { label: 'USD', kind: 'currency', currency: 'USD' },
+    '불': { label: 'USD', kind: 'currency', currency: 'USD' },
+    '엔': { label: 'JPY', kind: 'currency', currency: 'JPY' },
+    '유로': { label: 'EUR', kind: 'currency', currency: 'EUR' },
+    '위안': { label: 'CNY', kind: 'currency', currency: 'CNY' },
+    '%': { label: 'percent', kind: 'percent' },
+    '퍼센트': { label: 'percent', kind: 'percent' },
+    '%p': { label: 'percentage points', kind: 'percent' },
+    '‰': { label: 'per mille', kind: 'ratio' },
+    '배': { label: 'times', kind: 'ratio' },
+    '비율': { label: 'ratio', kind: 'ratio' },
+    '지수': { label: 'index', kind: 'index' },
+    '톤': { label: 'tonnes', kind: 'measure' },
+    'kg': { label: 'kilograms', kind: 'measure' },
+    '㎏': { label: 'kilograms', kind: 'measure' },
+    '㎢': { label: 'square kilometres', kind: 'measure' },
+    'km²': { label: 'square kilometres', kind: 'measure' },
+    '㎡': { label: 'square metres', kind: 'measure' },
+    'm²': { label: 'square metres', kind: 'measure' },
+    'ha': { label: 'hectares', kind: 'measure' },
+    '㎘': { label: 'kilolitres', kind: 'measure' },
+    'kWh': { label: 'kilowatt hours', kind: 'measure' },
+    'MWh': { label: 'megawatt hours', kind: 'measure' },
+    'GWh': { label: 'gigawatt hours', kind: 'measure' }
+};
+
+// Rates per population such as '인구 천명당' or '10만명당'
+const PER_POPULATION = /^(?:인구)?(\d+)?(천|만|십만|백만)?명당$/;
+const PER_POPULATION_BASES = { '천': 1e3, '만': 1e4, '십만': 1e5, '백만': 1e6 };
+
+// Index units such as '2020=100'
+const INDEX_BASE = /^(\d{4})=100$/;
+
+const cleanUnit = (unit) => String(unit ?? '').replace(/\s/g, '').replace(/^\((.*)\)$/, '$1');
+
+/**
+ * Parse a KOSIS unit string.
+ * @param {string} unit - The raw unit, e.g. '천명', '십억원', '%', '2020=100'.
+ * @returns {{raw: string, base: string, multiplier: number, label: string, kind: string, currency?: string, baseYear?: number}|null}
+ *   null for an empty unit. Units the registry does not know have kind 'unknown' and multiplier 1.
+ */
+export const parseUnit = (unit) => {
+    const raw = String(unit ?? '').trim();
+    const cleaned = cleanUnit(unit);
+    if (!cleaned) return null;
+
+    if (BASE_UNITS[cleaned]) return { raw, base: cleaned, multiplier: 1, ...BASE_UNITS[cleaned] };
+
+    const indexBase = cleaned.match(INDEX_BASE);
+    if (indexBase) return { raw, base: cleaned, multiplier: 1, label: `index (${indexBase[1]}=100)`, kind: 'index', baseYear: Number(indexBase[1]) };
+
+    const perPopulation = cleaned.match(PER_POPULATION);
+    if (perPopulation) {
+        const per = (Number(perPopulation[1]) || 1) * (PER_POPULATION_BASES[perPopulation[2]] || 1);
+        return { raw, base: cleaned, multiplier: 1, label: `per ${per.toLocaleString('en-US')} persons`, kind: 'ratio' };
+    }
+
+    for (const [prefix, multiplier, prefixLabel] of PREFIXES) {
+        const base = BASE_UNITS[cleaned.slice(prefix.length)];
+        if (cleaned.startsWith(prefix) && base && ['count', 'currency', 'measure'].includes(base.kind)) {
+            return { raw, base: cleaned.slice(prefix.length), multiplier, ...base, label: `${prefixLabel} ${base.label}` };
+        }
+    }
+
+    return { raw, base: cleaned, multiplier: 1, label: raw, kind: 'unknown' };
+};
+
+/**
+ * The factor that converts values in one unit to another unit with the same base,
+ * e.g. 1000 from '천명' to '명'.
+ * @returns {number|null} null when the units do not share a known base.
+ */
+export const getUnitFactor = (fromUnit, toUnit) => {
+    const from = parseUnit(fromUnit);
+    const to = parseUnit(toUnit);
+    if (!from || !to || from.kind === 'unknown' || from.base !== to.base) return null;
+    return from.multiplier / to.multiplier;
+};
+
+/**
+ * Attach the parsed unit to every record as `unitInfo`. With `rescale`, values in
+ * scaled units (천명, 십억원, ...) are multiplied out to the base unit and `unit` is
+ * replaced by it, so that tables published at different scales line up.
+ * @param {Object[]} records - Normalized records.
+ * @param {Object} options - { rescale }.
+ * @returns {Object[]}
+ */
+export const normalizeUnits = (records, { rescale = false } = {}) => records.map(record => {
+    const parsed = parseUnit(record.unit);
+    if (!parsed) return { ...record, unitInfo: null };
+
+    const { raw, base, multiplier, label, kind, currency, baseYear } = parsed;
+    const unitInfo = { raw, base, multiplier, label, kind, ...(currency ? { currency } : {}), ...(baseYear ? { baseYear } : {}) };
+    if (!rescale || multiplier === 1) return { ...record, unitInfo: { ...unitInfo, rescaled: false } };
+
+    return {
+        ...record,
+        value: Number.isFinite(record.value) ? Number((record.value * multiplier).toPrecision(12)) : record.value,
+        unit: base,
+        unitInfo: { ...unitInfo, label: BASE_UNITS[base].label, rescaled: true }
+    };
+});
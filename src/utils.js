@@ -1,90 +1,240 @@
 import axios from 'axios';
+import {
+    KOSIS_META_TYPES,
+    buildTableMetadata,
+    findItem,
+    findClassificationValue,
+    getFootnotes,
+    formatSourceAttribution,
+    MAX_CLASSIFICATION_LEVELS
+} from './metadata.js';
+import { normalizeSelection } from './selection.js';
+import { toFrequencyCode, parsePeriod, DEFAULT_LATEST_PERIODS } from './periods.js';
+import { parseKosisValue, VALUE_STATUS } from './values.js';
+import { DEFAULT_SCHEDULER_OPTIONS } from './scheduler.js';
+import { CACHE_STORAGES, DEFAULT_CACHE_DIRECTORY, DEFAULT_CACHE_TTL_HOURS } from './cache.js';
+import { DEFAULT_MOVING_AVERAGE_WINDOWS, DEFAULT_OUTLIER_METHOD, OUTLIER_METHODS } from './analysis.js';
+import { DECOMPOSITION_MODELS } from './decomposition.js';
+import { FORECAST_MODELS, MAX_FORECAST_HORIZON, CONFIDENCE_LEVELS, DEFAULT_CONFIDENCE_LEVEL } from './forecast.js';
+import { normalizeDerivedIndicator, normalizeCorrelation } from './derivedIndicators.js';
+import { normalizeConversionOptions } from './conversion.js';
+import { DEFAULT_VALIDATION_TOLERANCE } from './validation.js';
+import { findGeographicLevel, resolveRegion } from './regions.js';
+import { MAP_FORMATS } from './geo.js';
+import { CHART_FORMATS, DEFAULT_MAX_CHART_SERIES } from './charts.js';
+import { EXPORT_FORMATS } from './exports.js';
+import {
+    KosisNoDataError,
+    KosisQuotaExceededError,
+    KosisOfflineCacheMissError,
+    createKosisError,
+    fromHttpError
+} from './errors.js';
 
 const KOSIS_BASE_URL = 'https://kosis.kr/openapi';
 
+export const DEFAULT_RETRY_OPTIONS = {
+    retries: 3,
+    baseDelay: 1000,
+    maxDelay: 30000
+};
+
 const createApiClient = (apiKey) => {
     return axios.create({
         baseURL: KOSIS_BASE_URL,
         timeout: 30000,
         params: {
             apiKey: apiKey,
-            format: 'json'
+            format: 'json',
+            jsonVD: 'Y' // Standard JSON (quoted keys) instead of KOSIS's default notation
         }
     });
 };
 
 const handleApiError = (error, context) => {
-    if (error.response) {
-        // The request was made and the server responded with a status code
-        // that falls out of the range of 2xx
-        const { status, data } = error.response;
-        const apiErrorMsg = data?.message || data?.error || 'Unknown API error';
-        throw new Error(`KOSIS API Error (${context}): Status ${status} - ${apiErrorMsg}`);
-    } else if (error.request) {
-        // The request was made but no response was received
-        throw new Error(`KOSIS API Error (${context}): No response received from server.`);
-    } else {
-        // Something happened in setting up the request that triggered an Error
-        throw new Error(`KOSIS API Error (${context}): ${error.message}`);
+    throw fromHttpError(error, context);
+};
+
+// Exponential backoff with full jitter: a random delay up to baseDelay * 2^attempt
+export const getRetryDelay = (attempt, { baseDelay, maxDelay } = DEFAULT_RETRY_OPTIONS) => {
+    return Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+};
+
+// A broken cache must never fail a request, it only costs the cache hit
+const readCache = async (cache, path, params, context) => {
+    try {
+        return await cache.get(path, params);
+    } catch (error) {
+        logEvent('cache.read_failed', { context, error: error.message });
+        return undefined;
     }
 };
 
-export const getStatsList = async (apiClient, params = {}) => {
+const writeCache = async (cache, path, params, data, context) => {
     try {
-        const response = await apiClient.get('/statisticsList.do', {
-            params: {
-                method: 'getList',
-                vwCd: params.vwCd || 'MT_ZTITLE', // Default to domestic statistics by topic
-                parentId: params.parentId || 'A',
-                ...params
+        await cache.set(path, params, data);
+    } catch (error) {
+        logEvent('cache.write_failed', { context, error: error.message });
+    }
+};
+
+/**
+ * GET a KOSIS endpoint and return the response body.
+ * Successful responses are served from and stored in the client's cache when it has one.
+ * Requests go through the client's scheduler (rate limits, daily quota) when it has one.
+ * Error bodies ({err, errMsg}) are thrown as typed KosisApiErrors; retryable errors
+ * (rate limits, server and network errors) are retried with exponential backoff.
+ */
+const kosisGet = async (apiClient, path, params, context) => {
+    const retryOptions = apiClient.kosisOptions?.retry || DEFAULT_RETRY_OPTIONS;
+    const scheduler = apiClient.kosisOptions?.scheduler;
+    const cache = apiClient.kosisOptions?.cache;
+    const send = () => apiClient.get(path, { params });
+
+    if (cache) {
+        const cached = await readCache(cache, path, params, context);
+        if (cached !== undefined) return cached;
+        if (cache.offline) {
+            throw new KosisOfflineCacheMissError(`KOSIS API Error (${context}): no cached response available in offline mode`, { context });
+        }
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = scheduler ? await scheduler.schedule(send) : await send();
+            const data = response?.data;
+            if (data && !Array.isArray(data) && data.err !== undefined) {
+                throw createKosisError(data, context);
+            }
+            if (cache) await writeCache(cache, path, params, data, context);
+            return data;
+        } catch (error) {
+            const kosisError = fromHttpError(error, context);
+            if (!kosisError.retryable || attempt >= retryOptions.retries) {
+                throw kosisError;
             }
-        });
 
-        if (response.data && Array.isArray(response.data)) {
-            return response.data;
-        } else if (response.data && response.data.length !== undefined) {
-            return response.data;
+            const delay = getRetryDelay(attempt, retryOptions);
+            logEvent('api.call_retry', { context, attempt: attempt + 1, delay, code: kosisError.code, status: kosisError.status, error: kosisError.message });
+            await sleep(delay);
+        }
+    }
+};
+
+export const getStatsList = async (apiClient, params = {}) => {
+    const { parentId, ...listParams } = params;
+    try {
+        const data = await kosisGet(apiClient, '/statisticsList.do', {
+            method: 'getList',
+            vwCd: params.vwCd || 'MT_ZTITLE', // Default to domestic statistics by topic
+            parentListId: parentId || 'A', // KOSIS ignores anything but parentListId
+            ...listParams
+        }, 'getStatsList');
+
+        if (data && Array.isArray(data)) {
+            return data;
+        } else if (data && data.length !== undefined) {
+            return data;
         } else {
             throw new Error('Invalid response format from KOSIS API');
         }
     } catch (error) {
+        if (error instanceof KosisNoDataError) return [];
         handleApiError(error, 'getStatsList');
     }
 };
 
-export const getMetaInfo = async (apiClient, statsDataId) => {
-    // KOSIS doesn't have a direct equivalent to e-Stat's getMetaInfo
-    // Return basic metadata structure for compatibility
-    return {
-        tableId: statsDataId,
-        note: 'Metadata retrieved from KOSIS API',
-        lastUpdated: new Date().toISOString()
-    };
+export const searchStatistics = async (apiClient, keyword, params = {}) => {
+    try {
+        // Integrated statistics search (통합검색), ranked by KOSIS itself
+        const data = await kosisGet(apiClient, '/statisticsSearch.do', {
+            method: 'getList',
+            searchNm: keyword,
+            sort: params.sort || 'RANK',
+            startCount: params.startCount || 1,
+            resultCount: params.resultCount || 100,
+            ...(params.orgId ? { orgId: params.orgId } : {})
+        }, 'searchStatistics');
+
+        if (data && Array.isArray(data)) {
+            return data;
+        } else {
+            throw new Error('Invalid response format from KOSIS API');
+        }
+    } catch (error) {
+        if (error instanceof KosisNoDataError) return [];
+        handleApiError(error, 'searchStatistics');
+    }
+};
+
+const getMetaType = async (apiClient, type, tableId, orgId) => {
+    const context = `getMetaInfo (${type}) for ${tableId}`;
+    try {
+        const data = await kosisGet(apiClient, '/statisticsData.do', {
+            method: 'getMeta',
+            type,
+            orgId,
+            tblId: tableId
+        }, context);
+
+        return Array.isArray(data) ? data : [];
+    } catch (error) {
+        // Types without entries (e.g. no comments) answer with "no data"
+        if (error instanceof KosisNoDataError) return [];
+        handleApiError(error, context);
+    }
+};
+
+export const getMetaInfo = async (apiClient, tableId, params = {}) => {
+    const orgId = params.orgId || '101';
+    // params.types limits the request to some metadata types, e.g. ['items'] for query building
+    const metaTypes = Object.entries(KOSIS_META_TYPES).filter(([key]) => !params.types || params.types.includes(key));
+    const responses = {};
+    const failedTypes = [];
+
+    for (const [key, type] of metaTypes) {
+        try {
+            responses[key] = await getMetaType(apiClient, type, tableId, orgId);
+        } catch (error) {
+            if (error instanceof KosisQuotaExceededError) throw error;
+            failedTypes.push(type);
+            responses[key] = [];
+            logEvent('api.call_failed', { api: 'getMetaInfo', type, tableId, error: error.message });
+        }
+    }
+
+    if (failedTypes.length === metaTypes.length) {
+        throw new Error(`KOSIS API Error (getMetaInfo for ${tableId}): all metadata requests failed`);
+    }
+
+    return buildTableMetadata(tableId, orgId, responses);
 };
 
 export const getStatsData = async (apiClient, tableId, params = {}) => {
+    const context = `getStatsData for ${tableId}`;
     try {
         // Use the parameter-based method for more flexibility
-        const response = await apiClient.get('/Param/statisticsParameterData.do', {
-            params: {
-                method: 'getList',
-                orgId: params.orgId || '101', // Default to Statistics Korea
-                tblId: tableId,
-                objL1: params.objL1 || 'ALL', // First classification
-                itmId: params.itmId || 'T1', // Item ID
-                prdSe: params.prdSe || 'Y', // Period (Y=yearly, M=monthly, Q=quarterly)
-                newEstPrdCnt: params.newEstPrdCnt || '5', // Get latest 5 periods
-                ...params
-            }
-        });
+        const data = await kosisGet(apiClient, '/Param/statisticsParameterData.do', {
+            method: 'getList',
+            orgId: params.orgId || '101', // Default to Statistics Korea
+            tblId: tableId,
+            objL1: params.objL1 || 'ALL', // First classification
+            itmId: params.itmId || 'ALL', // Item IDs
+            prdSe: params.prdSe || 'Y', // Period (Y=yearly, M=monthly, Q=quarterly)
+            // Latest 5 periods unless an explicit range is given
+            ...(params.startPrdDe || params.endPrdDe ? {} : { newEstPrdCnt: params.newEstPrdCnt || '5' }),
+            ...params
+        }, context);
 
-        if (response.data && Array.isArray(response.data)) {
-            return response.data;
+        if (data && Array.isArray(data)) {
+            return data;
         } else {
             throw new Error('Invalid response format from KOSIS API');
         }
     } catch (error) {
-        handleApiError(error, `getStatsData for ${tableId}`);
+        // An empty selection is a valid answer, not a failure
+        if (error instanceof KosisNoDataError) return [];
+        handleApiError(error, context);
     }
 };
 
@@ -95,38 +245,58 @@ export const normalizeStatisticalData = (rawData, metadata, sourceTableId) => {
         if (!Array.isArray(rawData)) {
             rawData = [rawData];
         }
+        const geographicLevel = findGeographicLevel(metadata?.classifications);
 
         rawData.forEach(item => {
             // KOSIS API returns data in a different format
-            const statName = item.TBL_NM || 'Unknown Statistic';
-            const value = parseFloat(item.DT) || 0;
-            const unit = item.UNIT_NM || '';
+            const statName = item.TBL_NM || metadata?.tableName || 'Unknown Statistic';
+            const { value, valueStatus, rawValue } = parseKosisValue(item.DT);
+            const metaItem = findItem(metadata, item.ITM_ID);
+            const unit = item.UNIT_NM || metaItem?.unit || '';
             const period = item.PRD_DE || 'Unknown Period';
+            const itemName = item.ITM_NM || metaItem?.name;
+            const classifications = extractClassifications(item, metadata);
+            const parsedPeriod = parsePeriod(item.PRD_DE, item.PRD_SE);
+            const regionInfo = findRegion(classifications, geographicLevel ?? findGeographicLevel(classifications), metadata, parsedPeriod.start);
             
             // Extract categories from classification fields
-            const category1 = item.C1_NM || item.ITM_NM || 'General';
-            const category2 = item.C2_NM || '';
-            const region = item.C1_NM && item.C1_NM.includes('지역') ? item.C1_NM : 'Korea';
+            const category1 = classifications[0]?.label || itemName || 'General';
+            const category2 = classifications[1]?.label || '';
 
             normalizedData.push({
                 statName,
                 surveyDate: period,
-                region,
+                period: parsedPeriod,
+                region: regionInfo?.name || 'Korea',
+                regionInfo,
                 category1,
                 category2,
                 value,
+                valueStatus,
+                rawValue,
                 unit,
                 sourceTableId,
                 dataType: determineDataType(statName),
-                lastUpdated: item.LST_CHN_DE || new Date().toISOString(),
+                lastUpdated: item.LST_CHN_DE || metadata?.lastChanged || new Date().toISOString(),
+                footnotes: getFootnotes(metadata, { itemId: item.ITM_ID, classifications }),
+                source: formatSourceAttribution(metadata),
                 metadata: {
                     tableTitle: statName,
                     categories: {
-                        c1: item.C1_NM,
-                        c2: item.C2_NM,
-                        c3: item.C3_NM,
-                        item: item.ITM_NM
+                        c1: classifications[0]?.label,
+                        c2: classifications[1]?.label,
+                        c3: classifications[2]?.label,
+                        item: itemName
                     },
+                    item: {
+                        id: item.ITM_ID,
+                        name: itemName,
+                        nameEng: item.ITM_NM_ENG || metaItem?.nameEng || null,
+                        unitEng: item.UNIT_NM_ENG || metaItem?.unitEng || null
+                    },
+                    classifications,
+                    organization: metadata?.organization?.name || null,
+                    survey: metadata?.source?.survey || null,
                     originalData: item
                 },
                 extractedAt: new Date().toISOString()
@@ -140,7 +310,9 @@ export const normalizeStatisticalData = (rawData, metadata, sourceTableId) => {
             region: 'Korea',
             category1: 'Error',
             category2: '',
-            value: 0,
+            value: null,
+            valueStatus: VALUE_STATUS.MISSING,
+            rawValue: null,
             unit: '',
             sourceTableId,
             dataType: 'error',
@@ -153,6 +325,41 @@ export const normalizeStatisticalData = (rawData, metadata, sourceTableId) => {
     return normalizedData;
 };
 
+// Classification values of a data row (C1..C8), labelled from the metadata where the row lacks names
+const extractClassifications = (item, metadata) => {
+    const classifications = [];
+    for (let level = 1; level <= MAX_CLASSIFICATION_LEVELS; level++) {
+        const code = item[`C${level}`];
+        if (code === undefined || code === null || code === '') continue;
+
+        const classification = metadata?.classifications?.find(entry => entry.level === level);
+        const metaValue = findClassificationValue(metadata, level, code);
+        classifications.push({
+            level,
+            objId: classification?.id || null,
+            dimension: item[`C${level}_OBJ_NM`] || classification?.name || null,
+            code,
+            label: item[`C${level}_NM`] || metaValue?.name || code,
+            labelEng: item[`C${level}_NM_ENG`] || metaValue?.nameEng || null
+        });
+    }
+    return classifications;
+};
+
+// The region of the geographic classification of a record, with its code and the parent value as context for 시군구
+const findRegion = (classifications, level, metadata, date) => {
+    const classification = classifications.find(entry => entry.level === level);
+    if (!classification) return null;
+
+    const parentId = findClassificationValue(metadata, level, classification.code)?.parentId;
+    const region = resolveRegion(classification.label, {
+        code: classification.code,
+        parentLabel: parentId ? findClassificationValue(metadata, level, parentId)?.name : undefined,
+        date
+    });
+    return region && { ...region, classificationLevel: level, originalCode: classification.code, originalLabel: classification.label };
+};
+
 const determineDataType = (statName) => {
     const name = statName.toLowerCase();
     
@@ -171,26 +378,107 @@ const determineDataType = (statName) => {
     return 'general';
 };
 
+// Output formats from a list or a comma-separated string, all of them by default
+const parseFormats = (value, formats) => [value ?? formats].flat()
+    .flatMap(format => String(format).split(','))
+    .map(format => format.trim().toLowerCase())
+    .filter(format => formats.includes(format));
+
 export const validateInput = (input) => {
+    // The legacy delay setting, when given, translates into an equivalent request rate
+    const legacyRequestsPerSecond = input.delayBetweenRequests
+        ? 1000 / Math.max(parseInt(input.delayBetweenRequests) || 1000, 500)
+        : DEFAULT_SCHEDULER_OPTIONS.requestsPerSecond;
+
     const validated = {
         searchKeyword: input.searchKeyword?.trim() || '',
         vwCd: input.vwCd?.trim() || 'MT_ZTITLE', // Service view code
         parentId: input.parentId?.trim() || 'A',
         maxItems: Math.min(Math.max(parseInt(input.maxItems) || 10, 1), 100),
+        maxDepth: Math.min(Math.max(parseInt(input.maxDepth) || 5, 1), 10),
+        maxNodes: Math.min(Math.max(parseInt(input.maxNodes) || 200, 1), 2000),
         includeMetadata: Boolean(input.includeMetadata !== false),
         outputFormat: ['structured', 'raw', 'both'].includes(input.outputFormat) ? input.outputFormat : 'structured',
-        delayBetweenRequests: Math.max(parseInt(input.delayBetweenRequests) || 1000, 500)
+        requestsPerSecond: Math.min(Math.max(parseFloat(input.requestsPerSecond) || legacyRequestsPerSecond, 0.1), 50),
+        requestsPerMinute: Math.max(parseInt(input.requestsPerMinute ?? DEFAULT_SCHEDULER_OPTIONS.requestsPerMinute) || 0, 0),
+        concurrency: Math.min(Math.max(parseInt(input.concurrency) || 3, 1), 10),
+        dailyQuota: Math.max(parseInt(input.dailyQuota ?? DEFAULT_SCHEDULER_OPTIONS.dailyQuota) || 0, 0),
+        cacheStorage: CACHE_STORAGES.includes(input.cacheStorage) ? input.cacheStorage : 'keyValueStore',
+        cacheDirectory: input.cacheDirectory?.trim() || DEFAULT_CACHE_DIRECTORY,
+        cacheTtlHours: Object.fromEntries(
+            Object.entries(DEFAULT_CACHE_TTL_HOURS).map(([type, hours]) => [type, Math.max(parseFloat(input.cacheTtlHours?.[type] ?? hours) || 0, 0)])
+        ),
+        forceRefresh: Boolean(input.forceRefresh),
+        offline: Boolean(input.offline),
+        maxRetries: Math.min(Math.max(parseInt(input.maxRetries ?? DEFAULT_RETRY_OPTIONS.retries) || 0, 0), 10),
+        frequency: String(input.frequency ?? '').trim() ? toFrequencyCode(input.frequency) : '',
+        startPeriod: String(input.startPeriod ?? '').trim(),
+        endPeriod: String(input.endPeriod ?? '').trim(),
+        latestPeriods: Math.min(Math.max(parseInt(input.latestPeriods) || DEFAULT_LATEST_PERIODS, 1), 1000),
+        surveyYears: String(input.surveyYears ?? '').trim(),
+        selection: normalizeSelection({ itemIds: input.itemIds, classificationValues: input.classificationValues }),
+        tableSelections: Object.fromEntries(
+            Object.entries(input.tableSelections || {}).map(([tableId, selection]) => [tableId.trim(), normalizeSelection(selection)])
+        ),
+        rescaleUnits: Boolean(input.rescaleUnits),
+        shareOfTotal: Boolean(input.shareOfTotal),
+        contributionToGrowth: Boolean(input.contributionToGrowth),
+        rebasePeriod: String(input.rebasePeriod ?? '').trim(),
+        exportFormats: parseFormats(input.exportFormats ?? [], EXPORT_FORMATS),
+        exportDirectory: input.exportDirectory?.trim() || null,
+        charts: Boolean(input.charts !== false),
+        chartFormats: parseFormats(input.chartFormats, CHART_FORMATS),
+        maxChartSeries: Math.min(Math.max(parseInt(input.maxChartSeries) || DEFAULT_MAX_CHART_SERIES, 1), 10),
+        regionalMaps: Boolean(input.regionalMaps),
+        mapFormats: parseFormats(input.mapFormats, MAP_FORMATS),
+        mapBoundaryFile: input.mapBoundaryFile?.trim() || null,
+        validateHierarchy: Boolean(input.validateHierarchy),
+        validationTolerance: Math.max(parseFloat(input.validationTolerance ?? DEFAULT_VALIDATION_TOLERANCE) || 0, 0),
+        includeAnalysis: Boolean(input.includeAnalysis !== false),
+        movingAverageWindows: [...new Set([input.movingAverageWindows ?? DEFAULT_MOVING_AVERAGE_WINDOWS].flat()
+            .flatMap(size => String(size).split(','))
+            .map(size => parseInt(size))
+            .filter(size => size >= 2 && size <= 120))],
+        includeSeriesSummary: Boolean(input.includeSeriesSummary !== false),
+        outlierMethod: OUTLIER_METHODS[input.outlierMethod] ? input.outlierMethod : DEFAULT_OUTLIER_METHOD,
+        outlierThreshold: Math.max(parseFloat(input.outlierThreshold) || 0, 0) || null,
+        decomposition: Boolean(input.decomposition),
+        decompositionModel: DECOMPOSITION_MODELS.includes(input.decompositionModel) ? input.decompositionModel : 'auto',
+        holidayAdjustment: Boolean(input.holidayAdjustment !== false),
+        forecastHorizon: Math.min(Math.max(parseInt(input.forecastHorizon) || 0, 0), MAX_FORECAST_HORIZON),
+        forecastModel: FORECAST_MODELS.includes(input.forecastModel) ? input.forecastModel : 'auto',
+        forecastConfidence: CONFIDENCE_LEVELS[input.forecastConfidence] ? Number(input.forecastConfidence) : DEFAULT_CONFIDENCE_LEVEL,
+        derivedIndicators: (input.derivedIndicators || []).map(normalizeDerivedIndicator),
+        correlations: (input.correlations || []).map(normalizeCorrelation),
+        conversion: normalizeConversionOptions(input)
     };
 
+    // Offline runs answer every request from the cache, so they need one
+    if (validated.offline && validated.cacheStorage === 'none') {
+        throw new Error("Offline mode needs a response cache. Set cacheStorage to 'keyValueStore' or 'local'");
+    }
+    if (validated.frequency === null) {
+        throw new Error(`Invalid frequency '${String(input.frequency).trim()}'. Use Y, H, Q, M, D or IR`);
+    }
+    if (validated.rebasePeriod && !parsePeriod(validated.rebasePeriod).start) {
+        throw new Error(`Invalid rebase period '${validated.rebasePeriod}'. Use a period such as 2020 (year), 2020년 1분기 (quarter) or 202001 (month)`);
+    }
+
     return validated;
 };
 
-export const createKosisApiClient = (apiKey) => {
+export const createKosisApiClient = (apiKey, options = {}) => {
     if (!apiKey) {
         throw new Error('KOSIS API Key is required. Please set KOSIS_API_KEY environment variable.');
     }
     
-    return createApiClient(apiKey);
+    const apiClient = createApiClient(apiKey);
+    apiClient.kosisOptions = {
+        retry: { ...DEFAULT_RETRY_OPTIONS, ...options.retry },
+        scheduler: options.scheduler || null,
+        cache: options.cache || null
+    };
+    return apiClient;
 };
 
 export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
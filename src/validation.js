@@ -0,0 +1,161 @@
+import { VALUE_STATUS } from './values.js';
+import { parseUnit } from './units.js';
+import { buildHierarchy, getRecordDimensions } from './transformations.js';
+
+// Relative tolerance, in percent of the parent total, on top of the rounding of the published values
+export const DEFAULT_VALIDATION_TOLERANCE = 0.1;
+
+// Unit kinds whose components add up to the total; percentages, indices and rates do not
+const ADDITIVE_KINDS = ['count', 'currency', 'measure'];
+
+// Cells without a number; '-' (not applicable) is KOSIS' marker for none and counts as 0
+const SUPPRESSED_STATUSES = [VALUE_STATUS.CONFIDENTIAL, VALUE_STATUS.MISSING];
+
+const MAX_REPORTED_CELLS = 200;
+
+const round = (number) => (Number.isFinite(number) ? Number(number.toPrecision(12)) : null);
+
+const cellKey = (record, dimensions) => [
+    record.period?.frequency,
+    record.period?.code,
+    ...[...dimensions].sort(([a], [b]) => a.localeCompare(b)).map(([dimension, code]) => `${dimension}=${code}`)
+].join('|');
+
+const decimalsOf = (rawValue) => String(rawValue ?? '').replace(/,/g, '').match(/\.(\d+)/)?.[1].length || 0;
+
+// Half a unit of the last published digit, in the unit of the (possibly rescaled) value
+const roundingOf = (record) => 0.5 * 10 ** -decimalsOf(record.rawValue) * (record.unitInfo?.rescaled ? record.unitInfo.multiplier : 1);
+
+const valueOf = (record) => (record.valueStatus === VALUE_STATUS.NOT_APPLICABLE && record.value === null ? 0 : record.value);
+
+const describeContext = (dimensions, skip) => Object.fromEntries([...dimensions].filter(([dimension]) => dimension !== skip));
+
+/**
+ * Check that the components of every total add up to it, per period.
+ *
+ * The totals and their components come from the item and classification hierarchy of
+ * the metadata. A total is checked when all of its components were fetched; it is a
+ * mismatch when the components differ from it by more than the rounding of the published
+ * values plus `tolerance` percent of the total. Components that are suppressed (x) or
+ * missing make the check partial: the unexplained residual is reported instead.
+ * Only values in additive units (counts, currencies, measures) are checked.
+ *
+ * @param {Object[]} records - Normalized records of one table.
+ * @param {import('./metadata.js').TableMetadata|null} metadata
+ * @param {Object} options - { tolerance } in percent.
+ * @returns {Object} A `type: 'data_quality'` report item.
+ */
+export const validateHierarchy = (records, metadata, options = {}) => {
+    const tolerance = Math.max(Number(options.tolerance ?? DEFAULT_VALIDATION_TOLERANCE) || 0, 0);
+    const first = records[0];
+    const report = {
+        type: 'data_quality',
+        sourceTableId: first?.sourceTableId || metadata?.tableId || null,
+        statName: first?.statName || metadata?.tableName || null,
+        status: 'ok',
+        reason: null,
+        tolerancePercent: tolerance,
+        checkedTotals: 0,
+        mismatchCount: 0,
+        partialCount: 0,
+        uncheckedTotals: 0,
+        suppressedCellCount: 0,
+        mismatches: [],
+        partial: [],
+        suppressedCells: [],
+        extractedAt: new Date().toISOString()
+    };
+
+    const suppressed = records.filter(record => record.value === null && SUPPRESSED_STATUSES.includes(record.valueStatus));
+    report.suppressedCellCount = suppressed.length;
+    report.suppressedCells = suppressed.slice(0, MAX_REPORTED_CELLS).map(record => ({
+        period: record.period?.code || record.surveyDate,
+        cell: Object.fromEntries(getRecordDimensions(record)),
+        valueStatus: record.valueStatus,
+        rawValue: record.rawValue
+    }));
+
+    const hierarchy = buildHierarchy(metadata);
+    if (hierarchy.size === 0) {
+        return { ...report, status: 'skipped', reason: 'The table metadata has no item or classification hierarchy' };
+    }
+    const additive = records.filter(record => ADDITIVE_KINDS.includes(parseUnit(record.unit)?.kind));
+    if (additive.length === 0) {
+        return { ...report, status: 'skipped', reason: 'No values in units that add up (counts, currencies or measures)' };
+    }
+
+    // Components per total, per dimension
+    const children = new Map();
+    for (const [dimension, parents] of hierarchy) {
+        const byParent = new Map();
+        for (const [code, { parentCode }] of parents) {
+            if (!byParent.has(parentCode)) byParent.set(parentCode, []);
+            byParent.get(parentCode).push(code);
+        }
+        children.set(dimension, byParent);
+    }
+
+    const cells = new Map(additive.map(record => [cellKey(record, getRecordDimensions(record)), record]));
+
+    for (const total of additive) {
+        const totalValue = valueOf(total);
+        if (!Number.isFinite(totalValue)) continue;
+        const dimensions = getRecordDimensions(total);
+
+        for (const [dimension, code] of dimensions) {
+            const componentCodes = children.get(dimension)?.get(code);
+            if (!componentCodes) continue;
+
+            const components = componentCodes.map(componentCode => cells.get(cellKey(total, new Map(dimensions).set(dimension, componentCode))));
+            if (components.some(component => !component)) {
+                report.uncheckedTotals++;
+                continue;
+            }
+
+            const gaps = components.filter(component => !Number.isFinite(valueOf(component)));
+            const sum = components.reduce((acc, component) => acc + (valueOf(component) || 0), 0);
+            const difference = totalValue - sum;
+            const entry = {
+                period: total.period?.code || total.surveyDate,
+                dimension,
+                totalCode: code,
+                context: describeContext(dimensions, dimension),
+                total: totalValue,
+                componentSum: round(sum),
+                difference: round(difference),
+                components: components.length
+            };
+
+            if (gaps.length > 0) {
+                report.partialCount++;
+                if (report.partial.length < MAX_REPORTED_CELLS) {
+                    report.partial.push({ ...entry, suppressedComponents: gaps.map(gap => getRecordDimensions(gap).get(dimension)) });
+                }
+                continue;
+            }
+
+            report.checkedTotals++;
+            const allowed = roundingOf(total) + components.reduce((acc, component) => acc + roundingOf(component), 0)
+                + Math.abs(totalValue) * tolerance / 100;
+            if (Math.abs(difference) > allowed) {
+                report.mismatchCount++;
+                if (report.mismatches.length < MAX_REPORTED_CELLS) {
+                    report.mismatches.push({
+                        ...entry,
+                        relativeDifferencePercent: totalValue === 0 ? null : round(difference / totalValue * 100)
+                    });
+                }
+            }
+        }
+    }
+
+    if (report.mismatchCount > 0) {
+        report.status = 'mismatch';
+    } else if (report.partialCount > 0) {
+        report.status = 'partial';
+    } else if (report.checkedTotals === 0) {
+        report.status = 'skipped';
+        report.reason = 'No total was fetched together with all of its components';
+    }
+    return report;
+};
@@ -0,0 +1,69 @@
+export const VALUE_STATUS = {
+    OBSERVED: 'observed',
+    MISSING: 'missing',
+    CONFIDENTIAL: 'confidential',
+    NOT_APPLICABLE: 'not-applicable',
+    PRELIMINARY: 'preliminary',
+    ESTIMATED: 'estimated'
+};
+
+// Symbols KOSIS publishes in DT instead of a number
+const VALUE_MARKERS = {
+    '-': VALUE_STATUS.NOT_APPLICABLE,
+    'x': VALUE_STATUS.CONFIDENTIAL,
+    'X': VALUE_STATUS.CONFIDENTIAL,
+    '…': VALUE_STATUS.MISSING,
+    '...': VALUE_STATUS.MISSING,
+    '..': VALUE_STATUS.MISSING,
+    'NA': VALUE_STATUS.MISSING
+};
+
+// Flags written next to a number, e.g. "p)1,234" or "1,234 e)"
+const FLAG_PATTERN = /([pe])\)/i;
+const FLAG_STATUS = {
+    p: VALUE_STATUS.PRELIMINARY,
+    e: VALUE_STATUS.ESTIMATED
+};
+
+/**
+ * Parse a KOSIS DT value into a number and a status.
+ * Markers for missing, confidential or not applicable data give a null value,
+ * so a real 0 can be told apart from a cell without a number.
+ * @param {string|number|null|undefined} rawValue - The DT field of a data row.
+ * @returns {{value: number|null, valueStatus: string, rawValue: string|null}}
+ */
+export const parseKosisValue = (rawValue) => {
+    if (rawValue === undefined || rawValue === null) {
+        return { value: null, valueStatus: VALUE_STATUS.MISSING, rawValue: null };
+    }
+    if (typeof rawValue === 'number') {
+        return Number.isFinite(rawValue)
+            ? { value: rawValue, valueStatus: VALUE_STATUS.OBSERVED, rawValue: String(rawValue) }
+            : { value: null, valueStatus: VALUE_STATUS.MISSING, rawValue: String(rawValue) };
+    }
+
+    const text = String(rawValue).trim();
+    if (text === '') {
+        return { value: null, valueStatus: VALUE_STATUS.MISSING, rawValue: text };
+    }
+    if (VALUE_MARKERS[text]) {
+        return { value: null, valueStatus: VALUE_MARKERS[text], rawValue: text };
+    }
+
+    let valueStatus = VALUE_STATUS.OBSERVED;
+    let numberText = text;
+    const flag = text.match(FLAG_PATTERN);
+    if (flag) {
+        valueStatus = FLAG_STATUS[flag[1].toLowerCase()];
+        numberText = text.replace(FLAG_PATTERN, '');
+    }
+
+    numberText = numberText.replace(/,/g, '').trim();
+    const value = numberText === '' ? NaN : Number(numberText);
+    if (!Number.isFinite(value)) {
+        // A flag on a marker ("p)-") keeps the marker's meaning; anything else is unreadable
+        return { value: null, valueStatus: VALUE_MARKERS[numberText] || VALUE_STATUS.MISSING, rawValue: text };
+    }
+
+    return { value, valueStatus, rawValue: text };
+};
@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+
+describe('Time-Series Analysis', () => {
+  const buildRecords = async (rows, prdSe) => {
+    const { parsePeriod } = await import('../src/periods.js');
+    return rows.map(([code, value, region = '11']) => ({
+      sourceTableId: 'DT_TEST',
+      period: parsePeriod(code, prdSe),
+      value,
+      metadata: {
+        item: { id: 'T10' },
+        classifications: [{ level: 1, objId: 'A', code: region }],
+      },
+    }));
+  };
+
+  it('groupIntoSeries should split by classification path and frequency and sort by period', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { groupIntoSeries } = await import('../src/analysis.js');
+      const records = [
+        ...await buildRecords([['2023', 3], ['2021', 1], ['2022', 2, '26']], 'Y'),
+        ...await buildRecords([['202301', 5]], 'M'),
+      ];
+
+      const series = groupIntoSeries(records);
+
+      expect(series.map(entry => entry.key)).toEqual(['DT_TEST|T10|A=11|Y', 'DT_TEST|T10|A=26|Y', 'DT_TEST|T10|A=11|M']);
+      expect(series[0].records.map(record => record.period.code)).toEqual(['2021', '2023']);
+    });
+  });
+
+  it('analyzeTimeSeries should compute changes, CAGR and moving averages for yearly data', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { analyzeTimeSeries } = await import('../src/analysis.js');
+      const records = await buildRecords([['2022', 121], ['2020', 100], ['2021', 110]], 'Y');
+
+      const analyzed = analyzeTimeSeries(records, { movingAverageWindows: [2, 3] });
+
+      expect(analyzed.map(record => record.period.code)).toEqual(['2022', '2020', '2021']);
+      expect(analyzed[0].analysis).toEqual({
+        seriesKey: 'DT_TEST|T10|A=11|Y',
+        periodOverPeriod: { previousPeriod: '2021', difference: 11, percentChange: 10 },
+        yearOverYear: { previousPeriod: '2021', difference: 11, percentChange: 10 },
+        cagr: { fromPeriod: '2020', years: 2, percent: 10 },
+        movingAverages: { ma2: 115.5, ma3: 110.333333333 },
+      });
+      expect(analyzed[1].analysis).toEqual(expect.objectContaining({ periodOverPeriod: null, cagr: null, movingAverages: { ma2: null, ma3: null } }));
+      expect(records[0].analysis).toBeUndefined();
+    });
+  });
+
+  it('analyzeTimeSeries should not span gaps or missing values in monthly data', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { analyzeTimeSeries } = await import('../src/analysis.js');
+      const records = await buildRecords([
+        ['202201', 100], ['202212', 115], ['202301', 120], ['202302', null], ['202303', 130], ['202305', 140],
+      ], 'M');
+
+      const [jan22, , jan23, feb23, mar23, may23] = analyzeTimeSeries(records).map(record => record.analysis);
+
+      expect(jan22.yearOverYear).toBeNull();
+      expect(jan23.periodOverPeriod).toEqual({ previousPeriod: '202212', difference: 5, percentChange: 4.34782608696 });
+      expect(jan23.yearOverYear).toEqual({ previousPeriod: '202201', difference: 20, percentChange: 20 });
+      expect(jan23.cagr).toEqual({ fromPeriod: '202201', years: 1, percent: 20 });
+      expect(feb23.periodOverPeriod).toBeNull();
+      expect(mar23.periodOverPeriod).toBeNull();
+      expect(mar23.movingAverages.ma3).toBeNull();
+      // April is not in the output, so May has no previous period
+      expect(may23.periodOverPeriod).toBeNull();
+    });
+  });
+  it('summarizeTimeSeries should describe each series and compare the latest value with its history', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { summarizeTimeSeries } = await import('../src/analysis.js');
+      const records = await buildRecords([['2019', 4], ['2020', 2], ['2021', null], ['2022', 6], ['2023', 8]], 'Y');
+
+      const [summary] = summarizeTimeSeries(records);
+
+      expect(summary).toEqual(expect.objectContaining({
+        type: 'series_summary',
+        seriesKey: 'DT_TEST|T10|A=11|Y',
+        firstPeriod: '2019',
+        lastPeriod: '2023',
+        count: 4,
+        missingCount: 1,
+        min: { value: 2, period: '2020' },
+        max: { value: 8, period: '2023' },
+        mean: 5,
+        median: 5,
+        standardDeviation: 2.58198889747,
+        coefficientOfVariation: 0.516397779494,
+        outliers: [],
+      }));
+      expect(summary.latest).toEqual({
+        period: '2023', value: 8, historicalMin: 2, historicalMax: 6,
+        positionInRange: 1.5, percentile: 100, isRecordHigh: true, isRecordLow: false,
+      });
+    });
+  });
+
+  it('summarizeTimeSeries should flag outliers by IQR fences or z-score', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { summarizeTimeSeries } = await import('../src/analysis.js');
+      const values = [10, 11, 10, 12, 11, 10, 11, 40];
+      const records = await buildRecords(values.map((value, index) => [`2023${String(index + 1).padStart(2, '0')}`, value]), 'M');
+
+      const [iqr] = summarizeTimeSeries(records);
+      expect(iqr.outlierMethod).toBe('iqr');
+      expect(iqr.outliers).toEqual([{ period: '202308', value: 40, score: 23 }]);
+
+      const [zscore] = summarizeTimeSeries(records, { outlierMethod: 'zscore', outlierThreshold: 2 });
+      expect(zscore.outliers.map(outlier => outlier.period)).toEqual(['202308']);
+      expect(zscore.outliers[0].score).toBeGreaterThan(2);
+      expect(summarizeTimeSeries(records, { outlierMethod: 'zscore' })[0].outliers).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+describe('Response Cache', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'kosis-cache-'));
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('buildCacheKey should not depend on parameter order, whitespace or empty values', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildCacheKey } = await import('../src/cache.js');
+
+      const key = buildCacheKey('/Param/statisticsParameterData.do', { tblId: 'DT_1IN1502', orgId: '101', prdSe: 'Y' });
+      expect(key).toMatch(/^data-[0-9a-f]{40}$/);
+      expect(buildCacheKey('/Param/statisticsParameterData.do', { prdSe: 'Y ', orgId: '101', tblId: 'DT_1IN1502', objL2: '' })).toBe(key);
+      expect(buildCacheKey('/Param/statisticsParameterData.do', { tblId: 'DT_1IN1502', orgId: '101', prdSe: 'M' })).not.toBe(key);
+      expect(buildCacheKey('/statisticsList.do', { vwCd: 'MT_ZTITLE' })).toMatch(/^list-/);
+    });
+  });
+
+  it('should store responses in a local directory and expire them after the TTL', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { createResponseCache } = await import('../src/cache.js');
+      jest.useFakeTimers({ now: new Date('2024-03-01T00:00:00Z') });
+      const cache = createResponseCache({ storage: 'local', directory, ttlHours: { data: 2 } });
+      const params = { orgId: '101', tblId: 'DT_1IN1502' };
+
+      expect(await cache.get('/Param/statisticsParameterData.do', params)).toBeUndefined();
+      await cache.set('/Param/statisticsParameterData.do', params, [{ DT: '100' }]);
+      expect(await readdir(directory)).toHaveLength(1);
+
+      jest.setSystemTime(new Date('2024-03-01T01:59:00Z'));
+      expect(await cache.get('/Param/statisticsParameterData.do', params)).toEqual([{ DT: '100' }]);
+
+      jest.setSystemTime(new Date('2024-03-01T02:01:00Z'));
+      expect(await cache.get('/Param/statisticsParameterData.do', params)).toBeUndefined();
+      expect(cache.getStats()).toEqual({ hits: 1, misses: 2, writes: 1 });
+    });
+  });
+
+  it('should skip reads with forceRefresh and serve expired entries offline', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { createResponseCache } = await import('../src/cache.js');
+      jest.useFakeTimers({ now: new Date('2024-03-01T00:00:00Z') });
+      const params = { vwCd: 'MT_ZTITLE', parentListId: 'A' };
+
+      const refreshing = createResponseCache({ storage: 'local', directory, forceRefresh: true });
+      await refreshing.set('/statisticsList.do', params, [{ LIST_ID: 'A_1' }]);
+      expect(await refreshing.get('/statisticsList.do', params)).toBeUndefined();
+
+      jest.setSystemTime(new Date('2025-03-01T00:00:00Z'));
+      expect(await createResponseCache({ storage: 'local', directory }).get('/statisticsList.do', params)).toBeUndefined();
+      const offline = createResponseCache({ storage: 'local', directory, forceRefresh: true, offline: true });
+      expect(await offline.get('/statisticsList.do', params)).toEqual([{ LIST_ID: 'A_1' }]);
+      expect(createResponseCache({ storage: 'none' })).toBeNull();
+    });
+  });
+
+  it('should answer client requests from the cache and fail offline on a miss', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const mockAxiosGet = jest.fn().mockResolvedValue({ data: [{ TBL_ID: 'DT_1IN1502', TBL_NM: '인구' }] });
+      jest.doMock('axios', () => ({
+        __esModule: true,
+        default: { create: () => ({ get: mockAxiosGet }) },
+      }));
+      const { createKosisApiClient, searchStatistics } = await import('../src/utils.js');
+      const { createResponseCache } = await import('../src/cache.js');
+      const { KosisOfflineCacheMissError } = await import('../src/errors.js');
+
+      const cache = createResponseCache({ storage: 'local', directory });
+      const apiClient = createKosisApiClient('test-key', { cache });
+      const first = await searchStatistics(apiClient, '인구');
+      const second = await searchStatistics(apiClient, '인구');
+
+      expect(second).toEqual(first);
+      expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+
+      const offlineClient = createKosisApiClient('offline', { cache: createResponseCache({ storage: 'local', directory, offline: true }) });
+      await expect(searchStatistics(offlineClient, '인구')).resolves.toEqual(first);
+      await expect(searchStatistics(offlineClient, '고용')).rejects.toBeInstanceOf(KosisOfflineCacheMissError);
+      expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import { makeRecords } from './records.js';
+
+const SEX = { 1: '남자', 2: '여자' };
+const AGE_GROUP = { A: '0-14세', B: '15-64세', C: '65세이상' };
+
+const loadRecords = () => makeRecords([
+  ['2022', '1', 'A', 2900], ['2023', '1', 'A', 2800],
+  ['2022', '1', 'B', 18600], ['2023', '1', 'B', 18500],
+  ['2022', '1', 'C', 4000], ['2023', '1', 'C', null],
+  ['2022', '2', 'A', 2700], ['2023', '2', 'A', 2650],
+  ['2022', '2', 'B', 17800], ['2023', '2', 'B', 17700],
+  ['2022', '2', 'C', 5200], ['2023', '2', 'C', 5400],
+].map(([period, sex, ageGroup, value]) => ({
+  period,
+  value,
+  unit: '천명',
+  classifications: [{ code: sex, label: SEX[sex] }, { code: ageGroup, label: AGE_GROUP[ageGroup] }],
+})));
+
+describe('Charts', () => {
+  it('getNiceTicks should cover the range with round steps', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { getNiceTicks } = await import('../src/charts.js');
+
+      expect(getNiceTicks(0, 18600)).toEqual([0, 5000, 10000, 15000, 20000]);
+      expect(getNiceTicks(0.12, 0.87)).toEqual([0, 0.2, 0.4, 0.6, 0.8, 1]);
+      expect(getNiceTicks(-3, 7)).toEqual([-4, -2, 0, 2, 4, 6, 8]);
+      expect(getNiceTicks(100, 100)).toEqual([90, 95, 100, 105, 110]);
+    });
+  });
+
+  it('buildTableCharts should build a line chart per series and a grouped bar chart of the latest period', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildTableCharts } = await import('../src/charts.js');
+      const [line, bar] = buildTableCharts(await loadRecords());
+
+      expect(line).toEqual(expect.objectContaining({ type: 'line', tableId: 'DT_TEST', title: '주민등록인구', unit: '천명', omittedSeries: 0 }));
+      expect(line.categories).toHaveLength(2);
+      expect(line.series).toHaveLength(6);
+      expect(line.series[0]).toEqual({ label: '남자 · 0-14세', values: [2900, 2800] });
+      expect(line.series[2].values).toEqual([4000, null]);
+
+      expect(bar).toEqual(expect.objectContaining({ type: 'bar', categories: ['0-14세', '15-64세', '65세이상'] }));
+      expect(bar.series).toEqual([
+        { label: '남자', values: [2800, 18500, null] },
+        { label: '여자', values: [2650, 17700, 5400] },
+      ]);
+
+      const [limited] = buildTableCharts(await loadRecords(), { maxSeries: 2 });
+      expect(limited.series).toHaveLength(2);
+      expect(limited.omittedSeries).toBe(4);
+      expect(buildTableCharts([{ surveyDate: '2023', value: 1 }])).toEqual([]);
+    });
+  });
+
+  it('renderChartSvg should draw lines, bars, Korean labels and a legend', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildTableCharts, renderChartSvg } = await import('../src/charts.js');
+      const [line, bar] = buildTableCharts(await loadRecords());
+
+      const lineSvg = renderChartSvg(line);
+      expect(lineSvg).toContain('<svg');
+      expect(lineSvg).toContain('Noto Sans KR');
+      expect(lineSvg.match(/<path /g)).toHaveLength(6);
+      expect(lineSvg).toContain('남자 · 0-14세');
+
+      const barSvg = renderChartSvg(bar);
+      expect(barSvg.match(/<rect x="[\d.]+" y="[\d.]+" width="[\d.]+" height="[\d.]+" fill="#/g)).toHaveLength(5 + 2);
+      expect(barSvg).toContain('65세이상');
+      expect(barSvg).toContain('Source: KOSIS DT_TEST');
+
+      expect(renderChartSvg({ ...bar, series: [{ label: '', values: [null] }] })).toBeNull();
+    });
+  });
+
+  it('buildTableCharts should count the bar categories beyond the first 24', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { parsePeriod } = await import('../src/periods.js');
+      const { buildTableCharts, renderChartSvg } = await import('../src/charts.js');
+      const records = Array.from({ length: 30 }, (_, i) => ({
+        statName: '시군구별 인구',
+        sourceTableId: 'DT_TEST',
+        period: parsePeriod('2023'),
+        value: 1000 + i,
+        unit: '명',
+        metadata: { item: { id: 'T1', name: '인구' }, classifications: [{ level: 1, code: String(i), label: `지역${i}` }] },
+      }));
+      const [bar] = buildTableCharts(records);
+
+      expect(bar.categories).toHaveLength(24);
+      expect(bar.omittedCategories).toBe(6);
+      expect(renderChartSvg(bar)).toContain('6 more categories not shown');
+    });
+  });
+
+  it('renderSvgToPng should rasterize a chart at its size or a given width', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildTableCharts, renderChartSvg } = await import('../src/charts.js');
+      const { renderSvgToPng } = await import('../src/svg.js');
+      const [line] = buildTableCharts(await loadRecords());
+      const png = await renderSvgToPng(renderChartSvg(line));
+      const small = await renderSvgToPng(renderChartSvg(line), { width: 450 });
+
+      expect(png.subarray(1, 4).toString()).toBe('PNG');
+      // Width and height are the first fields of the IHDR chunk
+      expect([png.readUInt32BE(16), png.readUInt32BE(20)]).toEqual([900, 560]);
+      expect([small.readUInt32BE(16), small.readUInt32BE(20)]).toEqual([450, 280]);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+
+describe('Conversion', () => {
+  const buildRecord = async (code, prdSe, value, unit) => {
+    const { parsePeriod } = await import('../src/periods.js');
+    return { sourceTableId: 'DT_TEST', period: parsePeriod(code, prdSe), value, unit };
+  };
+
+  it('normalizeConversionOptions should validate currencies and default the yen quote', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { normalizeConversionOptions, getWonMultiplier } = await import('../src/conversion.js');
+
+      expect(normalizeConversionOptions({})).toBeNull();
+      const options = normalizeConversionOptions({
+        deflation: { baseYear: '2020', cpi: { tableId: 'DT_CPI', itemId: 'T', frequency: 'monthly' } },
+        currencyConversion: { usd: {}, JPY: {} },
+        conversionDataFile: 'rates.json',
+      });
+
+      expect(options.deflation).toEqual({ baseYear: 2020, cpi: expect.objectContaining({ tableId: 'DT_CPI', frequency: 'M' }) });
+      expect(options.currencies).toEqual([
+        { currency: 'USD', selector: null, quoteUnits: 1 },
+        { currency: 'JPY', selector: null, quoteUnits: 100 },
+      ]);
+      expect(() => normalizeConversionOptions({ currencyConversion: { KRW: {} } })).toThrow("unsupported currency 'KRW'");
+      expect(getWonMultiplier('십억원')).toBe(1e9);
+      expect(getWonMultiplier('명')).toBeNull();
+    });
+  });
+
+  it('createPeriodLookup should match the same, a coarser or all finer periods', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { createPeriodLookup, toReferenceSeries } = await import('../src/conversion.js');
+      const { parsePeriod } = await import('../src/periods.js');
+
+      const monthly = Array.from({ length: 12 }, (_, i) => ({ period: `2023${String(i + 1).padStart(2, '0')}`, frequency: 'M', value: 1300 + i }));
+      const lookup = createPeriodLookup(toReferenceSeries([...monthly, { period: '2024', value: 1400 }], {}));
+
+      expect(lookup(parsePeriod('202305', 'M'))).toEqual({ value: 1304, periods: ['202305'] });
+      expect(lookup(parsePeriod('202405', 'M'))).toEqual({ value: 1400, periods: ['2024'] });
+      expect(lookup(parsePeriod('2023', 'Y')).value).toBeCloseTo(1305.5);
+      expect(lookup(parsePeriod('2022', 'Y'))).toBeNull();
+    });
+  });
+
+  it('applyConversions should deflate won amounts and convert them to foreign currencies', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { applyConversions, toReferenceSeries } = await import('../src/conversion.js');
+
+      const records = [
+        await buildRecord('2020', 'Y', 1000, '십억원'),
+        await buildRecord('2023', 'Y', 1200, '십억원'),
+        await buildRecord('2023', 'Y', 51, '명'),
+      ];
+      const { records: converted, warnings } = applyConversions(records, {
+        baseYear: 2020,
+        cpi: toReferenceSeries([{ period: '2020', value: 100 }, { period: '2023', value: 120 }], { file: 'rates.json' }),
+        rates: {
+          USD: { series: toReferenceSeries([{ period: '2023', value: 1200 }], {}), quoteUnits: 1 },
+          JPY: { series: toReferenceSeries([{ period: '2023', value: 900 }], {}), quoteUnits: 100 },
+        },
+      });
+
+      expect(warnings).toEqual([]);
+      expect(converted[0].conversion.real).toEqual(expect.objectContaining({ value: 1000, deflator: 100 }));
+      expect(converted[0].conversion.currencies).toEqual({});
+      expect(converted[1].conversion.nominal).toEqual({ value: 1200, unit: '십억원' });
+      expect(converted[1].conversion.real).toEqual(expect.objectContaining({ value: 1000, deflator: 120, cpiPeriods: ['2023'] }));
+      expect(converted[1].conversion.currencies.USD.value).toBeCloseTo(1e9);
+      expect(converted[1].conversion.currencies.JPY.value).toBe(133333333333);
+      expect(converted[2]).toBe(records[2]);
+    });
+  });
+
+  it('applyConversions should warn when the base year has no CPI', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { applyConversions, toReferenceSeries } = await import('../src/conversion.js');
+
+      const { records, warnings } = applyConversions([await buildRecord('2023', 'Y', 1200, '원')], {
+        baseYear: 2015,
+        cpi: toReferenceSeries([{ period: '2023', value: 120 }], {}),
+        rates: {},
+      });
+
+      expect(warnings).toEqual(['The CPI series has no complete data for base year 2015; values are not deflated']);
+      expect(records[0].conversion.real).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+
+describe('Category Tree Crawler', () => {
+  // Category tree keyed by parentListId; A_2 links back to A to simulate a cycle
+  const tree = {
+    A: [
+      { LIST_ID: 'A_1', LIST_NM: '인구' },
+      { LIST_ID: 'A_2', LIST_NM: '고용' },
+    ],
+    A_1: [
+      { LIST_ID: 'A_11', LIST_NM: '인구총조사' },
+      { TBL_ID: 'DT_POP', TBL_NM: '추계인구', ORG_ID: '101' },
+    ],
+    A_11: [
+      { TBL_ID: 'DT_CENSUS', TBL_NM: '총인구', ORG_ID: '101' },
+    ],
+    A_2: [
+      { LIST_ID: 'A', LIST_NM: '루트' },
+      { TBL_ID: 'DT_EMP', TBL_NM: '고용률', ORG_ID: '101' },
+      { TBL_ID: 'DT_POP', TBL_NM: '추계인구', ORG_ID: '101' },
+    ],
+  };
+
+  const mockTreeAxios = () => {
+    const mockAxiosGet = jest.fn(async (url, { params }) => ({ data: tree[params.parentListId] || [] }));
+    jest.doMock('axios', () => ({
+      __esModule: true,
+      default: {
+        create: () => ({ get: mockAxiosGet }),
+      },
+    }));
+    return mockAxiosGet;
+  };
+
+  it('should walk folders depth-first in KOSIS order and record breadcrumbs for each table', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const mockAxiosGet = mockTreeAxios();
+      const { createKosisApiClient } = await import('../src/utils.js');
+      const { crawlStatsTables } = await import('../src/crawler.js');
+
+      const tables = await crawlStatsTables(createKosisApiClient('test-api-key'), { vwCd: 'MT_ZTITLE', parentId: 'A' });
+
+      expect(tables.map(table => table.breadcrumb)).toEqual([
+        '인구 > 추계인구',
+        '인구 > 인구총조사 > 총인구',
+        '고용 > 고용률',
+      ]);
+      expect(tables[1]).toEqual(expect.objectContaining({ TBL_ID: 'DT_CENSUS', depth: 3 }));
+      // The link from A_2 back to the root is not followed again
+      expect(mockAxiosGet).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  it('should respect maxDepth, maxNodes and maxTables', async () => {
+    await jest.isolateModulesAsync(async () => {
+      mockTreeAxios();
+      const { createKosisApiClient } = await import('../src/utils.js');
+      const { crawlStatsTables } = await import('../src/crawler.js');
+      const apiClient = createKosisApiClient('test-api-key');
+
+      const shallow = await crawlStatsTables(apiClient, { parentId: 'A', maxDepth: 2 });
+      expect(shallow.map(table => table.TBL_ID)).toEqual(['DT_POP', 'DT_EMP']);
+
+      const budgeted = await crawlStatsTables(apiClient, { parentId: 'A', maxNodes: 2 });
+      expect(budgeted.map(table => table.TBL_ID)).toEqual(['DT_POP']);
+
+      const limited = await crawlStatsTables(apiClient, { parentId: 'A', maxTables: 1 });
+      expect(limited.map(table => table.TBL_ID)).toEqual(['DT_POP']);
+    });
+  });
+});
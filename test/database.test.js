@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import { makeRecords, region } from './records.js';
+
+const loadRecords = () => makeRecords([
+  ['00', '전국', '2022', 51692272],
+  ['00', '전국', '2023', 51325329],
+  ['11', '서울특별시', '2023', null],
+].map(([code, label, period, value]) => ({
+  period,
+  value,
+  valueStatus: value === null ? 'confidential' : 'observed',
+  rawValue: value === null ? 'x' : String(value),
+  footnotes: ['주민등록 기준'],
+  source: '행정안전부 (KOSIS)',
+  classifications: [region(code, label)],
+})));
+
+describe('Database exports', () => {
+  it('buildUpsert should update the non-key columns on conflict', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildUpsert } = await import('../src/database.js');
+
+      expect(buildUpsert('footnotes')).toBe(
+        'INSERT INTO footnotes (footnote_id, table_id, text) VALUES (?, ?, ?) ON CONFLICT (footnote_id) DO UPDATE SET table_id = excluded.table_id, text = excluded.text',
+      );
+      expect(buildUpsert('series_footnotes')).toBe(
+        'INSERT INTO series_footnotes (series_id, footnote_id) VALUES (?, ?) ON CONFLICT (series_id, footnote_id) DO NOTHING',
+      );
+    });
+  });
+
+  it('toDatabaseRows should key series and observations on stable IDs', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { toDatabaseRows } = await import('../src/database.js');
+      const rows = toDatabaseRows(await loadRecords(), { orgId: '101', tableNameEng: 'Resident population' });
+
+      expect(rows.kosis_tables).toEqual([expect.objectContaining({ table_id: 'DT_TEST', org_id: '101', name: '주민등록인구', name_eng: 'Resident population' })]);
+      expect(rows.series.map(series => series.series_id)).toEqual(['DT_TEST|T1|A=00|Y', 'DT_TEST|T1|A=11|Y']);
+      expect(rows.classifications[1]).toEqual({
+        series_id: 'DT_TEST|T1|A=11|Y', level: 1, obj_id: 'A', dimension: '행정구역별', code: '11', label: '서울특별시', label_eng: null,
+      });
+      expect(rows.footnotes).toHaveLength(1);
+      expect(rows.series_footnotes).toEqual([
+        { series_id: 'DT_TEST|T1|A=00|Y', footnote_id: rows.footnotes[0].footnote_id },
+        { series_id: 'DT_TEST|T1|A=11|Y', footnote_id: rows.footnotes[0].footnote_id },
+      ]);
+      expect(rows.observations[2]).toEqual(expect.objectContaining({
+        observation_id: 'DT_TEST|T1|A=11|Y|2023', period: '2023', period_start: '2023-01-01', value: null, value_status: 'confidential', raw_value: 'x',
+      }));
+
+      // The same records give the same IDs
+      expect(toDatabaseRows(await loadRecords()).footnotes[0].footnote_id).toBe(rows.footnotes[0].footnote_id);
+      expect(toDatabaseRows([{ surveyDate: '2023' }])).toBeNull();
+    });
+  });
+
+  it('toParquetColumns should flatten the observations with one column per classification level', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { toDatabaseRows, toParquetColumns } = await import('../src/database.js');
+      const columns = toParquetColumns([toDatabaseRows(await loadRecords())]);
+      const column = name => columns.find(entry => entry.name === name);
+
+      expect(columns.map(entry => entry.name)).toEqual(expect.arrayContaining(['observation_id', 'table_name', 'c1_code', 'c1_label', 'period', 'value']));
+      expect(column('c1_label').data).toEqual(['전국', '전국', '서울특별시']);
+      expect(column('value')).toEqual({ name: 'value', type: 'DOUBLE', data: [51692272, 51325329, null] });
+      expect(column('table_name').data).toEqual(['주민등록인구', '주민등록인구', '주민등록인구']);
+    });
+  });
+
+  it('writeSqliteDatabase should upsert a later run into the existing file', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { toDatabaseRows, writeSqliteDatabase } = await import('../src/database.js');
+      const { default: initSqlJs } = await import('sql.js');
+      const records = await loadRecords();
+      const first = await writeSqliteDatabase([toDatabaseRows(records)]);
+
+      // The later run revises 2023, adds 2024 and drops the footnote of 서울특별시
+      const { parsePeriod } = await import('../src/periods.js');
+      const revised = records.map(record => ({ ...record }));
+      revised[1].value = 51325000;
+      revised[2].footnotes = [];
+      revised.push({ ...records[0], period: parsePeriod('2024'), value: 51217221 });
+      const second = await writeSqliteDatabase([toDatabaseRows(revised)], { existing: first });
+
+      const SQL = await initSqlJs();
+      const db = new SQL.Database(second);
+      const query = sql => db.exec(sql)[0]?.values ?? [];
+      expect(query('SELECT COUNT(*) FROM kosis_tables')).toEqual([[1]]);
+      expect(query('SELECT COUNT(*) FROM series')).toEqual([[2]]);
+      expect(query('SELECT period, value, value_status FROM observations ORDER BY observation_id')).toEqual([
+        ['2022', 51692272, 'observed'], ['2023', 51325000, 'observed'], ['2024', 51217221, 'observed'], ['2023', null, 'confidential'],
+      ]);
+      expect(query('SELECT series_id FROM series_footnotes')).toEqual([['DT_TEST|T1|A=00|Y']]);
+      expect(query('SELECT COUNT(*) FROM footnotes')).toEqual([[1]]);
+      expect(query("SELECT COUNT(*) FROM sqlite_master WHERE type = 'index' AND name LIKE 'idx_%'")).toEqual([[4]]);
+      db.close();
+    });
+  });
+
+  it('writeParquetFile should write the flattened observations', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { toDatabaseRows, writeParquetFile } = await import('../src/database.js');
+      const { parquetReadObjects } = await import('hyparquet');
+      const file = await writeParquetFile([toDatabaseRows(await loadRecords())]);
+      const rows = await parquetReadObjects({
+        file: file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength),
+        columns: ['observation_id', 'c1_label', 'period', 'value'],
+      });
+
+      expect(file.subarray(0, 4).toString()).toBe('PAR1');
+      expect(rows).toEqual([
+        { observation_id: 'DT_TEST|T1|A=00|Y|2022', c1_label: '전국', period: '2022', value: 51692272 },
+        { observation_id: 'DT_TEST|T1|A=00|Y|2023', c1_label: '전국', period: '2023', value: 51325329 },
+        { observation_id: 'DT_TEST|T1|A=11|Y|2023', c1_label: '서울특별시', period: '2023', value: null },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals';
+
+describe('Seasonal Decomposition', () => {
+  // Monthly series: linear trend × sine-shaped seasonality × 5% loss per 설날 holiday day
+  const buildMonthlySeries = async (fromYear, toYear) => {
+    const { parsePeriod } = await import('../src/periods.js');
+    const { getHolidayDays } = await import('../src/decomposition.js');
+    const records = [];
+    for (let year = fromYear; year <= toYear; year++) {
+      for (let month = 1; month <= 12; month++) {
+        const position = records.length;
+        const seasonal = 1 + 0.1 * Math.sin((2 * Math.PI * (month - 1)) / 12);
+        const averageDays = month <= 2 ? 1.5 : 0;
+        const calendar = 0.95 ** (getHolidayDays('seollal', 'M', year, month) - averageDays);
+        records.push({
+          sourceTableId: 'DT_TEST',
+          period: parsePeriod(`${year}${String(month).padStart(2, '0')}`, 'M'),
+          value: (100 + position) * seasonal * calendar,
+          metadata: { item: { id: 'T10' }, classifications: [] },
+        });
+      }
+    }
+    return records;
+  };
+
+  it('getHolidayDays should count the three holiday days per month or quarter', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { getHolidayDays } = await import('../src/decomposition.js');
+
+      // 설날 2014 was on 31 January: 30 January to 1 February
+      expect(getHolidayDays('seollal', 'M', 2014, 1)).toBe(2);
+      expect(getHolidayDays('seollal', 'M', 2014, 2)).toBe(1);
+      // 추석 2012 was on 30 September: 29 September to 1 October
+      expect(getHolidayDays('chuseok', 'Q', 2012, 3)).toBe(2);
+      expect(getHolidayDays('chuseok', 'Q', 2012, 4)).toBe(1);
+      expect(getHolidayDays('chuseok', 'M', 1990, 9)).toBeNull();
+    });
+  });
+
+  it('decomposeTimeSeries should recover the trend and the 설날 effect of a monthly series', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { decomposeTimeSeries } = await import('../src/decomposition.js');
+      const records = await buildMonthlySeries(2015, 2022);
+
+      const decomposed = decomposeTimeSeries(records);
+      const { decomposition } = decomposed[30];
+
+      expect(decomposition.status).toBe('ok');
+      expect(decomposition.model).toBe('multiplicative');
+      expect(decomposition.holidayEffects.seollal).toBeCloseTo(0.95, 3);
+      expect(decomposition.seasonallyAdjusted).toBeCloseTo(130, 0);
+      expect(decomposition.trend).toBeCloseTo(130, 0);
+      expect(decomposition.seasonal * decomposition.calendar * decomposition.trend * decomposition.remainder)
+        .toBeCloseTo(records[30].value, 6);
+      expect(decomposed.every(record => Math.abs(record.decomposition.seasonallyAdjusted - (100 + decomposed.indexOf(record))) < 1)).toBe(true);
+    });
+  });
+
+  it('decomposeTimeSeries should skip short and yearly series and leave gaps unadjusted', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { decomposeTimeSeries } = await import('../src/decomposition.js');
+      const { parsePeriod } = await import('../src/periods.js');
+      const records = await buildMonthlySeries(2019, 2021);
+      records[15] = { ...records[15], value: null };
+      const yearly = [{ sourceTableId: 'DT_TEST', period: parsePeriod('2020', 'Y'), value: 1, metadata: {} }];
+
+      const decomposed = decomposeTimeSeries([...records, ...yearly]);
+
+      expect(decomposed[15].decomposition).toEqual(expect.objectContaining({ status: 'ok', seasonallyAdjusted: null, remainder: null }));
+      expect(decomposed[15].decomposition.trend).toBeCloseTo(115, 0);
+      expect(decomposed[36].decomposition).toEqual({ status: 'skipped', reason: expect.stringContaining('only monthly and quarterly') });
+      expect(decomposeTimeSeries(records.slice(0, 20))[0].decomposition.reason).toBe('At least 24 observed periods are needed, the series has 19');
+      expect(decomposeTimeSeries(records, { model: 'additive', holidayAdjustment: false })[0].decomposition)
+        .toEqual(expect.objectContaining({ model: 'additive', calendar: 0, holidayEffects: {} }));
+    });
+  });
+
+  it('decomposeTimeSeries should interpolate gaps of the multiplicative model geometrically', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { decomposeTimeSeries } = await import('../src/decomposition.js');
+      const records = await buildMonthlySeries(2019, 2021);
+      const withGap = records.map((record, i) => (i === 15 ? { ...record, value: null } : record));
+      // The gap filled with the geometric mean of its neighbours, as the log-space interpolation does
+      const filled = records.map((record, i) => (i === 15 ? { ...record, value: Math.sqrt(records[14].value * records[16].value) } : record));
+
+      const gap = decomposeTimeSeries(withGap).map(record => record.decomposition);
+      const reference = decomposeTimeSeries(filled).map(record => record.decomposition);
+
+      expect(gap[15]).toEqual({ ...reference[15], seasonallyAdjusted: null, remainder: null });
+      expect(gap.map(decomposition => decomposition.trend)).toEqual(reference.map(decomposition => decomposition.trend));
+      expect(gap[20].seasonal).toBe(reference[20].seasonal);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { jest } from '@jest/globals';
+
+describe('Derived Indicators', () => {
+  const buildRecord = async (tableId, itemId, code, prdSe, value, region, unit) => {
+    const { parsePeriod } = await import('../src/periods.js');
+    return {
+      sourceTableId: tableId,
+      period: parsePeriod(code, prdSe),
+      value,
+      unit,
+      metadata: {
+        item: { id: itemId },
+        classifications: region ? [{ level: 1, objId: 'A', code: region.code, label: region.label }] : [],
+      },
+    };
+  };
+
+  const seoul = { code: '11', label: '서울특별시' };
+  const busan = { code: '26', label: '부산광역시' };
+
+  it('normalizeDerivedIndicator should validate the definition', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { normalizeDerivedIndicator, getReferencedTables } = await import('../src/derivedIndicators.js');
+
+      const indicator = normalizeDerivedIndicator({
+        numerator: { tableId: 'DT_GDP', itemId: 'T1', scale: '1000' },
+        denominator: { tableId: 'DT_POP', orgId: '101', joinOn: 'objL1' },
+      }, 0);
+
+      expect(indicator).toEqual(expect.objectContaining({ name: 'indicator_1', operation: 'divide', scale: 1, frequency: null }));
+      expect(indicator.numerator).toEqual(expect.objectContaining({ tableId: 'DT_GDP', orgId: '101', scale: 1000, aggregation: 'mean' }));
+      expect(getReferencedTables({ derivedIndicators: [indicator], correlations: [] }))
+        .toEqual([{ tableId: 'DT_GDP', orgId: '101' }, { tableId: 'DT_POP', orgId: '101' }]);
+      expect(() => normalizeDerivedIndicator({ name: 'x', numerator: { tableId: 'A' }, denominator: { tableId: 'B' }, operation: 'pow' }, 0))
+        .toThrow('Derived indicator x: operation must be one of divide, multiply, add, subtract');
+      expect(() => normalizeDerivedIndicator({ numerator: { tableId: 'A', joinOn: 'region' }, denominator: { tableId: 'B' } }, 0))
+        .toThrow('joinOn must be a classification level');
+    });
+  });
+
+  it('computeDerivedIndicator should join on region labels and aggregate monthly data to years', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { normalizeDerivedIndicator, computeDerivedIndicator } = await import('../src/derivedIndicators.js');
+      const records = [
+        await buildRecord('DT_GDP', 'T1', '2023', 'Y', 500, seoul, '십억원'),
+        await buildRecord('DT_GDP', 'T1', '2023', 'Y', 100, busan, '십억원'),
+        await buildRecord('DT_GDP', 'T1', '2022', 'Y', 480, seoul, '십억원'),
+      ];
+      for (let month = 1; month <= 12; month++) {
+        const code = `2023${String(month).padStart(2, '0')}`;
+        records.push(await buildRecord('DT_POP', 'T2', code, 'M', 9000000 + month * 1000, { code: '1100000000', label: '서울특별시' }, '명'));
+        records.push(await buildRecord('DT_POP', 'T2', code, 'M', 3300000, { code: '2600000000', label: '부산광역시' }, '명'));
+      }
+      // An incomplete year is not aggregated
+      records.push(await buildRecord('DT_POP', 'T2', '202201', 'M', 9500000, seoul, '명'));
+
+      const indicator = normalizeDerivedIndicator({
+        name: 'GRDP per capita',
+        numerator: { tableId: 'DT_GDP', itemId: 'T1', joinOn: 'objL1' },
+        denominator: { tableId: 'DT_POP', itemId: 'T2', joinOn: 'objL1', aggregation: 'last' },
+      }, 0);
+      const { items, error } = computeDerivedIndicator(records, indicator);
+
+      expect(error).toBeUndefined();
+      expect(items).toHaveLength(2);
+      expect(items[0]).toEqual(expect.objectContaining({
+        type: 'derived_indicator',
+        name: 'GRDP per capita',
+        joinLabel: '서울특별시',
+        unit: '원/명',
+      }));
+      expect(items[0].value).toBeCloseTo(500e9 / 9012000, 5);
+      expect(items[0].period).toEqual(expect.objectContaining({ code: '2023', frequency: 'Y' }));
+      expect(items[0].inputs.denominator).toEqual(expect.objectContaining({
+        tableId: 'DT_POP', aggregation: 'last', unit: '명', value: 9012000,
+        periods: ['202301', '202302', '202303', '202304', '202305', '202306', '202307', '202308', '202309', '202310', '202311', '202312'],
+      }));
+      expect(items[1].joinLabel).toBe('부산광역시');
+      expect(items[1].value).toBeCloseTo(100e9 / 3300000, 5);
+    });
+  });
+
+  it('computeDerivedIndicator should apply a series without joinOn to every region and report ambiguous inputs', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { normalizeDerivedIndicator, computeDerivedIndicator } = await import('../src/derivedIndicators.js');
+      const records = [
+        await buildRecord('DT_WAGE', 'T1', '2023', 'Y', 4000, seoul, '천원'),
+        await buildRecord('DT_WAGE', 'T1', '2023', 'Y', 3500, busan, '천원'),
+        await buildRecord('DT_CPI', 'T1', '2023', 'Y', 111.59, null, '2020=100'),
+      ];
+
+      const real = normalizeDerivedIndicator({
+        numerator: { tableId: 'DT_WAGE', joinOn: 'objL1' },
+        denominator: { tableId: 'DT_CPI' },
+        scale: 100,
+      }, 0);
+      const { items } = computeDerivedIndicator(records, real);
+      expect(items.map(item => item.joinLabel)).toEqual(['서울특별시', '부산광역시']);
+      expect(items[0].value).toBeCloseTo(400000000 / 111.59, 4);
+      expect(items[1].value).toBeCloseTo(350000000 / 111.59, 4);
+      expect(items[0].unit).toBe('원/2020=100');
+
+      const ambiguous = normalizeDerivedIndicator({ numerator: { tableId: 'DT_WAGE' }, denominator: { tableId: 'DT_CPI' } }, 0);
+      expect(computeDerivedIndicator(records, ambiguous).error).toBe(
+        "Derived indicator indicator_1: Table DT_WAGE has several values for 2023; fix the other classifications with 'classifications'"
+      );
+      const missing = normalizeDerivedIndicator({ numerator: { tableId: 'DT_GDP' }, denominator: { tableId: 'DT_CPI' } }, 0);
+      expect(computeDerivedIndicator(records, missing).error).toContain('No values of table DT_GDP in the fetched data');
+    });
+  });
+
+  it('computeDerivedIndicator should convert scaled units to their base units', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { normalizeDerivedIndicator, computeDerivedIndicator } = await import('../src/derivedIndicators.js');
+      const records = [
+        await buildRecord('DT_GDP', 'T1', '2023', 'Y', 2401189, null, '십억원'),
+        await buildRecord('DT_POP', 'T1', '2023', 'Y', 51325, null, '천명'),
+        await buildRecord('DT_POP', 'T2', '2023', 'Y', 120000, null, '명'),
+      ];
+
+      const perCapita = normalizeDerivedIndicator({
+        numerator: { tableId: 'DT_GDP' }, denominator: { tableId: 'DT_POP', itemId: 'T1' },
+      }, 0);
+      const [item] = computeDerivedIndicator(records, perCapita).items;
+      expect(item.value).toBeCloseTo(2401189e9 / 51325e3, 3);
+      expect(item.unit).toBe('원/명');
+      expect(item.inputs.numerator).toEqual(expect.objectContaining({ unit: '십억원', value: 2401189 }));
+
+      const total = normalizeDerivedIndicator({
+        numerator: { tableId: 'DT_POP', itemId: 'T1' }, denominator: { tableId: 'DT_POP', itemId: 'T2' }, operation: 'add',
+      }, 0);
+      expect(computeDerivedIndicator(records, total).items[0]).toEqual(expect.objectContaining({ value: 51445000, unit: '명' }));
+
+      const mixed = normalizeDerivedIndicator({
+        numerator: { tableId: 'DT_GDP' }, denominator: { tableId: 'DT_POP', itemId: 'T1' }, operation: 'subtract',
+      }, 0);
+      expect(computeDerivedIndicator(records, mixed)).toEqual({ items: [], error: 'Derived indicator indicator_1: cannot subtract 십억원 and 천명; set unit to combine them anyway' });
+      expect(computeDerivedIndicator(records, { ...mixed, unit: '지표' }).items[0]).toEqual(expect.objectContaining({ unit: '지표' }));
+
+      const product = normalizeDerivedIndicator({
+        numerator: { tableId: 'DT_POP', itemId: 'T1' }, denominator: { tableId: 'DT_GDP' }, operation: 'multiply',
+      }, 0);
+      expect(computeDerivedIndicator(records, product).items[0]).toEqual(expect.objectContaining({ value: 51325e3 * 2401189e9, unit: '명×원' }));
+    });
+  });
+
+  it('computeCorrelation should find the lag at which one series leads the other', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { normalizeCorrelation, computeCorrelation } = await import('../src/derivedIndicators.js');
+      const signal = [3, 1, 4, 1, 5, 9, 2, 6, 5, 3, 5, 8, 9, 7, 9, 3];
+      const records = [];
+      for (let quarter = 0; quarter < signal.length; quarter++) {
+        const code = `${2020 + Math.floor(quarter / 4)}${(quarter % 4) + 1}`;
+        records.push(await buildRecord('DT_X', 'T1', code, 'Q', signal[quarter], null, '%'));
+        // y follows x two quarters later
+        if (quarter >= 2) records.push(await buildRecord('DT_Y', 'T1', code, 'Q', 10 + 2 * signal[quarter - 2], null, '%'));
+      }
+
+      const correlation = normalizeCorrelation({ name: 'lead', x: { tableId: 'DT_X' }, y: { tableId: 'DT_Y' }, maxLag: 3 }, 0);
+      const { items: [result] } = computeCorrelation(records, correlation);
+
+      expect(result).toEqual(expect.objectContaining({ type: 'correlation', name: 'lead', frequency: 'Q', joinLabel: null }));
+      expect(result.lags).toHaveLength(7);
+      expect(result.bestLag).toEqual({ lag: 2, r: 1, observations: 14 });
+      expect(Math.abs(result.r)).toBeLessThan(1);
+    });
+  });
+});
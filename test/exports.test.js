@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+import { makeRecords, region } from './records.js';
+
+const metadata = {
+  classifications: [{
+    id: 'A',
+    name: '행정구역별',
+    level: 1,
+    values: [{ id: '00', name: '전국' }, { id: '11', name: '서울특별시', parentId: '00' }, { id: '26', name: '부산광역시', parentId: '00' }],
+  }],
+  items: [{ id: 'T1', name: '인구' }, { id: 'T2', name: '가구' }],
+};
+
+const loadRecords = () => makeRecords([
+  ['T1', '00', '전국', '2022', 51692272],
+  ['T1', '00', '전국', '2023', 51774521],
+  ['T1', '11', '서울특별시', '2022', 9417469],
+  ['T1', '11', '서울특별시', '2023', null, 'x'],
+  ['T1', '26', '부산광역시', '2023', 3302040],
+  ['T2', '00', '전국', '2023', 22728018],
+].map(([item, code, label, period, value, rawValue = String(value)]) => ({
+  statName: '인구, 가구',
+  period,
+  value,
+  rawValue,
+  unit: item === 'T1' ? '명' : '가구',
+  source: '통계청, 인구총조사 (KOSIS)',
+  footnotes: ['2015년부터 등록센서스 방식'],
+  regionInfo: { level: code === '00' ? 'national' : 'sido', classificationLevel: 1 },
+  item: { id: item, name: item === 'T1' ? '인구' : '가구' },
+  classifications: [region(code, label)],
+})));
+
+describe('Tabular exports', () => {
+  it('pivotTable should put the periods in columns and the classification paths in rows', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { pivotTable } = await import('../src/exports.js');
+      const pivot = pivotTable(await loadRecords());
+
+      expect(pivot.dimensions).toEqual([{ id: 'item', label: '항목' }, { id: 'A', label: '행정구역별' }]);
+      expect(pivot.periods.map(period => period.code)).toEqual(['2022', '2023']);
+      expect(pivot.rows).toHaveLength(4);
+      expect(pivot.rows[1]).toEqual({
+        codes: ['T1', '11'], labels: ['인구', '서울특별시'], unit: '명', values: [9417469, null], markers: [null, 'x'],
+      });
+      expect(pivot.rows[2].values).toEqual([null, 3302040]);
+      expect(pivot.footnotes).toEqual(['2015년부터 등록센서스 방식']);
+      expect(pivotTable([{ surveyDate: '2023' }])).toBeNull();
+    });
+  });
+
+  it('toCsv should write a BOM, the period labels and the KOSIS markers', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { pivotTable, toCsv } = await import('../src/exports.js');
+      const csv = toCsv(pivotTable(await loadRecords()));
+      const lines = csv.split('\r\n');
+
+      expect(csv.charCodeAt(0)).toBe(0xfeff);
+      expect(lines[0]).toBe('\uFEFF항목,행정구역별,단위,2022년,2023년');
+      expect(lines[2]).toBe('인구,서울특별시,명,9417469,x');
+      expect(lines[3]).toBe('인구,부산광역시,명,,3302040');
+      expect(lines).toHaveLength(6);
+    });
+  });
+
+  it('toJsonStat should build a JSON-stat 2.0 dataset with hierarchy, units and status', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { toJsonStat } = await import('../src/exports.js');
+      const dataset = toJsonStat(await loadRecords(), metadata);
+
+      expect(dataset).toEqual(expect.objectContaining({
+        version: '2.0', class: 'dataset', label: '인구, 가구', id: ['item', 'A', 'time'], size: [2, 3, 2], note: ['2015년부터 등록센서스 방식'],
+      }));
+      expect(dataset.role).toEqual({ time: ['time'], metric: ['item'], geo: ['A'] });
+      expect(dataset.dimension.A.category).toEqual({
+        index: { '00': 0, 11: 1, 26: 2 },
+        label: { '00': '전국', 11: '서울특별시', 26: '부산광역시' },
+        child: { '00': ['11', '26'] },
+      });
+      expect(dataset.dimension.item.category.unit).toEqual({ T1: { label: '명' }, T2: { label: '가구' } });
+      // Row-major: item, region, time; T2 has only 전국 2023
+      expect(dataset.value).toEqual({ 0: 51692272, 1: 51774521, 2: 9417469, 5: 3302040, 7: 22728018 });
+      expect(dataset.status).toEqual({ 3: 'x' });
+    });
+  });
+
+  it('buildWorkbook should write one sheet per table with numbers, markers and footnotes', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildWorkbook, pivotTable } = await import('../src/exports.js');
+      const { default: ExcelJS } = await import('exceljs');
+      const pivot = pivotTable(await loadRecords());
+      const workbook = await buildWorkbook([pivot, { ...pivot, tableId: 'DT_TEST' }]);
+
+      expect(workbook.sheets).toEqual({ DT_TEST: 'DT_TEST_2' });
+      const loaded = new ExcelJS.Workbook();
+      await loaded.xlsx.load(workbook.buffer);
+      expect(loaded.worksheets.map(sheet => sheet.name)).toEqual(['DT_TEST', 'DT_TEST_2']);
+      const sheet = loaded.getWorksheet('DT_TEST');
+      expect(sheet.getCell('A1').value).toBe('인구, 가구');
+      expect(sheet.getRow(4).values.slice(1)).toEqual(['항목', '행정구역별', '단위', '2022년', '2023년']);
+      expect(sheet.getRow(6).values.slice(1)).toEqual(['인구', '서울특별시', '명', 9417469, 'x']);
+      expect(sheet.getCell('D5').type).toBe(ExcelJS.ValueType.Number);
+      expect(sheet.getCell('A10').value).toBe('주석');
+      expect(sheet.getCell('A11').value).toBe('2015년부터 등록센서스 방식');
+      expect(sheet.views[0]).toEqual(expect.objectContaining({ state: 'frozen', xSplit: 3, ySplit: 4 }));
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+
+describe('Forecasting', () => {
+  const buildRecords = async (codes, prdSe, valueAt) => {
+    const { parsePeriod } = await import('../src/periods.js');
+    return codes.map((code, position) => ({
+      sourceTableId: 'DT_TEST',
+      statName: '테스트',
+      unit: '명',
+      period: parsePeriod(code, prdSe),
+      value: valueAt(position),
+      metadata: { item: { id: 'T10' }, classifications: [] },
+    }));
+  };
+
+  const quarters = (fromYear, toYear, digits = 1) => {
+    const codes = [];
+    for (let year = fromYear; year <= toYear; year++) {
+      for (let quarter = 1; quarter <= 4; quarter++) codes.push(`${year}${String(quarter).padStart(digits, '0')}`);
+    }
+    return codes;
+  };
+
+  it('forecastTimeSeries should push marked forecast rows with intervals for the following periods', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { forecastTimeSeries } = await import('../src/forecast.js');
+      const seasonal = [5, -3, 8, -10];
+      const records = await buildRecords(quarters(2016, 2023), 'Q', (position) => 100 + 2 * position + seasonal[position % 4]);
+
+      const forecasts = forecastTimeSeries(records, { horizon: 4, confidenceLevel: 80 });
+
+      expect(forecasts).toHaveLength(4);
+      expect(forecasts.map(row => row.type)).toEqual(['forecast', 'forecast', 'forecast', 'forecast']);
+      expect(forecasts.map(row => row.period.code)).toEqual(['20241', '20242', '20243', '20244']);
+      expect(forecasts[0].model.name).toBe('holt-winters');
+      expect(forecasts[0].backtest).toEqual(expect.objectContaining({ holdoutPeriods: 4 }));
+      expect(forecasts[0].backtest.mape).toBeLessThan(1);
+      // Trend and seasonality continue: 2024 Q1 is position 32
+      expect(forecasts[0].value).toBeCloseTo(100 + 2 * 32 + 5, 0);
+      expect(forecasts[3].value).toBeCloseTo(100 + 2 * 35 - 10, 0);
+      expect(forecasts[0]).toEqual(expect.objectContaining({ confidenceLevel: 80, horizon: 1, unit: '명', sourceTableId: 'DT_TEST' }));
+      forecasts.forEach(row => {
+        expect(row.lowerBound).toBeLessThanOrEqual(row.value);
+        expect(row.upperBound).toBeGreaterThanOrEqual(row.value);
+      });
+    });
+  });
+
+  it('forecastSeries should use the requested model and widen the intervals with the horizon', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { forecastSeries } = await import('../src/forecast.js');
+      const { groupIntoSeries } = await import('../src/analysis.js');
+      const noise = [0.4, -0.3, 0.1, -0.5, 0.2, 0.3, -0.1, -0.2, 0.5, -0.4, 0.1, 0.2];
+      const records = await buildRecords(
+        ['2012', '2013', '2014', '2015', '2016', '2017', '2018', '2019', '2020', '2021', '2022', '2023'], 'Y',
+        (position) => 50 + 3 * position + noise[position]
+      );
+      const [series] = groupIntoSeries(records);
+
+      const holt = forecastSeries(series, { horizon: 3, model: 'holt' });
+      expect(holt.model.name).toBe('holt');
+      expect(holt.points.map(point => point.value)[2]).toBeCloseTo(50 + 3 * 14, -1);
+      const widths = holt.points.map(point => point.upperBound - point.lowerBound);
+      expect(widths[1]).toBeGreaterThan(widths[0]);
+      expect(widths[2]).toBeGreaterThan(widths[1]);
+
+      expect(forecastSeries(series, { horizon: 2, model: 'arima' }).model.parameters).toEqual(expect.objectContaining({ phi: expect.any(Number) }));
+      expect(forecastSeries(series, { horizon: 2, model: 'holt-winters' })).toEqual(expect.objectContaining({ status: 'skipped' }));
+      expect(forecastSeries(series, { horizon: 0 }).status).toBe('skipped');
+    });
+  });
+});
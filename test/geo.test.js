@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import { makeRecords } from './records.js';
+
+const loadRecords = async () => {
+  const { resolveRegion } = await import('../src/regions.js');
+  return makeRecords([
+    ['서울특별시', '11', '0', '2022', 9428],
+    ['서울특별시', '11', '0', '2023', 9386],
+    ['부산광역시', '26', '0', '2023', 3293],
+    ['제주특별자치도', '50', '0', '2023', 675],
+    ['서울특별시', '11', '1', '2023', 4556],
+    ['전국', '00', '0', '2023', 51325],
+  ].map(([label, code, sex, period, value]) => ({
+    period,
+    value,
+    regionInfo: { ...resolveRegion(label), classificationLevel: 1 },
+    classifications: [{ code, label }, { code: sex, label: sex === '0' ? '계' : '남자' }],
+  })));
+};
+
+describe('Regional maps', () => {
+  it('buildMapLayer should take the latest period of the first regional slice', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildMapLayer } = await import('../src/geo.js');
+      const layer = buildMapLayer(await loadRecords());
+
+      expect(layer).toEqual(expect.objectContaining({ tableId: 'DT_TEST', level: 'sido', context: ['계'], unit: '명' }));
+      expect(layer.period.code).toBe('2023');
+      expect(layer.regions.map(entry => [entry.region.key, entry.value])).toEqual([['11', 9386], ['26', 3293], ['50', 675]]);
+      expect(layer.regions[0].series).toEqual({ 2022: 9428, 2023: 9386 });
+      expect(buildMapLayer([{ period: { code: '2023' }, regionInfo: { level: 'national' } }])).toBeNull();
+    });
+  });
+
+  it('toGeoJson should use boundary polygons when matched and null geometries otherwise', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildMapLayer, indexBoundaries, toGeoJson } = await import('../src/geo.js');
+      const layer = buildMapLayer(await loadRecords());
+      const polygon = { type: 'Polygon', coordinates: [[[126.8, 37.4], [127.2, 37.4], [127.2, 37.7], [126.8, 37.4]]] };
+      const boundaries = indexBoundaries({
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', properties: { CTPRVN_CD: '11', CTP_KOR_NM: '서울특별시' }, geometry: polygon }],
+      });
+
+      const geojson = toGeoJson(layer, boundaries);
+      expect(geojson.metadata).toEqual(expect.objectContaining({ tableId: 'DT_TEST', period: '2023' }));
+      expect(geojson.features[0]).toEqual(expect.objectContaining({
+        id: '11',
+        geometry: polygon,
+        properties: expect.objectContaining({ name: '서울특별시', nameEng: 'Seoul', value: 9386, geometrySource: 'boundaries' }),
+      }));
+      expect(geojson.features[1].geometry).toBeNull();
+      expect(geojson.features[1].properties.geometrySource).toBeNull();
+    });
+  });
+
+  it('getClassBreaks should split the values at their quantiles', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { getClassBreaks } = await import('../src/geo.js');
+
+      expect(getClassBreaks([1, 2, 3, 4, 5, 6, 7, 8, 9, 10])).toEqual([3, 5, 7, 9]);
+      expect(getClassBreaks([4, 4, 4, null])).toEqual([]);
+    });
+  });
+
+  it('renderChoroplethSvg should draw the regions with boundaries', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildMapLayer, getBundledBoundaries, indexBoundaries, renderChoroplethSvg } = await import('../src/geo.js');
+      const layer = buildMapLayer(await loadRecords());
+
+      const svg = renderChoroplethSvg(layer, getBundledBoundaries(layer.level));
+      expect(svg).toContain('<svg');
+      expect(svg).toContain('<title>서울특별시: 9,386</title>');
+      expect(svg).toContain('3 of 3 regions matched');
+
+      const boundaries = indexBoundaries({
+        features: [{ properties: { name: '부산광역시' }, geometry: { type: 'Polygon', coordinates: [[[128.9, 35.0], [129.2, 35.0], [129.2, 35.3], [128.9, 35.0]]] } }],
+      });
+      const polygons = renderChoroplethSvg(layer, boundaries);
+      expect(polygons).toContain('<path d="M');
+      expect(polygons).toContain('1 of 3 regions matched');
+
+      expect(renderChoroplethSvg(layer)).toBeNull();
+    });
+  });
+
+  it('getBundledBoundaries should bundle the 시도 polygons, keyed by their standard codes', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { getBundledBoundaries } = await import('../src/geo.js');
+      const { SIDO } = await import('../src/regions.js');
+      const boundaries = getBundledBoundaries('sido');
+
+      expect([...boundaries.keys()].sort()).toEqual(Object.keys(SIDO).sort());
+      expect(['Polygon', 'MultiPolygon']).toContain(boundaries.get('50').geometry.type);
+      expect(getBundledBoundaries('sigungu')).toBeNull();
+    });
+  });
+
+  it('indexBoundaries should match 시군구 on their codes and join the 일반구 into their city', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { indexBoundaries } = await import('../src/geo.js');
+      const square = (lon, lat) => ({ type: 'Polygon', coordinates: [[[lon, lat], [lon + 0.1, lat], [lon + 0.1, lat + 0.1], [lon, lat]]] });
+      const boundaries = indexBoundaries({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', properties: { SIG_CD: '11110', SIG_KOR_NM: '종로구' }, geometry: square(126.9, 37.5) },
+          { type: 'Feature', properties: { SIG_CD: '26110', SIG_KOR_NM: '중구' }, geometry: square(129, 35.1) },
+          { type: 'Feature', properties: { SIG_CD: '41111', SIG_KOR_NM: '수원시 장안구' }, geometry: square(127, 37.3) },
+          { type: 'Feature', properties: { SIG_CD: '41113', SIG_KOR_NM: '수원시 권선구' }, geometry: square(127, 37.2) },
+        ],
+      });
+
+      expect([...boundaries.keys()]).toEqual(['11/종로구', '26/중구', '41/수원시']);
+      expect(boundaries.get('41/수원시').geometry.coordinates).toHaveLength(2);
+    });
+  });
+});
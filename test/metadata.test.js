@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+
+describe('Table Metadata', () => {
+  const responses = {
+    table: [{ TBL_NM: '성 및 연령별 추계인구', TBL_NM_ENG: 'Projected Population by Sex and Age' }],
+    organization: [{ ORG_NM: '통계청', ORG_NM_ENG: 'Statistics Korea' }],
+    periods: [
+      { PRD_SE: '년', PRD_DE: '2021' },
+      { PRD_SE: '년', PRD_DE: '2023' },
+      { PRD_SE: '년', PRD_DE: '2022' },
+    ],
+    items: [
+      { OBJ_ID: 'ITEM', OBJ_NM: '항목', ITM_ID: 'T1', ITM_NM: '추계인구', UNIT_NM: '명', UNIT_ENG_NM: 'Person' },
+      { OBJ_ID: 'B', OBJ_NM: '연령별', OBJ_ID_SN: '2', ITM_ID: '0', ITM_NM: '계' },
+      { OBJ_ID: 'A', OBJ_NM: '성별', OBJ_NM_ENG: 'Sex', OBJ_ID_SN: '1', ITM_ID: '0', ITM_NM: '계' },
+      { OBJ_ID: 'A', OBJ_NM: '성별', OBJ_ID_SN: '1', ITM_ID: '1', ITM_NM: '남자', ITM_NM_ENG: 'Male', UP_ITM_ID: '0' },
+    ],
+    comments: [
+      { CMMT_NM: '출처', CMMT_DC: '장래인구추계 결과임' },
+      { OBJ_ID: 'ITEM', ITM_ID: 'T2', CMMT_DC: '다른 항목 주석' },
+      { OBJ_ID: 'A', ITM_ID: '1', CMMT_DC: '남자 주석' },
+    ],
+    units: [{ UNIT_NM: '명', UNIT_ENG_NM: 'Person' }],
+    source: [{ JOSA_NM: '장래인구추계', DEPT_NM: '인구동향과', DEPT_PHONE: '042-481-2252' }],
+    lastChanged: [{ SEND_DE: '2023-12-01' }, { SEND_DE: '2024-03-15' }],
+  };
+
+  it('buildTableMetadata should combine the getMeta types into one object', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildTableMetadata } = await import('../src/metadata.js');
+      const metadata = buildTableMetadata('DT_1BPA001', '101', responses);
+
+      expect(metadata.tableName).toBe('성 및 연령별 추계인구');
+      expect(metadata.organization).toEqual({ name: '통계청', nameEng: 'Statistics Korea' });
+      expect(metadata.periods).toEqual([{ frequency: '년', start: '2021', end: '2023', count: 3 }]);
+      expect(metadata.items).toEqual([
+        { id: 'T1', name: '추계인구', nameEng: null, parentId: null, unit: '명', unitEng: 'Person' },
+      ]);
+      expect(metadata.classifications.map(c => [c.id, c.level, c.values.length])).toEqual([['A', 1, 2], ['B', 2, 1]]);
+      expect(metadata.classifications[0].values[1]).toEqual({ id: '1', name: '남자', nameEng: 'Male', parentId: '0' });
+      expect(metadata.source.survey).toBe('장래인구추계');
+      expect(metadata.lastChanged).toBe('2024-03-15');
+    });
+  });
+
+  it('getFootnotes should return table-wide comments and those matching the data point', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildTableMetadata, getFootnotes, formatSourceAttribution } = await import('../src/metadata.js');
+      const metadata = buildTableMetadata('DT_1BPA001', '101', responses);
+
+      expect(getFootnotes(metadata, { itemId: 'T1', classifications: [{ objId: 'A', code: '0' }] }))
+        .toEqual(['출처: 장래인구추계 결과임']);
+      expect(getFootnotes(metadata, { itemId: 'T1', classifications: [{ objId: 'A', code: '1' }] }))
+        .toEqual(['출처: 장래인구추계 결과임', '남자 주석']);
+      expect(getFootnotes(null, {})).toEqual([]);
+      expect(formatSourceAttribution(metadata)).toBe('통계청, 장래인구추계, 성 및 연령별 추계인구 (KOSIS)');
+    });
+  });
+
+  it('normalizeStatisticalData should label records from the metadata', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildTableMetadata } = await import('../src/metadata.js');
+      const { normalizeStatisticalData } = await import('../src/utils.js');
+      const metadata = buildTableMetadata('DT_1BPA001', '101', responses);
+
+      const [record] = normalizeStatisticalData([{ ITM_ID: 'T1', C1: '1', C2: '0', PRD_DE: '2023', DT: '25000000' }], metadata, 'DT_1BPA001');
+
+      expect(record.statName).toBe('성 및 연령별 추계인구');
+      expect(record.unit).toBe('명');
+      expect(record.category1).toBe('남자');
+      expect(record.category2).toBe('계');
+      expect(record.metadata.classifications[0]).toEqual({
+        level: 1, objId: 'A', dimension: '성별', code: '1', label: '남자', labelEng: 'Male',
+      });
+      expect(record.footnotes).toEqual(['출처: 장래인구추계 결과임', '남자 주석']);
+      expect(record.source).toBe('통계청, 장래인구추계, 성 및 연령별 추계인구 (KOSIS)');
+      expect(record.lastUpdated).toBe('2024-03-15');
+    });
+  });
+});
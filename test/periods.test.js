@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+
+describe('Periods', () => {
+  const metadata = {
+    tableId: 'DT_1DA7002S',
+    periods: [
+      { frequency: '월', start: '199906', end: '202408', count: 303 },
+      { frequency: '분기', start: '19992', end: '20242', count: 101 },
+    ],
+  };
+
+  it('toFrequencyCode should accept codes, Korean labels and English names', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { toFrequencyCode } = await import('../src/periods.js');
+
+      expect(toFrequencyCode('m')).toBe('M');
+      expect(toFrequencyCode('분기')).toBe('Q');
+      expect(toFrequencyCode('half-yearly')).toBe('H');
+      expect(toFrequencyCode('부정기')).toBe('IR');
+      expect(toFrequencyCode('weekly')).toBeNull();
+    });
+  });
+
+  it('buildPeriodQuery should request the latest periods or an explicit range', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildPeriodQuery } = await import('../src/periods.js');
+
+      expect(buildPeriodQuery(null, {})).toEqual({ prdSe: 'Y', newEstPrdCnt: '5' });
+      expect(buildPeriodQuery(metadata, { latestPeriods: 12 })).toEqual({ prdSe: 'M', newEstPrdCnt: '12' });
+      expect(buildPeriodQuery(metadata, { frequency: 'M', startPeriod: '202301', endPeriod: '202312', latestPeriods: 5 }))
+        .toEqual({ prdSe: 'M', startPrdDe: '202301', endPrdDe: '202312' });
+      expect(buildPeriodQuery(metadata, { frequency: 'M', startPeriod: '202301' }))
+        .toEqual({ prdSe: 'M', startPrdDe: '202301', endPrdDe: '202408' });
+    });
+  });
+
+  it('buildPeriodQuery should turn survey years into a range for the frequency', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildPeriodQuery, parseSurveyYears } = await import('../src/periods.js');
+
+      expect(parseSurveyYears('2022, 2018,2020')).toEqual({ startYear: '2018', endYear: '2022' });
+      expect(parseSurveyYears('')).toBeNull();
+      expect(buildPeriodQuery(null, { surveyYears: '2020' })).toEqual({ prdSe: 'Y', startPrdDe: '2020', endPrdDe: '2020' });
+      expect(buildPeriodQuery(metadata, { frequency: 'M', surveyYears: '2018-2019' }))
+        .toEqual({ prdSe: 'M', startPrdDe: '201801', endPrdDe: '201912' });
+    });
+  });
+
+  it('buildPeriodQuery should name the available frequencies when the requested one is missing', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildPeriodQuery } = await import('../src/periods.js');
+
+      expect(() => buildPeriodQuery(metadata, { frequency: 'Y' }))
+        .toThrow('Frequency Y (yearly) is not available for table DT_1DA7002S. Available frequencies: M (monthly), Q (quarterly)');
+      expect(() => buildPeriodQuery(metadata, { frequency: 'M', startPeriod: '202312', endPeriod: '202301' }))
+        .toThrow('start 202312 is after end 202301');
+    });
+  });
+
+  it('parsePeriod should parse every KOSIS period code into dates and labels', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { parsePeriod } = await import('../src/periods.js');
+
+      expect(parsePeriod('2023', 'Y')).toEqual({
+        code: '2023', frequency: 'Y', year: 2023, subPeriod: null,
+        start: '2023-01-01', end: '2023-12-31', label: { ko: '2023년', en: '2023' },
+      });
+      expect(parsePeriod('202402', 'M')).toEqual(expect.objectContaining({
+        frequency: 'M', subPeriod: 2, start: '2024-02-01', end: '2024-02-29', label: { ko: '2024년 2월', en: 'Feb 2024' },
+      }));
+      expect(parsePeriod('20234')).toEqual(expect.objectContaining({ frequency: 'Q', start: '2023-10-01', end: '2023-12-31' }));
+      expect(parsePeriod('202303', 'Q').label).toEqual({ ko: '2023년 3분기', en: '2023 Q3' });
+      expect(parsePeriod('2023.1/2')).toEqual(expect.objectContaining({ frequency: 'H', start: '2023-01-01', end: '2023-06-30' }));
+      expect(parsePeriod('20231231', 'D')).toEqual(expect.objectContaining({ frequency: 'D', start: '2023-12-31', end: '2023-12-31' }));
+      expect(parsePeriod('2022', 'IR')).toEqual(expect.objectContaining({ frequency: 'IR', year: 2022, start: '2022-01-01' }));
+    });
+  });
+
+  it('parsePeriod should read Korean labels and leave unreadable codes undated', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { parsePeriod, comparePeriods } = await import('../src/periods.js');
+
+      expect(parsePeriod('2023년 12월')).toEqual(expect.objectContaining({ frequency: 'M', year: 2023, subPeriod: 12 }));
+      expect(parsePeriod('2023년 하반기')).toEqual(expect.objectContaining({ frequency: 'H', subPeriod: 2, start: '2023-07-01' }));
+      expect(parsePeriod('202313', 'M')).toEqual(expect.objectContaining({ start: null, label: { ko: '202313', en: '202313' } }));
+
+      const sorted = ['2023', '202301', '20224', 'unknown', '2022'].map(code => parsePeriod(code)).sort(comparePeriods);
+      expect(sorted.map(period => period.code)).toEqual(['2022', '20224', '202301', '2023', 'unknown']);
+    });
+  });
+
+  it('getPeriodIndex should number consecutive periods and shift by years', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { getPeriodIndex, parsePeriod } = await import('../src/periods.js');
+
+      expect(getPeriodIndex(parsePeriod('202401', 'M')) - getPeriodIndex(parsePeriod('202312', 'M'))).toBe(1);
+      expect(getPeriodIndex(parsePeriod('20241', 'Q'), -1)).toBe(getPeriodIndex(parsePeriod('20231', 'Q')));
+      expect(getPeriodIndex(parsePeriod('20240301', 'D')) - getPeriodIndex(parsePeriod('20240229', 'D'))).toBe(1);
+      expect(getPeriodIndex(parsePeriod('2023', 'IR'))).toBeNull();
+    });
+  });
+  it('formatPeriodCode should write the period code of an index in the series format', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { formatPeriodCode, getPeriodIndex, parsePeriod } = await import('../src/periods.js');
+
+      expect(formatPeriodCode(getPeriodIndex(parsePeriod('202312', 'M')) + 1, 'M')).toBe('202401');
+      expect(formatPeriodCode(getPeriodIndex(parsePeriod('20234', 'Q')) + 1, 'Q', '20234')).toBe('20241');
+      expect(formatPeriodCode(getPeriodIndex(parsePeriod('202304', 'Q')) + 1, 'Q', '202304')).toBe('202401');
+      expect(formatPeriodCode(getPeriodIndex(parsePeriod('20240228', 'D')) + 1, 'D')).toBe('20240229');
+      expect(formatPeriodCode(2025, 'Y')).toBe('2025');
+    });
+  });
+  it('getPeriodIndexAt should number the containing period of a coarser frequency', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { getPeriodIndex, getPeriodIndexAt, parsePeriod } = await import('../src/periods.js');
+
+      expect(getPeriodIndexAt(parsePeriod('202405', 'M'), 'Q')).toBe(getPeriodIndex(parsePeriod('20242', 'Q')));
+      expect(getPeriodIndexAt(parsePeriod('202407', 'M'), 'H')).toBe(getPeriodIndex(parsePeriod('20242', 'H')));
+      expect(getPeriodIndexAt(parsePeriod('20243', 'Q'), 'Y')).toBe(2024);
+      expect(getPeriodIndexAt(parsePeriod('2024', 'Y'), 'D')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,27 @@
+// Normalized records, shaped as normalizeStatisticalData returns them, for the tests of the
+// modules that consume them (charts, maps, tabular, SDMX and database exports)
+
+/**
+ * Build one record. Fields not given default to a 주민등록인구 table counted in 명.
+ * @param {Object} fields - `period` (a KOSIS period code), `item`, `classifications`
+ *   (levels are numbered from 1) and any other record field.
+ */
+export const makeRecord = async ({ period, item = { id: 'T1', name: '인구' }, classifications = [], ...fields }) => {
+  const { parsePeriod } = await import('../src/periods.js');
+  return {
+    statName: '주민등록인구',
+    sourceTableId: 'DT_TEST',
+    unit: '명',
+    ...fields,
+    period: parsePeriod(period),
+    metadata: {
+      item,
+      classifications: classifications.map((classification, index) => ({ level: index + 1, ...classification })),
+    },
+  };
+};
+
+export const makeRecords = (fields) => Promise.all(fields.map(makeRecord));
+
+// A value of the 행정구역별 classification
+export const region = (code, label, extra = {}) => ({ objId: 'A', dimension: '행정구역별', code, label, ...extra });
@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+
+describe('Regions', () => {
+  it('resolveRegion should map current, short and former 시도 names to one region', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { resolveRegion } = await import('../src/regions.js');
+
+      expect(resolveRegion('서울특별시')).toEqual({
+        level: 'sido', key: '11', code: '11', name: '서울특별시', nameEng: 'Seoul', sidoCode: '11', sidoName: '서울특별시',
+      });
+      expect(resolveRegion('강원도')).toEqual(expect.objectContaining({ key: '51', name: '강원특별자치도', formerName: '강원도', changedOn: '2023-06-11' }));
+      expect(resolveRegion('전북')).toEqual(expect.objectContaining({ key: '52', nameEng: 'Jeonbuk State' }));
+      expect(resolveRegion('충청남도', { date: '2010-01-01' }).boundaryNotes).toEqual(['2012-07-01: 연기군 and part of 공주시 became 세종특별자치시']);
+      expect(resolveRegion('충청남도', { date: '2013-01-01' }).boundaryNotes).toBeUndefined();
+      expect(resolveRegion('전국')).toEqual(expect.objectContaining({ level: 'national', key: '00' }));
+      expect(resolveRegion('남자')).toBeNull();
+    });
+  });
+
+  it('resolveRegion should find 시군구 within their 시도 and follow renames', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { resolveRegion } = await import('../src/regions.js');
+
+      expect(resolveRegion('서울특별시 종로구')).toEqual(expect.objectContaining({ level: 'sigungu', key: '11/종로구', code: '11110', nameEng: 'Jongno-gu' }));
+      expect(resolveRegion('중구')).toBeNull();
+      expect(resolveRegion('중구', { parentLabel: '부산광역시' })).toEqual(expect.objectContaining({ key: '26/중구', sidoName: '부산광역시' }));
+      expect(resolveRegion('남구', { parentLabel: '인천광역시' })).toEqual(expect.objectContaining({ key: '28/미추홀구', formerName: '남구' }));
+      expect(resolveRegion('군위군', { parentLabel: '경상북도' })).toEqual(expect.objectContaining({ key: '27/군위군', formerSidoName: '경상북도' }));
+      expect(resolveRegion('마산시')).toEqual(expect.objectContaining({ key: '48/마산시', code: '48160', abolished: { date: '2010-07-01', mergedInto: '창원시' } }));
+      expect(resolveRegion('수원시')).toEqual(expect.objectContaining({ key: '41/수원시', nameEng: 'Suwon-si' }));
+    });
+  });
+
+  it('resolveRegion should fall back to the standard code for unknown or ambiguous labels', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { findRegionByCode, resolveRegion } = await import('../src/regions.js');
+
+      expect(findRegionByCode('1100000000')).toEqual(expect.objectContaining({ level: 'sido', key: '11' }));
+      expect(findRegionByCode('42110')).toEqual(expect.objectContaining({ key: '51/춘천시', code: '51110' }));
+      expect(findRegionByCode('28170')).toEqual(expect.objectContaining({ key: '28/미추홀구', formerName: '남구' }));
+      expect(findRegionByCode('47720')).toEqual(expect.objectContaining({ key: '27/군위군', formerSidoName: '경상북도' }));
+      expect(findRegionByCode('21')).toBeNull();
+      expect(findRegionByCode('1111051500')).toBeNull();
+
+      expect(resolveRegion('중구', { code: '26110' })).toEqual(expect.objectContaining({ key: '26/중구', sidoName: '부산광역시' }));
+      expect(resolveRegion('Jongno-gu', { code: '1111000000' })).toEqual(expect.objectContaining({ key: '11/종로구' }));
+      // Statistical codes differ from the standard ones: 31 is 경기도 there and 울산광역시 here
+      expect(resolveRegion('경기도', { code: '31' })).toEqual(expect.objectContaining({ key: '41' }));
+    });
+  });
+
+  it('resolveRegion should flag 시도 before they were established', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { resolveRegion } = await import('../src/regions.js');
+
+      expect(resolveRegion('세종특별자치시', { date: '2010-01-01' })).toEqual(expect.objectContaining({ establishedOn: '2012-07-01', beforeEstablished: true }));
+      expect(resolveRegion('세종특별자치시', { date: '2012-07-01' }).beforeEstablished).toBeUndefined();
+      expect(resolveRegion('울산광역시', { date: '1995-01-01' }).establishedOn).toBe('1997-07-15');
+      expect(resolveRegion('울산광역시').beforeEstablished).toBeUndefined();
+    });
+  });
+
+  it('findGeographicLevel should detect the region classification by name or values', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { findGeographicLevel } = await import('../src/regions.js');
+
+      expect(findGeographicLevel([{ level: 1, name: '성별' }, { level: 2, name: '행정구역(시도)별' }])).toBe(2);
+      expect(findGeographicLevel([{ level: 1, name: '구분', values: [{ name: '전국' }, { name: '서울' }, { name: '부산' }] }])).toBe(1);
+      expect(findGeographicLevel([{ level: 1, name: '성별', values: [{ name: '계' }, { name: '남자' }, { name: '여자' }] }])).toBeNull();
+      expect(findGeographicLevel([{ level: 1, name: '지역규모별', values: [{ name: '대도시' }, { name: '중소도시' }, { name: '농어촌' }] }, { level: 2, name: '지역별' }])).toBe(2);
+      expect(findGeographicLevel([{ level: 1, name: '지역특성', values: [{ name: '도시' }, { name: '농촌' }] }])).toBeNull();
+      expect(findGeographicLevel([{ level: 1, name: '시·군·구별' }])).toBe(1);
+    });
+  });
+
+  it('normalizeStatisticalData should fill region from the geographic classification', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { normalizeStatisticalData } = await import('../src/utils.js');
+      const { getSeriesKey } = await import('../src/analysis.js');
+      const metadata = {
+        classifications: [{
+          id: 'A',
+          name: '행정구역별',
+          level: 1,
+          values: [{ id: '00', name: '전국' }, { id: '42', name: '강원도', parentId: '00' }, { id: '51', name: '강원특별자치도', parentId: '00' }],
+        }],
+        items: [{ id: 'T1', name: '인구' }],
+      };
+      const [before, after, other] = normalizeStatisticalData([
+        { ITM_ID: 'T1', C1: '42', PRD_DE: '2022', PRD_SE: 'Y', DT: '1536' },
+        { ITM_ID: 'T1', C1: '51', PRD_DE: '2023', PRD_SE: 'Y', DT: '1530' },
+        { ITM_ID: 'T1', C1: '00', PRD_DE: '2023', PRD_SE: 'Y', DT: '51325' },
+      ], metadata, 'DT_TEST');
+
+      expect(before.region).toBe('강원특별자치도');
+      expect(before.regionInfo).toEqual(expect.objectContaining({ key: '51', classificationLevel: 1, originalCode: '42', originalLabel: '강원도' }));
+      expect(getSeriesKey(before)).toBe(getSeriesKey(after));
+      expect(other.region).toBe('전국');
+      expect(normalizeStatisticalData([{ ITM_ID: 'T1', PRD_DE: '2023', DT: '1' }], null, 'DT_TEST')[0].region).toBe('Korea');
+    });
+  });
+});
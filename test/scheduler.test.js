@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+
+describe('Request Scheduler', () => {
+
+  it('should let a burst through and then throttle to the per-second rate', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { createRequestScheduler } = await import('../src/scheduler.js');
+      const scheduler = createRequestScheduler({ requestsPerSecond: 20, requestsPerMinute: 0, dailyQuota: 0 });
+
+      const startedAt = Date.now();
+      const results = await Promise.all(Array.from({ length: 23 }, (_, index) => scheduler.schedule(async () => index)));
+      const elapsed = Date.now() - startedAt;
+
+      expect(results).toEqual(Array.from({ length: 23 }, (_, index) => index));
+      // 20 requests fit in the bucket, the remaining 3 wait 50ms each
+      expect(elapsed).toBeGreaterThanOrEqual(120);
+      expect(scheduler.getStats()).toEqual({ requestsSent: 23, quotaUsed: 23, dailyQuota: null, quotaRemaining: null });
+    });
+  });
+
+  it('should stop sending requests once the daily quota is used up', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { createRequestScheduler } = await import('../src/scheduler.js');
+      const { KosisQuotaExceededError } = await import('../src/errors.js');
+      const scheduler = createRequestScheduler({ requestsPerSecond: 0, requestsPerMinute: 0, dailyQuota: 10, quotaUsed: 8 });
+      const task = jest.fn().mockResolvedValue('ok');
+
+      await expect(scheduler.schedule(task)).resolves.toBe('ok');
+      await expect(scheduler.schedule(task)).resolves.toBe('ok');
+      await expect(scheduler.schedule(task)).rejects.toBeInstanceOf(KosisQuotaExceededError);
+      expect(task).toHaveBeenCalledTimes(2);
+      expect(scheduler.getStats()).toEqual({ requestsSent: 2, quotaUsed: 10, dailyQuota: 10, quotaRemaining: 0 });
+    });
+  });
+
+  it('mapWithConcurrency should bound parallel calls and keep result order', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { mapWithConcurrency } = await import('../src/scheduler.js');
+      let running = 0;
+      let maxRunning = 0;
+
+      const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        running--;
+        return index;
+      });
+
+      expect(results).toEqual([0, 1, 2, 3, 4]);
+      expect(maxRunning).toBe(2);
+    });
+  });
+
+  it('getQuotaDate should use the calendar day in Korea', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { getQuotaDate } = await import('../src/scheduler.js');
+
+      expect(getQuotaDate(new Date('2024-03-01T14:59:59Z'))).toBe('2024-03-01');
+      expect(getQuotaDate(new Date('2024-03-01T15:00:00Z'))).toBe('2024-03-02');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { jest } from '@jest/globals';
+import { makeRecords, region } from './records.js';
+
+const metadata = {
+  tableNameEng: 'Population',
+  classifications: [{
+    id: 'A',
+    name: '행정구역별',
+    nameEng: 'By administrative district',
+    level: 1,
+    values: [{ id: '00', name: '전국' }, { id: '11', name: '서울특별시', parentId: '00' }],
+  }],
+  items: [{ id: 'T1', name: '인구' }],
+};
+
+const loadRecords = () => makeRecords([
+  ['00', '전국', '202401', 51300000],
+  ['00', '전국', '202402', 51290000, 'preliminary'],
+  ['11', '서울특별시', '202401', 9380000],
+  ['11', '서울특별시', '202402', null, 'confidential'],
+].map(([code, label, period, value, valueStatus = 'observed']) => ({
+  sourceTableId: 'DT_1B040A3',
+  period,
+  value,
+  valueStatus,
+  footnotes: ['주민등록 기준'],
+  item: { id: 'T1', name: '인구', nameEng: 'Population' },
+  classifications: [region(code, label, { labelEng: code === '00' ? 'Whole country' : 'Seoul' })],
+})));
+
+describe('SDMX', () => {
+  it('toSdmxTimePeriod should format KOSIS periods as SDMX time periods', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { toSdmxTimePeriod } = await import('../src/sdmx.js');
+      const { parsePeriod } = await import('../src/periods.js');
+
+      expect(toSdmxTimePeriod(parsePeriod('2024'))).toBe('2024');
+      expect(toSdmxTimePeriod(parsePeriod('20242', 'Q'))).toBe('2024-Q2');
+      expect(toSdmxTimePeriod(parsePeriod('202402', 'H'))).toBe('2024-S2');
+      expect(toSdmxTimePeriod(parsePeriod('202403'))).toBe('2024-03');
+      expect(toSdmxTimePeriod(parsePeriod('20240131', 'D'))).toBe('2024-01-31');
+    });
+  });
+
+  it('buildSdmx should derive the DSD and code lists from the table', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildSdmx } = await import('../src/sdmx.js');
+      const { structure, series } = buildSdmx(await loadRecords(), metadata);
+
+      expect(structure).toEqual(expect.objectContaining({ agencyId: 'KOSIS', id: 'DSD_DT_1B040A3', name: '주민등록인구', nameEng: 'Population' }));
+      expect(structure.dimensions.map(dimension => dimension.id)).toEqual(['FREQ', 'ITEM', 'C1']);
+      expect(structure.dimensions[2]).toEqual({
+        id: 'C1',
+        name: '행정구역별',
+        nameEng: 'By administrative district',
+        codelist: {
+          id: 'CL_DT_1B040A3_C1',
+          name: '행정구역별',
+          codes: [
+            { id: '00', name: '전국', nameEng: 'Whole country', parentId: null },
+            { id: '11', name: '서울특별시', nameEng: 'Seoul', parentId: '00' },
+          ],
+        },
+      });
+      expect(structure.attributes.find(attribute => attribute.id === 'OBS_STATUS').codelist.codes.map(code => code.id)).toEqual(['A', 'P', 'Q']);
+
+      expect(series).toHaveLength(2);
+      expect(series[1]).toEqual({
+        key: ['M', 'T1', '11'],
+        attributes: { UNIT_MEASURE: '명', COMMENT: '주민등록 기준' },
+        observations: [{ time: '2024-01', value: 9380000, status: 'A' }, { time: '2024-02', value: null, status: 'Q' }],
+      });
+    });
+  });
+
+  it('toSdmxJson, toSdmxStructureXml and toSdmxDataXml should write the messages', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildSdmx, toSdmxJson, toSdmxStructureXml, toSdmxDataXml } = await import('../src/sdmx.js');
+      const sdmx = buildSdmx(await loadRecords(), metadata);
+
+      const json = toSdmxJson(sdmx, { prepared: '2024-03-01T00:00:00.000Z' });
+      expect(json.header.structure).toEqual({ agencyID: 'KOSIS', id: 'DSD_DT_1B040A3', version: '1.0' });
+      expect(json.dataSets[0].series['0:0:1']).toEqual({ attributes: [0, 0], observations: { 0: [9380000, 0], 1: [null, 2] } });
+      expect(json.structure.dimensions.observation[0].values).toEqual([{ id: '2024-01', name: '2024-01' }, { id: '2024-02', name: '2024-02' }]);
+      expect(json.structure.dimensions.series[2].values[1]).toEqual({ id: '11', name: '서울특별시', parent: '00' });
+
+      const structureXml = toSdmxStructureXml(sdmx);
+      expect(structureXml).toContain('<str:Codelist id="CL_DT_1B040A3_C1" agencyID="KOSIS" version="1.0">');
+      expect(structureXml).toContain('<str:Code id="11"><com:Name xml:lang="ko">서울특별시</com:Name><com:Name xml:lang="en">Seoul</com:Name><str:Parent><Ref id="00"/></str:Parent></str:Code>');
+      expect(structureXml).toContain('<str:TimeDimension id="TIME_PERIOD" position="4">');
+
+      const dataXml = toSdmxDataXml(sdmx);
+      expect(dataXml).toContain('<gen:SeriesKey><gen:Value id="FREQ" value="M"/><gen:Value id="ITEM" value="T1"/><gen:Value id="C1" value="11"/></gen:SeriesKey>');
+      expect(dataXml).toContain('<gen:Obs><gen:ObsDimension value="2024-02"/><gen:ObsValue value="NaN"/><gen:Attributes><gen:Value id="OBS_STATUS" value="Q"/></gen:Attributes></gen:Obs>');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+
+describe('Keyword Search', () => {
+
+  it('rankByRelevance should put exact and prefix table-name matches first', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { rankByRelevance } = await import('../src/search.js');
+      const tables = [
+        { TBL_ID: 'DT_A', TBL_NM: '시도별 청년 고용률', STAT_NM: '경제활동인구조사' },
+        { TBL_ID: 'DT_B', TBL_NM: '주택 현황' },
+        { TBL_ID: 'DT_C', TBL_NM: '고용' },
+        { TBL_ID: 'DT_D', TBL_NM: '고용동향 요약' },
+      ];
+
+      const ranked = rankByRelevance(tables, '고용');
+
+      expect(ranked.map(table => table.TBL_ID)).toEqual(['DT_C', 'DT_D', 'DT_A', 'DT_B']);
+      expect(ranked[3].relevanceScore).toBe(0);
+    });
+  });
+
+  it('filterByKeyword should match every token against TBL_NM or LIST_NM', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { filterByKeyword } = await import('../src/search.js');
+      const tables = [
+        { LIST_ID: 'A_1', LIST_NM: '고용 통계' },
+        { TBL_ID: 'DT_1', TBL_NM: '청년 고용률' },
+        { TBL_ID: 'DT_2', TBL_NM: '청년 인구' },
+      ];
+
+      expect(filterByKeyword(tables, '고용')).toHaveLength(2);
+      expect(filterByKeyword(tables, '청년 고용')).toEqual([{ TBL_ID: 'DT_1', TBL_NM: '청년 고용률' }]);
+      expect(filterByKeyword(tables, '  ')).toBe(tables);
+    });
+  });
+
+  it('findStatsTables should use the integrated search endpoint and drop rows without a table', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const mockAxiosGet = jest.fn().mockResolvedValue({
+        data: [
+          { STAT_ID: '1', STAT_NM: '경제활동인구조사' },
+          { TBL_ID: 'DT_1', TBL_NM: '연령별 고용률' },
+          { TBL_ID: 'DT_2', TBL_NM: '고용' },
+        ]
+      });
+
+      jest.doMock('axios', () => ({
+        __esModule: true,
+        default: {
+          create: () => ({ get: mockAxiosGet }),
+        },
+      }));
+
+      const { createKosisApiClient } = await import('../src/utils.js');
+      const { findStatsTables } = await import('../src/search.js');
+      const apiClient = createKosisApiClient('test-api-key');
+      const result = await findStatsTables(apiClient, { vwCd: 'MT_ZTITLE', parentId: 'A', searchKeyword: '고용' });
+
+      expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+      expect(mockAxiosGet).toHaveBeenCalledWith('/statisticsSearch.do', {
+        params: expect.objectContaining({ method: 'getList', searchNm: '고용', sort: 'RANK' })
+      });
+      expect(result.map(table => table.TBL_ID)).toEqual(['DT_2', 'DT_1']);
+    });
+  });
+
+  it('findStatsTables should fall back to filtering the category tree when search fails', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const mockAxiosGet = jest.fn()
+        .mockRejectedValueOnce(new Error('Network Error'))
+        .mockResolvedValueOnce({
+          data: [
+            { TBL_ID: 'DT_1', TBL_NM: '총인구' },
+            { TBL_ID: 'DT_2', TBL_NM: '산업별 고용률' },
+          ]
+        });
+
+      jest.doMock('axios', () => ({
+        __esModule: true,
+        default: {
+          create: () => ({ get: mockAxiosGet }),
+        },
+      }));
+
+      const { createKosisApiClient } = await import('../src/utils.js');
+      const { findStatsTables } = await import('../src/search.js');
+      const apiClient = createKosisApiClient('test-api-key');
+      const result = await findStatsTables(apiClient, { vwCd: 'MT_ZTITLE', parentId: 'A', searchKeyword: '고용' });
+
+      expect(mockAxiosGet).toHaveBeenLastCalledWith('/statisticsList.do', {
+        params: { method: 'getList', vwCd: 'MT_ZTITLE', parentListId: 'A' }
+      });
+      expect(result).toEqual([expect.objectContaining({ TBL_ID: 'DT_2', breadcrumb: '산업별 고용률' })]);
+    });
+  });
+});
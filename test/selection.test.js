@@ -0,0 +1,60 @@
+import { jest } from '@jest/globals';
+
+describe('Item and Classification Selection', () => {
+  const metadata = {
+    tableId: 'DT_1IN1502',
+    items: [{ id: 'T100' }, { id: 'T110' }, { id: 'T120' }],
+    classifications: [
+      { id: 'A', name: '행정구역별', level: 1, values: [{ id: '00' }, { id: '11' }, { id: '21' }] },
+      { id: 'B', name: '성별', level: 2, values: [{ id: '0' }, { id: '1' }, { id: '2' }] },
+    ],
+  };
+
+  it('normalizeSelection should accept arrays, separated strings and ALL', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { normalizeSelection } = await import('../src/selection.js');
+
+      expect(normalizeSelection({
+        itemIds: 'T100, T110',
+        classificationValues: { objL1: ['11', '21', '11'], objL2: 'all', objL3: '' },
+      })).toEqual({ itemIds: ['T100', 'T110'], objL1: ['11', '21'], objL2: 'ALL' });
+      expect(normalizeSelection({})).toEqual({});
+    });
+  });
+
+  it('buildDataQuery should discover every item and classification level from the metadata', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildDataQuery } = await import('../src/selection.js');
+
+      expect(buildDataQuery(metadata, {})).toEqual({ itmId: 'ALL', objL1: 'ALL', objL2: 'ALL' });
+      expect(buildDataQuery(null, {})).toEqual({ itmId: 'ALL', objL1: 'ALL' });
+      expect(buildDataQuery(null, { objL3: ['1'] })).toEqual({ itmId: 'ALL', objL1: 'ALL', objL2: 'ALL', objL3: '1' });
+    });
+  });
+
+  it('buildDataQuery should pass selected values and reject ones the table does not have', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildDataQuery } = await import('../src/selection.js');
+
+      expect(buildDataQuery(metadata, { itemIds: ['T100', 'T120'], objL2: ['1', '2'] }))
+        .toEqual({ itmId: 'T100 T120', objL1: 'ALL', objL2: '1 2' });
+      expect(() => buildDataQuery(metadata, { objL1: ['99'] }))
+        .toThrow('Invalid objL1 values (행정구역별) for table DT_1IN1502: 99. Valid values: 00, 11, 21');
+      expect(() => buildDataQuery(metadata, { objL3: 'ALL' }))
+        .toThrow('objL3 was selected but the table only has 2 classification level(s)');
+    });
+  });
+
+  it('resolveTableSelection should let per-table selections override the global one', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { resolveTableSelection } = await import('../src/selection.js');
+      const input = {
+        selection: { itemIds: ['T100'], objL1: 'ALL' },
+        tableSelections: { DT_1IN1502: { objL1: ['11'] } },
+      };
+
+      expect(resolveTableSelection(input, 'DT_1IN1502')).toEqual({ itemIds: ['T100'], objL1: ['11'] });
+      expect(resolveTableSelection(input, 'DT_OTHER')).toEqual({ itemIds: ['T100'], objL1: 'ALL' });
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+
+describe('Transformations', () => {
+  const metadata = {
+    items: [{ id: 'T1', name: '인구', parentId: null }],
+    classifications: [{
+      level: 1,
+      id: 'A',
+      name: '행정구역별',
+      values: [
+        { id: '00', name: '전국', parentId: null },
+        { id: '11', name: '서울특별시', parentId: '00' },
+        { id: '26', name: '부산광역시', parentId: '00' },
+      ],
+    }],
+  };
+
+  const buildRecord = async (code, prdSe, region, value, unit = '명') => {
+    const { parsePeriod } = await import('../src/periods.js');
+    return {
+      sourceTableId: 'DT_TEST',
+      period: parsePeriod(code, prdSe),
+      value,
+      unit,
+      metadata: {
+        item: { id: 'T1' },
+        classifications: region ? [{ level: 1, objId: 'A', code: region }] : [],
+      },
+    };
+  };
+
+  it('buildHierarchy should read the parents of items and classification values from the metadata', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { buildHierarchy } = await import('../src/transformations.js');
+
+      const hierarchy = buildHierarchy(metadata);
+      expect([...hierarchy.keys()]).toEqual(['objL1']);
+      expect(hierarchy.get('objL1').get('11')).toEqual({ parentCode: '00', parentLabel: '전국' });
+      expect(hierarchy.get('objL1').has('00')).toBe(false);
+    });
+  });
+
+  it('applyTransformations should add shares and contributions to growth', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { applyTransformations } = await import('../src/transformations.js');
+
+      const records = [
+        await buildRecord('2022', 'Y', '00', 1000),
+        await buildRecord('2022', 'Y', '11', 600),
+        await buildRecord('2022', 'Y', '26', 400),
+        await buildRecord('2023', 'Y', '00', 1100),
+        await buildRecord('2023', 'Y', '11', 690),
+        await buildRecord('2023', 'Y', '26', 410),
+      ];
+      const result = applyTransformations(records, metadata, { shareOfTotal: true, contributionToGrowth: true });
+
+      expect(result[0]).toBe(records[0]);
+      expect(result[1].transformations.parents).toEqual([{
+        dimension: 'objL1',
+        parentCode: '00',
+        parentLabel: '전국',
+        sharePercent: 60,
+        contribution: { periodOverPeriod: null, yearOverYear: null },
+      }]);
+      expect(result[4].transformations.parents[0].sharePercent).toBeCloseTo(62.7273, 3);
+      expect(result[4].transformations.parents[0].contribution).toEqual({ periodOverPeriod: 9, yearOverYear: 9 });
+      expect(result[5].transformations.parents[0].contribution.periodOverPeriod).toBe(1);
+      expect(applyTransformations(records, null, { shareOfTotal: true })[1]).toBe(records[1]);
+    });
+  });
+
+  it('applyTransformations should rebase index series to the mean of a base year', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { applyTransformations } = await import('../src/transformations.js');
+
+      const records = [
+        await buildRecord('20221', 'Q', null, 90, '2015=100'),
+        await buildRecord('20222', 'Q', null, 100, '2015=100'),
+        await buildRecord('20223', 'Q', null, 110, '2015=100'),
+        await buildRecord('20224', 'Q', null, 100, '2015=100'),
+        await buildRecord('20231', 'Q', null, 120, '2015=100'),
+        await buildRecord('2023', 'Y', '00', 500),
+      ];
+      const result = applyTransformations(records, metadata, { rebasePeriod: '2022' });
+
+      expect(result[0].transformations.rebased).toEqual({ basePeriod: '2022', basePeriods: ['20221', '20222', '20223', '20224'], value: 90 });
+      expect(result[4].transformations.rebased.value).toBe(120);
+      expect(result[5]).toBe(records[5]);
+      expect(applyTransformations(records, metadata, { rebasePeriod: '2021' })[0]).toBe(records[0]);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { jest } from '@jest/globals';
+
+describe('Units', () => {
+  it('parseUnit should read the scale, base unit and kind of KOSIS units', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { parseUnit } = await import('../src/units.js');
+
+      expect(parseUnit('천명')).toEqual({ raw: '천명', base: '명', multiplier: 1000, label: 'thousand persons', kind: 'count' });
+      expect(parseUnit('십억원')).toEqual(expect.objectContaining({ base: '원', multiplier: 1e9, label: 'billion KRW', kind: 'currency', currency: 'KRW' }));
+      expect(parseUnit('백만 달러')).toEqual(expect.objectContaining({ base: '달러', multiplier: 1e6, currency: 'USD' }));
+      expect(parseUnit('%')).toEqual(expect.objectContaining({ multiplier: 1, kind: 'percent' }));
+      expect(parseUnit('%p').label).toBe('percentage points');
+      expect(parseUnit('2020=100')).toEqual(expect.objectContaining({ kind: 'index', baseYear: 2020 }));
+      expect(parseUnit('인구 10만명당')).toEqual(expect.objectContaining({ kind: 'ratio', label: 'per 100,000 persons' }));
+      expect(parseUnit('천톤')).toEqual(expect.objectContaining({ kind: 'measure', multiplier: 1000, label: 'thousand tonnes' }));
+      expect(parseUnit('개월')).toEqual(expect.objectContaining({ kind: 'unknown', multiplier: 1 }));
+      expect(parseUnit('')).toBeNull();
+    });
+  });
+
+  it('getUnitFactor should convert between scales of the same base unit', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { getUnitFactor } = await import('../src/units.js');
+
+      expect(getUnitFactor('천명', '명')).toBe(1000);
+      expect(getUnitFactor('백만원', '십억원')).toBe(0.001);
+      expect(getUnitFactor('천명', '원')).toBeNull();
+    });
+  });
+
+  it('normalizeUnits should describe units and rescale values to the base unit', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { normalizeUnits } = await import('../src/units.js');
+      const records = [{ value: 51.8, unit: '백만명' }, { value: 3.2, unit: '%' }, { value: null, unit: '천가구' }];
+
+      expect(normalizeUnits(records)[0]).toEqual({
+        value: 51.8,
+        unit: '백만명',
+        unitInfo: { raw: '백만명', base: '명', multiplier: 1e6, label: 'million persons', kind: 'count', rescaled: false },
+      });
+      const rescaled = normalizeUnits(records, { rescale: true });
+      expect(rescaled[0]).toEqual(expect.objectContaining({ value: 51800000, unit: '명' }));
+      expect(rescaled[0].unitInfo).toEqual(expect.objectContaining({ label: 'persons', multiplier: 1e6, rescaled: true }));
+      expect(rescaled[1]).toEqual(expect.objectContaining({ value: 3.2, unit: '%' }));
+      expect(rescaled[2]).toEqual(expect.objectContaining({ value: null, unit: '가구' }));
+    });
+  });
+});
@@ -102,6 +102,152 @@ describe('Utility Functions', () => {
       expect(validated.includeMetadata).toBe(true);
     });
   });
+
+  it('validateInput should normalize the frequency and reject unknown ones', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { validateInput } = await import('../src/utils.js');
+
+      expect(validateInput({ frequency: '분기' }).frequency).toBe('Q');
+      expect(validateInput({ frequency: ' monthly ' }).frequency).toBe('M');
+      expect(validateInput({ frequency: '  ' }).frequency).toBe('');
+      expect(() => validateInput({ frequency: 'Yearly-ish' })).toThrow("Invalid frequency 'Yearly-ish'. Use Y, H, Q, M, D or IR");
+    });
+  });
+
+  it('validateInput should accept rebase periods the period parser reads', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { validateInput } = await import('../src/utils.js');
+
+      expect(validateInput({ rebasePeriod: '2020년 1분기' }).rebasePeriod).toBe('2020년 1분기');
+      expect(() => validateInput({ rebasePeriod: '2020Q1' })).toThrow("Invalid rebase period '2020Q1'. Use a period such as 2020 (year), 2020년 1분기 (quarter) or 202001 (month)");
+    });
+  });
+
+  it('validateInput should take fractional request rates and fall back to the legacy delay', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { validateInput } = await import('../src/utils.js');
+
+      expect(validateInput({ requestsPerSecond: 0.5 }).requestsPerSecond).toBe(0.5);
+      expect(validateInput({ requestsPerSecond: 0.01 }).requestsPerSecond).toBe(0.1);
+      expect(validateInput({ delayBetweenRequests: 2000 }).requestsPerSecond).toBe(0.5);
+      expect(validateInput({}).requestsPerSecond).toBe(5);
+    });
+  });
+
+  it('validateInput should reject offline mode without a response cache', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { validateInput } = await import('../src/utils.js');
+
+      expect(() => validateInput({ offline: true, cacheStorage: 'none' })).toThrow('Offline mode needs a response cache');
+      expect(validateInput({ offline: true }).cacheStorage).toBe('keyValueStore');
+      expect(validateInput({ offline: false, cacheStorage: 'none' }).cacheStorage).toBe('none');
+    });
+  });
+
+  it('getMetaInfo should request every KOSIS metadata type and tolerate empty types', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const mockAxiosGet = jest.fn(async (url, { params }) => {
+        if (params.type === 'TBL') return { data: [{ TBL_NM: '추계인구' }] };
+        if (params.type === 'CMMT') return { data: { err: '30', errMsg: '데이터가 존재하지 않습니다.' } };
+        return { data: [] };
+      });
+
+      jest.doMock('axios', () => ({
+        __esModule: true,
+        default: {
+          create: () => ({ get: mockAxiosGet }),
+        },
+      }));
+
+      const { createKosisApiClient, getMetaInfo } = await import('../src/utils.js');
+      const apiClient = createKosisApiClient('test-api-key');
+      const result = await getMetaInfo(apiClient, 'DT_1BPA001', { orgId: '101' });
+
+      expect(mockAxiosGet.mock.calls.map(([, { params }]) => params.type))
+        .toEqual(['TBL', 'ORG', 'PRD', 'ITM', 'CMMT', 'UNIT', 'SOURCE', 'NCD']);
+      expect(mockAxiosGet).toHaveBeenCalledWith('/statisticsData.do', {
+        params: { method: 'getMeta', type: 'ITM', orgId: '101', tblId: 'DT_1BPA001' }
+      });
+      expect(result.tableName).toBe('추계인구');
+      expect(result.comments).toEqual([]);
+    });
+  });
+
+  it('getStatsData should throw typed errors for KOSIS error bodies and return [] for no data', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const mockAxiosGet = jest.fn()
+        .mockResolvedValueOnce({ data: { err: '30', errMsg: '데이터가 존재하지 않습니다.' } })
+        .mockResolvedValueOnce({ data: { err: '31', errMsg: '조회결과가 초과되었습니다.' } })
+        .mockResolvedValueOnce({ data: { err: '11', errMsg: '인증KEY가 만료되었습니다.' } })
+        .mockResolvedValueOnce({ data: { err: '40', errMsg: '호출가능건수 제한' } })
+        .mockResolvedValueOnce({ data: { err: '41', errMsg: '조회건수 제한' } })
+        .mockResolvedValueOnce({ data: { err: '42', errMsg: '이용 제한' } });
+
+      jest.doMock('axios', () => ({
+        __esModule: true,
+        default: {
+          create: () => ({ get: mockAxiosGet }),
+        },
+      }));
+
+      const { createKosisApiClient, getStatsData } = await import('../src/utils.js');
+      const { KosisResultLimitError, KosisAuthError, KosisQuotaExceededError } = await import('../src/errors.js');
+      const apiClient = createKosisApiClient('test-api-key', { retry: { baseDelay: 1 } });
+
+      await expect(getStatsData(apiClient, 'DT_TEST')).resolves.toEqual([]);
+      await expect(getStatsData(apiClient, 'DT_TEST')).rejects.toBeInstanceOf(KosisResultLimitError);
+      await expect(getStatsData(apiClient, 'DT_TEST')).rejects.toThrow(KosisAuthError);
+      await expect(getStatsData(apiClient, 'DT_TEST')).rejects.toBeInstanceOf(KosisQuotaExceededError);
+      await expect(getStatsData(apiClient, 'DT_TEST')).rejects.toBeInstanceOf(KosisResultLimitError);
+      await expect(getStatsData(apiClient, 'DT_TEST')).rejects.toThrow(KosisAuthError);
+      expect(mockAxiosGet).toHaveBeenCalledTimes(6);
+    });
+  });
+
+  it('getStatsData should retry rate-limit and server errors with backoff', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const mockAxiosGet = jest.fn()
+        .mockRejectedValueOnce({ response: { status: 429, data: {} } })
+        .mockRejectedValueOnce({ response: { status: 503, data: {} } })
+        .mockResolvedValueOnce({ data: [{ DT: '1' }] });
+
+      jest.doMock('axios', () => ({
+        __esModule: true,
+        default: {
+          create: () => ({ get: mockAxiosGet }),
+        },
+      }));
+
+      const { createKosisApiClient, getStatsData, getRetryDelay } = await import('../src/utils.js');
+      const apiClient = createKosisApiClient('test-api-key', { retry: { retries: 2, baseDelay: 1, maxDelay: 5 } });
+
+      await expect(getStatsData(apiClient, 'DT_TEST')).resolves.toEqual([{ DT: '1' }]);
+      expect(mockAxiosGet).toHaveBeenCalledTimes(3);
+
+      const delay = getRetryDelay(10, { baseDelay: 1000, maxDelay: 30000 });
+      expect(delay).toBeGreaterThanOrEqual(0);
+      expect(delay).toBeLessThanOrEqual(30000);
+    });
+  });
+
+  it('getStatsData should give up after the configured number of retries', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const mockAxiosGet = jest.fn().mockResolvedValue({ data: { err: '50', errMsg: '서버오류' } });
+
+      jest.doMock('axios', () => ({
+        __esModule: true,
+        default: {
+          create: () => ({ get: mockAxiosGet }),
+        },
+      }));
+
+      const { createKosisApiClient, getStatsData } = await import('../src/utils.js');
+      const apiClient = createKosisApiClient('test-api-key', { retry: { retries: 1, baseDelay: 1 } });
+
+      await expect(getStatsData(apiClient, 'DT_TEST')).rejects.toThrow('KOSIS API Error (getStatsData for DT_TEST): [50] 서버오류');
+      expect(mockAxiosGet).toHaveBeenCalledTimes(2);
+    });
+  });
 });
 
 
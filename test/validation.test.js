@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+
+describe('Validation', () => {
+  const metadata = {
+    tableId: 'DT_TEST',
+    items: [{ id: 'T1', name: '인구', parentId: null }],
+    classifications: [{
+      level: 1,
+      id: 'A',
+      name: '행정구역별',
+      values: [
+        { id: '00', name: '전국', parentId: null },
+        { id: '11', name: '서울특별시', parentId: '00' },
+        { id: '26', name: '부산광역시', parentId: '00' },
+      ],
+    }],
+  };
+
+  const buildRecord = async (code, region, rawValue, unit = '천명') => {
+    const { parsePeriod } = await import('../src/periods.js');
+    const { parseKosisValue } = await import('../src/values.js');
+    return {
+      sourceTableId: 'DT_TEST',
+      statName: '인구',
+      period: parsePeriod(code, 'Y'),
+      ...parseKosisValue(rawValue),
+      unit,
+      metadata: { item: { id: 'T1' }, classifications: [{ level: 1, objId: 'A', code: region }] },
+    };
+  };
+
+  it('validateHierarchy should flag totals that differ from their components beyond rounding', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { validateHierarchy } = await import('../src/validation.js');
+
+      const records = [
+        await buildRecord('2022', '00', '100.3'),
+        await buildRecord('2022', '11', '60.0'),
+        await buildRecord('2022', '26', '40.0'),
+        await buildRecord('2023', '00', '110'),
+        await buildRecord('2023', '11', '65'),
+        await buildRecord('2023', '26', '40'),
+      ];
+      const report = validateHierarchy(records, metadata, { tolerance: 0 });
+
+      expect(report).toEqual(expect.objectContaining({ type: 'data_quality', sourceTableId: 'DT_TEST', status: 'mismatch', checkedTotals: 2, mismatchCount: 2 }));
+      expect(report.mismatches[1]).toEqual({
+        period: '2023',
+        dimension: 'objL1',
+        totalCode: '00',
+        context: { item: 'T1' },
+        total: 110,
+        componentSum: 105,
+        difference: 5,
+        components: 2,
+        relativeDifferencePercent: expect.closeTo(4.5455, 3),
+      });
+      expect(validateHierarchy(records, metadata, { tolerance: 5 }).status).toBe('ok');
+      expect(validateHierarchy(records.slice(1), metadata).mismatchCount).toBe(1);
+    });
+  });
+
+  it('validateHierarchy should report suppressed components and skip tables without a hierarchy', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { validateHierarchy } = await import('../src/validation.js');
+
+      const records = [
+        await buildRecord('2023', '00', '110'),
+        await buildRecord('2023', '11', '65'),
+        await buildRecord('2023', '26', 'x'),
+      ];
+      const report = validateHierarchy(records, metadata);
+
+      expect(report).toEqual(expect.objectContaining({ status: 'partial', checkedTotals: 0, partialCount: 1, suppressedCellCount: 1 }));
+      expect(report.partial[0]).toEqual(expect.objectContaining({ difference: 45, suppressedComponents: ['26'] }));
+      expect(report.suppressedCells).toEqual([{ period: '2023', cell: { item: 'T1', objL1: '26' }, valueStatus: 'confidential', rawValue: 'x' }]);
+      expect(validateHierarchy(records, { items: [], classifications: [] }).status).toBe('skipped');
+      expect(validateHierarchy(records.map(record => ({ ...record, unit: '%' })), metadata).reason).toMatch('No values in units that add up');
+    });
+  });
+});
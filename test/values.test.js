@@ -0,0 +1,50 @@
+import { jest } from '@jest/globals';
+
+describe('KOSIS Value Parsing', () => {
+
+  it('parseKosisValue should keep real numbers, including zero, as observed', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { parseKosisValue } = await import('../src/values.js');
+
+      expect(parseKosisValue('51829023')).toEqual({ value: 51829023, valueStatus: 'observed', rawValue: '51829023' });
+      expect(parseKosisValue(' 1,234.5 ')).toEqual({ value: 1234.5, valueStatus: 'observed', rawValue: '1,234.5' });
+      expect(parseKosisValue('0')).toEqual({ value: 0, valueStatus: 'observed', rawValue: '0' });
+      expect(parseKosisValue(-2.1)).toEqual({ value: -2.1, valueStatus: 'observed', rawValue: '-2.1' });
+    });
+  });
+
+  it('parseKosisValue should map KOSIS markers to null values with a status', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { parseKosisValue } = await import('../src/values.js');
+
+      expect(parseKosisValue('-')).toEqual({ value: null, valueStatus: 'not-applicable', rawValue: '-' });
+      expect(parseKosisValue('x')).toEqual({ value: null, valueStatus: 'confidential', rawValue: 'x' });
+      expect(parseKosisValue('…')).toEqual({ value: null, valueStatus: 'missing', rawValue: '…' });
+      expect(parseKosisValue('')).toEqual({ value: null, valueStatus: 'missing', rawValue: '' });
+      expect(parseKosisValue(undefined)).toEqual({ value: null, valueStatus: 'missing', rawValue: null });
+    });
+  });
+
+  it('parseKosisValue should read preliminary and estimated flags', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { parseKosisValue } = await import('../src/values.js');
+
+      expect(parseKosisValue('p)1,234')).toEqual({ value: 1234, valueStatus: 'preliminary', rawValue: 'p)1,234' });
+      expect(parseKosisValue('98.7 e)')).toEqual({ value: 98.7, valueStatus: 'estimated', rawValue: '98.7 e)' });
+      expect(parseKosisValue('p)x')).toEqual({ value: null, valueStatus: 'confidential', rawValue: 'p)x' });
+    });
+  });
+
+  it('normalizeStatisticalData should output null instead of 0 for missing values', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const { normalizeStatisticalData } = await import('../src/utils.js');
+
+      const records = normalizeStatisticalData([{ PRD_DE: '2023', DT: 'x' }, { PRD_DE: '2022', DT: '0' }], null, 'DT_TEST');
+
+      expect(records.map(({ value, valueStatus, rawValue }) => ({ value, valueStatus, rawValue }))).toEqual([
+        { value: null, valueStatus: 'confidential', rawValue: 'x' },
+        { value: 0, valueStatus: 'observed', rawValue: '0' },
+      ]);
+    });
+  });
+});